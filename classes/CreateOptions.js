@@ -15,6 +15,7 @@ import {
 } from "../lib/utils.js";
 
 import { ServerResponse } from "./ServerResponse.js";
+import { getSupportedAlgorithms } from "../lib/crypto.js";
 
 /**
  * The options to be used for WebAuthn `create()`
@@ -43,25 +44,25 @@ export class CreateOptions extends ServerResponse {
 
         // check types
         checkType(this, "rp", Object);
-        checkFormat(this.rp, "name", "non-empty-string");
-        checkOptionalFormat(this.rp, "id", "non-empty-string");
-        checkOptionalFormat(this.rp, "icon", "non-empty-string");
+        checkFormat(this.rp, "name", "non-empty-string", "rp");
+        checkOptionalFormat(this.rp, "id", "non-empty-string", "rp");
+        checkOptionalFormat(this.rp, "icon", "non-empty-string", "rp");
 
         checkType(this, "user", Object);
-        checkFormat(this.user, "name", "non-empty-string");
-        checkFormat(this.user, "id", "base64url");
-        checkFormat(this.user, "displayName", "non-empty-string");
-        checkOptionalFormat(this.user, "icon", "non-empty-string");
+        checkFormat(this.user, "name", "non-empty-string", "user");
+        checkFormat(this.user, "id", "base64url", "user");
+        checkFormat(this.user, "displayName", "non-empty-string", "user");
+        checkOptionalFormat(this.user, "icon", "non-empty-string", "user");
 
         checkFormat(this, "challenge", "base64url");
         checkType(this, "pubKeyCredParams", Array);
-        this.pubKeyCredParams.forEach((cred) => {
-            checkType(cred, "alg", "number");
-            checkTrue(cred.type === "public-key", "credential type must be 'public-key'");
+        this.pubKeyCredParams.forEach((cred, idx) => {
+            checkType(cred, "alg", "number", "pubKeyCredParams[" + idx + "]");
+            checkTrue(cred.type === "public-key", "credential type must be 'public-key'", "pubKeyCredParams[" + idx + "].type");
         });
         checkOptionalFormat(this, "timeout", "positive-integer");
         checkOptionalType(this, "excludeCredentials", Array);
-        if (this.excludeCredentials) checkCredentialDescriptorList(this.excludeCredentials);
+        if (this.excludeCredentials) checkCredentialDescriptorList(this.excludeCredentials, "excludeCredentials");
 
         checkAuthenticatorSelection(this);
         checkAttestation(this);
@@ -70,6 +71,26 @@ export class CreateOptions extends ServerResponse {
         checkOptionalFormat(this, "rawChallenge", "base64url");
     }
 
+    /**
+     * Same as {@link validate}, but also checks that the server can verify signatures for every algorithm in
+     * `pubKeyCredParams`. Otherwise an authenticator could create a credential that the server can't log in with.
+     * @param {Array.<Number>} [supportedAlgs] The COSE algorithms that the server can verify, such as -7 for ES256.
+     * Defaults to all the algorithms that `WebAuthnHelpers.crypto.verifySignature()` supports.
+     * @throws {Error} If the message is invalid or has an algorithm that isn't supported
+     */
+    validatePubKeyCredParams(supportedAlgs) {
+        this.validate();
+
+        supportedAlgs = supportedAlgs || getSupportedAlgorithms();
+        this.pubKeyCredParams.forEach((cred, idx) => {
+            checkTrue(
+                supportedAlgs.includes(cred.alg),
+                "unsupported algorithm in pubKeyCredParams: " + cred.alg,
+                "pubKeyCredParams[" + idx + "].alg"
+            );
+        });
+    }
+
     decodeBinaryProperties() {
         if (this.user && this.user.id) {
             this.user.id = coerceToArrayBuffer(this.user.id, "user.id");
@@ -2,6 +2,7 @@ import {
     checkFormat,
     checkOptionalFormat,
     checkOptionalType,
+    checkTrue,
     checkType
 } from "../lib/input-validation.js";
 
@@ -11,6 +12,8 @@ import {
 } from "../lib/utils.js";
 
 import { Msg } from "./Msg.js";
+import { parseAuthenticatorData } from "../lib/authenticator-data.js";
+import { parseClientDataJSON } from "../lib/client-data.js";
 
 /**
  * This is the `PublicKeyCredential` that was the result of the `get()` call.
@@ -50,13 +53,57 @@ export class CredentialAssertion extends Msg {
         checkFormat(this, "rawId", "base64url");
         checkOptionalFormat(this, "id", "base64url");
         checkType(this, "response", Object);
-        checkFormat(this.response, "authenticatorData", "base64url");
-        checkFormat(this.response, "clientDataJSON", "base64url");
-        checkFormat(this.response, "signature", "base64url");
-        checkOptionalFormat(this.response, "userHandle", "nullable-base64");
+        checkFormat(this.response, "authenticatorData", "base64url", "response");
+        checkFormat(this.response, "clientDataJSON", "base64url", "response");
+        checkFormat(this.response, "signature", "base64url", "response");
+        checkOptionalFormat(this.response, "userHandle", "nullable-base64", "response");
         checkOptionalType(this, "getClientExtensionResults", Object);
     }
 
+    /**
+     * Same as {@link validate}, but also requires `response.userHandle` to be present. Use this for usernameless
+     * (discoverable credential) log in, where the user handle is the only way for the server to find the account.
+     * @throws {Error} If the message is invalid or the `userHandle` is missing
+     */
+    validateUsernameless() {
+        this.validate();
+        checkTrue(
+            !!this.response.userHandle,
+            "expected 'userHandle' to be present for usernameless log in",
+            "response.userHandle"
+        );
+        checkFormat(this.response, "userHandle", "base64url", "response");
+    }
+
+    /**
+     * Returns the user handle (the `user.id` from registration) that the authenticator returned with the assertion.
+     * @return {String|null} The `base64url` encoded user handle, or `null` if the authenticator didn't return one
+     */
+    getUserHandle() {
+        var userHandle = this.response && this.response.userHandle;
+        if (!userHandle || userHandle.byteLength === 0) return null;
+        return coerceToBase64Url(userHandle, "response.userHandle");
+    }
+
+    /**
+     * Parses the `clientDataJSON` of the response. Nothing is verified; use {@link validateClientData} to check it.
+     * @return {Object} The parsed client data, with properties such as `type`, `challenge` and `origin`
+     * @throws {ValidationError} If `clientDataJSON` isn't a JSON `Object`
+     */
+    getClientData() {
+        return parseClientDataJSON(coerceToArrayBuffer(this.response.clientDataJSON, "response.clientDataJSON"));
+    }
+
+    /**
+     * Parses the `authenticatorData` of the response, for example to look at the flags or the signature counter.
+     * Nothing is verified; use `WebAuthnHelpers.server.verifyAssertion()` for that.
+     * @return {Object} The parsed authenticator data, see {@link parseAuthenticatorData}
+     * @throws {Error} If the authenticator data is malformed
+     */
+    getAuthenticatorData() {
+        return parseAuthenticatorData(coerceToArrayBuffer(this.response.authenticatorData, "response.authenticatorData"));
+    }
+
     decodeBinaryProperties() {
         this.rawId = coerceToArrayBuffer(this.rawId, "rawId");
         if (this.id) this.id = coerceToArrayBuffer(this.id, "id");
@@ -78,7 +125,8 @@ export class CredentialAssertion extends Msg {
         this.response.signature = coerceToBase64Url(this.response.signature, "response.signature");
         this.response.authenticatorData = coerceToBase64Url(this.response.authenticatorData, "response.authenticatorData");
         if (this.response.userHandle) {
-            if (this.response.userHandle.byteLength > 0) this.response.userHandle = coerceToBase64Url(this.response.userHandle, "response.authenticatorData");
+            // strings are already encoded, empty ArrayBuffers mean there is no user handle
+            if (typeof this.response.userHandle === "string" || this.response.userHandle.byteLength > 0) this.response.userHandle = coerceToBase64Url(this.response.userHandle, "response.authenticatorData");
             else this.response.userHandle = null;
         }
     }
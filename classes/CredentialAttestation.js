@@ -2,7 +2,9 @@ import {
     checkFormat,
     checkOptionalFormat,
     checkOptionalType,
-    checkType
+    checkTransports,
+    checkType,
+    filterTransports
 } from "../lib/input-validation.js";
 
 import {
@@ -11,9 +13,14 @@ import {
 } from "../lib/utils.js";
 
 import { Msg } from "./Msg.js";
+import { decode as cborDecode } from "../lib/cbor.js";
+import { parseAuthenticatorData } from "../lib/authenticator-data.js";
+import { parseClientDataJSON } from "../lib/client-data.js";
 
 /**
- * This is the `PublicKeyCredential` that was the result of the `create()` call.
+ * This is the `PublicKeyCredential` that was the result of the `create()` call. The `response` may have the
+ * `transports` of the authenticator, from `getTransports()`, so that the server can store them with the credential;
+ * transports that WebAuthn doesn't define are left out.
  * @extends {Msg}
  */
 export class CredentialAttestation extends Msg {
@@ -39,6 +46,8 @@ export class CredentialAttestation extends Msg {
                 clientDataJSON: origResponse.clientDataJSON,
                 attestationObject: origResponse.attestationObject,
             };
+            if (Array.isArray(origResponse.transports)) obj.response.transports = filterTransports(origResponse.transports);
+            else if (origResponse.transports !== undefined) obj.response.transports = origResponse.transports;
         }
 
         return obj;
@@ -48,11 +57,50 @@ export class CredentialAttestation extends Msg {
         checkFormat(this, "rawId", "base64url");
         checkOptionalFormat(this, "id", "base64url");
         checkType(this, "response", Object);
-        checkFormat(this.response, "attestationObject", "base64url");
-        checkFormat(this.response, "clientDataJSON", "base64url");
+        checkFormat(this.response, "attestationObject", "base64url", "response");
+        checkFormat(this.response, "clientDataJSON", "base64url", "response");
+        checkTransports(this.response, "response");
         checkOptionalType(this, "getClientExtensionResults", Object);
     }
 
+    /**
+     * Parses the `clientDataJSON` of the response. Nothing is verified; use {@link validateClientData} to check it.
+     * @return {Object} The parsed client data, with properties such as `type`, `challenge` and `origin`
+     * @throws {ValidationError} If `clientDataJSON` isn't a JSON `Object`
+     */
+    getClientData() {
+        return parseClientDataJSON(coerceToArrayBuffer(this.response.clientDataJSON, "response.clientDataJSON"));
+    }
+
+    /**
+     * Decodes the CBOR `attestationObject` of the response, for example to look at the attestation statement.
+     * Nothing is verified; use `WebAuthnHelpers.server.verifyAttestation()` for that.
+     * @return {Object} An `Object` with the attestation statement format (`fmt`, a `String`), the attestation
+     * statement (`attStmt`, a `Map`) and the authenticator data (`authData`, an `ArrayBuffer`)
+     * @throws {Error} If the `attestationObject` isn't a valid CBOR map
+     */
+    getAttestationObject() {
+        var attObj = cborDecode(coerceToArrayBuffer(this.response.attestationObject, "response.attestationObject"));
+        if (!(attObj instanceof Map)) {
+            throw new Error("expected 'attestationObject' to be a CBOR map");
+        }
+
+        return {
+            fmt: attObj.get("fmt"),
+            attStmt: attObj.get("attStmt"),
+            authData: attObj.get("authData")
+        };
+    }
+
+    /**
+     * Parses the authenticator data in the `attestationObject`, which includes the new credential's id and public key.
+     * @return {Object} The parsed authenticator data, see {@link parseAuthenticatorData}
+     * @throws {Error} If the `attestationObject` or authenticator data is malformed
+     */
+    getAuthenticatorData() {
+        return parseAuthenticatorData(this.getAttestationObject().authData);
+    }
+
     decodeBinaryProperties() {
         this.rawId = coerceToArrayBuffer(this.rawId, "rawId");
         if (this.id) this.id = coerceToArrayBuffer(this.id, "id");
@@ -0,0 +1,40 @@
+import {
+    checkFormat,
+    checkOptionalFormat
+} from "../lib/input-validation.js";
+
+import {
+    coerceToArrayBuffer,
+    coerceToBase64Url
+} from "../lib/utils.js";
+
+import { Msg } from "./Msg.js";
+
+/**
+ * A {@link Msg} object that the browser sends to the server to remove the
+ * credential with the specified `id` from the user's account.
+ * @extends {Msg}
+ */
+export class CredentialDeleteRequest extends Msg {
+    constructor() {
+        super();
+
+        this.propList = [
+            "id",
+            "extraData"
+        ];
+    }
+
+    validate() {
+        checkFormat(this, "id", "base64url");
+        checkOptionalFormat(this, "extraData", "base64url");
+    }
+
+    decodeBinaryProperties() {
+        if (this.id) this.id = coerceToArrayBuffer(this.id, "id");
+    }
+
+    encodeBinaryProperties() {
+        if (this.id) this.id = coerceToBase64Url(this.id, "id");
+    }
+}
@@ -0,0 +1,73 @@
+import {
+    checkFormat,
+    checkOptionalFormat,
+    checkOptionalType,
+    checkTrue,
+    checkType
+} from "../lib/input-validation.js";
+
+import {
+    coerceToArrayBuffer,
+    coerceToBase64Url
+} from "../lib/utils.js";
+
+import { ServerResponse } from "./ServerResponse.js";
+
+/**
+ * The list of credentials that have been registered for a user, as returned
+ * by the server in response to a {@link CredentialListRequest}. Each entry of
+ * `credentials` has a base64url `id` and optionally a `name` chosen by the
+ * user, a list of `transports`, and `createdAt` and `lastUsedAt` dates as
+ * ISO 8601 strings.
+ * @extends {ServerResponse}
+ */
+export class CredentialList extends ServerResponse {
+    constructor() {
+        super();
+
+        this.propList = this.propList.concat([
+            "credentials"
+        ]);
+    }
+
+    validate() {
+        super.validate();
+        checkType(this, "credentials", Array);
+        this.credentials.forEach((cred, idx) => {
+            var credPath = "credentials[" + idx + "]";
+            checkTrue(
+                typeof cred === "object" && cred !== null,
+                "expected credential to be 'Object', got: " + cred,
+                credPath
+            );
+            checkFormat(cred, "id", "base64url", credPath);
+            checkOptionalType(cred, "name", "string", credPath);
+            checkOptionalType(cred, "transports", Array, credPath);
+            if (cred.transports) cred.transports.forEach((trans, transIdx) => {
+                checkTrue(
+                    typeof trans === "string",
+                    "expected transport to be 'string', got: " + typeof trans,
+                    credPath + ".transports[" + transIdx + "]"
+                );
+            });
+            checkOptionalFormat(cred, "createdAt", "non-empty-string", credPath);
+            checkOptionalFormat(cred, "lastUsedAt", "non-empty-string", credPath);
+        });
+    }
+
+    decodeBinaryProperties() {
+        if (this.credentials) {
+            this.credentials.forEach((cred, idx) => {
+                cred.id = coerceToArrayBuffer(cred.id, "credentials[" + idx + "].id");
+            });
+        }
+    }
+
+    encodeBinaryProperties() {
+        if (this.credentials) {
+            this.credentials.forEach((cred, idx) => {
+                cred.id = coerceToBase64Url(cred.id, "credentials[" + idx + "].id");
+            });
+        }
+    }
+}
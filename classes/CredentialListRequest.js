@@ -0,0 +1,28 @@
+import { Msg } from "./Msg.js";
+import { checkOptionalFormat } from "../lib/input-validation.js";
+
+/**
+ * A {@link Msg} object that the browser sends to the server to request
+ * the list of credentials that have been registered for a user.
+ * @extends {Msg}
+ */
+export class CredentialListRequest extends Msg {
+    constructor() {
+        super();
+
+        this.propList = [
+            "username",
+            "extraData"
+        ];
+    }
+
+    validate() {
+        // username is optional, since the server may already know the user from their session
+        checkOptionalFormat(this, "username", "non-empty-string");
+        checkOptionalFormat(this, "extraData", "base64url");
+    }
+
+    decodeBinaryProperties() {}
+
+    encodeBinaryProperties() {}
+}
@@ -0,0 +1,42 @@
+import {
+    checkFormat,
+    checkOptionalFormat
+} from "../lib/input-validation.js";
+
+import {
+    coerceToArrayBuffer,
+    coerceToBase64Url
+} from "../lib/utils.js";
+
+import { Msg } from "./Msg.js";
+
+/**
+ * A {@link Msg} object that the browser sends to the server to change the
+ * user-visible `name` of the credential with the specified `id`.
+ * @extends {Msg}
+ */
+export class CredentialRenameRequest extends Msg {
+    constructor() {
+        super();
+
+        this.propList = [
+            "id",
+            "name",
+            "extraData"
+        ];
+    }
+
+    validate() {
+        checkFormat(this, "id", "base64url");
+        checkFormat(this, "name", "non-empty-string");
+        checkOptionalFormat(this, "extraData", "base64url");
+    }
+
+    decodeBinaryProperties() {
+        if (this.id) this.id = coerceToArrayBuffer(this.id, "id");
+    }
+
+    encodeBinaryProperties() {
+        if (this.id) this.id = coerceToBase64Url(this.id, "id");
+    }
+}
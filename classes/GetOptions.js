@@ -37,8 +37,9 @@ export class GetOptions extends ServerResponse {
         checkFormat(this, "challenge", "base64url");
         checkOptionalFormat(this, "timeout", "positive-integer");
         checkOptionalFormat(this, "rpId", "non-empty-string");
+        // an empty allowCredentials list is allowed for usernameless (discoverable credential) log in
         checkOptionalType(this, "allowCredentials", Array);
-        if (this.allowCredentials) checkCredentialDescriptorList(this.allowCredentials);
+        if (this.allowCredentials) checkCredentialDescriptorList(this.allowCredentials, "allowCredentials");
         if (this.userVerification) checkUserVerification(this.userVerification);
         checkOptionalType(this, "extensions", Object);
         checkOptionalFormat(this, "rawChallenge", "base64url");
@@ -21,8 +21,13 @@ export class GetOptionsRequest extends Msg {
     }
 
     validate() {
-        checkFormat(this, "username", "non-empty-string");
-        checkFormat(this, "displayName", "non-empty-string");
+        // username is optional so that users can log in with a discoverable credential (e.g. passkey autofill)
+        checkOptionalFormat(this, "username", "non-empty-string");
+        if (this.username === undefined) {
+            checkOptionalFormat(this, "displayName", "non-empty-string");
+        } else {
+            checkFormat(this, "displayName", "non-empty-string");
+        }
         checkOptionalFormat(this, "extraData", "base64url");
     }
 
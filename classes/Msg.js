@@ -1,5 +1,6 @@
 import {
     copyPropList,
+    objToQueryString,
     stringifyObj,
 } from "../lib/utils.js";
 
@@ -31,6 +32,16 @@ export class Msg {
         return JSON.stringify(this.toObject());
     }
 
+    /**
+     * Converts the `Msg` to a URL query string (without the leading "?") containing all the properties in `propList` that
+     * have been defined on the `Msg`. Used for sending messages with HTTP GET. Non-string values, such as nested objects,
+     * are JSON encoded.
+     * @return {String} A query string that contains all the properties to be sent over the wire.
+     */
+    toQueryString() {
+        return objToQueryString(this.toObject());
+    }
+
     /**
      * Converts the `Msg` to a human-readable string. Useful for debugging messages as they are being sent / received.
      * @return {String} The human-readable message, probably multiple lines.
@@ -13,6 +13,7 @@ import {
 } from "../lib/input-validation.js";
 
 import { Msg } from "./Msg.js";
+import { ValidationError } from "./WebAuthnError.js";
 
 /**
  * Generic {@link Msg} from server to indicate success or failure. Used by
@@ -38,7 +39,7 @@ export class ServerResponse extends Msg {
                 }
 
                 // if status is "ok", errorMessage must be ""
-                checkTrue(this.errorMessage === "", "errorMessage must be empty string when status is 'ok'");
+                checkTrue(this.errorMessage === "", "errorMessage must be empty string when status is 'ok'", "errorMessage");
                 checkOptionalType(this, "debugInfo", "object");
                 break;
 
@@ -47,14 +48,15 @@ export class ServerResponse extends Msg {
                 checkType(this, "errorMessage", "string");
                 checkTrue(
                     this.errorMessage.length > 0,
-                    "errorMessage must be non-zero length when status is 'failed'"
+                    "errorMessage must be non-zero length when status is 'failed'",
+                    "errorMessage"
                 );
                 checkOptionalType(this, "debugInfo", "object");
                 break;
 
                 // status is string, either "ok" or "failed"
             default:
-                throw new Error("'expected 'status' to be 'string', got: " + this.status);
+                throw new ValidationError("'expected 'status' to be 'string', got: " + this.status, "status");
         }
     }
 
@@ -1,37 +1,76 @@
 import * as defaultRoutes from "../lib/default-routes.js";
 import * as utils from "../lib/utils.js";
+import {
+    CredentialExcludedError,
+    InvalidResponseError,
+    NetworkError,
+    ServerRejectedError,
+    WebAuthnAbortError,
+    WebAuthnError,
+    WebAuthnNotSupportedError,
+    WebAuthnSecurityError,
+    WebAuthnTimeoutError,
+    WebAuthnUserCancelledError
+} from "./WebAuthnError.js";
 import { CreateOptions } from "./CreateOptions.js";
 import { CreateOptionsRequest } from "./CreateOptionsRequest.js";
 import { CredentialAssertion } from "./CredentialAssertion.js";
 import { CredentialAttestation } from "./CredentialAttestation.js";
+import { CredentialDeleteRequest } from "./CredentialDeleteRequest.js";
+import { CredentialList } from "./CredentialList.js";
+import { CredentialListRequest } from "./CredentialListRequest.js";
+import { CredentialRenameRequest } from "./CredentialRenameRequest.js";
 import { GetOptions } from "./GetOptions.js";
 import { GetOptionsRequest } from "./GetOptionsRequest.js";
 import { Msg } from "./Msg.js";
 import { ServerResponse } from "./ServerResponse.js";
+import { checkType } from "../lib/input-validation.js";
+import { fetchTransport } from "../lib/transports.js";
 
 /**
  * The main class for registering and logging in via WebAuthn. This class wraps all server communication,
  * as well as calls to `credentials.navigator.create()` (registration) and `credentials.navigator.get()` (login)
  *
  * @param {Object} config The configuration object for WebAuthnApp
+ * @param {Function} [config.transport] The function used to send messages to the server. Defaults
+ * to {@link fetchTransport}; {@link xhrTransport} is also available, or a custom transport function
+ * may be provided.
+ * @param {Object} [config.headers] Static headers (e.g. an `X-CSRF-Token`) to be sent with every request to the server.
+ * @param {Function} [config.getHeaders] A callback that is called as `getHeaders(method, url)` before every
+ * request to the server. It returns an `Object` (or a `Promise` that resolves to an `Object`) of headers to be
+ * added to the request, which is useful for tokens that need to be refreshed.
+ * @param {String} [config.credentials] The cookie / credentials mode for requests to the server: "omit",
+ * "same-origin" (the default) or "include".
+ * @param {Boolean} [config.usernameless] If `true`, {@link login} doesn't send a username to the server and the
+ * user logs in with a discoverable credential (passkey) instead.
+ * @param {Boolean} [config.documentEvents] If `true`, events are also dispatched on the global `document`, as
+ * they were in previous versions. By default, events are only dispatched on the `WebAuthnApp` instance; see
+ * {@link addEventListener}. Without a `document`, such as in a web worker, this has no effect.
+ * @param {String} [config.credentialListEndpoint] The REST path for {@link listCredentials}, and similarly
+ * `credentialRenameEndpoint` and `credentialDeleteEndpoint`. The HTTP methods can be changed with
+ * `credentialListMethod`, `credentialRenameMethod` and `credentialDeleteMethod`, which default to "POST".
  */
 export class WebAuthnApp {
     constructor(config) {
-        // check for browser; throw error and fail if not browser
-        if (!utils.isBrowser()) throw new Error("WebAuthnApp must be run from a browser");
+        // check for browser or web worker; throw error and fail if neither
+        if (!utils.isBrowser()) throw new Error("WebAuthnApp must be run from a browser or a web worker");
+
+        config = config || {};
+        this.listeners = {};
+        this.documentEvents = !!config.documentEvents;
 
         // check for secure context
-        if (!window.isSecureContext) {
-            fireNotSupported("This web page was not loaded in a secure context (https). Please try loading the page again using https or make sure you are using a browser with secure context support.");
+        var scope = globalScope();
+        if (!scope.isSecureContext) {
+            fireNotSupported(this, "This web page was not loaded in a secure context (https). Please try loading the page again using https or make sure you are using a browser with secure context support.");
             return null;
         }
 
         // check for WebAuthn CR features
-        if (window.PublicKeyCredential === undefined ||
-            typeof window.PublicKeyCredential !== "function" ||
-            typeof window.PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable !== "function") {
-            console.log("PublicKeyCredential not found");
-            fireNotSupported("WebAuthn is not currently supported by this browser. See this webpage for a list of supported browsers: <a href=https://developer.mozilla.org/en-US/docs/Web/API/Web_Authentication_API#Browser_compatibility>Web Authentication: Browser Compatibility</a>");
+        if (scope.PublicKeyCredential === undefined ||
+            typeof scope.PublicKeyCredential !== "function" ||
+            typeof scope.PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable !== "function") {
+            fireNotSupported(this, "WebAuthn is not currently supported by this browser. See this webpage for a list of supported browsers: <a href=https://developer.mozilla.org/en-US/docs/Web/API/Web_Authentication_API#Browser_compatibility>Web Authentication: Browser Compatibility</a>");
             return null;
         }
 
@@ -39,7 +78,6 @@ export class WebAuthnApp {
         const coseAlgECDSAWithSHA256 = -7;
 
         // configure or defaults
-        config = config || {};
         this.registerChallengeEndpoint = config.registerChallengeEndpoint || defaultRoutes.attestationOptions;
         this.registerResponseEndpoint = config.registerResponseEndpoint || defaultRoutes.attestationResult;
         this.loginChallengeEndpoint = config.loginChallengeEndpoint || defaultRoutes.assertionOptions;
@@ -48,12 +86,146 @@ export class WebAuthnApp {
         this.registerResponseMethod = config.registerResponseMethod || "POST";
         this.loginChallengeMethod = config.loginChallengeMethod || "POST";
         this.loginResponseMethod = config.loginResponseMethod || "POST";
+        configureCredentialManagement(this, config);
         this.timeout = config.timeout || 60000; // one minute
         this.alg = config.alg || coseAlgECDSAWithSHA256;
         this.binaryEncoding = config.binaryEncoding;
         // TODO: relying party name
-        this.appName = config.appName || window.location.hostname;
+        this.appName = config.appName || scope.location.hostname;
         this.username = config.username;
+        this.usernameless = !!config.usernameless;
+        configureTransport(this, config);
+    }
+
+    /**
+     * Adds a listener for events fired by this `WebAuthnApp`, such as "webauthn-register-success" or
+     * "webauthn-debug". See the events below for a list of the events and their details. Listeners are
+     * called with a `CustomEvent`, the same way as `EventTarget.addEventListener()`.
+     *
+     * @param {String} type The type of event to listen for
+     * @param {Function} listener The function that is called with the event
+     */
+    addEventListener(type, listener) {
+        if (typeof listener !== "function") {
+            throw new TypeError("expected 'listener' to be 'function', got: " + typeof listener);
+        }
+
+        var list = this.listeners[type] || (this.listeners[type] = []);
+        if (!list.includes(listener)) list.push(listener);
+    }
+
+    /**
+     * Removes a listener that was added with {@link addEventListener}.
+     *
+     * @param {String} type The type of event that the listener was added for
+     * @param {Function} listener The function that was added
+     */
+    removeEventListener(type, listener) {
+        var list = this.listeners[type];
+        if (!list) return;
+
+        var idx = list.indexOf(listener);
+        if (idx !== -1) list.splice(idx, 1);
+    }
+
+    /**
+     * Dispatches an event to the listeners of this `WebAuthnApp`. As with `EventTarget`, an exception thrown by a
+     * listener doesn't stop the other listeners from being called; it is rethrown asynchronously instead.
+     *
+     * @param {Event} event The event to dispatch
+     * @return {Boolean} Always `true`; the events of `WebAuthnApp` can't be cancelled
+     */
+    dispatchEvent(event) {
+        var list = this.listeners[event.type];
+        if (!list) return true;
+
+        // copy the list, in case a listener removes itself
+        list.slice().forEach((listener) => {
+            try {
+                listener.call(this, event);
+            } catch (err) {
+                setTimeout(() => {
+                    throw err;
+                });
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * An alias for {@link addEventListener}
+     *
+     * @param {String} type The type of event to listen for
+     * @param {Function} listener The function that is called with the event
+     * @return {WebAuthnApp} This `WebAuthnApp`, for chaining
+     */
+    on(type, listener) {
+        this.addEventListener(type, listener);
+        return this;
+    }
+
+    /**
+     * An alias for {@link removeEventListener}
+     *
+     * @param {String} type The type of event that the listener was added for
+     * @param {Function} listener The function that was added
+     * @return {WebAuthnApp} This `WebAuthnApp`, for chaining
+     */
+    off(type, listener) {
+        this.removeEventListener(type, listener);
+        return this;
+    }
+
+    /**
+     * Detects what WebAuthn features the current browser supports. This doesn't require a `WebAuthnApp` instance
+     * or any user interaction, so it can be used to decide which options to show (e.g. "Add a passkey") before
+     * the user clicks anything.
+     *
+     * @return {Promise.<Object>} Resolves to an `Object` with the following properties:
+     * - `secureContext` (Boolean): whether the page was loaded in a secure context (https)
+     * - `webauthn` (Boolean): whether `PublicKeyCredential` is available
+     * - `userVerifyingPlatformAuthenticator` (Boolean): the result of `isUserVerifyingPlatformAuthenticatorAvailable()`
+     * - `conditionalMediation` (Boolean): the result of `isConditionalMediationAvailable()`, see {@link loginWithAutofill}
+     * - `clientCapabilities` (Object): the result of `getClientCapabilities()`, or an empty `Object` if not available
+     * - `extensions` (Array.<String>): the client extensions that `getClientCapabilities()` reported as supported
+     * Any feature that can't be detected is reported as unsupported; this promise never rejects.
+     */
+    static getCapabilities() {
+        var scope = globalScope();
+        var caps = {
+            secureContext: !!(scope && scope.isSecureContext),
+            webauthn: false,
+            userVerifyingPlatformAuthenticator: false,
+            conditionalMediation: false,
+            clientCapabilities: {},
+            extensions: []
+        };
+
+        var PublicKeyCredential = scope && scope.PublicKeyCredential;
+        if (typeof PublicKeyCredential !== "function") {
+            return Promise.resolve(caps);
+        }
+        caps.webauthn = true;
+
+        return Promise.all([
+            callStatic(PublicKeyCredential, "isUserVerifyingPlatformAuthenticatorAvailable"),
+            callStatic(PublicKeyCredential, "isConditionalMediationAvailable"),
+            callStatic(PublicKeyCredential, "getClientCapabilities")
+        ])
+            .then(([uvpa, conditional, clientCapabilities]) => {
+                caps.userVerifyingPlatformAuthenticator = !!uvpa;
+                caps.conditionalMediation = !!conditional;
+                if (typeof clientCapabilities === "object" && clientCapabilities !== null) {
+                    caps.clientCapabilities = clientCapabilities;
+                    // client extensions are reported as "extension:<name>"
+                    caps.extensions = Object.keys(clientCapabilities)
+                        .filter((key) => key.startsWith("extension:") && clientCapabilities[key])
+                        .map((key) => key.slice("extension:".length));
+                }
+
+                return caps;
+            });
     }
 
     /**
@@ -64,21 +236,33 @@ export class WebAuthnApp {
      * Each of those classes fires events for various state changes or errors that
      * can be captured for more advanced applications.
      *
+     * @param {AbortSignal} [signal] A signal that cancels the registration when aborted. See also {@link abort}.
      * @return {Promise.<ServerResponse|Error>} Returns a promise that resolves to
      * a {@link ServerResponse} on success, or rejects with an `Error` on failure.
+     * If the registration was cancelled, the `Error` will have a `name` of "AbortError".
      */
-    register() {
-        fireRegister("start");
+    register(signal) {
+        // without any events, so that there is no "start" without a "done"
+        if (signal && signal.aborted) return Promise.reject(cancelledError());
+
+        // cancels a pending loginWithAutofill() first, so that its "done" event comes before "start"
+        var op = startOperation(this, "register", signal);
+        fireRegister(this, "start");
+        signal = op.controller.signal;
         // get challenge
-        return this.requestRegisterOptions()
-            .then((serverMsg) => this.create(serverMsg))
-            .then((newCred) => this.sendRegisterResult(newCred))
+        return this.requestRegisterOptions(signal)
+            .then((serverMsg) => this.create(serverMsg, signal))
+            .then((newCred) => this.sendRegisterResult(newCred, signal))
             .then((msg) => {
-                fireRegister("success");
+                endOperation(this, op);
+                fireRegister(this, "success");
                 return msg;
             })
             .catch((err) => {
-                fireRegister("error", err);
+                // "done" was already fired when the operation was cancelled
+                if (signal.aborted) return Promise.reject(cancelledError());
+                endOperation(this, op);
+                fireRegister(this, "error", err);
                 return Promise.reject(err);
             });
     }
@@ -91,26 +275,117 @@ export class WebAuthnApp {
      * Each of those classes fires events for various state changes or errors that
      * can be captured for more advanced applications.
      *
+     * @param {AbortSignal} [signal] A signal that cancels the log in when aborted. See also {@link abort}.
      * @return {Promise.<ServerResponse|Error>} Returns a promise that resolves to
      * a {@link ServerResponse} on success, or rejects with an `Error` on failure.
+     * If the log in was cancelled, the `Error` will have a `name` of "AbortError".
      */
-    login() {
-        fireLogin("start");
+    login(signal) {
         var self = this;
+        // without any events, so that there is no "start" without a "done"
+        if (signal && signal.aborted) return Promise.reject(cancelledError());
+
+        // cancels a pending loginWithAutofill() first, so that its "done" event comes before "start"
+        var op = startOperation(this, "login", signal);
+        fireLogin(this, "start");
+        signal = op.controller.signal;
         // get challenge
-        return this.requestLoginOptions()
-            .then((serverMsg) => self.get(serverMsg))
-            .then((assn) => self.sendLoginResult(assn))
+        return this.requestLoginOptions(signal)
+            .then((serverMsg) => self.get(serverMsg, signal))
+            .then((assn) => self.sendLoginResult(assn, signal))
             .then((msg) => {
-                fireLogin("success");
+                endOperation(self, op);
+                fireLogin(self, "success");
                 return msg;
             })
             .catch((err) => {
-                fireLogin("error", err);
+                // "done" was already fired when the operation was cancelled
+                if (signal.aborted) return Promise.reject(cancelledError());
+                endOperation(self, op);
+                fireLogin(self, "error", err);
                 return Promise.reject(err);
             });
     }
 
+    /**
+     * Perform WebAuthn authentication using conditional mediation, where the user's passkeys are offered in
+     * the browser's autofill dropdown for any input field with `autocomplete="username webauthn"`. The login
+     * options are requested from the server without a username, `navigator.credentials.get()` is called with
+     * `mediation: "conditional"`, and the resulting assertion is sent to the server through {@link sendLoginResult}.
+     *
+     * This is typically started when the login page loads, and the returned promise won't settle until the user
+     * picks a passkey. Starting a regular {@link login} or {@link register} (or calling {@link abort}) cancels the
+     * pending autofill request, in which case the promise rejects with an `Error` that has a `name` of "AbortError".
+     * It also rejects that way, without starting, if a {@link login} or {@link register} is already in progress.
+     *
+     * @param {AbortSignal} [signal] A signal that cancels the log in when aborted.
+     * @return {Promise.<ServerResponse|Error>} Returns a promise that resolves to
+     * a {@link ServerResponse} on success, or rejects with an `Error` on failure, including when conditional
+     * mediation isn't available in this browser.
+     */
+    loginWithAutofill(signal) {
+        var self = this;
+        var PublicKeyCredential = globalScope().PublicKeyCredential;
+
+        if (signal && signal.aborted) return Promise.reject(cancelledError());
+        if (typeof PublicKeyCredential.isConditionalMediationAvailable !== "function") {
+            return Promise.reject(new WebAuthnNotSupportedError("conditional mediation is not supported by this browser"));
+        }
+
+        return PublicKeyCredential.isConditionalMediationAvailable()
+            .then((available) => {
+                if (!available) {
+                    return Promise.reject(new WebAuthnNotSupportedError("conditional mediation is not supported by this browser"));
+                }
+
+                // a login() or register() that the user started in the meantime wins over the autofill request
+                var current = self.currentOperation;
+                if ((signal && signal.aborted) || (current && !current.autofill)) {
+                    return Promise.reject(cancelledError());
+                }
+
+                var op = startOperation(self, "login", signal);
+                op.autofill = true;
+                fireLogin(self, "start");
+                signal = op.controller.signal;
+                // the user picks their account from the autofill list, so no username is sent
+                return self.send(
+                    self.loginChallengeMethod,
+                    self.loginChallengeEndpoint,
+                    GetOptionsRequest.from({}),
+                    GetOptions,
+                    signal
+                )
+                    .then((serverMsg) => self.get(serverMsg, signal, "conditional"))
+                    .then((assn) => self.sendLoginResult(assn, signal))
+                    .then((msg) => {
+                        endOperation(self, op);
+                        fireLogin(self, "success");
+                        return msg;
+                    })
+                    .catch((err) => {
+                        // "done" was already fired when the operation was cancelled
+                        if (signal.aborted) return Promise.reject(cancelledError());
+                        endOperation(self, op);
+                        fireLogin(self, "error", err);
+                        return Promise.reject(err);
+                    });
+            });
+    }
+
+    /**
+     * Cancels the {@link register} or {@link login} that is currently in progress, including any
+     * pending `navigator.credentials` call and server request. The pending promise will reject
+     * with an `Error` that has a `name` of "AbortError", and the "webauthn-register-done" or
+     * "webauthn-login-done" event will be fired. Does nothing if there is no operation in progress.
+     *
+     * @fires WebAuthnApp#registerEvent
+     * @fires WebAuthnApp#loginEvent
+     */
+    abort() {
+        if (this.currentOperation) cancelOperation(this, this.currentOperation);
+    }
+
     /**
      * A wrapper around a call to `navigator.credentials.create()`,
      * which is WebAuthn's way of registering a new device with a service.
@@ -119,12 +394,13 @@ export class WebAuthnApp {
      * call. May be the return value from {@link requestRegisterOptions} or a modified version thereof.
      * Note that this object contains a `challenge` property which MUST come from the server and that
      * the server will use to make sure that the credential isn't part of a replay attack.
+     * @param {AbortSignal} [signal] A signal that cancels the `navigator.credentials.create()` call when aborted.
      * @return {Promise.<PublicKeyCredentialAttestation|Error>}         Returns a Promise that resolves to a
      * {@link PublicKeyCredentialAttestation} on success (i.e. - the actual return value from `navigator.credentials.create()`),
-     * or rejects with an Error on failure.
+     * or rejects with a {@link WebAuthnError} on failure (e.g. {@link WebAuthnUserCancelledError} or {@link CredentialExcludedError}).
      * @fires WebAuthnApp#userPresenceEvent
      */
-    create(options) {
+    create(options, signal) {
         if (!(options instanceof CreateOptions)) {
             throw new Error("expected 'options' to be instance of CreateOptions");
         }
@@ -136,11 +412,13 @@ export class WebAuthnApp {
         args.publicKey.attestation = args.publicKey.attestation || "direct";
         delete args.publicKey.status;
         delete args.publicKey.errorMessage;
+        if (signal) args.signal = signal;
 
-        fireDebug("create-options", args);
-        fireUserPresence("start");
+        fireDebug(this, "create-options", args);
+        fireUserPresence(this, "start");
+        var startTime = Date.now();
 
-        return navigator.credentials.create(args)
+        return abortable(navigator.credentials.create(args), signal)
             .then((res) => {
                 // save client extensions
                 if (typeof res.getClientExtensionResults === "function") {
@@ -148,14 +426,14 @@ export class WebAuthnApp {
                     if (typeof exts === "object") res.getClientExtensionResults = exts;
                 }
 
-                fireUserPresence("done");
-                fireDebug("create-result", res);
+                fireUserPresence(this, "done");
+                fireDebug(this, "create-result", res);
                 return res;
             })
             .catch((err) => {
-                fireUserPresence("done");
-                fireDebug("create-error", err);
-                return Promise.reject(err);
+                fireUserPresence(this, "done");
+                fireDebug(this, "create-error", err);
+                return Promise.reject(toWebAuthnError(err, "create", Date.now() - startTime, args.publicKey.timeout));
             });
     }
 
@@ -167,12 +445,16 @@ export class WebAuthnApp {
      * call. May be the return value from {@link requestLoginOptions} or a modified version thereof.
      * Note that this object contains a `challenge` property which MUST come from the server and that
      * the server will use to make sure that the credential isn't part of a replay attack.
+     * @param {AbortSignal} [signal] A signal that cancels the `navigator.credentials.get()` call when aborted.
+     * @param {String} [mediation] The credential mediation requirement, such as "conditional" for showing
+     * credentials in the browser's autofill UI. User presence events are not fired for "conditional" mediation,
+     * since the browser waits for the user to pick a credential rather than for an authenticator.
      * @return {Promise.<PublicKeyCredentialAssertion|Error>}         Returns a Promise that resolves to a
      * {@link PublicKeyCredentialAssertion} on success (i.e. - the actual return value from `navigator.credentials.get()`),
-     * or rejects with an Error on failure.
+     * or rejects with a {@link WebAuthnError} on failure (e.g. {@link WebAuthnUserCancelledError}).
      * @fires WebAuthnApp#userPresenceEvent
      */
-    get(options) {
+    get(options, signal, mediation) {
         if (!(options instanceof GetOptions)) {
             throw new Error("expected 'options' to be instance of GetOptions");
         }
@@ -183,11 +465,15 @@ export class WebAuthnApp {
         };
         delete args.publicKey.status;
         delete args.publicKey.errorMessage;
+        if (signal) args.signal = signal;
+        if (mediation) args.mediation = mediation;
+        var conditional = (mediation === "conditional");
 
-        fireDebug("get-options", args);
-        fireUserPresence("start");
+        fireDebug(this, "get-options", args);
+        if (!conditional) fireUserPresence(this, "start");
+        var startTime = Date.now();
 
-        return navigator.credentials.get(args)
+        return abortable(navigator.credentials.get(args), signal)
             .then((res) => {
                 // save client extensions
                 if (typeof res.getClientExtensionResults === "function") {
@@ -195,14 +481,14 @@ export class WebAuthnApp {
                     if (typeof exts === "object") res.getClientExtensionResults = exts;
                 }
 
-                fireUserPresence("done");
-                fireDebug("get-result", res);
+                if (!conditional) fireUserPresence(this, "done");
+                fireDebug(this, "get-result", res);
                 return res;
             })
             .catch((err) => {
-                fireUserPresence("done");
-                fireDebug("get-error", err);
-                return Promise.reject(err);
+                if (!conditional) fireUserPresence(this, "done");
+                fireDebug(this, "get-error", err);
+                return Promise.reject(toWebAuthnError(err, "get", Date.now() - startTime, args.publicKey.timeout));
             });
     }
 
@@ -210,11 +496,12 @@ export class WebAuthnApp {
      * Requests the registration options to be used from the server, including the random
      * challenge to be used for this registration request.
      *
+     * @param {AbortSignal} [signal] A signal that cancels the request when aborted.
      * @return {CreateOptions} The options to be used for creating the new
      * credential to be registered with the server. The options returned will
      * have been validated.
      */
-    requestRegisterOptions() {
+    requestRegisterOptions(signal) {
         var sendData = CreateOptionsRequest.from({
             username: this.username,
             displayName: this.displayName || this.username
@@ -224,7 +511,8 @@ export class WebAuthnApp {
             this.registerChallengeMethod,
             this.registerChallengeEndpoint,
             sendData,
-            CreateOptions
+            CreateOptions,
+            signal
         );
     }
 
@@ -233,50 +521,74 @@ export class WebAuthnApp {
      * to the server.
      *
      * @param  {WebAuthn#AuthenticatorAttestationResponse} pkCred The public key credential (containing an attesation) returned from `navigator.credentials.get()`
+     * @param {AbortSignal} [signal] A signal that cancels the request when aborted.
      * @return {Promise.<ServerResponse|Error>} Resolves to the {@link ServerResponse} from the server on success, or rejects with Error on failure
      */
-    sendRegisterResult(pkCred) {
-        if (!(pkCred instanceof window.PublicKeyCredential)) {
+    sendRegisterResult(pkCred, signal) {
+        if (!(pkCred instanceof globalScope().PublicKeyCredential)) {
             throw new Error("expected 'pkCred' to be instance of PublicKeyCredential");
         }
 
+        var response = {
+            attestationObject: pkCred.response.attestationObject,
+            clientDataJSON: pkCred.response.clientDataJSON
+        };
+        // not all browsers have getTransports()
+        if (typeof pkCred.response.getTransports === "function") {
+            response.transports = pkCred.response.getTransports();
+        }
+
         var sendData = CredentialAttestation.from({
             username: this.username,
             rawId: pkCred.rawId,
             id: pkCred.rawId,
-            response: {
-                attestationObject: pkCred.response.attestationObject,
-                clientDataJSON: pkCred.response.clientDataJSON
-            }
+            response: response
         });
 
         return this.send(
             this.registerResponseMethod,
             this.registerResponseEndpoint,
             sendData,
-            ServerResponse
+            ServerResponse,
+            signal
         );
     }
 
     /**
      * Requests the login options to be used from the server, including the random
-     * challenge to be used for this registration request.
+     * challenge to be used for this registration request. If `usernameless` is set,
+     * no username is sent to the server.
      *
+     * @param {AbortSignal} [signal] A signal that cancels the request when aborted.
      * @return {GetOptions} The options to be used for creating the new
      * credential to be registered with the server. The options returned will
      * have been validated.
      */
-    requestLoginOptions() {
-        var sendData = GetOptionsRequest.from({
-            username: this.username,
-            displayName: this.displayname || this.username
-        });
+    requestLoginOptions(signal) {
+        var sendData;
+        if (this.usernameless) {
+            // the authenticator tells the server who the user is through the userHandle
+            sendData = GetOptionsRequest.from({});
+        } else {
+            // a username is required unless usernameless is configured
+            try {
+                checkType(this, "username", "string");
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            sendData = GetOptionsRequest.from({
+                username: this.username,
+                displayName: this.displayname || this.username
+            });
+        }
 
         return this.send(
             this.loginChallengeMethod,
             this.loginChallengeEndpoint,
             sendData,
-            GetOptions
+            GetOptions,
+            signal
         );
     }
 
@@ -309,10 +621,11 @@ export class WebAuthnApp {
      * to the server.
      *
      * @param  {WebAuthn#AuthenticatorAssertionResponse} assn The assertion returned from `navigator.credentials.get()`
+     * @param {AbortSignal} [signal] A signal that cancels the request when aborted.
      * @return {Promise.<ServerResponse|Error>} Resolves to the {@link ServerResponse} from the server on success, or rejects with Error on failure
      */
-    sendLoginResult(assn) {
-        if (!(assn instanceof window.PublicKeyCredential)) {
+    sendLoginResult(assn, signal) {
+        if (!(assn instanceof globalScope().PublicKeyCredential)) {
             throw new Error("expected 'assn' to be instance of PublicKeyCredential");
         }
 
@@ -322,24 +635,98 @@ export class WebAuthnApp {
             this.loginResponseMethod,
             this.loginResponseEndpoint,
             msg,
-            ServerResponse
+            ServerResponse,
+            signal
         );
     }
 
     /**
-     * The lowest-level message sending. Transmits a response over the wire.
+     * Requests the list of credentials that have been registered for the current user, for example to show
+     * a page where the user can manage their security keys and passkeys. The `username` from the config is
+     * sent if it was set; otherwise the server is expected to know the user from their session.
      *
-     * @param  {String} method              "POST", currently throws if non-POST, but this may be changed in the future.
+     * @param {AbortSignal} [signal] A signal that cancels the request when aborted.
+     * @return {Promise.<CredentialList|Error>} Resolves to the {@link CredentialList} from the server on success,
+     * or rejects with Error on failure
+     */
+    listCredentials(signal) {
+        var sendData = CredentialListRequest.from({
+            username: this.username
+        });
+
+        return this.send(
+            this.credentialListMethod,
+            this.credentialListEndpoint,
+            sendData,
+            CredentialList,
+            signal
+        );
+    }
+
+    /**
+     * Changes the name that the user sees for one of their registered credentials.
+     *
+     * @param {ArrayBuffer|String} id The id of the credential to be renamed, as an `ArrayBuffer` or a base64url `String`
+     * (e.g. the `id` from {@link listCredentials})
+     * @param {String} name The new name of the credential
+     * @param {AbortSignal} [signal] A signal that cancels the request when aborted.
+     * @return {Promise.<ServerResponse|Error>} Resolves to the {@link ServerResponse} from the server on success,
+     * or rejects with Error on failure
+     */
+    renameCredential(id, name, signal) {
+        var sendData = CredentialRenameRequest.from({
+            id: id,
+            name: name
+        });
+
+        return this.send(
+            this.credentialRenameMethod,
+            this.credentialRenameEndpoint,
+            sendData,
+            ServerResponse,
+            signal
+        );
+    }
+
+    /**
+     * Removes one of the current user's registered credentials, so that it can no longer be used to log in.
+     *
+     * @param {ArrayBuffer|String} id The id of the credential to be deleted, as an `ArrayBuffer` or a base64url `String`
+     * (e.g. the `id` from {@link listCredentials})
+     * @param {AbortSignal} [signal] A signal that cancels the request when aborted.
+     * @return {Promise.<ServerResponse|Error>} Resolves to the {@link ServerResponse} from the server on success,
+     * or rejects with Error on failure
+     */
+    deleteCredential(id, signal) {
+        var sendData = CredentialDeleteRequest.from({
+            id: id
+        });
+
+        return this.send(
+            this.credentialDeleteMethod,
+            this.credentialDeleteEndpoint,
+            sendData,
+            ServerResponse,
+            signal
+        );
+    }
+
+    /**
+     * The lowest-level message sending. Transmits a response over the wire using the configured
+     * transport (see {@link fetchTransport}).
+     *
+     * @param  {String} method              "GET", "POST", "PUT", "PATCH" or "DELETE". For "GET" the message is encoded as a query string (see {@link Msg#toQueryString}) rather than being sent as a JSON body.
      * @param  {String} url                 The REST path to send the data to
      * @param  {Msg} data                The data to be sent, in the form of a {@link Msg} object. This method will convert binary fields to their transmittable form and will validate the data being sent.
      * @param  {Function} responseConstructor The constructor of the data to be received, which must inherit from {@link ServerResponse}. The data returned from this function will be of this type, as created by {@link Msg.from} and will be validated by {@link Msg.validate}.
-     * @return {Promise.<Msg|Error>}                     Returns a Promise that resolves to a {@link Msg} of the type specified by the `responseConstructor` parameter, or rejects with an Error on failure.
+     * @param  {AbortSignal} [signal]      A signal that cancels the request when aborted.
+     * @return {Promise.<Msg|Error>}                     Returns a Promise that resolves to a {@link Msg} of the type specified by the `responseConstructor` parameter, or rejects with an Error on failure: a {@link ValidationError} if a message is invalid, a {@link NetworkError} if the request couldn't be delivered, a {@link ServerRejectedError} if the server returned a failure, or an {@link InvalidResponseError} if the response couldn't be parsed.
      * @fires WebAuthnApp#debugEvent
      */
-    send(method, url, data, responseConstructor) {
+    send(method, url, data, responseConstructor, signal) {
         // check args
-        if (method !== "POST") {
-            return Promise.reject(new Error("why not POST your data?"));
+        if (!["GET", "POST", "PUT", "PATCH", "DELETE"].includes(method)) {
+            return Promise.reject(new Error("expected 'method' to be 'GET', 'POST', 'PUT', 'PATCH', or 'DELETE', got: " + method));
         }
 
         if (typeof url !== "string") {
@@ -354,6 +741,10 @@ export class WebAuthnApp {
             return Promise.reject(new Error("expected 'responseConstructor' to be 'function', got: " + typeof responseConstructor));
         }
 
+        if (signal && signal.aborted) {
+            return Promise.reject(cancelledError());
+        }
+
         // convert binary properties (if any) to strings
         data.encodeBinaryProperties();
 
@@ -365,34 +756,54 @@ export class WebAuthnApp {
             return Promise.reject(err);
         }
 
-        // TODO: maybe some day upgrade to fetch(); have to change the mock in the tests too
-        return new Promise(function(resolve, reject) {
-            var xhr = new XMLHttpRequest();
-            function rejectWithFailed(errorMessage) {
-                fireDebug("send-error", new Error(errorMessage));
-                return reject(new Error(errorMessage));
-            }
+        var rejectWithFailed = (err) => {
+            fireDebug(this, "send-error", err);
+            return Promise.reject(err);
+        };
 
-            xhr.open(method, url, true);
-            xhr.setRequestHeader("Content-type", "application/json; charset=utf-8");
-            xhr.onload = function() {
-                fireDebug("response-raw", {
-                    status: xhr.status,
-                    body: xhr.responseText
-                });
+        fireDebug(this, "send", data);
 
-                if (xhr.readyState !== 4) {
-                    return rejectWithFailed("server returned ready state: " + xhr.readyState);
-                }
+        var headers = {};
+        if (method === "GET") {
+            // GET requests don't have a body, so the message goes in the query string
+            data = data.toQueryString();
+            if (data.length) url += ((url.indexOf("?") === -1) ? "?" : "&") + data;
+            fireDebug(this, "send-raw", data);
+            data = undefined;
+        } else {
+            headers["Content-type"] = "application/json; charset=utf-8";
+            data = data.toString();
+            fireDebug(this, "send-raw", data);
+        }
+        Object.assign(headers, this.headers);
+
+        return Promise.resolve()
+            .then(() => this.getHeaders && this.getHeaders(method, url))
+            .then((requestHeaders) => abortable(this.transport({
+                method: method,
+                url: url,
+                headers: Object.assign(headers, requestHeaders),
+                credentials: this.credentials,
+                signal: signal,
+                body: data
+            }), signal)
+                .catch((err) => Promise.reject((err instanceof WebAuthnError) ? err : new NetworkError(err.message, err))))
+            .then((res) => {
+                fireDebug(this, "response-raw", {
+                    status: res.status,
+                    body: res.body
+                });
 
                 var response;
                 try {
-                    response = JSON.parse(xhr.responseText);
+                    response = JSON.parse(res.body);
                 } catch (err) {
-                    if (xhr.status === 200) {
-                        return rejectWithFailed("error parsing JSON response: '" + xhr.responseText + "'");
+                    if (res.status === 200) {
+                        return rejectWithFailed(new InvalidResponseError("error parsing JSON response: '" + res.body + "'", err));
                     }
-                    return rejectWithFailed("server returned status: " + xhr.status);
+                    return rejectWithFailed(new ServerRejectedError("server returned status: " + res.status, {
+                        status: res.status
+                    }));
                 }
 
                 if (Array.isArray(response)) {
@@ -402,38 +813,169 @@ export class WebAuthnApp {
                 var msg = responseConstructor.from(response);
 
                 if (msg.status === "failed") {
-                    return rejectWithFailed(msg.errorMessage);
+                    return rejectWithFailed(new ServerRejectedError(msg.errorMessage, {
+                        status: res.status,
+                        errorMessage: msg.errorMessage,
+                        debugInfo: msg.debugInfo
+                    }));
                 }
 
-
                 try {
                     msg.validate();
                 } catch (err) {
-                    return rejectWithFailed(err.message);
+                    return rejectWithFailed(err);
                 }
 
-                fireDebug("response", {
-                    status: xhr.status,
+                fireDebug(this, "response", {
+                    status: res.status,
                     body: msg
                 });
-                return resolve(msg);
-            };
-            xhr.onerror = function() {
-                return rejectWithFailed("POST to URL failed: " + url);
-            };
-            fireDebug("send", data);
+                return msg;
+            }, (err) => {
+                if (signal && signal.aborted) return Promise.reject(cancelledError());
+                return rejectWithFailed(err);
+            });
+    }
+}
 
-            data = data.toString();
-            fireDebug("send-raw", data);
-            xhr.send(data);
+// sets up the endpoints for listCredentials(), renameCredential() and deleteCredential()
+function configureCredentialManagement(app, config) {
+    app.credentialListEndpoint = config.credentialListEndpoint || defaultRoutes.credentialList;
+    app.credentialRenameEndpoint = config.credentialRenameEndpoint || defaultRoutes.credentialRename;
+    app.credentialDeleteEndpoint = config.credentialDeleteEndpoint || defaultRoutes.credentialDelete;
+    app.credentialListMethod = config.credentialListMethod || "POST";
+    app.credentialRenameMethod = config.credentialRenameMethod || "POST";
+    app.credentialDeleteMethod = config.credentialDeleteMethod || "POST";
+}
+
+// sets up how messages are sent to the server, see the `config` of WebAuthnApp
+function configureTransport(app, config) {
+    app.transport = config.transport || fetchTransport;
+    if (typeof app.transport !== "function") {
+        throw new Error("expected 'transport' to be 'function', got: " + typeof app.transport);
+    }
+    app.headers = config.headers || {};
+    if (typeof app.headers !== "object") {
+        throw new Error("expected 'headers' to be 'object', got: " + typeof app.headers);
+    }
+    app.getHeaders = config.getHeaders;
+    if (app.getHeaders !== undefined && typeof app.getHeaders !== "function") {
+        throw new Error("expected 'getHeaders' to be 'function', got: " + typeof app.getHeaders);
+    }
+    app.credentials = config.credentials || "same-origin";
+    if (!["omit", "same-origin", "include"].includes(app.credentials)) {
+        throw new Error("expected 'credentials' to be 'omit', 'same-origin', or 'include', got: " + app.credentials);
+    }
+}
+
+// calls a static feature detection method, resolving to undefined if it doesn't exist or fails
+function callStatic(cls, name) {
+    if (typeof cls[name] !== "function") return Promise.resolve();
+
+    return Promise.resolve()
+        .then(() => cls[name]())
+        .catch(() => undefined);
+}
+
+function cancelledError() {
+    return new WebAuthnAbortError("operation cancelled");
+}
+
+// converts the DOMExceptions from navigator.credentials into WebAuthnErrors
+function toWebAuthnError(err, ceremony, elapsed, timeout) {
+    if (err instanceof WebAuthnError) return err;
+
+    switch (err && err.name) {
+        case "NotAllowedError":
+            // browsers use NotAllowedError for both cancellation and timeouts
+            if (timeout && elapsed >= timeout) return new WebAuthnTimeoutError(err.message, err);
+            return new WebAuthnUserCancelledError(err.message, err);
+        case "TimeoutError":
+            return new WebAuthnTimeoutError(err.message, err);
+        case "AbortError":
+            return new WebAuthnAbortError(err.message, err);
+        case "InvalidStateError":
+            if (ceremony === "create") return new CredentialExcludedError(err.message, err);
+            return new WebAuthnError(err.message, err);
+        case "SecurityError":
+            return new WebAuthnSecurityError(err.message, err);
+        case "NotSupportedError":
+            return new WebAuthnNotSupportedError(err.message, err);
+        default:
+            return new WebAuthnError((err && err.message) || String(err), err);
+    }
+}
+
+// rejects as soon as the signal is aborted, even if the underlying call doesn't honor the signal
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(cancelledError());
+
+    return new Promise(function(resolve, reject) {
+        function onAbort() {
+            reject(cancelledError());
+        }
+        signal.addEventListener("abort", onAbort);
+
+        promise.then((res) => {
+            signal.removeEventListener("abort", onAbort);
+            resolve(res);
+        }, (err) => {
+            signal.removeEventListener("abort", onAbort);
+            reject(err);
         });
+    });
+}
+
+// only one WebAuthn operation can be pending at a time, so starting a new one cancels the old one
+function startOperation(app, type, signal) {
+    if (app.currentOperation) cancelOperation(app, app.currentOperation);
+
+    var op = {
+        type: type,
+        controller: new AbortController()
+    };
+    app.currentOperation = op;
+
+    // the callers reject already aborted signals before they fire any events
+    if (signal) {
+        // removed again by endOperation(), so that a later abort doesn't cancel an operation that is over
+        op.signal = signal;
+        op.onAbort = () => cancelOperation(app, op);
+        signal.addEventListener("abort", op.onAbort);
     }
+
+    return op;
+}
+
+function endOperation(app, op) {
+    if (op.signal) op.signal.removeEventListener("abort", op.onAbort);
+    if (app.currentOperation === op) app.currentOperation = undefined;
+}
+
+function cancelOperation(app, op) {
+    // the operation already finished or was cancelled
+    if (app.currentOperation !== op) return;
+
+    op.controller.abort();
+    endOperation(app, op);
+    if (op.type === "register") fireRegister(app, "done");
+    else fireLogin(app, "done");
+}
+
+// the `window`, or the global scope of a web worker
+function globalScope() {
+    return (typeof self === "undefined") ? undefined : self;
 }
 
-function fireEvent(type, data) {
+function fireEvent(app, type, data) {
     // console.log("firing event", type);
-    var e = new CustomEvent(type, { detail: data || null });
-    document.dispatchEvent(e);
+    app.dispatchEvent(new CustomEvent(type, { detail: data || null }));
+
+    // an event can only be dispatched once, so the document gets its own copy; web workers don't have a document
+    if (app.documentEvents && typeof document !== "undefined") {
+        document.dispatchEvent(new CustomEvent(type, { detail: data || null }));
+    }
 }
 
 /**
@@ -444,8 +986,9 @@ function fireEvent(type, data) {
  * @property {String} type "webauthn-not-supported"
  * @property {String} detail A human-readable reason for why WebAuthn is currently not supported.
  */
-function fireNotSupported(reason) {
-    fireEvent("webauthn-not-supported", reason);
+function fireNotSupported(app, reason) {
+    // this is fired from the constructor, so wait for listeners to be added to the new instance
+    Promise.resolve().then(() => fireEvent(app, "webauthn-not-supported", reason));
     // fireDebug("not-supported", reason);
 }
 
@@ -461,8 +1004,8 @@ function fireNotSupported(reason) {
  * "get-result", "get-error", "send-error", "send-raw", "send", "response-raw", "response"
  * @property {Any} detail.data The data of the event. Varies based on the `subtype` of the event.
  */
-function fireDebug(subtype, data) {
-    fireEvent("webauthn-debug", {
+function fireDebug(app, subtype, data) {
+    fireEvent(app, "webauthn-debug", {
         subtype: subtype,
         data: data
     });
@@ -484,12 +1027,12 @@ function fireDebug(subtype, data) {
  * @property {String} type "webauthn-user-presence-done" when the User Presence or User Verification has completed (successfully or unsuccessfully)
  * @property {null} detail (there are no details for this event)
  */
-function fireUserPresence(state) {
+function fireUserPresence(app, state) {
     switch (state) {
         case "start":
-            return fireEvent("webauthn-user-presence-start");
+            return fireEvent(app, "webauthn-user-presence-start");
         case "done":
-            return fireEvent("webauthn-user-presence-done");
+            return fireEvent(app, "webauthn-user-presence-done");
         default:
             throw new Error("unknown 'state' in fireUserPresence");
     }
@@ -507,18 +1050,18 @@ function fireUserPresence(state) {
  * @property {null|Error} detail There are no details for these events, except "webauthn-register-error"
  * which will have the Error in detail.
  */
-function fireRegister(state, data) {
+function fireRegister(app, state, data) {
     switch (state) {
         case "start":
-            return fireEvent("webauthn-register-start");
+            return fireEvent(app, "webauthn-register-start");
         case "done":
-            return fireEvent("webauthn-register-done");
+            return fireEvent(app, "webauthn-register-done");
         case "error":
-            fireEvent("webauthn-register-error", data);
-            return fireEvent("webauthn-register-done");
+            fireEvent(app, "webauthn-register-error", data);
+            return fireEvent(app, "webauthn-register-done");
         case "success":
-            fireEvent("webauthn-register-success", data);
-            return fireEvent("webauthn-register-done");
+            fireEvent(app, "webauthn-register-success", data);
+            return fireEvent(app, "webauthn-register-done");
         default:
             throw new Error("unknown 'state' in fireRegister");
     }
@@ -536,18 +1079,18 @@ function fireRegister(state, data) {
  * @property {null|Error} detail There are no details for these events, except "webauthn-login-error"
  * which will have the Error in detail.
  */
-function fireLogin(state, data) {
+function fireLogin(app, state, data) {
     switch (state) {
         case "start":
-            return fireEvent("webauthn-login-start");
+            return fireEvent(app, "webauthn-login-start");
         case "done":
-            return fireEvent("webauthn-login-done");
+            return fireEvent(app, "webauthn-login-done");
         case "error":
-            fireEvent("webauthn-login-error", data);
-            return fireEvent("webauthn-login-done");
+            fireEvent(app, "webauthn-login-error", data);
+            return fireEvent(app, "webauthn-login-done");
         case "success":
-            fireEvent("webauthn-login-success", data);
-            return fireEvent("webauthn-login-done");
+            fireEvent(app, "webauthn-login-success", data);
+            return fireEvent(app, "webauthn-login-done");
         default:
             throw new Error("unknown 'state' in fireLogin");
     }
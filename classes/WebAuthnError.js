@@ -0,0 +1,129 @@
+/**
+ * The base class for all errors thrown or rejected by this library, which makes it possible to
+ * branch on the type of failure rather than parsing error messages. The `name` of the error
+ * is the name of its class.
+ *
+ * @param {String} message A human-readable description of the error
+ * @param {Error} [cause] The original error, if this error wraps another one (e.g. a `DOMException`)
+ * @extends {Error}
+ */
+export class WebAuthnError extends Error {
+    constructor(message, cause) {
+        super(message);
+
+        this.name = this.constructor.name;
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+/**
+ * The user cancelled the WebAuthn operation, or didn't allow it (a `NotAllowedError` from
+ * `navigator.credentials`).
+ * @extends {WebAuthnError}
+ */
+export class WebAuthnUserCancelledError extends WebAuthnError {}
+
+/**
+ * The WebAuthn operation didn't complete before its `timeout` expired.
+ * @extends {WebAuthnError}
+ */
+export class WebAuthnTimeoutError extends WebAuthnError {}
+
+/**
+ * The operation was cancelled through an `AbortSignal` or {@link WebAuthnApp#abort}. For consistency with
+ * `DOMException`, the `name` of this error is "AbortError".
+ * @extends {WebAuthnError}
+ */
+export class WebAuthnAbortError extends WebAuthnError {
+    constructor(message, cause) {
+        super(message, cause);
+
+        this.name = "AbortError";
+    }
+}
+
+/**
+ * The browser rejected the operation for security reasons, such as the `rp.id` not matching the origin
+ * (a `SecurityError` from `navigator.credentials`).
+ * @extends {WebAuthnError}
+ */
+export class WebAuthnSecurityError extends WebAuthnError {}
+
+/**
+ * The browser or authenticator doesn't support the requested operation or options (a `NotSupportedError`
+ * from `navigator.credentials`).
+ * @extends {WebAuthnError}
+ */
+export class WebAuthnNotSupportedError extends WebAuthnError {}
+
+/**
+ * The authenticator already contains one of the credentials in `excludeCredentials` (an `InvalidStateError`
+ * from `navigator.credentials.create()`), which usually means that the device is already registered.
+ * @extends {WebAuthnError}
+ */
+export class CredentialExcludedError extends WebAuthnError {}
+
+/**
+ * The server responded with a failure, either with a `ServerResponse` that has a `status` of "failed" or with
+ * an HTTP error status.
+ *
+ * @param {String} message A human-readable description of the error
+ * @param {Object} [info] Details about the failure
+ * @param {Number} [info.status] The HTTP status code of the response
+ * @param {String} [info.errorMessage] The `errorMessage` from the {@link ServerResponse}
+ * @param {Object} [info.debugInfo] The `debugInfo` from the {@link ServerResponse}
+ * @extends {WebAuthnError}
+ */
+export class ServerRejectedError extends WebAuthnError {
+    constructor(message, info) {
+        super(message);
+
+        info = info || {};
+        this.status = info.status;
+        this.errorMessage = info.errorMessage;
+        this.debugInfo = info.debugInfo;
+    }
+}
+
+/**
+ * The server responded, but its response couldn't be parsed.
+ * @extends {WebAuthnError}
+ */
+export class InvalidResponseError extends WebAuthnError {}
+
+/**
+ * A request to the server couldn't be delivered.
+ * @extends {WebAuthnError}
+ */
+export class NetworkError extends WebAuthnError {}
+
+/**
+ * A message failed validation (see {@link Msg#validate}).
+ *
+ * @param {String} message A human-readable description of the error
+ * @param {String} [path] The path of the property that failed validation, such as "user.id" or "credentials[0].id"
+ * @extends {WebAuthnError}
+ */
+export class ValidationError extends WebAuthnError {
+    constructor(message, path) {
+        super(message);
+
+        this.path = path;
+    }
+}
+
+/**
+ * A WebAuthn response failed verification on the server, for example because the challenge, origin or
+ * signature didn't match what was expected (see {@link verifyAttestation}).
+ *
+ * @param {String} message A human-readable description of the error
+ * @param {String} [path] The part of the response that failed verification, such as "clientData.challenge"
+ * @extends {WebAuthnError}
+ */
+export class VerificationError extends WebAuthnError {
+    constructor(message, path) {
+        super(message);
+
+        this.path = path;
+    }
+}
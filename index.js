@@ -2,17 +2,42 @@ export * from "./classes/CreateOptions.js";
 export * from "./classes/CreateOptionsRequest.js";
 export * from "./classes/CredentialAssertion.js";
 export * from "./classes/CredentialAttestation.js";
+export * from "./classes/CredentialDeleteRequest.js";
+export * from "./classes/CredentialList.js";
+export * from "./classes/CredentialListRequest.js";
+export * from "./classes/CredentialRenameRequest.js";
 export * from "./classes/GetOptions.js";
 export * from "./classes/GetOptionsRequest.js";
 export * from "./classes/Msg.js";
 export * from "./classes/ServerResponse.js";
 export * from "./classes/WebAuthnApp.js";
+export * from "./classes/WebAuthnError.js";
 
+import * as asn1 from "./lib/asn1.js";
+import * as cbor from "./lib/cbor.js";
+import * as cose from "./lib/cose.js";
+import * as crypto from "./lib/crypto.js";
 import * as defaultRoutes from "./lib/default-routes.js";
+import * as transports from "./lib/transports.js";
 import * as utils from "./lib/utils.js";
+import * as x509 from "./lib/x509.js";
+import {
+    parseClientDataJSON,
+    validateClientData
+} from "./lib/client-data.js";
+import { parseAuthenticatorData } from "./lib/authenticator-data.js";
 
 // helpers
 let helpers = {};
 helpers.utils = utils;
 helpers.defaultRoutes = defaultRoutes;
+helpers.transports = transports;
+helpers.cbor = cbor;
+helpers.cose = cose;
+helpers.crypto = crypto;
+helpers.asn1 = asn1;
+helpers.x509 = x509;
+helpers.parseAuthenticatorData = parseAuthenticatorData;
+helpers.parseClientDataJSON = parseClientDataJSON;
+helpers.validateClientData = validateClientData;
 export { helpers as WebAuthnHelpers };
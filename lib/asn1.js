@@ -0,0 +1,273 @@
+// ASN.1 universal tag numbers, see X.680
+export const tags = {
+    BOOLEAN: 1,
+    INTEGER: 2,
+    BIT_STRING: 3,
+    OCTET_STRING: 4,
+    NULL: 5,
+    OBJECT_IDENTIFIER: 6,
+    UTF8String: 12,
+    SEQUENCE: 16,
+    SET: 17,
+    PrintableString: 19,
+    TeletexString: 20,
+    IA5String: 22,
+    UTCTime: 23,
+    GeneralizedTime: 24,
+    BMPString: 30
+};
+
+// ASN.1 tag classes
+export const tagClasses = {
+    UNIVERSAL: 0,
+    APPLICATION: 1,
+    CONTEXT: 2,
+    PRIVATE: 3
+};
+
+/**
+ * Decodes a single ASN.1 DER (X.690) encoded value, such as an X.509 certificate.
+ *
+ * @param {ArrayBuffer|Uint8Array} buf The DER encoded data
+ * @return {Object} The decoded value, which is an `Object` with the `tagClass` and `tag` number of the value,
+ * whether it is `constructed`, its `contents` (a `Uint8Array`), the `raw` bytes of the whole value including
+ * its header (a `Uint8Array`) and, for constructed values, the decoded `children`
+ * @throws {Error} If the data isn't valid DER, or if there is data left over after the value
+ */
+export function decodeDer(buf) {
+    var bytes = toUint8Array(buf);
+    var node = readNode(bytes, 0);
+
+    if (node.raw.byteLength !== bytes.byteLength) {
+        throw new Error("could not decode DER: unexpected data after the end of the value");
+    }
+
+    return node;
+}
+
+/**
+ * Decodes the contents of an OBJECT IDENTIFIER.
+ *
+ * @param {Uint8Array} contents The `contents` of the decoded value
+ * @return {String} The object identifier in dotted form, such as "1.2.840.10045.2.1"
+ */
+export function decodeOid(contents) {
+    var parts = [];
+    var n = 0;
+
+    for (let i = 0; i < contents.byteLength; i++) {
+        n = (n * 128) + (contents[i] & 0x7F);
+        if (!(contents[i] & 0x80)) {
+            parts.push(n);
+            n = 0;
+        }
+    }
+
+    if (!parts.length) throw new Error("could not decode DER: empty object identifier");
+
+    // the first number encodes the first two arcs
+    var first = Math.min(Math.floor(parts[0] / 40), 2);
+    parts.splice(0, 1, first, parts[0] - (first * 40));
+
+    return parts.join(".");
+}
+
+/**
+ * Decodes a string or time value.
+ *
+ * @param {Object} node A value returned by {@link decodeDer}
+ * @return {String|Date} The string, or a `Date` for UTCTime and GeneralizedTime values
+ * @throws {Error} If the value isn't a string or time
+ */
+export function decodeString(node) {
+    switch (node.tagClass === tagClasses.UNIVERSAL && node.tag) {
+        case tags.UTF8String:
+            return new TextDecoder("utf-8").decode(node.contents);
+        case tags.PrintableString:
+        case tags.TeletexString:
+        case tags.IA5String:
+            return String.fromCharCode.apply(null, node.contents);
+        case tags.BMPString:
+            return String.fromCharCode.apply(null, node.contents.reduce((chars, b, i, arr) => {
+                if (i % 2) chars.push((arr[i - 1] << 8) | b);
+                return chars;
+            }, []));
+        case tags.UTCTime:
+        case tags.GeneralizedTime:
+            return decodeTime(node);
+        default:
+            throw new Error("could not decode DER: expected string, got tag: " + node.tag);
+    }
+}
+
+/**
+ * Decodes the contents of an INTEGER that fits in a JavaScript `Number`.
+ *
+ * @param {Uint8Array} contents The `contents` of the decoded value
+ * @return {Number} The integer
+ * @throws {Error} If the integer is too large
+ */
+export function decodeInteger(contents) {
+    if (contents.byteLength > 6) throw new Error("could not decode DER: integer is too large");
+
+    var n = (contents[0] & 0x80) ? -1 : 0;
+    for (let i = 0; i < contents.byteLength; i++) {
+        n = (n * 256) + contents[i];
+    }
+
+    return n;
+}
+
+/**
+ * Encodes a value as ASN.1 DER. This is the reverse of {@link decodeDer}.
+ *
+ * @param {Object} node The value to encode, which is an `Object` with the `tag` number, the `tagClass` (defaults to
+ * universal) and either the `contents` (an `ArrayBuffer` or `Uint8Array`) or the `children` of a constructed value.
+ * Already encoded values can be included by passing an `Object` with only the `raw` encoding.
+ * @return {ArrayBuffer} The DER encoded value
+ */
+export function encodeDer(node) {
+    return encodeNode(node).slice().buffer;
+}
+
+/**
+ * Encodes an object identifier as the contents of an OBJECT IDENTIFIER.
+ *
+ * @param {String} oid The object identifier in dotted form, such as "1.2.840.10045.2.1"
+ * @return {Uint8Array} The encoded object identifier
+ */
+export function encodeOid(oid) {
+    var parts = oid.split(".").map((part) => parseInt(part, 10));
+    if (parts.length < 2 || parts.some((part) => !Number.isSafeInteger(part) || part < 0)) {
+        throw new TypeError("expected object identifier to be in dotted form, got: " + oid);
+    }
+
+    parts.splice(0, 2, (parts[0] * 40) + parts[1]);
+
+    var bytes = [];
+    for (let part of parts) {
+        bytes.push(...toBase128(part));
+    }
+
+    return Uint8Array.from(bytes);
+}
+
+function toBase128(n) {
+    var bytes = [n % 128];
+    n = Math.floor(n / 128);
+    while (n > 0) {
+        bytes.unshift((n % 128) | 0x80);
+        n = Math.floor(n / 128);
+    }
+
+    return bytes;
+}
+
+function encodeNode(node) {
+    if (node.raw) return toUint8Array(node.raw);
+
+    var contents;
+    if (node.children) {
+        let children = node.children.map(encodeNode);
+        contents = new Uint8Array(children.reduce((len, child) => len + child.byteLength, 0));
+        let offset = 0;
+        for (let child of children) {
+            contents.set(child, offset);
+            offset += child.byteLength;
+        }
+    } else {
+        contents = toUint8Array(node.contents || new ArrayBuffer(0));
+    }
+
+    var first = ((node.tagClass || tagClasses.UNIVERSAL) << 6) | ((node.children || node.constructed) ? 0x20 : 0);
+    var header = (node.tag < 31) ? [first | node.tag] : [first | 0x1F, ...toBase128(node.tag)];
+
+    if (contents.byteLength < 0x80) {
+        header.push(contents.byteLength);
+    } else {
+        let len = [];
+        for (let n = contents.byteLength; n > 0; n = Math.floor(n / 256)) len.unshift(n % 256);
+        header.push(0x80 | len.length, ...len);
+    }
+
+    var ret = new Uint8Array(header.length + contents.byteLength);
+    ret.set(header, 0);
+    ret.set(contents, header.length);
+    return ret;
+}
+
+function toUint8Array(buf) {
+    if (buf instanceof ArrayBuffer) return new Uint8Array(buf);
+    if (ArrayBuffer.isView(buf)) return new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength);
+
+    throw new TypeError("expected DER data to be ArrayBuffer or Uint8Array");
+}
+
+function readNode(bytes, start) {
+    var offset = start;
+
+    function readByte() {
+        if (offset >= bytes.byteLength) throw new Error("could not decode DER: unexpected end of data");
+        return bytes[offset++];
+    }
+
+    var first = readByte();
+    var node = {
+        tagClass: first >> 6,
+        constructed: !!(first & 0x20),
+        tag: first & 0x1F
+    };
+
+    // high tag number form
+    if (node.tag === 0x1F) {
+        let b;
+        node.tag = 0;
+        do {
+            b = readByte();
+            node.tag = (node.tag * 128) + (b & 0x7F);
+        } while (b & 0x80);
+    }
+
+    var len = readByte();
+    if (len === 0x80) throw new Error("could not decode DER: indefinite length isn't allowed");
+    if (len > 0x80) {
+        let numBytes = len & 0x7F;
+        if (numBytes > 4) throw new Error("could not decode DER: length is too large");
+        len = 0;
+        for (let i = 0; i < numBytes; i++) {
+            len = (len * 256) + readByte();
+        }
+    }
+
+    if (offset + len > bytes.byteLength) throw new Error("could not decode DER: unexpected end of data");
+
+    node.contents = bytes.subarray(offset, offset + len);
+    node.raw = bytes.subarray(start, offset + len);
+
+    if (node.constructed) {
+        node.children = [];
+        let childOffset = offset;
+        while (childOffset < offset + len) {
+            let child = readNode(bytes.subarray(0, offset + len), childOffset);
+            node.children.push(child);
+            childOffset += child.raw.byteLength;
+        }
+    }
+
+    return node;
+}
+
+function decodeTime(node) {
+    var str = String.fromCharCode.apply(null, node.contents);
+    var match = (node.tag === tags.UTCTime)
+        ? (/^(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)Z$/).exec(str)
+        : (/^(\d\d\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(?:\.\d+)?Z$/).exec(str);
+
+    if (!match) throw new Error("could not decode DER: invalid time: " + str);
+
+    var year = parseInt(match[1], 10);
+    // UTCTime years 50 - 99 are 1950 - 1999 (RFC 5280, section 4.1.2.5.1)
+    if (node.tag === tags.UTCTime) year += (year < 50) ? 2000 : 1900;
+
+    return new Date(Date.UTC(year, parseInt(match[2], 10) - 1, parseInt(match[3], 10), parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6], 10)));
+}
@@ -0,0 +1,95 @@
+import { ValidationError } from "../classes/WebAuthnError.js";
+import { decodeFirst as cborDecodeFirst } from "./cbor.js";
+
+// the bits of the flags byte, see "Authenticator Data" in the WebAuthn spec
+const flagBits = [
+    ["UP", 0x01],
+    ["UV", 0x04],
+    ["BE", 0x08],
+    ["BS", 0x10],
+    ["AT", 0x40],
+    ["ED", 0x80]
+];
+
+/**
+ * Parses authenticator data, which is the `authData` of an `attestationObject` or the
+ * `authenticatorData` of a {@link CredentialAssertion}.
+ *
+ * @param {ArrayBuffer|Uint8Array} authData The raw authenticator data
+ * @return {Object} An `Object` with the following properties, which are named to match the `debugInfo.authnrData` of a
+ * {@link ServerResponse}:
+ * - `rawAuthnrData` (ArrayBuffer): a copy of `authData`
+ * - `rpIdHash` (ArrayBuffer): the SHA-256 hash of the relying party ID
+ * - `flags` (Set): the flags that are set, out of "UP" (user present), "UV" (user verified), "BE" (backup eligible),
+ * "BS" (backed up), "AT" (attested credential data included) and "ED" (extension data included)
+ * - `signCount` (Number): the signature counter, which is also available as `counter`
+ * - `aaguid` (ArrayBuffer), `credIdLen` (Number), `credId` (ArrayBuffer), `credentialPublicKeyCose` (ArrayBuffer)
+ * and `credentialPublicKey` (Map): the attested credential data, only if the "AT" flag is set
+ * - `extensions` (Map): the authenticator extension outputs, only if the "ED" flag is set
+ * @throws {ValidationError} If the authenticator data is malformed
+ */
+export function parseAuthenticatorData(authData) {
+    var buf = toUint8Array(authData);
+    var view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    check(buf.byteLength >= 37, "authenticator data is too short", "authnrData");
+
+    var flags = new Set(flagBits
+        .filter((flag) => buf[32] & flag[1])
+        .map((flag) => flag[0]));
+
+    var ret = {
+        rawAuthnrData: buf.slice().buffer,
+        rpIdHash: buf.slice(0, 32).buffer,
+        flags: flags,
+        signCount: view.getUint32(33, false)
+    };
+    ret.counter = ret.signCount;
+
+    var offset = 37;
+    if (flags.has("AT")) {
+        check(buf.byteLength >= 55, "authenticator data is too short for attested credential data", "authnrData.aaguid");
+        ret.aaguid = buf.slice(37, 53).buffer;
+        ret.credIdLen = view.getUint16(53, false);
+        offset = 55 + ret.credIdLen;
+        check(buf.byteLength >= offset, "authenticator data is too short for credential id", "authnrData.credId");
+        ret.credId = buf.slice(55, offset).buffer;
+
+        var key = decodeCbor(buf.subarray(offset), "credential public key", "authnrData.credentialPublicKey");
+        check(key.value instanceof Map, "expected credential public key to be a CBOR map", "authnrData.credentialPublicKey");
+        ret.credentialPublicKeyCose = buf.slice(offset, offset + key.length).buffer;
+        ret.credentialPublicKey = key.value;
+        offset += key.length;
+    }
+
+    if (flags.has("ED")) {
+        var ext = decodeCbor(buf.subarray(offset), "extensions", "authnrData.extensions");
+        check(ext.value instanceof Map, "expected extensions to be a CBOR map", "authnrData.extensions");
+        ret.extensions = ext.value;
+        offset += ext.length;
+    }
+
+    check(offset === buf.byteLength, "unexpected data at the end of authenticator data", "authnrData");
+
+    return ret;
+}
+
+function toUint8Array(authData) {
+    if (authData instanceof ArrayBuffer) return new Uint8Array(authData);
+    if (ArrayBuffer.isView(authData)) return new Uint8Array(authData.buffer, authData.byteOffset, authData.byteLength);
+
+    throw new TypeError("expected 'authData' to be 'ArrayBuffer' or 'Uint8Array', got: " + authData);
+}
+
+function check(truthy, message, path) {
+    if (!truthy) {
+        throw new ValidationError(message, path);
+    }
+}
+
+function decodeCbor(buf, name, path) {
+    try {
+        return cborDecodeFirst(buf);
+    } catch (err) {
+        throw new ValidationError("couldn't decode " + name + ": " + err.message, path);
+    }
+}
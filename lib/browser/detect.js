@@ -1,8 +1,4 @@
 export function isBrowser() {
-    try {
-        if (!window) return false;
-    } catch (err) {
-        return false;
-    }
-    return true;
+    // windows and web workers both have a global `self`
+    return typeof self !== "undefined";
 }
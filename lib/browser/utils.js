@@ -16,7 +16,7 @@ export function coerceToBase64Url(thing, name) {
         for (var i = 0; i < len; i++) {
             str += String.fromCharCode(thing[i]);
         }
-        thing = window.btoa(str);
+        thing = btoa(str);
     }
 
     if (typeof thing !== "string") {
@@ -36,7 +36,7 @@ export function coerceToArrayBuffer(thing, name) {
         thing = thing.replace(/-/g, "+").replace(/_/g, "/");
 
         // base64 to Uint8Array
-        var str = window.atob(thing);
+        var str = atob(thing);
         var bytes = new Uint8Array(str.length);
         for (var i = 0; i < str.length; i++) {
             bytes[i] = str.charCodeAt(i);
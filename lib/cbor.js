@@ -0,0 +1,423 @@
+/**
+ * A CBOR tag (RFC 7049, section 2.4), which is a number that gives extra meaning to the value that follows it.
+ * Tagged items are decoded to a `Tagged`, and a `Tagged` can be passed to {@link encode} to create a tagged item.
+ */
+export class Tagged {
+    /**
+     * @param {Number} tag The tag number, such as 1 for an epoch-based date
+     * @param {Any} value The value that is tagged
+     */
+    constructor(tag, value) {
+        if (!Number.isSafeInteger(tag) || tag < 0) {
+            throw new TypeError("expected CBOR tag to be a positive integer, got: " + tag);
+        }
+
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+/**
+ * Decodes a single CBOR (RFC 7049) data item, such as a WebAuthn `attestationObject`.
+ * Maps are decoded to a `Map` (so that the integer keys of COSE keys are preserved),
+ * byte strings are decoded to an `ArrayBuffer`, text strings to a `String` and tags to a {@link Tagged}.
+ *
+ * @param {ArrayBuffer|Uint8Array} buf The CBOR encoded data
+ * @return {Any} The decoded value
+ * @throws {Error} If the data isn't valid CBOR, or if there is data left over after the first item
+ */
+export function decode(buf) {
+    var ret = decodeFirst(buf);
+
+    if (ret.length !== toUint8Array(buf).byteLength) {
+        throw new Error("could not decode CBOR: unexpected data after the end of the first item");
+    }
+
+    return ret.value;
+}
+
+/**
+ * Decodes the first CBOR data item from the beginning of `buf`, ignoring anything that comes after it.
+ * This is useful when CBOR is embedded in other data, such as the credential public key inside of
+ * authenticator data.
+ *
+ * @param {ArrayBuffer|Uint8Array} buf The CBOR encoded data
+ * @return {Object} An `Object` with the decoded `value` and the `length` in bytes of the item
+ * @throws {Error} If the data isn't valid CBOR
+ */
+export function decodeFirst(buf) {
+    var decoder = {
+        data: toUint8Array(buf),
+        offset: 0
+    };
+
+    var value = decodeItem(decoder);
+    if (value === breakMarker) {
+        throw new Error("could not decode CBOR: unexpected break");
+    }
+
+    return {
+        value: value,
+        length: decoder.offset
+    };
+}
+
+/**
+ * Encodes `value` as canonical CBOR, as described in RFC 7049 section 3.9 and required by CTAP2: integers,
+ * lengths and floats use their shortest form, map keys are sorted (shorter keys first, then byte-wise)
+ * and indefinite lengths are never used.
+ *
+ * Numbers that are safe integers are encoded as integers, other numbers as floats. `ArrayBuffer`s and
+ * `TypedArray`s (including node `Buffer`s) are encoded as byte strings, `Map`s and plain `Object`s as maps
+ * and {@link Tagged} values as tags.
+ *
+ * @param {Any} value The value to encode
+ * @return {ArrayBuffer} The CBOR encoded value
+ * @throws {TypeError} If `value` contains something that can't be encoded, such as a function
+ */
+export function encode(value) {
+    var chunks = [];
+    encodeItem(chunks, value);
+
+    return concat(chunks).buffer;
+}
+
+function toUint8Array(buf) {
+    if (buf instanceof ArrayBuffer) return new Uint8Array(buf);
+    if (ArrayBuffer.isView(buf)) return new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength);
+
+    throw new TypeError("expected CBOR data to be ArrayBuffer or Uint8Array");
+}
+
+function concat(chunks) {
+    var len = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    var ret = new Uint8Array(len);
+    var offset = 0;
+    for (let chunk of chunks) {
+        ret.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+
+    return ret;
+}
+
+// returned by decodeItem() for the "break" stop code that ends indefinite length items
+const breakMarker = {};
+
+function readBytes(decoder, len) {
+    if (decoder.offset + len > decoder.data.byteLength) {
+        throw new Error("could not decode CBOR: unexpected end of data");
+    }
+
+    var bytes = decoder.data.subarray(decoder.offset, decoder.offset + len);
+    decoder.offset += len;
+    return bytes;
+}
+
+function readUint(decoder, len) {
+    var bytes = readBytes(decoder, len);
+    var n = 0;
+    for (let i = 0; i < len; i++) {
+        n = (n * 256) + bytes[i];
+    }
+
+    if (!Number.isSafeInteger(n)) {
+        throw new Error("could not decode CBOR: integer is too large");
+    }
+
+    return n;
+}
+
+function readFloat(decoder, len) {
+    var bytes = readBytes(decoder, len);
+    var view = new DataView(bytes.buffer, bytes.byteOffset, len);
+
+    switch (len) {
+        case 2: return halfToNumber(view.getUint16(0));
+        case 4: return view.getFloat32(0);
+        default: return view.getFloat64(0);
+    }
+}
+
+function halfToNumber(half) {
+    var sign = (half & 0x8000) ? -1 : 1;
+    var exp = (half >> 10) & 0x1F;
+    var mant = half & 0x3FF;
+
+    if (exp === 0) return sign * mant * Math.pow(2, -24);
+    if (exp === 0x1F) return mant ? NaN : sign * Infinity;
+    return sign * (1024 + mant) * Math.pow(2, exp - 25);
+}
+
+// reads the argument of the initial byte (RFC 7049, section 2)
+function readArgument(decoder, info) {
+    if (info < 24) return info;
+
+    switch (info) {
+        case 24: return readUint(decoder, 1);
+        case 25: return readUint(decoder, 2);
+        case 26: return readUint(decoder, 4);
+        case 27: return readUint(decoder, 8);
+        default:
+            throw new Error("could not decode CBOR: unsupported additional information: " + info);
+    }
+}
+
+function decodeItem(decoder) {
+    var initial = readUint(decoder, 1);
+    var majorType = initial >> 5;
+    var info = initial & 0x1F;
+
+    if (majorType === 7) return decodeSimple(decoder, info);
+    if (info === 31) return decodeIndefinite(decoder, majorType);
+
+    var arg = readArgument(decoder, info);
+    switch (majorType) {
+        // unsigned integer
+        case 0: return arg;
+        // negative integer
+        case 1: return -1 - arg;
+        // byte string
+        case 2: return readBytes(decoder, arg).slice().buffer;
+        // text string
+        case 3: return new TextDecoder("utf-8").decode(readBytes(decoder, arg));
+        // array
+        case 4: return decodeArray(decoder, arg);
+        // map
+        case 5: return decodeMap(decoder, arg);
+        // tag
+        default: return new Tagged(arg, decodeValue(decoder));
+    }
+}
+
+// decodes an item that must be a value, rather than a "break"
+function decodeValue(decoder) {
+    var value = decodeItem(decoder);
+    if (value === breakMarker) {
+        throw new Error("could not decode CBOR: unexpected break");
+    }
+
+    return value;
+}
+
+function decodeArray(decoder, len) {
+    var arr = [];
+    for (let i = 0; i < len; i++) {
+        arr.push(decodeValue(decoder));
+    }
+
+    return arr;
+}
+
+function decodeMap(decoder, len) {
+    var map = new Map();
+    for (let i = 0; i < len; i++) {
+        let key = decodeValue(decoder);
+        setMapEntry(map, key, decodeValue(decoder));
+    }
+
+    return map;
+}
+
+function setMapEntry(map, key, value) {
+    if (map.has(key)) {
+        throw new Error("could not decode CBOR: duplicate map key: " + key);
+    }
+
+    map.set(key, value);
+}
+
+function decodeIndefinite(decoder, majorType) {
+    var item, chunks = [], arr = [], map = new Map();
+
+    switch (majorType) {
+        // byte string and text string: a series of definite length strings of the same type
+        case 2:
+        case 3:
+            while ((item = decodeItem(decoder)) !== breakMarker) {
+                let sameType = (majorType === 2) ? (item instanceof ArrayBuffer) : (typeof item === "string");
+                if (!sameType) {
+                    throw new Error("could not decode CBOR: wrong type of chunk in indefinite length string");
+                }
+                chunks.push(item);
+            }
+
+            return (majorType === 2) ? concat(chunks.map((chunk) => new Uint8Array(chunk))).buffer : chunks.join("");
+        case 4:
+            while ((item = decodeItem(decoder)) !== breakMarker) arr.push(item);
+            return arr;
+        case 5:
+            while ((item = decodeItem(decoder)) !== breakMarker) setMapEntry(map, item, decodeValue(decoder));
+            return map;
+        default:
+            throw new Error("could not decode CBOR: unsupported indefinite length for major type: " + majorType);
+    }
+}
+
+function decodeSimple(decoder, info) {
+    switch (info) {
+        case 20: return false;
+        case 21: return true;
+        case 22: return null;
+        case 23: return undefined;
+        case 25: return readFloat(decoder, 2);
+        case 26: return readFloat(decoder, 4);
+        case 27: return readFloat(decoder, 8);
+        case 31: return breakMarker;
+        default:
+            throw new Error("could not decode CBOR: unsupported simple value: " + info);
+    }
+}
+
+function encodeHead(chunks, majorType, arg) {
+    var type = majorType << 5;
+
+    if (arg < 24) {
+        chunks.push(new Uint8Array([type | arg]));
+    } else if (arg < 0x100) {
+        chunks.push(new Uint8Array([type | 24, arg]));
+    } else if (arg < 0x10000) {
+        chunks.push(new Uint8Array([type | 25, arg >> 8, arg & 0xFF]));
+    } else if (arg < 0x100000000) {
+        let head = new Uint8Array(5);
+        head[0] = type | 26;
+        new DataView(head.buffer).setUint32(1, arg);
+        chunks.push(head);
+    } else {
+        let head = new Uint8Array(9);
+        let view = new DataView(head.buffer);
+        head[0] = type | 27;
+        view.setUint32(1, Math.floor(arg / 0x100000000));
+        view.setUint32(5, arg % 0x100000000);
+        chunks.push(head);
+    }
+}
+
+function encodeItem(chunks, value) {
+    switch (typeof value) {
+        case "number": return encodeNumber(chunks, value);
+        case "string": return encodeString(chunks, value);
+        case "boolean": return chunks.push(new Uint8Array([value ? 0xF5 : 0xF4]));
+        case "undefined": return chunks.push(new Uint8Array([0xF7]));
+        case "object": break;
+        default:
+            throw new TypeError("could not encode CBOR: unsupported type: " + typeof value);
+    }
+
+    switch (true) {
+        case value === null:
+            return chunks.push(new Uint8Array([0xF6]));
+        case value instanceof ArrayBuffer:
+        case ArrayBuffer.isView(value):
+            value = toUint8Array(value);
+            encodeHead(chunks, 2, value.byteLength);
+            return chunks.push(value);
+        case Array.isArray(value):
+            encodeHead(chunks, 4, value.length);
+            return value.forEach((item) => encodeItem(chunks, item));
+        case value instanceof Map:
+            return encodeMap(chunks, [...value.entries()]);
+        case value instanceof Tagged:
+            encodeHead(chunks, 6, value.tag);
+            return encodeItem(chunks, value.value);
+        default:
+            return encodeMap(chunks, Object.keys(value).map((key) => [key, value[key]]));
+    }
+}
+
+function encodeNumber(chunks, n) {
+    if (Number.isSafeInteger(n) && !Object.is(n, -0)) {
+        if (n >= 0) return encodeHead(chunks, 0, n);
+        return encodeHead(chunks, 1, -1 - n);
+    }
+
+    return chunks.push(encodeFloat(n));
+}
+
+// encodes a float in the shortest form that preserves its value
+function encodeFloat(n) {
+    var half = numberToHalf(n);
+    if (half !== undefined) return new Uint8Array([0xF9, half >> 8, half & 0xFF]);
+
+    var buf;
+    if (Math.fround(n) === n) {
+        buf = new Uint8Array(5);
+        buf[0] = 0xFA;
+        new DataView(buf.buffer).setFloat32(1, n);
+    } else {
+        buf = new Uint8Array(9);
+        buf[0] = 0xFB;
+        new DataView(buf.buffer).setFloat64(1, n);
+    }
+
+    return buf;
+}
+
+// returns the bits of the half-precision float that is exactly `n`, or undefined if there isn't one
+function numberToHalf(n) {
+    if (Number.isNaN(n)) return 0x7E00;
+    if (Math.fround(n) !== n) return undefined;
+
+    var view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, n);
+    var bits = view.getUint32(0);
+    var sign = (bits >>> 16) & 0x8000;
+    var exp = ((bits >>> 23) & 0xFF) - 127;
+    var mant = bits & 0x7FFFFF;
+
+    // infinity
+    if (exp === 128) return sign | 0x7C00;
+    // zero
+    if (exp === -127 && mant === 0) return sign;
+    // normal half
+    if (exp >= -14 && exp <= 15 && (mant & 0x1FFF) === 0) return sign | ((exp + 15) << 10) | (mant >> 13);
+    // subnormal half
+    if (exp >= -24 && exp < -14) {
+        let full = 0x800000 | mant;
+        let shift = 13 + (-14 - exp);
+        if ((full & ((1 << shift) - 1)) === 0) return sign | (full >> shift);
+    }
+
+    return undefined;
+}
+
+function encodeString(chunks, str) {
+    var bytes = new TextEncoder().encode(str);
+    encodeHead(chunks, 3, bytes.byteLength);
+    chunks.push(bytes);
+}
+
+function encodeMap(chunks, entries) {
+    // canonical order: keys sorted by the length of their encoding, then by their encoded bytes
+    var encoded = entries.map((entry) => {
+        var keyChunks = [];
+        encodeItem(keyChunks, entry[0]);
+        return {
+            key: concat(keyChunks),
+            value: entry[1]
+        };
+    });
+
+    encoded.sort((a, b) => compareBytes(a.key, b.key));
+    for (let i = 1; i < encoded.length; i++) {
+        if (compareBytes(encoded[i - 1].key, encoded[i].key) === 0) {
+            throw new TypeError("could not encode CBOR: duplicate map key");
+        }
+    }
+
+    encodeHead(chunks, 5, encoded.length);
+    for (let entry of encoded) {
+        chunks.push(entry.key);
+        encodeItem(chunks, entry.value);
+    }
+}
+
+function compareBytes(a, b) {
+    if (a.byteLength !== b.byteLength) return a.byteLength - b.byteLength;
+
+    for (let i = 0; i < a.byteLength; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+
+    return 0;
+}
@@ -0,0 +1,149 @@
+import { ValidationError } from "../classes/WebAuthnError.js";
+import { coerceToBase64Url } from "./utils.js";
+
+/**
+ * Parses the `clientDataJSON` of a {@link CredentialAttestation} or {@link CredentialAssertion}.
+ *
+ * @param {ArrayBuffer|Uint8Array} clientDataJSON The UTF-8 encoded JSON of the client data
+ * @return {Object} The parsed client data, with properties such as `type`, `challenge`, `origin`, `crossOrigin`
+ * and `topOrigin`
+ * @throws {ValidationError} If `clientDataJSON` isn't a JSON `Object`
+ */
+export function parseClientDataJSON(clientDataJSON) {
+    var clientData;
+    try {
+        clientData = JSON.parse(new TextDecoder("utf-8").decode(clientDataJSON));
+    } catch (err) {
+        throw new ValidationError("couldn't parse clientDataJSON: " + err.message, "clientData");
+    }
+
+    if (typeof clientData !== "object" || clientData === null || Array.isArray(clientData)) {
+        throw new ValidationError("expected clientDataJSON to be an Object", "clientData");
+    }
+
+    return clientData;
+}
+
+/**
+ * Checks parsed client data (see {@link parseClientDataJSON}) against what the server expects.
+ *
+ * Allowed origins are either exact origins (e.g. "https://example.com"), origins with a subdomain wildcard
+ * that matches any subdomain but not the domain itself (e.g. "https://*.example.com") or Android app origins
+ * (e.g. "android:apk-key-hash:...").
+ *
+ * @param {Object} clientData The parsed client data
+ * @param {Object} expected What the client data must match
+ * @param {String} expected.type The type of ceremony, "webauthn.create" for registration or "webauthn.get" for log in
+ * @param {String|ArrayBuffer} expected.challenge The challenge that was sent to the browser
+ * @param {String|Array.<String>} expected.origin The allowed origin or origins
+ * @param {String|Array.<String>} [expected.topOrigin] The allowed top-level origins when the ceremony happens in a
+ * cross-origin iframe. If this isn't set, cross-origin ceremonies aren't allowed.
+ * @return {Array.<Object>} A list of failures, which is empty if the client data is valid. Each failure is an
+ * `Object` with the `path` of the property that failed (e.g. "clientData.origin") and a human-readable `message`.
+ * @throws {TypeError} If `expected` is malformed
+ */
+export function validateClientData(clientData, expected) {
+    var exp = checkExpected(expected);
+    var failures = [];
+
+    function check(truthy, message, path) {
+        if (!truthy) failures.push({
+            path: path,
+            message: message
+        });
+    }
+
+    if (typeof clientData !== "object" || clientData === null) {
+        check(false, "expected clientDataJSON to be an Object", "clientData");
+        return failures;
+    }
+
+    check(clientData.type === exp.type, "expected clientData type to be '" + exp.type + "', got: " + clientData.type, "clientData.type");
+
+    if (typeof clientData.challenge === "string") {
+        check(
+            coerceToBase64Url(clientData.challenge, "clientData.challenge") === exp.challenge,
+            "clientData challenge doesn't match expected challenge",
+            "clientData.challenge"
+        );
+    } else {
+        check(false, "expected clientData challenge to be 'string'", "clientData.challenge");
+    }
+
+    check(originAllowed(clientData.origin, exp.origins), "clientData origin isn't allowed: " + clientData.origin, "clientData.origin");
+
+    if (clientData.crossOrigin !== undefined) {
+        check(typeof clientData.crossOrigin === "boolean", "expected clientData crossOrigin to be 'boolean', got: " + typeof clientData.crossOrigin, "clientData.crossOrigin");
+    }
+
+    if (clientData.crossOrigin === true) {
+        check(exp.topOrigins.length > 0, "cross-origin ceremonies aren't allowed", "clientData.crossOrigin");
+    }
+
+    if (clientData.topOrigin !== undefined) {
+        check(clientData.crossOrigin === true, "expected clientData crossOrigin to be true when topOrigin is present", "clientData.topOrigin");
+        check(originAllowed(clientData.topOrigin, exp.topOrigins), "clientData topOrigin isn't allowed: " + clientData.topOrigin, "clientData.topOrigin");
+    }
+
+    return failures;
+}
+
+/**
+ * Checks whether `origin` is one of the allowed origins, see {@link validateClientData} for the formats of
+ * allowed origins.
+ *
+ * @param {String} origin The origin to check, such as the `origin` of the client data
+ * @param {String|Array.<String>} allowedOrigins The allowed origin or origins
+ * @return {Boolean} `true` if the origin is allowed, otherwise `false`
+ */
+export function originAllowed(origin, allowedOrigins) {
+    if (typeof origin !== "string") return false;
+    if (!Array.isArray(allowedOrigins)) allowedOrigins = [allowedOrigins];
+
+    return allowedOrigins.some((allowed) => {
+        if (allowed === origin) return true;
+
+        // subdomain wildcard, such as "https://*.example.com" or "https://*.example.com:8443"
+        var wildcard = (/^([a-z][a-z0-9+.-]*:\/\/)\*\.(.+)$/i).exec(allowed);
+        if (!wildcard || !origin.startsWith(wildcard[1]) || !origin.endsWith("." + wildcard[2])) return false;
+
+        var subdomain = origin.slice(wildcard[1].length, origin.length - wildcard[2].length - 1);
+        return (/^[a-z0-9-]+(\.[a-z0-9-]+)*$/i).test(subdomain);
+    });
+}
+
+function toList(value, name) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) value = [value];
+    if (!value.every((item) => typeof item === "string")) {
+        throw new TypeError("expected '" + name + "' to be 'string' or 'Array' of strings, got: " + value);
+    }
+
+    return value;
+}
+
+function checkExpected(expected) {
+    if (typeof expected !== "object" || expected === null) {
+        throw new TypeError("expected 'expected' to be 'Object', got: " + expected);
+    }
+
+    if (typeof expected.type !== "string") {
+        throw new TypeError("expected 'expected.type' to be 'string', got: " + typeof expected.type);
+    }
+
+    if (expected.challenge === undefined) {
+        throw new TypeError("expected 'expected.challenge' to be 'string' or 'ArrayBuffer', got: undefined");
+    }
+
+    var origins = toList(expected.origin, "expected.origin");
+    if (!origins.length) {
+        throw new TypeError("expected 'expected.origin' to be 'string' or 'Array' of strings, got: " + expected.origin);
+    }
+
+    return {
+        type: expected.type,
+        challenge: coerceToBase64Url(expected.challenge, "expected.challenge"),
+        origins: origins,
+        topOrigins: toList(expected.topOrigin, "expected.topOrigin")
+    };
+}
@@ -0,0 +1,336 @@
+import {
+    decode as cborDecode,
+    encode as cborEncode
+} from "./cbor.js";
+import {
+    coerceToArrayBuffer,
+    coerceToBase64Url
+} from "./utils.js";
+import {
+    encodeDer,
+    encodeOid,
+    tags
+} from "./asn1.js";
+import {
+    getAlgorithm,
+    getWebCrypto
+} from "./crypto.js";
+
+// COSE key labels and values, see RFC 8152 sections 7 and 13
+const coseKeyType = 1;
+const coseAlg = 3;
+const coseEc2Crv = -1;
+const coseEc2X = -2;
+const coseEc2Y = -3;
+const coseRsaN = -1;
+const coseRsaE = -2;
+const coseOkpCrv = -1;
+const coseOkpX = -2;
+
+const coseKtyOkp = 1;
+const coseKtyEc2 = 2;
+const coseKtyRsa = 3;
+
+// COSE curves with their JWK names and the object identifiers used in SubjectPublicKeyInfo
+const coseCurves = new Map([
+    [1, {
+        name: "P-256",
+        oid: "1.2.840.10045.3.1.7"
+    }],
+    [2, {
+        name: "P-384",
+        oid: "1.3.132.0.34"
+    }],
+    [3, {
+        name: "P-521",
+        oid: "1.3.132.0.35"
+    }],
+    [6, {
+        name: "Ed25519",
+        oid: "1.3.101.112"
+    }]
+]);
+
+const ecPublicKeyOid = "1.2.840.10045.2.1";
+const rsaEncryptionOid = "1.2.840.113549.1.1.1";
+
+/**
+ * Decodes a COSE public key, such as the `credentialPublicKey` of a registered credential.
+ *
+ * @param {ArrayBuffer|Map} cose The CBOR encoded COSE key, or an already decoded COSE key
+ * @return {Map} The COSE key, with the integer labels of RFC 8152 as keys
+ * @throws {Error} If `cose` isn't a COSE key
+ */
+export function decodeCoseKey(cose) {
+    var key = (cose instanceof Map) ? cose : cborDecode(cose);
+
+    if (!(key instanceof Map) || !Number.isInteger(key.get(coseKeyType))) {
+        throw new Error("expected COSE key to be a CBOR map with a key type");
+    }
+
+    return key;
+}
+
+/**
+ * Converts a COSE public key to a JSON Web Key (JWK, RFC 7517). EC2 keys on the P-256, P-384 and P-521 curves,
+ * RSA keys and OKP keys on the Ed25519 curve are supported.
+ *
+ * @param {ArrayBuffer|Map} cose The CBOR encoded COSE key, or an already decoded COSE key
+ * @return {Object} The JWK
+ * @throws {Error} If the key type or curve isn't supported
+ */
+export function coseToJwk(cose) {
+    var key = decodeCoseKey(cose);
+    var jwk;
+
+    switch (key.get(coseKeyType)) {
+        case coseKtyEc2:
+            jwk = {
+                kty: "EC",
+                crv: getCurve(key.get(coseEc2Crv), "EC2").name,
+                x: coerceToBase64Url(key.get(coseEc2X), "x"),
+                y: coerceToBase64Url(key.get(coseEc2Y), "y")
+            };
+            break;
+        case coseKtyRsa:
+            jwk = {
+                kty: "RSA",
+                n: coerceToBase64Url(key.get(coseRsaN), "n"),
+                e: coerceToBase64Url(key.get(coseRsaE), "e")
+            };
+            break;
+        case coseKtyOkp:
+            jwk = {
+                kty: "OKP",
+                crv: getCurve(key.get(coseOkpCrv), "OKP").name,
+                x: coerceToBase64Url(key.get(coseOkpX), "x")
+            };
+            break;
+        default:
+            throw new Error("unsupported COSE key type: " + key.get(coseKeyType));
+    }
+
+    if (key.has(coseAlg)) jwk.alg = getAlgorithm(key.get(coseAlg)).name;
+
+    return jwk;
+}
+
+/**
+ * Converts a JSON Web Key to a COSE public key. This is the reverse of {@link coseToJwk}, which is useful for
+ * creating the `credentialPublicKey` of test credentials. Private key fields of the JWK are ignored.
+ *
+ * @param {Object} jwk The JWK, such as one exported from WebCrypto
+ * @param {Number} [alg] The COSE algorithm of the key, such as -7 for ES256. If it is missing, the COSE key won't
+ * have an algorithm.
+ * @return {ArrayBuffer} The CBOR encoded COSE key
+ * @throws {Error} If the key type or curve isn't supported
+ */
+export function jwkToCose(jwk, alg) {
+    if (typeof jwk !== "object" || jwk === null) {
+        throw new TypeError("expected 'jwk' to be 'Object', got: " + jwk);
+    }
+
+    var key = new Map();
+
+    switch (jwk.kty) {
+        case "EC":
+            key.set(coseKeyType, coseKtyEc2);
+            key.set(coseEc2Crv, findCurve(jwk.crv));
+            key.set(coseEc2X, coerceToArrayBuffer(jwk.x, "x"));
+            key.set(coseEc2Y, coerceToArrayBuffer(jwk.y, "y"));
+            break;
+        case "RSA":
+            key.set(coseKeyType, coseKtyRsa);
+            key.set(coseRsaN, coerceToArrayBuffer(jwk.n, "n"));
+            key.set(coseRsaE, coerceToArrayBuffer(jwk.e, "e"));
+            break;
+        case "OKP":
+            key.set(coseKeyType, coseKtyOkp);
+            key.set(coseOkpCrv, findCurve(jwk.crv));
+            key.set(coseOkpX, coerceToArrayBuffer(jwk.x, "x"));
+            break;
+        default:
+            throw new Error("unsupported JWK key type: " + jwk.kty);
+    }
+
+    if (alg !== undefined) {
+        // throws if the algorithm isn't supported
+        getAlgorithm(alg);
+        key.set(coseAlg, alg);
+    }
+
+    return cborEncode(key);
+}
+
+/**
+ * Converts a COSE public key to a DER encoded SubjectPublicKeyInfo (RFC 5280), which is the format of public keys in
+ * X.509 certificates and PEM files.
+ *
+ * @param {ArrayBuffer|Map} cose The CBOR encoded COSE key, or an already decoded COSE key
+ * @return {ArrayBuffer} The DER encoded SubjectPublicKeyInfo
+ * @throws {Error} If the key type or curve isn't supported
+ */
+export function coseToSpki(cose) {
+    var key = decodeCoseKey(cose);
+    var algorithm, publicKey;
+
+    switch (key.get(coseKeyType)) {
+        case coseKtyEc2:
+            algorithm = [oidNode(ecPublicKeyOid), oidNode(getCurve(key.get(coseEc2Crv), "EC2").oid)];
+            // uncompressed point
+            publicKey = concat([new Uint8Array([0x04]), toBytes(key.get(coseEc2X), "x"), toBytes(key.get(coseEc2Y), "y")]);
+            break;
+        case coseKtyRsa:
+            algorithm = [oidNode(rsaEncryptionOid), {
+                tag: tags.NULL,
+                contents: new Uint8Array(0)
+            }];
+            // RSAPublicKey
+            publicKey = encodeDer({
+                tag: tags.SEQUENCE,
+                children: [integerNode(toBytes(key.get(coseRsaN), "n")), integerNode(toBytes(key.get(coseRsaE), "e"))]
+            });
+            break;
+        case coseKtyOkp:
+            algorithm = [oidNode(getCurve(key.get(coseOkpCrv), "OKP").oid)];
+            publicKey = toBytes(key.get(coseOkpX), "x");
+            break;
+        default:
+            throw new Error("unsupported COSE key type: " + key.get(coseKeyType));
+    }
+
+    return encodeDer({
+        tag: tags.SEQUENCE,
+        children: [{
+            tag: tags.SEQUENCE,
+            children: algorithm
+        }, {
+            tag: tags.BIT_STRING,
+            // no unused bits
+            contents: concat([new Uint8Array([0]), new Uint8Array(publicKey)])
+        }]
+    });
+}
+
+/**
+ * Converts a COSE public key to a PEM encoded SubjectPublicKeyInfo ("-----BEGIN PUBLIC KEY-----"), which can be
+ * used with OpenSSL and most crypto libraries.
+ *
+ * @param {ArrayBuffer|Map} cose The CBOR encoded COSE key, or an already decoded COSE key
+ * @return {String} The PEM encoded public key
+ * @throws {Error} If the key type or curve isn't supported
+ */
+export function coseToPem(cose) {
+    var base64 = coerceToBase64Url(coseToSpki(cose), "spki")
+        .replace(/-/g, "+")
+        .replace(/_/g, "/");
+    while (base64.length % 4) base64 += "=";
+
+    return "-----BEGIN PUBLIC KEY-----\n" +
+        base64.match(/.{1,64}/g).join("\n") +
+        "\n-----END PUBLIC KEY-----\n";
+}
+
+/**
+ * Imports a COSE public key as a WebCrypto `CryptoKey` that can verify signatures.
+ *
+ * @param {ArrayBuffer|Map} cose The CBOR encoded COSE key, or an already decoded COSE key. The key must
+ * have an algorithm (`alg`).
+ * @return {Promise.<CryptoKey>} Resolves to the imported public key
+ */
+export function coseToCryptoKey(cose) {
+    return Promise.resolve()
+        .then(() => {
+            var key = decodeCoseKey(cose);
+            var params = getAlgorithm(key.get(coseAlg));
+            var jwk = coseToJwk(key);
+
+            return getWebCrypto().subtle.importKey("jwk", jwk, params.importParams, true, ["verify"]);
+        });
+}
+
+/**
+ * Converts a WebCrypto public key to a COSE public key. The key must be extractable.
+ *
+ * @param {CryptoKey} cryptoKey The public key
+ * @param {Number} [alg] The COSE algorithm of the key, see {@link jwkToCose}
+ * @return {Promise.<ArrayBuffer>} Resolves to the CBOR encoded COSE key
+ */
+export function cryptoKeyToCose(cryptoKey, alg) {
+    return Promise.resolve()
+        .then(() => getWebCrypto().subtle.exportKey("jwk", cryptoKey))
+        .then((jwk) => jwkToCose(jwk, alg));
+}
+
+/**
+ * Converts a PEM encoded public key ("-----BEGIN PUBLIC KEY-----") to a COSE public key. This is the reverse of
+ * {@link coseToPem}.
+ *
+ * @param {String} pem The PEM encoded SubjectPublicKeyInfo
+ * @param {Number} alg The COSE algorithm of the key, such as -7 for ES256, which is needed to import the key
+ * @return {Promise.<ArrayBuffer>} Resolves to the CBOR encoded COSE key
+ */
+export function pemToCose(pem, alg) {
+    return Promise.resolve()
+        .then(() => {
+            if (typeof pem !== "string") {
+                throw new TypeError("expected 'pem' to be 'string', got: " + pem);
+            }
+
+            var spki = coerceToArrayBuffer(pem.replace(/-----(BEGIN|END) PUBLIC KEY-----|\s/g, ""), "pem");
+            return getWebCrypto().subtle.importKey("spki", spki, getAlgorithm(alg).importParams, true, ["verify"]);
+        })
+        .then((cryptoKey) => cryptoKeyToCose(cryptoKey, alg));
+}
+
+function getCurve(crv, kty) {
+    var curve = coseCurves.get(crv);
+    // Ed25519 is the only OKP curve, and it can't be used with EC2 keys
+    if (!curve || ((crv === 6) !== (kty === "OKP"))) {
+        throw new Error("unsupported COSE " + kty + " curve: " + crv);
+    }
+
+    return curve;
+}
+
+function findCurve(name) {
+    for (let [crv, curve] of coseCurves) {
+        if (curve.name === name) return crv;
+    }
+
+    throw new Error("unsupported JWK curve: " + name);
+}
+
+function toBytes(value, name) {
+    if (!(value instanceof ArrayBuffer) && !ArrayBuffer.isView(value)) {
+        throw new Error("expected COSE key '" + name + "' to be a byte string");
+    }
+
+    return ArrayBuffer.isView(value) ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength) : new Uint8Array(value);
+}
+
+function concat(parts) {
+    var ret = new Uint8Array(parts.reduce((len, part) => len + part.byteLength, 0));
+    var offset = 0;
+    for (let part of parts) {
+        ret.set(part, offset);
+        offset += part.byteLength;
+    }
+
+    return ret;
+}
+
+function oidNode(oid) {
+    return {
+        tag: tags.OBJECT_IDENTIFIER,
+        contents: encodeOid(oid)
+    };
+}
+
+// INTEGERs are signed, so unsigned values with the high bit set get a leading zero
+function integerNode(bytes) {
+    return {
+        tag: tags.INTEGER,
+        contents: (bytes[0] & 0x80) ? concat([new Uint8Array([0]), bytes]) : bytes
+    };
+}
@@ -0,0 +1,275 @@
+var webCrypto;
+
+/**
+ * Sets the WebCrypto implementation to use instead of the global `crypto`. The server build calls this with
+ * node's `crypto.webcrypto`, because older versions of node don't have a global `crypto`.
+ *
+ * @param {Crypto} impl The WebCrypto `Crypto` object, which has `subtle` and `getRandomValues()`
+ */
+export function setWebCrypto(impl) {
+    if (typeof impl !== "object" || impl === null || !impl.subtle) {
+        throw new TypeError("expected 'impl' to be a WebCrypto 'Crypto' object, got: " + impl);
+    }
+
+    webCrypto = impl;
+}
+
+/**
+ * Returns the WebCrypto implementation for the current platform: the one set with {@link setWebCrypto}, or
+ * else the global `crypto` (`window.crypto` in the browser).
+ *
+ * @return {Crypto} The WebCrypto `Crypto` object, which has `subtle` and `getRandomValues()`
+ * @throws {Error} If WebCrypto isn't available
+ */
+export function getWebCrypto() {
+    if (webCrypto) return webCrypto;
+
+    if (typeof crypto === "object" && crypto !== null && crypto.subtle) {
+        return crypto;
+    }
+
+    throw new Error("WebCrypto is not available on this platform; node.js needs version 15 or later");
+}
+
+/**
+ * Calculates the hash of `data`.
+ *
+ * @param {String} algorithm The WebCrypto name of the hash algorithm, such as "SHA-256"
+ * @param {ArrayBuffer|Uint8Array} data The data to be hashed
+ * @return {Promise.<ArrayBuffer>} Resolves to the hash
+ */
+export function digest(algorithm, data) {
+    return Promise.resolve()
+        .then(() => getWebCrypto().subtle.digest(algorithm, data));
+}
+
+/**
+ * Calculates the SHA-256 hash of `data`.
+ *
+ * @param {ArrayBuffer|Uint8Array} data The data to be hashed
+ * @return {Promise.<ArrayBuffer>} Resolves to the 32 byte hash
+ */
+export function sha256(data) {
+    return digest("SHA-256", data);
+}
+
+// the COSE algorithms (see the IANA "COSE Algorithms" registry) that signatures can be verified with,
+// and the matching WebCrypto parameters
+var algorithms = new Map([
+    [-7, {
+        name: "ES256",
+        importParams: {
+            name: "ECDSA",
+            namedCurve: "P-256"
+        },
+        verifyParams: {
+            name: "ECDSA",
+            hash: "SHA-256"
+        },
+        hash: "SHA-256",
+        // size of r and s in bytes
+        sigPartSize: 32
+    }],
+    [-35, {
+        name: "ES384",
+        importParams: {
+            name: "ECDSA",
+            namedCurve: "P-384"
+        },
+        verifyParams: {
+            name: "ECDSA",
+            hash: "SHA-384"
+        },
+        hash: "SHA-384",
+        sigPartSize: 48
+    }],
+    [-36, {
+        name: "ES512",
+        importParams: {
+            name: "ECDSA",
+            namedCurve: "P-521"
+        },
+        verifyParams: {
+            name: "ECDSA",
+            hash: "SHA-512"
+        },
+        hash: "SHA-512",
+        sigPartSize: 66
+    }],
+    [-8, {
+        name: "EdDSA",
+        importParams: {
+            name: "Ed25519"
+        },
+        verifyParams: {
+            name: "Ed25519"
+        }
+    }],
+    [-37, {
+        name: "PS256",
+        importParams: {
+            name: "RSA-PSS",
+            hash: "SHA-256"
+        },
+        verifyParams: {
+            name: "RSA-PSS",
+            saltLength: 32
+        },
+        hash: "SHA-256"
+    }],
+    [-257, {
+        name: "RS256",
+        importParams: {
+            name: "RSASSA-PKCS1-v1_5",
+            hash: "SHA-256"
+        },
+        verifyParams: {
+            name: "RSASSA-PKCS1-v1_5"
+        },
+        hash: "SHA-256"
+    }],
+    [-258, {
+        name: "RS384",
+        importParams: {
+            name: "RSASSA-PKCS1-v1_5",
+            hash: "SHA-384"
+        },
+        verifyParams: {
+            name: "RSASSA-PKCS1-v1_5"
+        },
+        hash: "SHA-384"
+    }],
+    [-259, {
+        name: "RS512",
+        importParams: {
+            name: "RSASSA-PKCS1-v1_5",
+            hash: "SHA-512"
+        },
+        verifyParams: {
+            name: "RSASSA-PKCS1-v1_5"
+        },
+        hash: "SHA-512"
+    }],
+    // used by TPM attestation
+    [-65535, {
+        name: "RS1",
+        importParams: {
+            name: "RSASSA-PKCS1-v1_5",
+            hash: "SHA-1"
+        },
+        verifyParams: {
+            name: "RSASSA-PKCS1-v1_5"
+        },
+        hash: "SHA-1"
+    }]
+]);
+
+/**
+ * Looks up the WebCrypto parameters for a COSE algorithm.
+ *
+ * @param {Number} alg The COSE algorithm identifier, such as -7 for ES256
+ * @return {Object} An `Object` with the `name` of the algorithm (e.g. "ES256"), the `importParams` for
+ * `crypto.subtle.importKey()`, the `verifyParams` for `crypto.subtle.verify()` and the name of the `hash`
+ * algorithm (e.g. "SHA-256"), which EdDSA doesn't have
+ * @throws {Error} If the algorithm isn't supported
+ */
+export function getAlgorithm(alg) {
+    var params = algorithms.get(alg);
+    if (!params) {
+        throw new Error("unsupported COSE algorithm: " + alg);
+    }
+
+    return params;
+}
+
+/**
+ * Lists the COSE algorithms that signatures can be verified with, for example to check the `pubKeyCredParams` of
+ * {@link CreateOptions}.
+ *
+ * @return {Array.<Number>} The COSE algorithm identifiers, such as -7 for ES256
+ */
+export function getSupportedAlgorithms() {
+    return Array.from(algorithms.keys());
+}
+
+/**
+ * Converts an ECDSA signature from the ASN.1 DER format used by WebAuthn (`SEQUENCE { INTEGER r, INTEGER s }`)
+ * to the raw `r || s` format used by WebCrypto.
+ *
+ * @param {ArrayBuffer|Uint8Array} sig The DER encoded signature
+ * @param {Number} partSize The size of `r` and `s` in bytes, such as 32 for P-256
+ * @return {ArrayBuffer} The raw signature, which is `2 * partSize` bytes long
+ * @throws {Error} If the signature isn't a valid DER encoded ECDSA signature
+ */
+export function derToRaw(sig, partSize) {
+    var buf = ArrayBuffer.isView(sig) ? new Uint8Array(sig.buffer, sig.byteOffset, sig.byteLength) : new Uint8Array(sig);
+    var offset = 0;
+
+    function readTlv(expectedTag) {
+        if (buf[offset] !== expectedTag) {
+            throw new Error("invalid DER signature: expected tag " + expectedTag + ", got: " + buf[offset]);
+        }
+
+        var len = buf[offset + 1];
+        offset += 2;
+        // long form length, which only occurs for SEQUENCE of the largest curves
+        if (len === 0x81) {
+            len = buf[offset];
+            offset++;
+        }
+
+        if (offset + len > buf.byteLength) {
+            throw new Error("invalid DER signature: unexpected end of data");
+        }
+
+        var value = buf.subarray(offset, offset + len);
+        offset += len;
+        return value;
+    }
+
+    function toPart(int) {
+        // remove leading zeros, which are added to keep the integer positive
+        var start = 0;
+        while (start < int.byteLength - 1 && int[start] === 0) start++;
+        int = int.subarray(start);
+
+        if (int.byteLength > partSize) {
+            throw new Error("invalid DER signature: integer is too large");
+        }
+
+        var part = new Uint8Array(partSize);
+        part.set(int, partSize - int.byteLength);
+        return part;
+    }
+
+    buf = readTlv(0x30);
+    offset = 0;
+    var r = toPart(readTlv(0x02));
+    var s = toPart(readTlv(0x02));
+
+    var raw = new Uint8Array(partSize * 2);
+    raw.set(r, 0);
+    raw.set(s, partSize);
+    return raw.buffer;
+}
+
+/**
+ * Verifies a WebAuthn signature, such as the `signature` of a {@link CredentialAssertion}.
+ *
+ * @param {Number} alg The COSE algorithm of the signature, such as -7 for ES256
+ * @param {CryptoKey} key The public key to verify the signature with
+ * @param {ArrayBuffer} sig The signature, in the format produced by authenticators (DER for ECDSA)
+ * @param {ArrayBuffer} data The data that was signed
+ * @return {Promise.<Boolean>} Resolves to `true` if the signature is valid, or `false` if it isn't
+ */
+export function verifySignature(alg, key, sig, data) {
+    return Promise.resolve()
+        .then(() => {
+            var params = getAlgorithm(alg);
+            if (params.sigPartSize) {
+                sig = derToRaw(sig, params.sigPartSize);
+            }
+
+            return getWebCrypto().subtle.verify(params.verifyParams, key, sig, data);
+        });
+}
@@ -2,3 +2,6 @@ export let attestationOptions = "/attestation/options";
 export let attestationResult = "/attestation/result";
 export let assertionOptions = "/assertion/options";
 export let assertionResult = "/assertion/result";
+export let credentialList = "/credentials/list";
+export let credentialRename = "/credentials/rename";
+export let credentialDelete = "/credentials/delete";
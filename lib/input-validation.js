@@ -1,14 +1,22 @@
-export function checkType(obj, prop, type) {
+import { ValidationError } from "../classes/WebAuthnError.js";
+
+// the `path` arguments are the path of `obj` in the message, so that a ValidationError has the full path of the
+// property, such as "user.id" or "excludeCredentials[0].id"
+function joinPath(path, prop) {
+    return path ? path + "." + prop : prop;
+}
+
+export function checkType(obj, prop, type, path) {
     switch (typeof type) {
         case "string":
             if (typeof obj[prop] !== type) {
-                throw new Error("expected '" + prop + "' to be '" + type + "', got: " + typeof obj[prop]);
+                throw new ValidationError("expected '" + prop + "' to be '" + type + "', got: " + typeof obj[prop], joinPath(path, prop));
             }
             break;
 
         case "function":
             if (!(obj[prop] instanceof type)) {
-                throw new Error("expected '" + prop + "' to be '" + type.name + "', got: " + obj[prop]);
+                throw new ValidationError("expected '" + prop + "' to be '" + type.name + "', got: " + obj[prop], joinPath(path, prop));
             }
             break;
 
@@ -17,34 +25,38 @@ export function checkType(obj, prop, type) {
     }
 }
 
-export function checkOptionalType(obj, prop, type) {
+export function checkOptionalType(obj, prop, type, path) {
     if (obj === undefined || obj[prop] === undefined) return;
 
-    checkType(obj, prop, type);
+    checkType(obj, prop, type, path);
 }
 
-export function checkFormat(obj, prop, format) {
+export function checkFormat(obj, prop, format, path) {
+    var propPath = joinPath(path, prop);
     switch (format) {
         case "non-empty-string":
-            checkType(obj, prop, "string");
+            checkType(obj, prop, "string", path);
             checkTrue(
                 obj[prop].length > 0,
-                "expected '" + prop + "' to be non-empty string"
+                "expected '" + prop + "' to be non-empty string",
+                propPath
             );
             break;
         case "base64url":
-            checkType(obj, prop, "string");
+            checkType(obj, prop, "string", path);
             checkTrue(
                 isBase64Url(obj[prop]),
-                "expected '" + prop + "' to be base64url format, got: " + obj[prop]
+                "expected '" + prop + "' to be base64url format, got: " + obj[prop],
+                propPath
             );
             break;
         case "positive-integer":
-            checkType(obj, prop, "number");
+            checkType(obj, prop, "number", path);
             var n = obj[prop];
             checkTrue(
                 n >>> 0 === parseFloat(n),
-                "expected '" + prop + "' to be positive integer"
+                "expected '" + prop + "' to be positive integer",
+                propPath
             );
             break;
         case "nullable-base64":
@@ -52,12 +64,14 @@ export function checkFormat(obj, prop, format) {
             if (obj[prop] === null) t = "null";
             checkTrue(
                 ["null", "string", "undefined"].includes(t),
-                "expected '" + prop + "' to be null or string"
+                "expected '" + prop + "' to be null or string",
+                propPath
             );
             if (!obj[prop]) return;
             checkTrue(
                 isBase64Url(obj[prop]),
-                "expected '" + prop + "' to be base64url format, got: " + obj[prop]
+                "expected '" + prop + "' to be base64url format, got: " + obj[prop],
+                propPath
             );
             break;
         default:
@@ -65,26 +79,27 @@ export function checkFormat(obj, prop, format) {
     }
 }
 
-export function checkOptionalFormat(obj, prop, format) {
+export function checkOptionalFormat(obj, prop, format, path) {
     if (obj === undefined || obj[prop] === undefined) return;
 
-    checkFormat(obj, prop, format);
+    checkFormat(obj, prop, format, path);
 }
 
 export function isBase64Url(str) {
     return !!str.match(/^[A-Za-z0-9\-_]+={0,2}$/);
 }
 
-export function checkTrue(truthy, msg) {
+export function checkTrue(truthy, msg, path) {
     if (!truthy) {
-        throw Error(msg);
+        throw new ValidationError(msg, path);
     }
 }
 
-export function checkUserVerification(val) {
+export function checkUserVerification(val, path) {
     checkTrue(
         ["required", "preferred", "discouraged"].includes(val),
-        "userVerification must be 'required', 'preferred' or 'discouraged'"
+        "userVerification must be 'required', 'preferred' or 'discouraged'",
+        joinPath(path, "userVerification")
     );
 }
 
@@ -93,33 +108,49 @@ export function checkAuthenticatorSelection(obj) {
     if (obj.authenticatorSelection && obj.authenticatorSelection.authenticatorAttachment) {
         checkTrue(
             ["platform", "cross-platform"].includes(obj.authenticatorSelection.authenticatorAttachment),
-            "authenticatorAttachment must be either 'platform' or 'cross-platform'"
+            "authenticatorAttachment must be either 'platform' or 'cross-platform'",
+            "authenticatorSelection.authenticatorAttachment"
         );
     }
     if (obj.authenticatorSelection && obj.authenticatorSelection.userVerification) {
-        checkUserVerification(obj.authenticatorSelection.userVerification);
+        checkUserVerification(obj.authenticatorSelection.userVerification, "authenticatorSelection");
 
     }
-    checkOptionalType(obj.authenticatorSelection, "requireResidentKey", "boolean");
+    checkOptionalType(obj.authenticatorSelection, "requireResidentKey", "boolean", "authenticatorSelection");
 }
 
-export function checkCredentialDescriptorList(arr) {
-    arr.forEach((cred) => {
-        checkFormat(cred, "id", "base64url");
-        checkTrue(cred.type === "public-key", "credential type must be 'public-key'");
-        checkOptionalType(cred, "transports", Array);
-        if (cred.transports) cred.transports.forEach((trans) => {
-            checkTrue(
-                ["usb", "nfc", "ble"].includes(trans),
-                "expected transport to be 'usb', 'nfc', or 'ble', got: " + trans
-            );
-        });
+// the AuthenticatorTransport values of the WebAuthn spec
+const transports = ["usb", "nfc", "ble", "smart-card", "hybrid", "internal"];
+
+// WebAuthn requires unknown transports to be ignored, such as "cable" from older browsers or ones added later
+export function filterTransports(arr) {
+    return arr.filter((trans) => transports.includes(trans));
+}
+
+export function checkTransports(obj, path) {
+    checkOptionalType(obj, "transports", Array, path);
+    if (obj.transports) obj.transports.forEach((trans, idx) => {
+        checkTrue(
+            transports.includes(trans),
+            "expected transport to be 'usb', 'nfc', 'ble', 'smart-card', 'hybrid', or 'internal', got: " + trans,
+            joinPath(path, "transports[" + idx + "]")
+        );
+    });
+}
+
+export function checkCredentialDescriptorList(arr, path) {
+    arr.forEach((cred, idx) => {
+        var credPath = path + "[" + idx + "]";
+        checkFormat(cred, "id", "base64url", credPath);
+        checkTrue(cred.type === "public-key", "credential type must be 'public-key'", credPath + ".type");
+        checkTransports(cred, credPath);
     });
 }
 
 export function checkAttestation(obj) {
     if (obj.attestation) checkTrue(
         ["direct", "none", "indirect"].includes(obj.attestation),
-        "expected attestation to be 'direct', 'none', or 'indirect'"
+        "expected attestation to be 'direct', 'none', or 'indirect'",
+        "attestation"
     );
 }
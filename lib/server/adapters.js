@@ -0,0 +1,204 @@
+import {
+    createHandler,
+    failedHandlerResponse
+} from "./handler.js";
+import { ValidationError } from "../../classes/WebAuthnError.js";
+
+// request bodies are small JSON messages; anything larger is rejected rather than buffered
+const maxBodySize = 100 * 1024;
+
+/**
+ * Creates an Express / Connect middleware for the default routes, see {@link createHandler} for the options. The
+ * hooks are called with the request (`req`) as the context. Requests for other paths are passed on to `next()`, and
+ * so are errors other than invalid requests and failed verifications.
+ *
+ * Challenges are bound to the session, so a session middleware such as `express-session` must run first (or see
+ * `opts.getSession`). The JSON body may already have been parsed, e.g. by `express.json()`.
+ *
+ * @param {Object} opts Options for the routes, see {@link createHandler}
+ * @return {Function} The middleware, `function(req, res, next)`. Its `credentials` and `challenges` properties
+ * are the repository and challenge service that it uses.
+ */
+export function createRouter(opts) {
+    var handle = createHandler(opts);
+
+    function webauthnRouter(req, res, next) {
+        if (!isRoute(handle, req.method, req.url)) return next();
+
+        return handleNodeRequest(handle, req, res)
+            .catch((err) => next(err));
+    }
+
+    return exposeHandler(webauthnRouter, handle);
+}
+
+/**
+ * Creates a request listener for `http.createServer()` (or `https.createServer()`) that answers the default routes,
+ * see {@link createHandler} for the options. The hooks are called with the `http.IncomingMessage` as the context,
+ * so `opts.getSession` is usually needed. Requests for other paths are answered with a 404 and unexpected errors with
+ * a 500 `ServerResponse` that has a `status` of "failed".
+ *
+ * @param {Object} opts Options for the routes, see {@link createHandler}
+ * @return {Function} The listener, `function(req, res)`, which returns a `Promise` that resolves when the response
+ * was sent. Its `credentials` and `challenges` properties are the repository and challenge service that it uses.
+ */
+export function createHttpHandler(opts) {
+    var handle = createHandler(opts);
+
+    function webauthnHttpHandler(req, res) {
+        if (!isRoute(handle, req.method, req.url)) {
+            sendResponse(res, failedHandlerResponse(404, "not found"));
+            return Promise.resolve();
+        }
+
+        return handleNodeRequest(handle, req, res)
+            .catch(() => {
+                sendResponse(res, failedHandlerResponse(500, "internal server error"));
+            });
+    }
+
+    return exposeHandler(webauthnHttpHandler, handle);
+}
+
+/**
+ * Creates a Fastify plugin that adds the default routes, see {@link createHandler} for the options. The hooks are
+ * called with the Fastify `request` as the context. Register it with `fastify.register()`, optionally with a
+ * `prefix`; Fastify's JSON body parser must be enabled, which it is by default. Each route is added with the
+ * method of `opts.methods`.
+ *
+ * @param {Object} opts Options for the routes, see {@link createHandler}
+ * @return {Function} The plugin, `function(fastify, pluginOpts, done)`. Its `credentials` and `challenges`
+ * properties are the repository and challenge service that it uses.
+ */
+export function createFastifyPlugin(opts) {
+    var handle = createHandler(opts);
+
+    function webauthnPlugin(fastify, pluginOpts, done) {
+        Object.keys(handle.routes).forEach((name) => {
+            var path = handle.routes[name];
+
+            fastify.route({
+                method: handle.methods[name],
+                url: path,
+                handler: (request, reply) => handle({
+                    method: request.method,
+                    // the route may be under the prefix of the plugin
+                    path: withQuery(path, (request.url || "").split("?")[1]),
+                    headers: request.headers,
+                    body: request.body
+                }, request)
+                    .then((response) => reply
+                        .code(response.status)
+                        .headers(response.headers)
+                        .send(response.body))
+            });
+        });
+
+        done();
+    }
+
+    return exposeHandler(webauthnPlugin, handle);
+}
+
+/**
+ * Creates a Koa middleware for the default routes, see {@link createHandler} for the options. The hooks are called
+ * with the Koa `ctx` as the context, so `opts.getSession` is usually needed. The body may already have been parsed
+ * into `ctx.request.body`, e.g. by `koa-bodyparser`. Requests for other paths are passed on to `next()`, and
+ * errors other than invalid requests and failed verifications are thrown.
+ *
+ * @param {Object} opts Options for the routes, see {@link createHandler}
+ * @return {Function} The middleware, `function(ctx, next)`. Its `credentials` and `challenges` properties are the
+ * repository and challenge service that it uses.
+ */
+export function createKoaMiddleware(opts) {
+    var handle = createHandler(opts);
+
+    function webauthnMiddleware(ctx, next) {
+        if (!isRoute(handle, ctx.method, ctx.path)) return next();
+
+        return handleWithBody(handle, {
+            method: ctx.method,
+            path: withQuery(ctx.path, ctx.querystring),
+            headers: ctx.headers,
+            body: ctx.request.body
+        }, ctx.req, ctx)
+            .then((response) => {
+                ctx.status = response.status;
+                ctx.set(response.headers);
+                ctx.body = response.body;
+            });
+    }
+
+    return exposeHandler(webauthnMiddleware, handle);
+}
+
+function handleNodeRequest(handle, req, res) {
+    return handleWithBody(handle, {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: req.body
+    }, req, req)
+        .then((response) => {
+            sendResponse(res, response);
+        });
+}
+
+// reads the body from `stream` if `request` doesn't have one yet; GET requests have a query string instead
+function handleWithBody(handle, request, stream, context) {
+    return readBody((request.method === "GET") ? null : request.body, stream)
+        .then((body) => handle({
+            method: request.method,
+            path: request.path,
+            headers: request.headers,
+            body: body
+        }, context), (err) => {
+            if (err instanceof ValidationError) return failedHandlerResponse(400, err.message);
+            throw err;
+        });
+}
+
+function isRoute(handle, method, path) {
+    path = (path || "").split("?")[0];
+    return Object.keys(handle.routes).some((name) => handle.routes[name] === path && handle.methods[name] === method);
+}
+
+function withQuery(path, query) {
+    return query ? path + "?" + query : path;
+}
+
+function sendResponse(res, response) {
+    res.statusCode = response.status;
+    Object.keys(response.headers).forEach((name) => {
+        res.setHeader(name, response.headers[name]);
+    });
+    res.end(response.body);
+}
+
+// uses the body that a body parser middleware already read, or reads it from the stream
+function readBody(body, stream) {
+    if (body !== undefined) return Promise.resolve(body);
+
+    return new Promise((resolve, reject) => {
+        var chunks = [];
+        var size = 0;
+
+        stream.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                reject(new ValidationError("request body is too large"));
+                return;
+            }
+            chunks.push(Buffer.from(chunk));
+        });
+        stream.on("end", () => resolve(Buffer.concat(chunks)));
+        stream.on("error", reject);
+    });
+}
+
+function exposeHandler(fn, handle) {
+    fn.credentials = handle.credentials;
+    fn.challenges = handle.challenges;
+
+    return fn;
+}
@@ -0,0 +1,169 @@
+import {
+    abEqual,
+    checkExpectations,
+    concatBuffers,
+    decodeMsg,
+    parseAuthnrData,
+    parseClientData,
+    verifyClientData,
+    verifyFlags,
+    verifyRpIdHash,
+    verifyTrue
+} from "./checks.js";
+import {
+    coerceToArrayBuffer,
+    coerceToBase64Url
+} from "../utils.js";
+import {
+    sha256,
+    verifySignature
+} from "../crypto.js";
+import { CredentialAssertion } from "../../classes/CredentialAssertion.js";
+import { VerificationError } from "../../classes/WebAuthnError.js";
+import { decode as cborDecode } from "../cbor.js";
+import { coseToCryptoKey } from "../cose.js";
+
+/**
+ * Verifies the {@link CredentialAssertion} that the browser sent at the end of log in. This checks the
+ * `clientDataJSON` and `authenticatorData` against the `expectations` of the server, verifies the `signature`
+ * with the public key that was stored when the credential was registered and checks the signature counter.
+ *
+ * @param {CredentialAssertion|Object} credentialAssertion The assertion received from the browser. The binary
+ * fields may either be `ArrayBuffer`s or base64url encoded `String`s.
+ * @param {Object} storedCredential The credential that was saved from the result of {@link verifyAttestation}
+ * @param {ArrayBuffer|String} storedCredential.credentialPublicKey The COSE encoded public key of the credential
+ * @param {Number} storedCredential.counter The last signature counter that was seen for the credential
+ * @param {ArrayBuffer|String} [storedCredential.credentialId] The id of the credential. If present, the `rawId`
+ * of the assertion must match it.
+ * @param {Object} expectations What the assertion must match
+ * @param {String|ArrayBuffer} expectations.challenge The `challenge` that was sent to the browser in the {@link GetOptions}
+ * @param {String|Array.<String>} expectations.origin The origin (or a list of origins) that the browser is allowed
+ * to log in from, such as "https://example.com". Subdomain wildcards (e.g. "https://*.example.com") and Android
+ * app origins (e.g. "android:apk-key-hash:...") are also allowed, see {@link validateClientData}.
+ * @param {String|Array.<String>} [expectations.topOrigin] The allowed top-level origins if the browser may log in
+ * from a cross-origin iframe
+ * @param {String} [expectations.rpId] The relying party ID. Defaults to the host name of the first `origin`, and is
+ * required if the first `origin` is a wildcard or Android origin.
+ * @param {String|ArrayBuffer} [expectations.userHandle] The user handle (the `user.id` from registration) of the
+ * user that is logging in. If present, the `userHandle` of the assertion must match it when the authenticator returns one.
+ * @param {Boolean} [expectations.requireUserPresence] Whether the user must have been present, defaults to `true`
+ * @param {Boolean} [expectations.requireUserVerification] Whether the user must have been verified (e.g. by
+ * fingerprint or PIN), defaults to `false`
+ * @return {Promise.<Object|Error>} Resolves to an `Object` with the following properties:
+ * - `credentialId` (ArrayBuffer): the id of the credential that was used
+ * - `counter` (Number): the new signature counter, which should replace `storedCredential.counter`
+ * - `userPresent` (Boolean) and `userVerified` (Boolean): the user presence and verification flags
+ * - `userHandle` (String|null): the base64url encoded user handle returned by the authenticator, if any
+ * - `clientData` (Object): the parsed `clientDataJSON`
+ * - `authnrData` (Object): the parsed authenticator data
+ * Rejects with a {@link ValidationError} if the assertion is malformed, or a {@link VerificationError} if it
+ * doesn't match the `expectations`, the signature is invalid or the signature counter didn't increase.
+ */
+export function verifyAssertion(credentialAssertion, storedCredential, expectations) {
+    var exp, msg, stored, clientData, authnrData;
+
+    return Promise.resolve()
+        .then(() => {
+            exp = checkExpectations(expectations);
+            stored = checkStoredCredential(storedCredential);
+            msg = decodeMsg(CredentialAssertion, credentialAssertion);
+
+            if (stored.credentialId) {
+                verifyTrue(abEqual(msg.rawId, stored.credentialId), "'rawId' doesn't match the stored credential id", "rawId");
+            }
+
+            clientData = parseClientData(msg.response.clientDataJSON);
+            verifyClientData(clientData, "webauthn.get", exp);
+
+            authnrData = parseAuthnrData(msg.response.authenticatorData);
+
+            return verifyRpIdHash(authnrData, exp);
+        })
+        .then(() => {
+            verifyFlags(authnrData, exp);
+            verifyUserHandle(msg.response.userHandle, expectations.userHandle);
+
+            return verifyAssertionSignature(msg, stored.credentialPublicKey);
+        })
+        .then(() => {
+            verifyCounter(authnrData.signCount, stored.counter);
+
+            return {
+                credentialId: msg.rawId,
+                counter: authnrData.signCount,
+                userPresent: authnrData.flags.has("UP"),
+                userVerified: authnrData.flags.has("UV"),
+                userHandle: msg.getUserHandle(),
+                clientData: clientData,
+                authnrData: authnrData
+            };
+        });
+}
+
+function checkStoredCredential(storedCredential) {
+    if (typeof storedCredential !== "object" || storedCredential === null) {
+        throw new TypeError("expected 'storedCredential' to be 'Object', got: " + storedCredential);
+    }
+
+    if (!Number.isSafeInteger(storedCredential.counter) || storedCredential.counter < 0) {
+        throw new TypeError("expected 'storedCredential.counter' to be positive integer, got: " + storedCredential.counter);
+    }
+
+    return {
+        credentialPublicKey: coerceToArrayBuffer(storedCredential.credentialPublicKey, "storedCredential.credentialPublicKey"),
+        credentialId: (storedCredential.credentialId === undefined) ? undefined : coerceToArrayBuffer(storedCredential.credentialId, "storedCredential.credentialId"),
+        counter: storedCredential.counter
+    };
+}
+
+function verifyUserHandle(userHandle, expectedUserHandle) {
+    // authenticators only have to return the user handle for discoverable credentials
+    if (expectedUserHandle === undefined || !userHandle || userHandle.byteLength === 0) return;
+
+    verifyTrue(
+        coerceToBase64Url(userHandle, "userHandle") === coerceToBase64Url(expectedUserHandle, "expectations.userHandle"),
+        "userHandle doesn't match expected userHandle",
+        "response.userHandle"
+    );
+}
+
+function verifyAssertionSignature(msg, credentialPublicKey) {
+    var key, alg;
+    try {
+        key = cborDecode(credentialPublicKey);
+        alg = key.get(3);
+    } catch (err) {
+        throw new VerificationError("couldn't decode credential public key: " + err.message, "credentialPublicKey");
+    }
+
+    return Promise.all([
+        coseToCryptoKey(key),
+        sha256(msg.response.clientDataJSON)
+    ])
+        .catch((err) => {
+            throw new VerificationError("couldn't import credential public key: " + err.message, "credentialPublicKey");
+        })
+        .then((res) => {
+            // the signature is over the authenticator data followed by the hash of the client data
+            var signedData = concatBuffers(msg.response.authenticatorData, res[1]);
+
+            return verifySignature(alg, res[0], msg.response.signature, signedData)
+                .catch((err) => {
+                    throw new VerificationError("couldn't verify signature: " + err.message, "response.signature");
+                });
+        })
+        .then((valid) => {
+            verifyTrue(valid, "signature is invalid", "response.signature");
+        });
+}
+
+function verifyCounter(signCount, storedCounter) {
+    // authenticators that don't support counters always return 0
+    if (signCount === 0 && storedCounter === 0) return;
+
+    verifyTrue(
+        signCount > storedCounter,
+        "signature counter didn't increase, the authenticator may have been cloned: " + signCount + " <= " + storedCounter,
+        "authnrData.signCount"
+    );
+}
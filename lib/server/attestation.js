@@ -0,0 +1,170 @@
+import {
+    abEqual,
+    checkExpectations,
+    decodeMsg,
+    parseAuthnrData,
+    parseClientData,
+    verifyClientData,
+    verifyFlags,
+    verifyRpIdHash,
+    verifyTrue
+} from "./checks.js";
+import { CredentialAttestation } from "../../classes/CredentialAttestation.js";
+import { VerificationError } from "../../classes/WebAuthnError.js";
+import { sha256 } from "../crypto.js";
+import { verifyAndroidKeyAttestation } from "./formats/android-key.js";
+import { verifyAndroidSafetyNetAttestation } from "./formats/android-safetynet.js";
+import { verifyAppleAttestation } from "./formats/apple.js";
+import { verifyFidoU2fAttestation } from "./formats/fido-u2f.js";
+import { verifyNoneAttestation } from "./formats/none.js";
+import { verifyPackedAttestation } from "./formats/packed.js";
+import { verifyTpmAttestation } from "./formats/tpm.js";
+
+// the attestation statement formats that can be verified, see registerAttestationFormat()
+var formats = new Map([
+    ["none", verifyNoneAttestation],
+    ["packed", verifyPackedAttestation],
+    ["tpm", verifyTpmAttestation],
+    ["android-key", verifyAndroidKeyAttestation],
+    ["android-safetynet", verifyAndroidSafetyNetAttestation],
+    ["fido-u2f", verifyFidoU2fAttestation],
+    ["apple", verifyAppleAttestation]
+]);
+
+/**
+ * Adds a verifier for an attestation statement format, or replaces the verifier of a built-in format.
+ * {@link verifyAttestation} rejects attestations in formats that don't have a verifier.
+ *
+ * @param {String} fmt The attestation statement format identifier, such as "packed"
+ * @param {Function} verify Called with the decoded `attStmt` (a `Map`) and an `Object` with the `authData`
+ * (ArrayBuffer), the parsed `authnrData` and the `clientDataHash` (ArrayBuffer) of the attestation. It must return
+ * (or resolve to) an `Object` with the `attestationType` and `trustPath` of the attestation, and throw (or reject
+ * with) a {@link VerificationError} if the attestation statement isn't valid.
+ * @throws {TypeError} If `fmt` isn't a non-empty `String` or `verify` isn't a `Function`
+ */
+export function registerAttestationFormat(fmt, verify) {
+    if (typeof fmt !== "string" || !fmt.length) {
+        throw new TypeError("expected 'fmt' to be non-empty 'string', got: " + fmt);
+    }
+
+    if (typeof verify !== "function") {
+        throw new TypeError("expected 'verify' to be 'Function', got: " + verify);
+    }
+
+    formats.set(fmt, verify);
+}
+
+/**
+ * Verifies the {@link CredentialAttestation} that the browser sent at the end of registration. This decodes
+ * the `attestationObject` and `clientDataJSON`, checks them against the `expectations` of the server and
+ * returns the credential that should be stored for the user.
+ *
+ * The "none", "packed", "tpm", "android-key", "android-safetynet", "fido-u2f" and "apple" attestation formats are
+ * verified, and more can be added with {@link registerAttestationFormat}; attestations in any other format are
+ * rejected. Whether the `trustPath` of an attestation leads to a trusted root certificate isn't checked; that is up
+ * to the policy of the server.
+ *
+ * @param {CredentialAttestation|Object} credentialAttestation The attestation received from the browser. The binary
+ * fields may either be `ArrayBuffer`s or base64url encoded `String`s.
+ * @param {Object} expectations What the attestation must match
+ * @param {String|ArrayBuffer} expectations.challenge The `challenge` that was sent to the browser in the {@link CreateOptions}
+ * @param {String|Array.<String>} expectations.origin The origin (or a list of origins) that the browser is allowed
+ * to register from, such as "https://example.com". Subdomain wildcards (e.g. "https://*.example.com") and Android
+ * app origins (e.g. "android:apk-key-hash:...") are also allowed, see {@link validateClientData}.
+ * @param {String|Array.<String>} [expectations.topOrigin] The allowed top-level origins if the browser may register
+ * from a cross-origin iframe
+ * @param {String} [expectations.rpId] The relying party ID. Defaults to the host name of the first `origin`, and is
+ * required if the first `origin` is a wildcard or Android origin.
+ * @param {Boolean} [expectations.requireUserPresence] Whether the user must have been present, defaults to `true`
+ * @param {Boolean} [expectations.requireUserVerification] Whether the user must have been verified (e.g. by
+ * fingerprint or PIN), defaults to `false`
+ * @return {Promise.<Object|Error>} Resolves to an `Object` with the following properties:
+ * - `fmt` (String): the attestation statement format
+ * - `attestationType` (String): "none", "self" (signed by the credential itself), "basic" (signed by an attestation
+ * certificate), "attca" (signed by a TPM attestation identity key) or "anonca" (signed by an anonymous attestation
+ * certificate)
+ * - `trustPath` (Array.<ArrayBuffer>): the certificates of the attestation, if any
+ * - `attStmt` (Map): the decoded attestation statement
+ * - `credentialId` (ArrayBuffer): the id of the new credential
+ * - `credentialPublicKey` (ArrayBuffer): the COSE encoded public key of the new credential
+ * - `counter` (Number): the signature counter of the new credential
+ * - `aaguid` (ArrayBuffer): the AAGUID that identifies the model of the authenticator
+ * - `userPresent` (Boolean) and `userVerified` (Boolean): the user presence and verification flags
+ * - `clientData` (Object): the parsed `clientDataJSON`
+ * - `authnrData` (Object): the parsed authenticator data
+ * Rejects with a {@link ValidationError} if the attestation is malformed, or a {@link VerificationError} if it
+ * doesn't match the `expectations`.
+ */
+export function verifyAttestation(credentialAttestation, expectations) {
+    var exp, msg, clientData, attObj, authnrData;
+
+    return Promise.resolve()
+        .then(() => {
+            exp = checkExpectations(expectations);
+            msg = decodeMsg(CredentialAttestation, credentialAttestation);
+
+            clientData = parseClientData(msg.response.clientDataJSON);
+            verifyClientData(clientData, "webauthn.create", exp);
+
+            attObj = decodeAttestationObject(msg);
+            authnrData = parseAuthnrData(attObj.authData);
+
+            return verifyRpIdHash(authnrData, exp);
+        })
+        .then(() => {
+            verifyFlags(authnrData, exp);
+            verifyTrue(authnrData.flags.has("AT"), "expected authenticator data to include attested credential data", "authnrData.flags");
+            verifyTrue(abEqual(authnrData.credId, msg.rawId), "credential id in authenticator data doesn't match 'rawId'", "authnrData.credId");
+            verifyCredentialPublicKey(authnrData.credentialPublicKey);
+
+            return sha256(msg.response.clientDataJSON);
+        })
+        .then((clientDataHash) => verifyAttestationStatement(attObj.fmt, attObj.attStmt, {
+            authData: attObj.authData,
+            authnrData: authnrData,
+            clientDataHash: clientDataHash
+        }))
+        .then((att) => ({
+            fmt: attObj.fmt,
+            attestationType: att.attestationType,
+            trustPath: att.trustPath,
+            attStmt: attObj.attStmt,
+            credentialId: authnrData.credId,
+            credentialPublicKey: authnrData.credentialPublicKeyCose,
+            counter: authnrData.signCount,
+            aaguid: authnrData.aaguid,
+            userPresent: authnrData.flags.has("UP"),
+            userVerified: authnrData.flags.has("UV"),
+            clientData: clientData,
+            authnrData: authnrData
+        }));
+}
+
+function decodeAttestationObject(msg) {
+    var attObj;
+    try {
+        attObj = msg.getAttestationObject();
+    } catch (err) {
+        throw new VerificationError("couldn't decode attestationObject: " + err.message, "attestationObject");
+    }
+
+    verifyTrue(typeof attObj.fmt === "string", "expected attestationObject to have a 'fmt'", "attestationObject.fmt");
+    verifyTrue(attObj.attStmt instanceof Map, "expected attestationObject to have an 'attStmt'", "attestationObject.attStmt");
+    verifyTrue(attObj.authData instanceof ArrayBuffer, "expected attestationObject to have an 'authData'", "attestationObject.authData");
+
+    return attObj;
+}
+
+function verifyCredentialPublicKey(key) {
+    verifyTrue(key instanceof Map, "expected credential public key to be a COSE key", "authnrData.credentialPublicKey");
+    // 1: kty (key type), 3: alg (algorithm)
+    verifyTrue(Number.isInteger(key.get(1)), "expected credential public key to have a key type", "authnrData.credentialPublicKey");
+    verifyTrue(Number.isInteger(key.get(3)), "expected credential public key to have an algorithm", "authnrData.credentialPublicKey");
+}
+
+function verifyAttestationStatement(fmt, attStmt, ctx) {
+    var verify = formats.get(fmt);
+    verifyTrue(!!verify, "unsupported attestation format: " + fmt, "attestationObject.fmt");
+
+    return verify(attStmt, ctx);
+}
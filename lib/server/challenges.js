@@ -0,0 +1,192 @@
+import { VerificationError } from "../../classes/WebAuthnError.js";
+import { coerceToBase64Url } from "../utils.js";
+import { getWebCrypto } from "../crypto.js";
+
+const ceremonyTypes = ["webauthn.create", "webauthn.get"];
+
+/**
+ * Keeps challenges in memory. This is the default store of {@link ChallengeService}; it is fine for a single
+ * server process, but challenges are lost on restart and aren't shared between processes.
+ *
+ * Other stores (e.g. Redis or a database) only need to implement `save()` and `take()`, and optionally
+ * `deleteExpired()`. Each method may return a value or a `Promise`.
+ */
+export class MemoryChallengeStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    /**
+     * Saves a new challenge.
+     *
+     * @param {String} challenge The base64url encoded challenge
+     * @param {Object} record What the challenge is bound to; see {@link ChallengeService#consume} for the properties
+     */
+    save(challenge, record) {
+        this.records.set(challenge, record);
+    }
+
+    /**
+     * Removes a challenge and returns it, so that it can't be used again. Concurrent calls with the same challenge
+     * must return it at most once.
+     *
+     * @param {String} challenge The base64url encoded challenge
+     * @return {Object|undefined} The record that was saved with the challenge, or `undefined` if there is none
+     */
+    take(challenge) {
+        var record = this.records.get(challenge);
+        this.records.delete(challenge);
+        return record;
+    }
+
+    /**
+     * Removes the challenges that expired before `now`, so that challenges that are never used don't pile up.
+     *
+     * @param {Number} now The current time, in milliseconds since the epoch
+     */
+    deleteExpired(now) {
+        for (let [challenge, record] of this.records) {
+            if (record.expires <= now) this.records.delete(challenge);
+        }
+    }
+}
+
+/**
+ * Creates challenges for {@link CreateOptions} and {@link GetOptions}, and checks the challenges that come back in
+ * the client data. Each challenge is bound to a session, optionally to a user, and to the type of ceremony
+ * (registration or log in); it can only be used once, and only until its timeout expires.
+ *
+ * @param {Object} [opts] Options for the service
+ * @param {Object} [opts.store] Where challenges are kept, see {@link MemoryChallengeStore}. Defaults to a new
+ * `MemoryChallengeStore`.
+ * @param {Number} [opts.length] The number of random bytes in each challenge, from 16 to 64. Defaults to 32.
+ * @param {Number} [opts.timeout] How long challenges are valid for in milliseconds, which should match the
+ * `timeout` of the options sent to the browser. Defaults to 60000 (one minute).
+ * @param {Function} [opts.now] Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ */
+export class ChallengeService {
+    constructor(opts) {
+        opts = opts || {};
+
+        this.store = opts.store || new MemoryChallengeStore();
+        this.length = (opts.length === undefined) ? 32 : opts.length;
+        this.timeout = (opts.timeout === undefined) ? 60000 : opts.timeout;
+        this.now = opts.now || Date.now;
+
+        if (typeof this.store.save !== "function" || typeof this.store.take !== "function") {
+            throw new TypeError("expected 'store' to have 'save' and 'take' methods");
+        }
+
+        if (!Number.isInteger(this.length) || this.length < 16 || this.length > 64) {
+            throw new TypeError("expected 'length' to be an integer from 16 to 64, got: " + this.length);
+        }
+
+        checkTimeout(this.timeout);
+    }
+
+    /**
+     * Creates a new random challenge and saves it in the store.
+     *
+     * @param {Object} binding What the challenge is for
+     * @param {String} binding.session The id of the session that the challenge is sent to
+     * @param {String} [binding.user] The user that is registering or logging in, if known
+     * @param {String} binding.type The ceremony type, "webauthn.create" or "webauthn.get"
+     * @param {Number} [binding.timeout] The `timeout` of the options, in milliseconds. Defaults to the
+     * `timeout` of the service.
+     * @param {Object} [binding.data] Anything else to keep with the challenge until it comes back, such as a new
+     * user that only exists once the registration is verified. It must be JSON serializable for stores that
+     * aren't in memory.
+     * @return {Promise.<String>} Resolves to the base64url encoded challenge
+     */
+    create(binding) {
+        var now, record;
+
+        return Promise.resolve()
+            .then(() => {
+                checkBinding(binding);
+                var timeout = (binding.timeout === undefined) ? this.timeout : binding.timeout;
+                checkTimeout(timeout);
+
+                now = this.now();
+                record = {
+                    challenge: coerceToBase64Url(getWebCrypto().getRandomValues(new Uint8Array(this.length)), "challenge"),
+                    session: binding.session,
+                    user: binding.user,
+                    type: binding.type,
+                    expires: now + timeout
+                };
+                if (binding.data !== undefined) record.data = binding.data;
+
+                if (typeof this.store.deleteExpired === "function") return this.store.deleteExpired(now);
+            })
+            .then(() => this.store.save(record.challenge, record))
+            .then(() => record.challenge);
+    }
+
+    /**
+     * Checks a challenge that was returned by the browser, and removes it from the store so that it can't be
+     * used again, even if the check fails.
+     *
+     * @param {String|ArrayBuffer} challenge The challenge, such as the `challenge` of the client data
+     * @param {Object} binding What the challenge must have been created for; see {@link create}
+     * @param {String} binding.session The id of the session that the challenge was returned by
+     * @param {String} [binding.user] The user that is registering or logging in. If the challenge was created
+     * for a user, it must be the same user.
+     * @param {String} binding.type The ceremony type, "webauthn.create" or "webauthn.get"
+     * @return {Promise.<Object>} Resolves to the record of the challenge, which has the `challenge`, `session`,
+     * `user`, `type`, `expires` (milliseconds since the epoch) and `data`, if any. Rejects with a {@link VerificationError} if
+     * the challenge is unknown, was already used, has expired or was created for something else.
+     */
+    consume(challenge, binding) {
+        return Promise.resolve()
+            .then(() => {
+                checkBinding(binding);
+                challenge = coerceToBase64Url(challenge, "challenge");
+
+                return this.store.take(challenge);
+            })
+            .then((record) => {
+                verify(!!record, "challenge is unknown or was already used");
+                verify(record.expires > this.now(), "challenge has expired");
+                verify(record.type === binding.type, "challenge was created for '" + record.type + "', not '" + binding.type + "'");
+                verify(record.session === binding.session, "challenge was created for a different session");
+                verify(record.user === undefined || record.user === binding.user, "challenge was created for a different user");
+
+                return record;
+            });
+    }
+}
+
+function verify(truthy, message) {
+    if (!truthy) {
+        throw new VerificationError(message, "challenge");
+    }
+}
+
+function checkBinding(binding) {
+    if (typeof binding !== "object" || binding === null) {
+        throw new TypeError("expected 'binding' to be 'Object', got: " + binding);
+    }
+
+    if (typeof binding.session !== "string" || !binding.session.length) {
+        throw new TypeError("expected 'binding.session' to be non-empty 'string', got: " + binding.session);
+    }
+
+    if (binding.user !== undefined && typeof binding.user !== "string") {
+        throw new TypeError("expected 'binding.user' to be 'string', got: " + binding.user);
+    }
+
+    if (binding.data !== undefined && (typeof binding.data !== "object" || binding.data === null)) {
+        throw new TypeError("expected 'binding.data' to be 'Object', got: " + binding.data);
+    }
+
+    if (!ceremonyTypes.includes(binding.type)) {
+        throw new TypeError("expected 'binding.type' to be 'webauthn.create' or 'webauthn.get', got: " + binding.type);
+    }
+}
+
+function checkTimeout(timeout) {
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw new TypeError("expected 'timeout' to be a positive integer, got: " + timeout);
+    }
+}
@@ -0,0 +1,246 @@
+import {
+    ValidationError,
+    VerificationError
+} from "../../classes/WebAuthnError.js";
+import {
+    decodeDer,
+    tags
+} from "../asn1.js";
+import {
+    getAlgorithm,
+    getWebCrypto,
+    sha256,
+    verifySignature
+} from "../crypto.js";
+import {
+    oids,
+    parseCertificate,
+    verifyCertificateSignature
+} from "../x509.js";
+import {
+    parseClientDataJSON,
+    validateClientData
+} from "../client-data.js";
+import { coerceToBase64Url } from "../utils.js";
+import { coseToJwk } from "../cose.js";
+import { parseAuthenticatorData } from "../authenticator-data.js";
+
+// checks that are shared by verifyAttestation() and verifyAssertion()
+
+export function verifyTrue(truthy, message, path) {
+    if (!truthy) {
+        throw new VerificationError(message, path);
+    }
+}
+
+export function abEqual(a, b) {
+    a = new Uint8Array(a);
+    b = new Uint8Array(b);
+
+    if (a.byteLength !== b.byteLength) return false;
+    return a.every((val, i) => val === b[i]);
+}
+
+export function checkExpectations(expectations) {
+    if (typeof expectations !== "object" || expectations === null) {
+        throw new TypeError("expected 'expectations' to be 'Object', got: " + expectations);
+    }
+
+    var origins = expectations.origin;
+    if (!Array.isArray(origins)) origins = [origins];
+    if (!origins.length || !origins.every((origin) => typeof origin === "string")) {
+        throw new TypeError("expected 'expectations.origin' to be 'string' or 'Array' of strings, got: " + expectations.origin);
+    }
+
+    if (expectations.challenge === undefined) {
+        throw new TypeError("expected 'expectations.challenge' to be 'string' or 'ArrayBuffer', got: undefined");
+    }
+
+    var rpId = expectations.rpId;
+    // wildcard origins don't include the domain itself and app origins don't have a host name
+    if (rpId === undefined && (/^https?:\/\/[^*]/).test(origins[0])) rpId = new URL(origins[0]).hostname;
+    if (typeof rpId !== "string") {
+        throw new TypeError("expected 'expectations.rpId' to be 'string', got: " + typeof rpId);
+    }
+
+    return {
+        challenge: coerceToBase64Url(expectations.challenge, "expectations.challenge"),
+        origins: origins,
+        topOrigins: expectations.topOrigin,
+        rpId: rpId,
+        requireUserPresence: expectations.requireUserPresence !== false,
+        requireUserVerification: !!expectations.requireUserVerification
+    };
+}
+
+// converts the message to a validated Msg of class `MsgClass` with ArrayBuffer fields, without changing the original
+export function decodeMsg(MsgClass, obj) {
+    var msg = MsgClass.from(obj);
+    try {
+        msg.encodeBinaryProperties();
+    } catch (err) {
+        // a required field is missing or isn't binary data
+        throw new ValidationError(err.message);
+    }
+    msg.validate();
+    msg.decodeBinaryProperties();
+
+    return msg;
+}
+
+export function parseClientData(clientDataJSON) {
+    try {
+        return parseClientDataJSON(clientDataJSON);
+    } catch (err) {
+        throw toVerificationError(err);
+    }
+}
+
+export function verifyClientData(clientData, type, exp) {
+    var failures = validateClientData(clientData, {
+        type: type,
+        challenge: exp.challenge,
+        origin: exp.origins,
+        topOrigin: exp.topOrigins
+    });
+
+    if (failures.length) {
+        throw new VerificationError(failures[0].message, failures[0].path);
+    }
+}
+
+export function parseAuthnrData(authData) {
+    try {
+        return parseAuthenticatorData(authData);
+    } catch (err) {
+        throw toVerificationError(err);
+    }
+}
+
+// a malformed part of a response that is otherwise valid fails verification
+function toVerificationError(err) {
+    if (!(err instanceof ValidationError)) return err;
+    return new VerificationError(err.message, err.path);
+}
+
+export function verifyRpIdHash(authnrData, exp) {
+    return sha256(new TextEncoder().encode(exp.rpId))
+        .then((rpIdHash) => {
+            verifyTrue(abEqual(authnrData.rpIdHash, rpIdHash), "rpIdHash doesn't match rpId: " + exp.rpId, "authnrData.rpIdHash");
+        });
+}
+
+export function verifyFlags(authnrData, exp) {
+    if (exp.requireUserPresence) {
+        verifyTrue(authnrData.flags.has("UP"), "expected user to be present", "authnrData.flags.UP");
+    }
+
+    if (exp.requireUserVerification) {
+        verifyTrue(authnrData.flags.has("UV"), "expected user to be verified", "authnrData.flags.UV");
+    }
+}
+
+export function concatBuffers(...bufs) {
+    var arrs = bufs.map((buf) => new Uint8Array(buf));
+    var ret = new Uint8Array(arrs.reduce((len, arr) => len + arr.byteLength, 0));
+    var offset = 0;
+    for (let arr of arrs) {
+        ret.set(arr, offset);
+        offset += arr.byteLength;
+    }
+
+    return ret.buffer;
+}
+
+// parses the certificates of an attestation statement
+export function parseX5c(x5c, path) {
+    verifyTrue(
+        Array.isArray(x5c) && x5c.length > 0 && x5c.every((cert) => cert instanceof ArrayBuffer),
+        "expected x5c to be a non-empty Array of certificates",
+        path
+    );
+
+    return x5c.map((der) => {
+        try {
+            return parseCertificate(der);
+        } catch (err) {
+            throw new VerificationError("couldn't parse certificate: " + err.message, path);
+        }
+    });
+}
+
+// checks that each certificate is signed by the one after it; whether the last one is trusted is up to the caller
+export function verifyCertificateChain(certs, path) {
+    return certs.slice(0, -1).reduce((p, cert, i) => p.then(() => verifyCertificateSignature(cert, certs[i + 1])
+        .catch((err) => {
+            throw new VerificationError("couldn't verify certificate chain: " + err.message, path);
+        })
+        .then((valid) => {
+            verifyTrue(valid, "certificate " + i + " in x5c isn't signed by the next certificate", path);
+        })), Promise.resolve());
+}
+
+// imports the public key of an attestation certificate for verifying signatures with the COSE algorithm `alg`
+export function importCertificateKey(cert, alg, path) {
+    return Promise.resolve()
+        .then(() => getWebCrypto().subtle.importKey("spki", cert.subjectPublicKeyInfo, getAlgorithm(alg).importParams, false, ["verify"]))
+        .catch((err) => {
+            throw new VerificationError("couldn't import attestation certificate public key for algorithm " + alg + ": " + err.message, path);
+        });
+}
+
+export function verifyAttestationSignature(alg, key, sig, signedData, path) {
+    return verifySignature(alg, key, sig, signedData)
+        .catch((err) => {
+            throw new VerificationError("couldn't verify attestation signature: " + err.message, path);
+        })
+        .then((valid) => {
+            verifyTrue(valid, "attestation signature is invalid", path);
+        });
+}
+
+// checks that the public key of an attestation certificate is the credential public key
+export function verifyCertificateKeyMatches(cert, coseKey, path) {
+    var importParams = (cert.publicKeyAlgorithm === oids.ecPublicKey) ? {
+        name: "ECDSA",
+        namedCurve: cert.namedCurve
+    } : {
+        name: "RSASSA-PKCS1-v1_5",
+        hash: "SHA-256"
+    };
+
+    return Promise.resolve()
+        .then(() => getWebCrypto().subtle.importKey("spki", cert.subjectPublicKeyInfo, importParams, true, ["verify"]))
+        .then((key) => getWebCrypto().subtle.exportKey("jwk", key))
+        .then((certJwk) => {
+            var credJwk = coseToJwk(coseKey);
+            return ["kty", "crv", "x", "y", "n", "e"].every((prop) => certJwk[prop] === credJwk[prop]);
+        })
+        .catch((err) => {
+            throw new VerificationError("couldn't compare certificate public key to credential public key: " + err.message, path);
+        })
+        .then((same) => {
+            verifyTrue(same, "attestation certificate public key doesn't match credential public key", path);
+        });
+}
+
+// checks the AAGUID extension of an attestation certificate, if it has one
+export function verifyAaguidExtension(cert, aaguid, path) {
+    var ext = cert.extensions.get(oids.fidoGenCeAaguid);
+    if (!ext) return;
+
+    verifyTrue(!ext.critical, "expected AAGUID extension of attestation certificate not to be critical", path);
+
+    var value;
+    try {
+        value = decodeDer(ext.value);
+    } catch (err) {
+        throw new VerificationError("couldn't decode AAGUID extension of attestation certificate: " + err.message, path);
+    }
+
+    verifyTrue(
+        value.tag === tags.OCTET_STRING && abEqual(value.contents, aaguid),
+        "AAGUID of attestation certificate doesn't match authenticator data",
+        path
+    );
+}
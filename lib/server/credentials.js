@@ -0,0 +1,307 @@
+import * as fs from "fs";
+import { coerceToBase64Url } from "../utils.js";
+
+/**
+ * Keeps credentials in memory, which is useful for tests and demos. Credentials are lost when the server
+ * restarts; use {@link FileCredentialRepository} or a database to keep them.
+ *
+ * This is the credential repository contract: other repositories (e.g. for a database) need the same methods,
+ * each returning a `Promise`. Credentials are `Object`s with the following properties, where the binary values
+ * are base64url encoded so that they can be stored as JSON:
+ * - `credentialId` (String): the id of the credential
+ * - `credentialPublicKey` (String): the COSE encoded public key, from {@link verifyAttestation}
+ * - `userHandle` (String): the `user.id` of the {@link CreateOptions} that the credential was registered with
+ * - `counter` (Number): the last signature counter that was seen
+ * - `transports` (Array.<String>): how the authenticator can be reached, such as "usb" or "nfc"
+ * - `name` (String, optional): a name chosen by the user
+ * - `createdAt` (String) and `lastUsedAt` (String|null): ISO 8601 dates
+ */
+export class MemoryCredentialRepository {
+    constructor() {
+        this.credentials = new Map();
+    }
+
+    /**
+     * Adds a new credential, such as the result of {@link verifyAttestation} together with the `userHandle`.
+     *
+     * @param {Object} credential The credential. `credentialId`, `credentialPublicKey` and `userHandle` may be
+     * `ArrayBuffer`s or base64url encoded `String`s, `counter` defaults to 0, `transports` to an empty list and
+     * `createdAt` (a `Date`) to now.
+     * @return {Promise.<Object>} Resolves to the stored credential, or rejects if a credential with the same
+     * id already exists
+     */
+    create(credential) {
+        return Promise.resolve()
+            .then(() => {
+                var record = toRecord(credential);
+                if (this.credentials.has(record.credentialId)) {
+                    throw new Error("credential already exists: " + record.credentialId);
+                }
+
+                this.credentials.set(record.credentialId, record);
+                return copy(record);
+            });
+    }
+
+    /**
+     * @param {String|ArrayBuffer} credentialId The id of the credential, such as the `rawId` of a {@link CredentialAssertion}
+     * @return {Promise.<Object|null>} Resolves to the credential, or `null` if there is none
+     */
+    findById(credentialId) {
+        return Promise.resolve()
+            .then(() => copy(this.credentials.get(coerceToBase64Url(credentialId, "credentialId")) || null));
+    }
+
+    /**
+     * @param {String|ArrayBuffer} userHandle The user handle (`user.id`) of the user
+     * @return {Promise.<Array.<Object>>} Resolves to the credentials of the user, in the order they were created
+     */
+    findByUserHandle(userHandle) {
+        return Promise.resolve()
+            .then(() => {
+                userHandle = coerceToBase64Url(userHandle, "userHandle");
+                return Array.from(this.credentials.values())
+                    .filter((record) => record.userHandle === userHandle)
+                    .map(copy);
+            });
+    }
+
+    /**
+     * Saves the new signature counter after a successful log in, see {@link verifyAssertion}.
+     *
+     * @param {String|ArrayBuffer} credentialId The id of the credential
+     * @param {Number} counter The new signature counter
+     * @param {Date} [lastUsedAt] When the credential was used, defaults to now
+     * @return {Promise.<Object>} Resolves to the updated credential, or rejects if there is no such credential
+     */
+    updateCounter(credentialId, counter, lastUsedAt) {
+        return Promise.resolve()
+            .then(() => {
+                var record = this.credentials.get(coerceToBase64Url(credentialId, "credentialId"));
+                if (!record) {
+                    throw new Error("credential not found: " + coerceToBase64Url(credentialId, "credentialId"));
+                }
+
+                checkCounter(counter);
+                record.counter = counter;
+                record.lastUsedAt = (lastUsedAt || new Date()).toISOString();
+                return copy(record);
+            });
+    }
+
+    /**
+     * @param {String|ArrayBuffer} credentialId The id of the credential
+     * @return {Promise.<Boolean>} Resolves to `true` if the credential was deleted, or `false` if there was none
+     */
+    delete(credentialId) {
+        return Promise.resolve()
+            .then(() => this.credentials.delete(coerceToBase64Url(credentialId, "credentialId")));
+    }
+}
+
+/**
+ * Keeps credentials in a JSON file. The file is read once and rewritten after every change; to keep it from
+ * being corrupted by a crash, each version is written to a temporary file that then replaces the old one.
+ * Only one process should use the same file.
+ *
+ * See {@link MemoryCredentialRepository} for the methods.
+ *
+ * @param {String} path The path of the JSON file, which is created if it doesn't exist
+ */
+export class FileCredentialRepository extends MemoryCredentialRepository {
+    constructor(path) {
+        super();
+
+        if (typeof path !== "string" || !path.length) {
+            throw new TypeError("expected 'path' to be non-empty 'string', got: " + path);
+        }
+
+        this.path = path;
+        this.loaded = null;
+        // changes are written one after the other, so that the file ends up with the last one
+        this.writes = Promise.resolve();
+        this.tmpCounter = 0;
+    }
+
+    create(credential) {
+        return this.change(() => super.create(credential));
+    }
+
+    findById(credentialId) {
+        return this.load()
+            .then(() => super.findById(credentialId));
+    }
+
+    findByUserHandle(userHandle) {
+        return this.load()
+            .then(() => super.findByUserHandle(userHandle));
+    }
+
+    updateCounter(credentialId, counter, lastUsedAt) {
+        return this.change(() => super.updateCounter(credentialId, counter, lastUsedAt));
+    }
+
+    delete(credentialId) {
+        return this.change(() => super.delete(credentialId));
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = callFs("readFile", this.path, "utf8")
+                .then((json) => {
+                    var data = JSON.parse(json);
+                    if (typeof data !== "object" || data === null || !Array.isArray(data.credentials)) {
+                        throw new Error("expected credential file to have a 'credentials' list: " + this.path);
+                    }
+
+                    this.credentials = new Map(data.credentials.map((record) => [record.credentialId, record]));
+                }, (err) => {
+                    if (err.code !== "ENOENT") throw err;
+                    this.credentials = new Map();
+                })
+                .catch((err) => {
+                    this.loaded = null;
+                    throw err;
+                });
+        }
+
+        return this.loaded;
+    }
+
+    change(fn) {
+        var ret = this.writes
+            .then(() => this.load())
+            .then(() => fn())
+            .then((result) => this.save()
+                .then(() => result, (err) => {
+                    // the file doesn't have the change, so read it again before the next one
+                    this.loaded = null;
+                    throw err;
+                }));
+
+        this.writes = ret.catch(() => {});
+        return ret;
+    }
+
+    save() {
+        var json = JSON.stringify({ credentials: Array.from(this.credentials.values()) }, null, 2);
+        var tmpPath = this.path + "." + process.pid + "." + (this.tmpCounter++) + ".tmp";
+
+        return callFs("writeFile", tmpPath, json)
+            .then(() => callFs("rename", tmpPath, this.path))
+            .catch((err) => callFs("unlink", tmpPath)
+                .then(() => Promise.reject(err), () => Promise.reject(err)));
+    }
+}
+
+/**
+ * Lists the credentials of a user as credential descriptors, for the `excludeCredentials` of {@link CreateOptions}
+ * or the `allowCredentials` of {@link GetOptions}.
+ *
+ * @param {Object} repository The credential repository, see {@link MemoryCredentialRepository}
+ * @param {String|ArrayBuffer} userHandle The user handle (`user.id`) of the user
+ * @return {Promise.<Array.<Object>>} Resolves to a list of `{ type: "public-key", id, transports }` descriptors with
+ * base64url encoded `id`s.
+ */
+export function getCredentialDescriptors(repository, userHandle) {
+    return Promise.resolve()
+        .then(() => repository.findByUserHandle(userHandle))
+        .then((credentials) => credentials.map((cred) => {
+            var descriptor = {
+                type: "public-key",
+                id: cred.credentialId
+            };
+            if (cred.transports && cred.transports.length) descriptor.transports = cred.transports.slice();
+            return descriptor;
+        }));
+}
+
+/**
+ * Sets the `excludeCredentials` of {@link CreateOptions} to the credentials that the user already registered, so
+ * that the same authenticator isn't registered twice.
+ *
+ * @param {CreateOptions} createOptions The options, which must have a `user.id`
+ * @param {Object} repository The credential repository, see {@link MemoryCredentialRepository}
+ * @return {Promise.<CreateOptions>} Resolves to `createOptions`
+ */
+export function populateExcludeCredentials(createOptions, repository) {
+    return Promise.resolve()
+        .then(() => {
+            if (!createOptions.user || !createOptions.user.id) {
+                throw new TypeError("expected 'createOptions' to have a 'user.id'");
+            }
+
+            return getCredentialDescriptors(repository, createOptions.user.id);
+        })
+        .then((descriptors) => {
+            createOptions.excludeCredentials = descriptors;
+            return createOptions;
+        });
+}
+
+/**
+ * Sets the `allowCredentials` of {@link GetOptions} to the credentials of the user that is logging in.
+ *
+ * @param {GetOptions} getOptions The options
+ * @param {Object} repository The credential repository, see {@link MemoryCredentialRepository}
+ * @param {String|ArrayBuffer} userHandle The user handle (`user.id`) of the user
+ * @return {Promise.<GetOptions>} Resolves to `getOptions`
+ */
+export function populateAllowCredentials(getOptions, repository, userHandle) {
+    return getCredentialDescriptors(repository, userHandle)
+        .then((descriptors) => {
+            getOptions.allowCredentials = descriptors;
+            return getOptions;
+        });
+}
+
+function toRecord(credential) {
+    if (typeof credential !== "object" || credential === null) {
+        throw new TypeError("expected 'credential' to be 'Object', got: " + credential);
+    }
+
+    var counter = (credential.counter === undefined) ? 0 : credential.counter;
+    checkCounter(counter);
+
+    var transports = credential.transports || [];
+    if (!Array.isArray(transports) || !transports.every((trans) => typeof trans === "string")) {
+        throw new TypeError("expected 'transports' to be an Array of 'string', got: " + transports);
+    }
+
+    if (credential.name !== undefined && typeof credential.name !== "string") {
+        throw new TypeError("expected 'name' to be 'string', got: " + credential.name);
+    }
+
+    var record = {
+        credentialId: coerceToBase64Url(credential.credentialId, "credentialId"),
+        credentialPublicKey: coerceToBase64Url(credential.credentialPublicKey, "credentialPublicKey"),
+        userHandle: coerceToBase64Url(credential.userHandle, "userHandle"),
+        counter: counter,
+        transports: transports.slice(),
+        createdAt: (credential.createdAt || new Date()).toISOString(),
+        lastUsedAt: null
+    };
+    if (credential.name !== undefined) record.name = credential.name;
+
+    return record;
+}
+
+function checkCounter(counter) {
+    if (!Number.isInteger(counter) || counter < 0) {
+        throw new TypeError("expected 'counter' to be a non-negative integer, got: " + counter);
+    }
+}
+
+// records only have strings, numbers and lists of strings
+function copy(record) {
+    return record && JSON.parse(JSON.stringify(record));
+}
+
+function callFs(method, ...args) {
+    return new Promise((resolve, reject) => {
+        fs[method](...args, (err, result) => {
+            if (err) return reject(err);
+            return resolve(result);
+        });
+    });
+}
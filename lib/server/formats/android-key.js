@@ -0,0 +1,112 @@
+import {
+    abEqual,
+    concatBuffers,
+    importCertificateKey,
+    parseX5c,
+    verifyAttestationSignature,
+    verifyCertificateChain,
+    verifyCertificateKeyMatches,
+    verifyTrue
+} from "../checks.js";
+import {
+    decodeDer,
+    decodeInteger,
+    tagClasses,
+    tags
+} from "../../asn1.js";
+import { VerificationError } from "../../../classes/WebAuthnError.js";
+import { oids } from "../../x509.js";
+
+const path = "attestationObject.attStmt";
+
+// tags of the AuthorizationList and their values, see the Android key attestation documentation
+const kmTagPurpose = 1;
+const kmTagAllApplications = 600;
+const kmTagOrigin = 702;
+const kmPurposeSign = 2;
+const kmOriginGenerated = 0;
+
+/**
+ * Verifies an "android-key" attestation statement (WebAuthn section 8.4), which is created by the Android
+ * hardware-backed keystore.
+ *
+ * @param {Map} attStmt The attestation statement
+ * @param {Object} ctx The `authData` (ArrayBuffer), parsed `authnrData` and `clientDataHash` (ArrayBuffer) of the attestation
+ * @return {Promise.<Object>} Resolves to the `attestationType` ("basic") and `trustPath` (the `x5c` certificates)
+ * of the attestation
+ */
+export function verifyAndroidKeyAttestation(attStmt, ctx) {
+    var alg = attStmt.get("alg");
+    var sig = attStmt.get("sig");
+
+    verifyTrue(Number.isInteger(alg), "expected android-key attStmt to have an 'alg'", path + ".alg");
+    verifyTrue(sig instanceof ArrayBuffer, "expected android-key attStmt to have a 'sig'", path + ".sig");
+
+    var certs = parseX5c(attStmt.get("x5c"), path + ".x5c");
+    verifyKeyDescription(certs[0], ctx.clientDataHash);
+
+    return importCertificateKey(certs[0], alg, path + ".x5c")
+        .then((key) => verifyAttestationSignature(alg, key, sig, concatBuffers(ctx.authData, ctx.clientDataHash), path + ".sig"))
+        .then(() => verifyCertificateKeyMatches(certs[0], ctx.authnrData.credentialPublicKey, path + ".x5c"))
+        .then(() => verifyCertificateChain(certs, path + ".x5c"))
+        .then(() => ({
+            attestationType: "basic",
+            trustPath: attStmt.get("x5c")
+        }));
+}
+
+// checks the key description extension of the attestation certificate (WebAuthn section 8.4.1)
+function verifyKeyDescription(cert, clientDataHash) {
+    var certPath = path + ".x5c";
+    var ext = cert.extensions.get(oids.androidKeyDescription);
+    verifyTrue(!!ext, "expected android-key attestation certificate to have a key description extension", certPath);
+
+    var keyDescription, challenge, softwareEnforced, teeEnforced;
+    try {
+        // attestationVersion, attestationSecurityLevel, keymasterVersion, keymasterSecurityLevel,
+        // attestationChallenge, uniqueId, softwareEnforced and teeEnforced
+        keyDescription = decodeDer(ext.value);
+        if (keyDescription.tag !== tags.SEQUENCE || !keyDescription.children || keyDescription.children.length < 8) {
+            throw new Error("expected key description to be a SEQUENCE of 8 values");
+        }
+        challenge = keyDescription.children[4];
+        softwareEnforced = parseAuthorizationList(keyDescription.children[6]);
+        teeEnforced = parseAuthorizationList(keyDescription.children[7]);
+    } catch (err) {
+        throw new VerificationError("couldn't decode android-key key description: " + err.message, certPath);
+    }
+
+    verifyTrue(
+        challenge.tag === tags.OCTET_STRING && abEqual(challenge.contents, clientDataHash),
+        "android-key attestation challenge doesn't match the client data hash",
+        certPath
+    );
+
+    verifyTrue(
+        !softwareEnforced.has(kmTagAllApplications) && !teeEnforced.has(kmTagAllApplications),
+        "expected android-key to be scoped to the relying party, but it is allowed for all applications",
+        certPath
+    );
+
+    // keys that are only enforced by software are accepted as well as keys in a trusted execution environment
+    var origin = teeEnforced.has(kmTagOrigin) ? teeEnforced.get(kmTagOrigin) : softwareEnforced.get(kmTagOrigin);
+    verifyTrue(
+        !!origin && decodeInteger(origin.contents) === kmOriginGenerated,
+        "expected android-key origin to be KM_ORIGIN_GENERATED",
+        certPath
+    );
+
+    var purposes = [softwareEnforced.get(kmTagPurpose), teeEnforced.get(kmTagPurpose)]
+        .filter((purpose) => purpose && purpose.children)
+        .reduce((list, purpose) => list.concat(purpose.children.map((node) => decodeInteger(node.contents))), []);
+    verifyTrue(purposes.indexOf(kmPurposeSign) !== -1, "expected android-key purpose to include KM_PURPOSE_SIGN", certPath);
+}
+
+// the AuthorizationList is a SEQUENCE of explicitly tagged values, returned as a Map of tag number to value
+function parseAuthorizationList(list) {
+    if (!list || list.tag !== tags.SEQUENCE) throw new Error("expected authorization list to be a SEQUENCE");
+
+    return new Map(list.children
+        .filter((node) => node.tagClass === tagClasses.CONTEXT)
+        .map((node) => [node.tag, node.children[0]]));
+}
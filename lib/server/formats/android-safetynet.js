@@ -0,0 +1,102 @@
+import {
+    abEqual,
+    concatBuffers,
+    importCertificateKey,
+    parseX5c,
+    verifyCertificateChain,
+    verifyTrue
+} from "../checks.js";
+import {
+    getAlgorithm,
+    getWebCrypto,
+    sha256
+} from "../../crypto.js";
+import { VerificationError } from "../../../classes/WebAuthnError.js";
+import { coerceToArrayBuffer } from "../../utils.js";
+
+const path = "attestationObject.attStmt";
+
+// JWS algorithms and the matching COSE algorithms
+const jwsAlgorithms = new Map([
+    ["ES256", -7],
+    ["RS256", -257]
+]);
+
+/**
+ * Verifies an "android-safetynet" attestation statement (WebAuthn section 8.5), which is a JSON Web Signature
+ * created by the SafetyNet API of Android.
+ *
+ * The `timestampMs` of the SafetyNet response isn't checked, since how old a response may be is up to the server.
+ *
+ * @param {Map} attStmt The attestation statement
+ * @param {Object} ctx The `authData` (ArrayBuffer), parsed `authnrData` and `clientDataHash` (ArrayBuffer) of the attestation
+ * @return {Promise.<Object>} Resolves to the `attestationType` ("basic") and `trustPath` (the DER encoded
+ * certificates from the JWS header) of the attestation
+ */
+export function verifyAndroidSafetyNetAttestation(attStmt, ctx) {
+    var response = attStmt.get("response");
+
+    verifyTrue(typeof attStmt.get("ver") === "string" && attStmt.get("ver").length > 0, "expected android-safetynet attStmt to have a 'ver'", path + ".ver");
+    verifyTrue(response instanceof ArrayBuffer, "expected android-safetynet attStmt to have a 'response'", path + ".response");
+
+    var jws = parseJws(new TextDecoder("utf-8").decode(response));
+    var alg = jwsAlgorithms.get(jws.header.alg);
+    verifyTrue(!!alg, "unsupported android-safetynet JWS algorithm: " + jws.header.alg, path + ".response");
+
+    var x5c;
+    try {
+        x5c = jws.header.x5c.map((cert) => coerceToArrayBuffer(cert, "x5c"));
+    } catch (err) {
+        throw new VerificationError("expected android-safetynet JWS header to have an 'x5c'", path + ".response");
+    }
+
+    var certs = parseX5c(x5c, path + ".response");
+    verifyTrue(
+        certs[0].subject.get("CN") === "attest.android.com",
+        "expected android-safetynet certificate to be issued to attest.android.com, got: " + certs[0].subject.get("CN"),
+        path + ".response"
+    );
+    verifyTrue(jws.payload.ctsProfileMatch === true, "expected android-safetynet 'ctsProfileMatch' to be true", path + ".response");
+
+    return sha256(concatBuffers(ctx.authData, ctx.clientDataHash))
+        .then((hash) => {
+            var nonce = jws.payload.nonce;
+            verifyTrue(
+                typeof nonce === "string" && abEqual(coerceToArrayBuffer(nonce, "nonce"), hash),
+                "android-safetynet 'nonce' doesn't match the attestation",
+                path + ".response"
+            );
+
+            return importCertificateKey(certs[0], alg, path + ".response");
+        })
+        // JWS signatures are already in the raw format of WebCrypto
+        .then((key) => getWebCrypto().subtle.verify(getAlgorithm(alg).verifyParams, key, jws.signature, jws.signedData))
+        .catch((err) => {
+            if (err instanceof VerificationError) throw err;
+            throw new VerificationError("couldn't verify android-safetynet signature: " + err.message, path + ".response");
+        })
+        .then((valid) => {
+            verifyTrue(valid, "android-safetynet signature is invalid", path + ".response");
+            return verifyCertificateChain(certs, path + ".response");
+        })
+        .then(() => ({
+            attestationType: "basic",
+            trustPath: x5c
+        }));
+}
+
+function parseJws(str) {
+    var parts = str.split(".");
+    verifyTrue(parts.length === 3, "expected android-safetynet 'response' to be a JWS", path + ".response");
+
+    try {
+        return {
+            header: JSON.parse(new TextDecoder("utf-8").decode(coerceToArrayBuffer(parts[0], "header"))),
+            payload: JSON.parse(new TextDecoder("utf-8").decode(coerceToArrayBuffer(parts[1], "payload"))),
+            signature: coerceToArrayBuffer(parts[2], "signature"),
+            signedData: new TextEncoder().encode(parts[0] + "." + parts[1])
+        };
+    } catch (err) {
+        throw new VerificationError("couldn't decode android-safetynet JWS: " + err.message, path + ".response");
+    }
+}
@@ -0,0 +1,62 @@
+import {
+    abEqual,
+    concatBuffers,
+    parseX5c,
+    verifyCertificateChain,
+    verifyCertificateKeyMatches,
+    verifyTrue
+} from "../checks.js";
+import {
+    decodeDer,
+    tagClasses,
+    tags
+} from "../../asn1.js";
+import { VerificationError } from "../../../classes/WebAuthnError.js";
+import { oids } from "../../x509.js";
+import { sha256 } from "../../crypto.js";
+
+const path = "attestationObject.attStmt";
+
+/**
+ * Verifies an "apple" attestation statement (WebAuthn section 8.8), which is the anonymous attestation of
+ * Apple devices.
+ *
+ * @param {Map} attStmt The attestation statement
+ * @param {Object} ctx The `authData` (ArrayBuffer), parsed `authnrData` and `clientDataHash` (ArrayBuffer) of the attestation
+ * @return {Promise.<Object>} Resolves to the `attestationType` ("anonca") and `trustPath` (the `x5c` certificates)
+ * of the attestation
+ */
+export function verifyAppleAttestation(attStmt, ctx) {
+    var certs = parseX5c(attStmt.get("x5c"), path + ".x5c");
+    var nonce = getNonce(certs[0]);
+
+    return sha256(concatBuffers(ctx.authData, ctx.clientDataHash))
+        .then((hash) => {
+            verifyTrue(abEqual(nonce, hash), "apple attestation nonce doesn't match the attestation", path + ".x5c");
+
+            return verifyCertificateKeyMatches(certs[0], ctx.authnrData.credentialPublicKey, path + ".x5c");
+        })
+        .then(() => verifyCertificateChain(certs, path + ".x5c"))
+        .then(() => ({
+            attestationType: "anonca",
+            trustPath: attStmt.get("x5c")
+        }));
+}
+
+// the nonce extension is a SEQUENCE with the nonce as an OCTET STRING, explicitly tagged [1]
+function getNonce(cert) {
+    var ext = cert.extensions.get(oids.appleNonce);
+    verifyTrue(!!ext, "expected apple attestation certificate to have a nonce extension", path + ".x5c");
+
+    var nonce;
+    try {
+        nonce = decodeDer(ext.value).children
+            .find((node) => node.tagClass === tagClasses.CONTEXT && node.tag === 1)
+            .children[0];
+    } catch (err) {
+        throw new VerificationError("couldn't decode apple attestation nonce: " + err.message, path + ".x5c");
+    }
+
+    verifyTrue(!!nonce && nonce.tag === tags.OCTET_STRING, "expected apple attestation nonce to be an OCTET STRING", path + ".x5c");
+    return nonce.contents;
+}
@@ -0,0 +1,65 @@
+import {
+    concatBuffers,
+    importCertificateKey,
+    parseX5c,
+    verifyAttestationSignature,
+    verifyTrue
+} from "../checks.js";
+import { oids } from "../../x509.js";
+
+const path = "attestationObject.attStmt";
+
+// COSE labels of the EC2 credential public key
+const coseKeyType = 1;
+const coseEc2Crv = -1;
+const coseEc2X = -2;
+const coseEc2Y = -3;
+
+/**
+ * Verifies a "fido-u2f" attestation statement (WebAuthn section 8.6), which is created by authenticators that
+ * only implement the FIDO U2F protocol.
+ *
+ * @param {Map} attStmt The attestation statement
+ * @param {Object} ctx The `authData` (ArrayBuffer), parsed `authnrData` and `clientDataHash` (ArrayBuffer) of the attestation
+ * @return {Promise.<Object>} Resolves to the `attestationType` ("basic") and `trustPath` (the `x5c` certificate)
+ * of the attestation
+ */
+export function verifyFidoU2fAttestation(attStmt, ctx) {
+    var sig = attStmt.get("sig");
+    var x5c = attStmt.get("x5c");
+
+    verifyTrue(sig instanceof ArrayBuffer, "expected fido-u2f attStmt to have a 'sig'", path + ".sig");
+    verifyTrue(Array.isArray(x5c) && x5c.length === 1, "expected fido-u2f attStmt to have exactly one certificate in 'x5c'", path + ".x5c");
+
+    var cert = parseX5c(x5c, path + ".x5c")[0];
+    verifyTrue(
+        cert.publicKeyAlgorithm === oids.ecPublicKey && cert.namedCurve === "P-256",
+        "expected fido-u2f attestation certificate to have a P-256 public key",
+        path + ".x5c"
+    );
+
+    var key = ctx.authnrData.credentialPublicKey;
+    verifyTrue(
+        key.get(coseKeyType) === 2 && key.get(coseEc2Crv) === 1,
+        "expected fido-u2f credential public key to be an EC2 P-256 key",
+        "authnrData.credentialPublicKey"
+    );
+
+    // the U2F registration response format, with the public key as an uncompressed point
+    var verificationData = concatBuffers(
+        new Uint8Array([0x00]),
+        ctx.authnrData.rpIdHash,
+        ctx.clientDataHash,
+        ctx.authnrData.credId,
+        new Uint8Array([0x04]),
+        key.get(coseEc2X),
+        key.get(coseEc2Y)
+    );
+
+    return importCertificateKey(cert, -7, path + ".x5c")
+        .then((certKey) => verifyAttestationSignature(-7, certKey, sig, verificationData, path + ".sig"))
+        .then(() => ({
+            attestationType: "basic",
+            trustPath: x5c
+        }));
+}
@@ -0,0 +1,16 @@
+import { verifyTrue } from "../checks.js";
+
+/**
+ * Verifies a "none" attestation statement (WebAuthn section 8.7), which must be empty.
+ *
+ * @param {Map} attStmt The attestation statement
+ * @return {Object} The `attestationType` ("none") and empty `trustPath` of the attestation
+ */
+export function verifyNoneAttestation(attStmt) {
+    verifyTrue(attStmt.size === 0, "expected attStmt to be empty for 'none' attestation", "attestationObject.attStmt");
+
+    return {
+        attestationType: "none",
+        trustPath: []
+    };
+}
@@ -0,0 +1,83 @@
+import {
+    concatBuffers,
+    importCertificateKey,
+    parseX5c,
+    verifyAaguidExtension,
+    verifyAttestationSignature,
+    verifyCertificateChain,
+    verifyTrue
+} from "../checks.js";
+import { VerificationError } from "../../../classes/WebAuthnError.js";
+import { coseToCryptoKey } from "../../cose.js";
+
+const path = "attestationObject.attStmt";
+
+/**
+ * Verifies a "packed" attestation statement (WebAuthn section 8.2).
+ *
+ * @param {Map} attStmt The attestation statement
+ * @param {Object} ctx The `authData` (ArrayBuffer), parsed `authnrData` and `clientDataHash` (ArrayBuffer) of the attestation
+ * @return {Promise.<Object>} Resolves to the `attestationType` ("basic" for attestation certificates, or "self")
+ * and `trustPath` (the `x5c` certificates) of the attestation
+ */
+export function verifyPackedAttestation(attStmt, ctx) {
+    var alg = attStmt.get("alg");
+    var sig = attStmt.get("sig");
+
+    verifyTrue(Number.isInteger(alg), "expected packed attStmt to have an 'alg'", path + ".alg");
+    verifyTrue(sig instanceof ArrayBuffer, "expected packed attStmt to have a 'sig'", path + ".sig");
+    verifyTrue(!attStmt.has("ecdaaKeyId"), "ECDAA attestation isn't supported", path + ".ecdaaKeyId");
+
+    var signedData = concatBuffers(ctx.authData, ctx.clientDataHash);
+
+    if (!attStmt.has("x5c")) {
+        return verifySelfAttestation(alg, sig, signedData, ctx.authnrData);
+    }
+
+    var certs = parseX5c(attStmt.get("x5c"), path + ".x5c");
+    verifyAttestationCertificate(certs[0], ctx.authnrData);
+
+    return importCertificateKey(certs[0], alg, path + ".x5c")
+        .then((key) => verifyAttestationSignature(alg, key, sig, signedData, path + ".sig"))
+        .then(() => verifyCertificateChain(certs, path + ".x5c"))
+        .then(() => ({
+            // without metadata about the authenticator, basic and attestation CA attestation look the same
+            attestationType: "basic",
+            trustPath: attStmt.get("x5c")
+        }));
+}
+
+function verifySelfAttestation(alg, sig, signedData, authnrData) {
+    verifyTrue(
+        alg === authnrData.credentialPublicKey.get(3),
+        "expected 'alg' of self attestation to match the credential public key, got: " + alg,
+        path + ".alg"
+    );
+
+    return coseToCryptoKey(authnrData.credentialPublicKey)
+        .catch((err) => {
+            throw new VerificationError("couldn't import credential public key: " + err.message, "authnrData.credentialPublicKey");
+        })
+        .then((key) => verifyAttestationSignature(alg, key, sig, signedData, path + ".sig"))
+        .then(() => ({
+            attestationType: "self",
+            trustPath: []
+        }));
+}
+
+// checks the requirements for packed attestation certificates (WebAuthn section 8.2.1)
+function verifyAttestationCertificate(cert, authnrData) {
+    var certPath = path + ".x5c";
+
+    verifyTrue(cert.version === 3, "expected attestation certificate to be version 3, got: " + cert.version, certPath);
+    verifyTrue((/^[A-Z]{2}$/).test(cert.subject.get("C")), "expected attestation certificate subject to have a country (C)", certPath);
+    verifyTrue(!!cert.subject.get("O"), "expected attestation certificate subject to have an organization (O)", certPath);
+    verifyTrue(
+        cert.subject.get("OU") === "Authenticator Attestation",
+        "expected attestation certificate subject organizational unit (OU) to be 'Authenticator Attestation', got: " + cert.subject.get("OU"),
+        certPath
+    );
+    verifyTrue(!!cert.subject.get("CN"), "expected attestation certificate subject to have a common name (CN)", certPath);
+    verifyTrue(!cert.basicConstraints || !cert.basicConstraints.ca, "expected attestation certificate not to be a CA", certPath);
+    verifyAaguidExtension(cert, authnrData.aaguid, certPath);
+}
@@ -0,0 +1,258 @@
+import {
+    abEqual,
+    concatBuffers,
+    importCertificateKey,
+    parseX5c,
+    verifyAaguidExtension,
+    verifyAttestationSignature,
+    verifyCertificateChain,
+    verifyTrue
+} from "../checks.js";
+import {
+    decodeDer,
+    decodeOid,
+    tags
+} from "../../asn1.js";
+import {
+    digest,
+    getAlgorithm
+} from "../../crypto.js";
+import { VerificationError } from "../../../classes/WebAuthnError.js";
+import { oids } from "../../x509.js";
+
+const path = "attestationObject.attStmt";
+
+// constants from the TPM 2.0 specification, part 2
+const tpmGeneratedValue = 0xff544347;
+const tpmStAttestCertify = 0x8017;
+const tpmAlgRsa = 0x0001;
+const tpmAlgEcc = 0x0023;
+
+const tpmHashAlgs = new Map([
+    [0x0004, "SHA-1"],
+    [0x000B, "SHA-256"],
+    [0x000C, "SHA-384"],
+    [0x000D, "SHA-512"]
+]);
+
+// TPM curve ids and the matching COSE curves
+const tpmCurves = new Map([
+    [0x0003, 1], // P-256
+    [0x0004, 2], // P-384
+    [0x0005, 3] // P-521
+]);
+
+/**
+ * Verifies a "tpm" attestation statement (WebAuthn section 8.3), which is created by authenticators that use a
+ * Trusted Platform Module, such as Windows Hello.
+ *
+ * @param {Map} attStmt The attestation statement
+ * @param {Object} ctx The `authData` (ArrayBuffer), parsed `authnrData` and `clientDataHash` (ArrayBuffer) of the attestation
+ * @return {Promise.<Object>} Resolves to the `attestationType` ("attca") and `trustPath` (the `x5c` certificates)
+ * of the attestation
+ */
+export function verifyTpmAttestation(attStmt, ctx) {
+    var alg = attStmt.get("alg");
+    var sig = attStmt.get("sig");
+    var certInfoBuf = attStmt.get("certInfo");
+    var pubAreaBuf = attStmt.get("pubArea");
+
+    verifyTrue(attStmt.get("ver") === "2.0", "expected tpm attStmt 'ver' to be '2.0', got: " + attStmt.get("ver"), path + ".ver");
+    verifyTrue(Number.isInteger(alg), "expected tpm attStmt to have an 'alg'", path + ".alg");
+    verifyTrue(sig instanceof ArrayBuffer, "expected tpm attStmt to have a 'sig'", path + ".sig");
+    verifyTrue(certInfoBuf instanceof ArrayBuffer, "expected tpm attStmt to have a 'certInfo'", path + ".certInfo");
+    verifyTrue(pubAreaBuf instanceof ArrayBuffer, "expected tpm attStmt to have a 'pubArea'", path + ".pubArea");
+    verifyTrue(!attStmt.has("ecdaaKeyId"), "ECDAA attestation isn't supported", path + ".ecdaaKeyId");
+
+    var pubArea = parseTpmStructure(parsePubArea, pubAreaBuf, path + ".pubArea");
+    verifyPubAreaKey(pubArea, ctx.authnrData.credentialPublicKey);
+
+    var certInfo = parseTpmStructure(parseCertInfo, certInfoBuf, path + ".certInfo");
+    verifyTrue(certInfo.magic === tpmGeneratedValue, "expected tpm certInfo 'magic' to be TPM_GENERATED_VALUE", path + ".certInfo");
+    verifyTrue(certInfo.type === tpmStAttestCertify, "expected tpm certInfo 'type' to be TPM_ST_ATTEST_CERTIFY", path + ".certInfo");
+
+    // the name is the hash of pubArea with its nameAlg, so the algorithm of the name can't be chosen by itself
+    verifyTrue(
+        certInfo.nameAlg === pubArea.nameAlg,
+        "tpm certInfo 'name' algorithm doesn't match the 'nameAlg' of 'pubArea'",
+        path + ".certInfo"
+    );
+    var nameHash = tpmHashAlgs.get(pubArea.nameAlg);
+    verifyTrue(!!nameHash, "unsupported tpm name algorithm: " + pubArea.nameAlg, path + ".pubArea");
+
+    var hash;
+    try {
+        hash = getAlgorithm(alg).hash;
+    } catch (err) {
+        throw new VerificationError(err.message, path + ".alg");
+    }
+    verifyTrue(!!hash, "unsupported tpm 'alg': " + alg, path + ".alg");
+
+    var certs = parseX5c(attStmt.get("x5c"), path + ".x5c");
+    verifyAikCertificate(certs[0], ctx.authnrData);
+
+    return Promise.all([
+        digest(hash, concatBuffers(ctx.authData, ctx.clientDataHash)),
+        digest(nameHash, pubAreaBuf)
+    ])
+        .then((res) => {
+            verifyTrue(abEqual(certInfo.extraData, res[0]), "tpm certInfo 'extraData' doesn't match the attestation", path + ".certInfo");
+            verifyTrue(abEqual(certInfo.name.slice(2), res[1]), "tpm certInfo 'name' doesn't match 'pubArea'", path + ".certInfo");
+
+            return importCertificateKey(certs[0], alg, path + ".x5c");
+        })
+        .then((key) => verifyAttestationSignature(alg, key, sig, certInfoBuf, path + ".sig"))
+        .then(() => verifyCertificateChain(certs, path + ".x5c"))
+        .then(() => ({
+            attestationType: "attca",
+            trustPath: attStmt.get("x5c")
+        }));
+}
+
+// a cursor for reading the big-endian TPM structures
+function tpmReader(buf) {
+    var view = new DataView(buf);
+    var offset = 0;
+
+    function check(len) {
+        if (offset + len > buf.byteLength) throw new Error("unexpected end of data");
+    }
+
+    return {
+        uint16() {
+            check(2);
+            offset += 2;
+            return view.getUint16(offset - 2);
+        },
+        uint32() {
+            check(4);
+            offset += 4;
+            return view.getUint32(offset - 4);
+        },
+        bytes(len) {
+            check(len);
+            offset += len;
+            return buf.slice(offset - len, offset);
+        },
+        // a TPM2B structure, which is a 16 bit size followed by the data
+        sized() {
+            return this.bytes(this.uint16());
+        },
+        done() {
+            if (offset !== buf.byteLength) throw new Error("unexpected data after the end of the structure");
+        }
+    };
+}
+
+function parseTpmStructure(parse, buf, structPath) {
+    try {
+        var reader = tpmReader(buf);
+        var ret = parse(reader);
+        reader.done();
+        return ret;
+    } catch (err) {
+        throw new VerificationError("couldn't parse tpm structure: " + err.message, structPath);
+    }
+}
+
+// TPMT_PUBLIC
+function parsePubArea(reader) {
+    var ret = {
+        type: reader.uint16(),
+        nameAlg: reader.uint16(),
+        objectAttributes: reader.uint32(),
+        authPolicy: reader.sized()
+    };
+
+    switch (ret.type) {
+        case tpmAlgRsa:
+            ret.symmetric = reader.uint16();
+            ret.scheme = reader.uint16();
+            ret.keyBits = reader.uint16();
+            ret.exponent = reader.uint32();
+            ret.n = reader.sized();
+            break;
+        case tpmAlgEcc:
+            ret.symmetric = reader.uint16();
+            ret.scheme = reader.uint16();
+            ret.curveId = reader.uint16();
+            ret.kdf = reader.uint16();
+            ret.x = reader.sized();
+            ret.y = reader.sized();
+            break;
+        default:
+            throw new Error("unsupported key type: " + ret.type);
+    }
+
+    return ret;
+}
+
+// TPMS_ATTEST with TPMS_CERTIFY_INFO
+function parseCertInfo(reader) {
+    var ret = {
+        magic: reader.uint32(),
+        type: reader.uint16(),
+        qualifiedSigner: reader.sized(),
+        extraData: reader.sized(),
+        // TPMS_CLOCK_INFO: clock (8 bytes), resetCount (4), restartCount (4) and safe (1)
+        clockInfo: reader.bytes(17),
+        firmwareVersion: reader.bytes(8),
+        name: reader.sized(),
+        qualifiedName: reader.sized()
+    };
+
+    ret.nameAlg = (ret.name.byteLength >= 2) ? new DataView(ret.name).getUint16(0) : undefined;
+    return ret;
+}
+
+function verifyPubAreaKey(pubArea, key) {
+    var keyPath = path + ".pubArea";
+
+    if (pubArea.type === tpmAlgRsa) {
+        // an exponent of zero means the default exponent of 65537
+        var exponent = pubArea.exponent || 65537;
+        var e = new Uint8Array(key.get(-2) || []).reduce((n, b) => (n * 256) + b, 0);
+
+        verifyTrue(key.get(1) === 3, "expected credential public key to be an RSA key to match tpm 'pubArea'", keyPath);
+        verifyTrue(abEqual(pubArea.n, key.get(-1)), "tpm 'pubArea' modulus doesn't match credential public key", keyPath);
+        verifyTrue(exponent === e, "tpm 'pubArea' exponent doesn't match credential public key", keyPath);
+        return;
+    }
+
+    verifyTrue(key.get(1) === 2, "expected credential public key to be an EC2 key to match tpm 'pubArea'", keyPath);
+    verifyTrue(tpmCurves.get(pubArea.curveId) === key.get(-1), "tpm 'pubArea' curve doesn't match credential public key", keyPath);
+    verifyTrue(
+        abEqual(pubArea.x, key.get(-2)) && abEqual(pubArea.y, key.get(-3)),
+        "tpm 'pubArea' point doesn't match credential public key",
+        keyPath
+    );
+}
+
+// checks the requirements for TPM attestation identity key certificates (WebAuthn section 8.3.1)
+function verifyAikCertificate(cert, authnrData) {
+    var certPath = path + ".x5c";
+
+    verifyTrue(cert.version === 3, "expected AIK certificate to be version 3, got: " + cert.version, certPath);
+    verifyTrue(cert.subject.size === 0, "expected AIK certificate subject to be empty", certPath);
+    verifyTrue(cert.extensions.has(oids.subjectAltName), "expected AIK certificate to have a subject alternative name", certPath);
+    verifyTrue(
+        getExtendedKeyUsage(cert).indexOf(oids.tcgKpAikCertificate) !== -1,
+        "expected AIK certificate extended key usage to include tcg-kp-AIKCertificate",
+        certPath
+    );
+    verifyTrue(!cert.basicConstraints || !cert.basicConstraints.ca, "expected AIK certificate not to be a CA", certPath);
+    verifyAaguidExtension(cert, authnrData.aaguid, certPath);
+}
+
+function getExtendedKeyUsage(cert) {
+    var ext = cert.extensions.get(oids.extKeyUsage);
+    if (!ext) return [];
+
+    try {
+        return decodeDer(ext.value).children
+            .filter((node) => node.tag === tags.OBJECT_IDENTIFIER)
+            .map((node) => decodeOid(node.contents));
+    } catch (err) {
+        throw new VerificationError("couldn't decode extended key usage of AIK certificate: " + err.message, path + ".x5c");
+    }
+}
@@ -0,0 +1,481 @@
+import * as defaultRoutes from "../default-routes.js";
+import {
+    ValidationError,
+    VerificationError
+} from "../../classes/WebAuthnError.js";
+import {
+    buildCreateOptions,
+    buildGetOptions
+} from "./options.js";
+import {
+    checkFormat,
+    checkTrue
+} from "../input-validation.js";
+import {
+    coerceToBase64Url,
+    copyPropList
+} from "../utils.js";
+import { ChallengeService } from "./challenges.js";
+import { CreateOptionsRequest } from "../../classes/CreateOptionsRequest.js";
+import { CredentialAssertion } from "../../classes/CredentialAssertion.js";
+import { CredentialAttestation } from "../../classes/CredentialAttestation.js";
+import { GetOptionsRequest } from "../../classes/GetOptionsRequest.js";
+import { MemoryCredentialRepository } from "./credentials.js";
+import { ServerResponse } from "../../classes/ServerResponse.js";
+import { verifyAssertion } from "./assertion.js";
+import { verifyAttestation } from "./attestation.js";
+import { verifyTrue } from "./checks.js";
+
+const routeHandlers = {
+    attestationOptions: attestationOptions,
+    attestationResult: attestationResult,
+    assertionOptions: assertionOptions,
+    assertionResult: assertionResult
+};
+// the methods that WebAuthnApp#send() supports
+const methods = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+// the properties of the request messages that are objects
+const objectProperties = ["authenticatorSelection", "extensions", "response", "getClientExtensionResults"];
+
+/**
+ * Creates the framework-neutral core of the default routes: a function that answers the four requests that
+ * {@link WebAuthnApp} sends for registration and log in (see `WebAuthnHelpers.defaultRoutes`). Requests are parsed
+ * into their {@link Msg} classes and validated, the responses of the browser are verified with
+ * {@link verifyAttestation} and {@link verifyAssertion}, and the answers are {@link CreateOptions},
+ * {@link GetOptions} or {@link ServerResponse} messages. Invalid requests and failed verifications are answered with
+ * a 400 `ServerResponse` that has a `status` of "failed"; other errors are rejected.
+ *
+ * The adapters for node `http`, Express / Connect, Fastify and Koa (see {@link createRouter}) are built on this,
+ * and it can be called directly to use other frameworks or to test the routes without a network.
+ *
+ * @param {Object} opts Options for the routes
+ * @param {Object} opts.rp The relying party of the {@link CreateOptions}, with a `name` and optionally an `id`
+ * @param {String|Array.<String>} opts.origin The origin or origins that the browser may register and log in from,
+ * see {@link verifyAttestation}
+ * @param {String} [opts.rpId] The relying party ID. Defaults to `opts.rp.id`, or the host name of the first origin.
+ * @param {String|Array.<String>} [opts.topOrigin] The allowed top-level origins for cross-origin iframes
+ * @param {Function} opts.getUser Called with the `username` and the context of the request; returns (or resolves
+ * to) the user, which has an `id` (the base64url encoded user handle), a `name` and a `displayName`, or `null` if
+ * there is no such user
+ * @param {Function} [opts.getSessionUser] Called with the context of the request; returns (or resolves to) the user
+ * that is logged in on the session, with an `id`, or `null`. A user that `getUser` finds can only register another
+ * credential from a session that is logged in as that user; without this hook, only new users can register.
+ * @param {Function} [opts.createUser] Called with a new user (with a random `id`, the `name` and the `displayName`)
+ * and the context once the first credential of an unknown user was verified; returns (or resolves to) the saved
+ * user, which must keep the `id`. It should fail if the `name` was taken in the meantime. Without it, new users
+ * can't register.
+ * @param {Function} [opts.onRegister] Called with the stored credential, the user and the context after a
+ * credential was registered
+ * @param {Function} [opts.onLogin] Called with the stored credential and the context after a user logged in, e.g.
+ * to remember the `userHandle` of the credential in the session
+ * @param {Function} [opts.getSession] Returns the session id for the context of a request. Defaults to the
+ * `sessionID` or `session.id` (as set by `express-session`) or the `session.sessionId` (as set by
+ * `@fastify/session`) of the context.
+ * @param {Object} [opts.credentials] The credential repository, see {@link MemoryCredentialRepository}. Defaults
+ * to a new `MemoryCredentialRepository`.
+ * @param {ChallengeService} [opts.challenges] The challenge service. Defaults to a new {@link ChallengeService}.
+ * @param {Number} [opts.timeout] The `timeout` of the options in milliseconds, defaults to 60000
+ * @param {Array.<Number>} [opts.algorithms] The COSE algorithms of the `pubKeyCredParams`, defaults to ES256
+ * and RS256
+ * @param {String} [opts.attestation] The attestation conveyance preference, defaults to "none"
+ * @param {Array.<String>} [opts.allowedAttestation] The attestation conveyance preferences that the browser may
+ * ask for, defaults to only `opts.attestation`
+ * @param {String} [opts.residentKey] The resident key requirement of the {@link CreateOptions}, defaults to
+ * "discouraged"
+ * @param {String} [opts.authenticatorAttachment] "platform" or "cross-platform" to only allow one kind of
+ * authenticator to register
+ * @param {String} [opts.userVerification] The user verification requirement of the {@link CreateOptions} and
+ * {@link GetOptions}, defaults to "preferred". If it is "required", registrations and log ins without user
+ * verification fail.
+ * @param {Object} [opts.extensions] The `extensions` of the {@link CreateOptions}
+ * @param {Object} [opts.routes] Paths that replace the default routes, with the same names as
+ * `WebAuthnHelpers.defaultRoutes` (e.g. `{ attestationOptions: "/register/options" }`)
+ * @param {Object} [opts.methods] The HTTP methods of the routes, with the same names as `opts.routes`, which must
+ * match the `registerChallengeMethod`, `registerResponseMethod`, `loginChallengeMethod` and `loginResponseMethod`
+ * of {@link WebAuthnApp}. Each is "GET", "POST", "PUT", "PATCH" or "DELETE" and defaults to "POST".
+ * @return {Function} The handler, `function(request, context)`:
+ * - `request` (Object): the `method`, `path` (which may have a query string), `headers` and `body` of the
+ * request. The `body` may be an already parsed `Object`, or a JSON `String` or `Uint8Array` (e.g. a `Buffer`).
+ * - `context` (any, optional): what the hooks are called with, such as the request object of the framework.
+ * Defaults to `request`.
+ *
+ * It returns a `Promise` that resolves to the response, an `Object` with a numeric `status`, an `Object` of
+ * `headers` and a JSON `String` `body`, or to `null` if the request isn't for one of the routes. The `routes`,
+ * `methods`, `credentials` and `challenges` properties of the handler are the paths, HTTP methods, repository and
+ * challenge service that it uses.
+ */
+export function createHandler(opts) {
+    var config = checkHandlerOptions(opts);
+
+    var routes = new Map();
+    Object.keys(routeHandlers).forEach((name) => {
+        routes.set(config.methods[name] + " " + config.routes[name], routeHandlers[name]);
+    });
+
+    function handle(request, context) {
+        if (context === undefined) context = request;
+
+        var [path, query] = (request.path || "").split("?");
+        var route = routes.get(request.method + " " + path);
+        if (!route) return Promise.resolve(null);
+
+        return Promise.resolve()
+            // GET requests don't have a body, so WebAuthnApp sends the message in the query string
+            .then(() => route(config, (request.method === "GET") ? parseQuery(query) : parseBody(request.body), context))
+            .then((msg) => {
+                msg.encodeBinaryProperties();
+                try {
+                    msg.validate();
+                } catch (err) {
+                    // not the fault of the browser, e.g. a user without a displayName
+                    throw new Error("invalid " + msg.constructor.name + " response: " + err.message);
+                }
+
+                return toResponse(200, msg);
+            }, (err) => {
+                if (err instanceof ValidationError || err instanceof VerificationError) {
+                    return toResponse(400, failedResponse(err.message));
+                }
+
+                throw err;
+            });
+    }
+
+    handle.routes = config.routes;
+    handle.methods = config.methods;
+    handle.credentials = config.credentials;
+    handle.challenges = config.challenges;
+
+    return handle;
+}
+
+/**
+ * Builds a response with a "failed" {@link ServerResponse}, for adapters that answer requests the handler didn't.
+ *
+ * @param {Number} status The HTTP status code
+ * @param {String} message The `errorMessage`
+ * @return {Object} The response, with a `status`, `headers` and `body`
+ */
+export function failedHandlerResponse(status, message) {
+    return toResponse(status, failedResponse(message));
+}
+
+function attestationOptions(config, body, context) {
+    var request, user;
+
+    return Promise.resolve()
+        .then(() => {
+            request = CreateOptionsRequest.from(body);
+            request.validate();
+
+            return config.getUser(request.username, context);
+        })
+        .then((found) => {
+            if (found) {
+                user = checkUser(found);
+                return checkSessionUser(config, user, context);
+            }
+
+            // new users are only created once their first credential is verified, see attestationResult()
+            verifyTrue(!!config.createUser, "user not found: " + request.username, "username");
+        })
+        .then(() => buildCreateOptions(request, config, {
+            user: user,
+            challenges: config.challenges,
+            session: config.getSession(context)
+        }));
+}
+
+function attestationResult(config, body, context) {
+    var msg, user, newUser;
+
+    return Promise.resolve()
+        .then(() => {
+            // the username isn't part of the PublicKeyCredential, but WebAuthnApp sends it along
+            checkFormat(body, "username", "non-empty-string");
+            msg = CredentialAttestation.from(body);
+            msg.validate();
+
+            return config.getUser(body.username, context);
+        })
+        .then((found) => {
+            if (found) {
+                user = checkUser(found);
+                return checkSessionUser(config, user, context)
+                    .then(() => consumeChallenge(config, msg, user.id, "webauthn.create", context))
+                    .then((record) => {
+                        // the challenges of new users aren't bound to a user id
+                        verifyTrue(record.user === user.id, "challenge was created for a different user", "challenge");
+                        return record;
+                    });
+            }
+
+            verifyTrue(!!config.createUser, "user not found: " + body.username, "username");
+            newUser = true;
+            return consumeChallenge(config, msg, undefined, "webauthn.create", context)
+                .then((record) => {
+                    user = record.data && record.data.user;
+                    verifyTrue(!!user && user.name === body.username, "challenge was created for a different user", "challenge");
+                    return record;
+                });
+        })
+        .then((record) => verifyAttestation(msg, getExpectations(config, record.challenge)))
+        .then((result) => config.credentials.findById(result.credentialId)
+            .then((existing) => {
+                verifyTrue(!existing, "credential is already registered", "rawId");
+
+                return newUser ? createUser(config, user, context) : user;
+            })
+            .then((saved) => {
+                user = saved;
+
+                return config.credentials.create({
+                    credentialId: result.credentialId,
+                    credentialPublicKey: result.credentialPublicKey,
+                    counter: result.counter,
+                    userHandle: user.id,
+                    transports: msg.response.transports
+                });
+            }))
+        .then((credential) => config.onRegister && config.onRegister(credential, user, context))
+        .then(() => okResponse());
+}
+
+function assertionOptions(config, body, context) {
+    var request;
+
+    return Promise.resolve()
+        .then(() => {
+            request = GetOptionsRequest.from(body);
+            request.validate();
+
+            // no username means usernameless log in with a discoverable credential
+            return (request.username === undefined) ? null : config.getUser(request.username, context);
+        })
+        .then((found) => {
+            if (request.username !== undefined) verifyTrue(!!found, "user not found: " + request.username, "username");
+
+            return buildGetOptions(request, config, {
+                user: found ? checkUser(found) : undefined,
+                challenges: config.challenges,
+                session: config.getSession(context)
+            });
+        });
+}
+
+function assertionResult(config, body, context) {
+    var msg, credential;
+
+    return Promise.resolve()
+        .then(() => {
+            msg = CredentialAssertion.from(body);
+            msg.validate();
+
+            return config.credentials.findById(msg.rawId);
+        })
+        .then((found) => {
+            verifyTrue(!!found, "credential not found", "rawId");
+            credential = found;
+
+            return consumeChallenge(config, msg, credential.userHandle, "webauthn.get", context);
+        })
+        .then((record) => {
+            // the options of a usernameless log in aren't bound to a user, so the user handle is the only way to
+            // tell whose credential it is
+            if (record.user === undefined) msg.validateUsernameless();
+
+            var expectations = getExpectations(config, record.challenge);
+            expectations.userHandle = credential.userHandle;
+
+            return verifyAssertion(msg, credential, expectations);
+        })
+        .then((result) => config.credentials.updateCounter(credential.credentialId, result.counter))
+        .then((updated) => config.onLogin && config.onLogin(updated, context))
+        .then(() => okResponse());
+}
+
+function consumeChallenge(config, msg, userHandle, type, context) {
+    var clientData = msg.getClientData();
+    checkFormat(clientData, "challenge", "base64url", "clientData");
+
+    return config.challenges.consume(clientData.challenge, {
+        session: config.getSession(context),
+        user: userHandle,
+        type: type
+    });
+}
+
+// adding a credential to a user that already exists needs a session that is logged in as that user
+function checkSessionUser(config, user, context) {
+    return Promise.resolve()
+        .then(() => config.getSessionUser && config.getSessionUser(context))
+        .then((sessionUser) => {
+            var loggedIn = !!sessionUser && coerceToBase64Url(sessionUser.id, "user.id") === user.id;
+            verifyTrue(loggedIn, "user already exists and isn't logged in: " + user.name, "username");
+        });
+}
+
+function createUser(config, user, context) {
+    return Promise.resolve()
+        .then(() => config.createUser(user, context))
+        .then((saved) => {
+            saved = checkUser(saved);
+            // the authenticator already stored the user handle
+            if (saved.id !== user.id) {
+                throw new Error("expected 'createUser' to keep the 'id' of the user, got: " + saved.id);
+            }
+
+            return saved;
+        });
+}
+
+function getExpectations(config, challenge) {
+    var expectations = {
+        challenge: challenge,
+        origin: config.origin,
+        requireUserVerification: config.userVerification === "required"
+    };
+    if (config.rpId) expectations.rpId = config.rpId;
+    if (config.topOrigin) expectations.topOrigin = config.topOrigin;
+
+    return expectations;
+}
+
+function checkUser(user) {
+    if (typeof user !== "object" || user === null) {
+        throw new TypeError("expected user to be 'Object', got: " + user);
+    }
+
+    return {
+        id: coerceToBase64Url(user.id, "user.id"),
+        name: user.name,
+        displayName: user.displayName
+    };
+}
+
+function okResponse() {
+    return ServerResponse.from({
+        status: "ok",
+        errorMessage: ""
+    });
+}
+
+function failedResponse(message) {
+    return ServerResponse.from({
+        status: "failed",
+        errorMessage: message
+    });
+}
+
+function toResponse(status, msg) {
+    return {
+        status: status,
+        headers: { "Content-Type": "application/json; charset=utf-8" },
+        body: msg.toString()
+    };
+}
+
+function parseBody(body) {
+    if (typeof body === "object" && body !== null && !ArrayBuffer.isView(body)) {
+        return body;
+    }
+
+    var parsed;
+    try {
+        parsed = JSON.parse((typeof body === "string") ? body : new TextDecoder("utf-8").decode(body));
+    } catch (err) {
+        throw new ValidationError("expected request body to be JSON");
+    }
+
+    checkTrue(typeof parsed === "object" && parsed !== null && !Array.isArray(parsed), "expected request body to be a JSON 'Object'");
+    return parsed;
+}
+
+// the inverse of Msg#toQueryString(): strings are sent as is, and objects as JSON
+function parseQuery(query) {
+    var parsed = {};
+    new URLSearchParams(query || "").forEach((value, key) => {
+        parsed[key] = value;
+        // only the object properties, so that e.g. a username that looks like JSON stays a string
+        if (objectProperties.includes(key)) {
+            try {
+                parsed[key] = JSON.parse(value);
+            } catch (err) {
+                // left as a string, which fails validation
+            }
+        }
+    });
+
+    return parsed;
+}
+
+function getSessionID(context) {
+    var session = context.sessionID || (context.session && (context.session.id || context.session.sessionId));
+    if (typeof session !== "string" || !session.length) {
+        throw new Error("request doesn't have a session; add a session middleware or set the 'getSession' option");
+    }
+
+    return session;
+}
+
+function checkHandlerOptions(opts) {
+    if (typeof opts !== "object" || opts === null) {
+        throw new TypeError("expected 'opts' to be 'Object', got: " + opts);
+    }
+
+    if (typeof opts.rp !== "object" || opts.rp === null || typeof opts.rp.name !== "string") {
+        throw new TypeError("expected 'opts.rp' to be 'Object' with a 'name'");
+    }
+
+    if (opts.origin === undefined) {
+        throw new TypeError("expected 'opts.origin' to be 'string' or 'Array' of strings, got: undefined");
+    }
+
+    ["getUser", "getSessionUser", "createUser", "onRegister", "onLogin", "getSession"].forEach((name) => {
+        if (opts[name] !== undefined && typeof opts[name] !== "function") {
+            throw new TypeError("expected 'opts." + name + "' to be 'function', got: " + opts[name]);
+        }
+    });
+
+    if (!opts.getUser) {
+        throw new TypeError("expected 'opts.getUser' to be 'function', got: undefined");
+    }
+
+    var timeout = (opts.timeout === undefined) ? 60000 : opts.timeout;
+    var config = {
+        rp: opts.rp,
+        origin: opts.origin,
+        rpId: opts.rpId || opts.rp.id,
+        topOrigin: opts.topOrigin,
+        getUser: opts.getUser,
+        getSessionUser: opts.getSessionUser,
+        createUser: opts.createUser,
+        onRegister: opts.onRegister,
+        onLogin: opts.onLogin,
+        getSession: opts.getSession || getSessionID,
+        credentials: opts.credentials || new MemoryCredentialRepository(),
+        challenges: opts.challenges || new ChallengeService({ timeout: timeout }),
+        timeout: timeout,
+        algorithms: opts.algorithms || [-7, -257],
+        attestation: opts.attestation || "none",
+        allowedAttestation: opts.allowedAttestation,
+        residentKey: opts.residentKey,
+        authenticatorAttachment: opts.authenticatorAttachment,
+        userVerification: opts.userVerification || "preferred",
+        extensions: opts.extensions,
+        routes: {},
+        methods: {}
+    };
+
+    copyPropList(defaultRoutes, config.routes, Object.keys(routeHandlers));
+    Object.assign(config.routes, opts.routes);
+
+    Object.keys(routeHandlers).forEach((name) => {
+        config.methods[name] = (opts.methods && opts.methods[name]) || "POST";
+        if (!methods.includes(config.methods[name])) {
+            throw new TypeError("expected 'opts.methods." + name + "' to be 'GET', 'POST', 'PUT', 'PATCH' or 'DELETE', got: " + config.methods[name]);
+        }
+    });
+
+    return config;
+}
@@ -0,0 +1,266 @@
+import {
+    getSupportedAlgorithms,
+    getWebCrypto
+} from "../crypto.js";
+import {
+    populateAllowCredentials,
+    populateExcludeCredentials
+} from "./credentials.js";
+import { CreateOptions } from "../../classes/CreateOptions.js";
+import { CreateOptionsRequest } from "../../classes/CreateOptionsRequest.js";
+import { GetOptions } from "../../classes/GetOptions.js";
+import { GetOptionsRequest } from "../../classes/GetOptionsRequest.js";
+import { coerceToBase64Url } from "../utils.js";
+
+// requirements from weakest to strictest
+const requirements = ["discouraged", "preferred", "required"];
+const attestationPreferences = ["none", "indirect", "direct"];
+
+/**
+ * Builds the {@link CreateOptions} for a {@link CreateOptionsRequest} from the policy of the relying party, with a
+ * fresh challenge. The `authenticatorSelection` and `attestation` that the browser asks for are hints: a stricter
+ * resident key or user verification requirement is honored, but a weaker one isn't; an `authenticatorAttachment`
+ * is honored unless the policy has one; and an `attestation` is honored if the policy allows it.
+ *
+ * @param {CreateOptionsRequest|Object} request The request from the browser, which is validated
+ * @param {Object} policy The policy of the relying party
+ * @param {Object} policy.rp The relying party, with a `name` and optionally an `id`
+ * @param {Array.<Number>} [policy.algorithms] The COSE algorithms of the `pubKeyCredParams` in order of
+ * preference, which must all be supported by `WebAuthnHelpers.crypto.verifySignature()`. Defaults to ES256 and RS256.
+ * @param {String} [policy.attestation] The attestation conveyance preference, defaults to "none"
+ * @param {Array.<String>} [policy.allowedAttestation] The attestation conveyance preferences that the browser may
+ * ask for. Defaults to only `policy.attestation`.
+ * @param {String} [policy.residentKey] The resident key (discoverable credential) requirement: "discouraged",
+ * "preferred" or "required". Defaults to "discouraged".
+ * @param {String} [policy.userVerification] The user verification requirement, defaults to "preferred"
+ * @param {String} [policy.authenticatorAttachment] "platform" or "cross-platform" to only allow one kind of
+ * authenticator
+ * @param {Number} [policy.timeout] The `timeout` in milliseconds, defaults to 60000
+ * @param {Object} [policy.extensions] The `extensions` of the options
+ * @param {Object} [policy.credentials] The credential repository (see {@link MemoryCredentialRepository}) that
+ * `excludeCredentials` are listed from
+ * @param {Object} [opts] The user and challenge of this registration
+ * @param {Object} [opts.user] The user that is registering. Its `id` defaults to 32 random bytes, which is right
+ * for new users, and its `name` and `displayName` default to those of the request.
+ * @param {ChallengeService} [opts.challenges] The challenge service that creates the challenge, which binds it to
+ * the session and user. For a new user (without an `id`), the challenge is only bound to the session and keeps the
+ * user as `data.user`. Without it, the challenge is 32 random bytes that the caller has to keep.
+ * @param {String} [opts.session] The session id, which is needed with `opts.challenges`
+ * @return {Promise.<CreateOptions>} Resolves to the validated options, or rejects with a {@link ValidationError}
+ * if the request is invalid or a `TypeError` if the policy is
+ */
+export function buildCreateOptions(request, policy, opts) {
+    var msg, user;
+
+    return Promise.resolve()
+        .then(() => {
+            policy = checkCreatePolicy(policy);
+            opts = opts || {};
+
+            msg = CreateOptionsRequest.from(request);
+            msg.validate();
+
+            user = opts.user || {};
+            var newUser = (user.id === undefined);
+            user = {
+                id: newUser ? randomBase64Url() : coerceToBase64Url(user.id, "user.id"),
+                name: user.name || msg.username,
+                displayName: user.displayName || msg.displayName
+            };
+
+            if (!opts.challenges) return randomBase64Url();
+            var binding = {
+                session: opts.session,
+                type: "webauthn.create",
+                timeout: policy.timeout
+            };
+            // a new user isn't saved yet, so the challenge keeps it for the registration result
+            if (newUser) binding.data = { user: user };
+            else binding.user = user.id;
+
+            return opts.challenges.create(binding);
+        })
+        .then((challenge) => {
+            var options = CreateOptions.from({
+                status: "ok",
+                errorMessage: "",
+                rp: Object.assign({}, policy.rp),
+                user: user,
+                challenge: challenge,
+                pubKeyCredParams: policy.algorithms.map((alg) => ({
+                    type: "public-key",
+                    alg: alg
+                })),
+                timeout: policy.timeout,
+                attestation: policy.allowedAttestation.includes(msg.attestation) ? msg.attestation : policy.attestation,
+                authenticatorSelection: getAuthenticatorSelection(policy, msg.authenticatorSelection || {})
+            });
+            if (policy.extensions) options.extensions = Object.assign({}, policy.extensions);
+
+            return policy.credentials ? populateExcludeCredentials(options, policy.credentials) : options;
+        })
+        .then((options) => {
+            options.validate();
+            return options;
+        });
+}
+
+/**
+ * Builds the {@link GetOptions} for a {@link GetOptionsRequest} from the policy of the relying party, with a fresh
+ * challenge. The `allowCredentials` are the credentials of the user with their stored transports, or an empty list
+ * for a usernameless log in with a discoverable credential.
+ *
+ * @param {GetOptionsRequest|Object} request The request from the browser, which is validated
+ * @param {Object} policy The policy of the relying party
+ * @param {String} [policy.rpId] The relying party ID, defaults to `policy.rp.id` if there is one
+ * @param {String} [policy.userVerification] The user verification requirement, defaults to "preferred"
+ * @param {Number} [policy.timeout] The `timeout` in milliseconds, defaults to 60000
+ * @param {Object} [policy.credentials] The credential repository (see {@link MemoryCredentialRepository}) that
+ * `allowCredentials` are listed from, which is needed with `opts.user`
+ * @param {Object} [opts] The user and challenge of this log in
+ * @param {Object} [opts.user] The user that is logging in, with an `id`. Without it, the log in is usernameless.
+ * @param {ChallengeService} [opts.challenges] The challenge service that creates the challenge, which binds it to
+ * the session and user. Without it, the challenge is 32 random bytes that the caller has to keep.
+ * @param {String} [opts.session] The session id, which is needed with `opts.challenges`
+ * @return {Promise.<GetOptions>} Resolves to the validated options, or rejects with a {@link ValidationError}
+ * if the request is invalid or a `TypeError` if the policy or user is
+ */
+export function buildGetOptions(request, policy, opts) {
+    var userHandle;
+
+    return Promise.resolve()
+        .then(() => {
+            policy = checkPolicy(policy);
+            opts = opts || {};
+
+            GetOptionsRequest.from(request).validate();
+
+            if (opts.user !== undefined) {
+                if (typeof opts.user !== "object" || opts.user === null || opts.user.id === undefined) {
+                    throw new TypeError("expected 'opts.user' to be 'Object' with an 'id'");
+                }
+                if (!policy.credentials) {
+                    throw new TypeError("expected 'policy.credentials' to list the credentials of 'opts.user'");
+                }
+                userHandle = coerceToBase64Url(opts.user.id, "user.id");
+            }
+
+            if (!opts.challenges) return randomBase64Url();
+            return opts.challenges.create({
+                session: opts.session,
+                user: userHandle,
+                type: "webauthn.get",
+                timeout: policy.timeout
+            });
+        })
+        .then((challenge) => {
+            var options = GetOptions.from({
+                status: "ok",
+                errorMessage: "",
+                challenge: challenge,
+                timeout: policy.timeout,
+                userVerification: policy.userVerification,
+                allowCredentials: []
+            });
+            if (policy.rpId) options.rpId = policy.rpId;
+
+            return (userHandle === undefined) ? options : populateAllowCredentials(options, policy.credentials, userHandle);
+        })
+        .then((options) => {
+            options.validate();
+            return options;
+        });
+}
+
+function getAuthenticatorSelection(policy, hints) {
+    var residentKey = hints.residentKey;
+    if (residentKey === undefined && hints.requireResidentKey !== undefined) {
+        residentKey = hints.requireResidentKey ? "required" : "discouraged";
+    }
+    residentKey = stricter(policy.residentKey, residentKey);
+
+    var selection = {
+        residentKey: residentKey,
+        requireResidentKey: residentKey === "required",
+        userVerification: stricter(policy.userVerification, hints.userVerification)
+    };
+
+    var attachment = policy.authenticatorAttachment || hints.authenticatorAttachment;
+    if (attachment) selection.authenticatorAttachment = attachment;
+
+    return selection;
+}
+
+// the hint if it is a stricter requirement than the policy, otherwise the policy
+function stricter(required, hint) {
+    return (requirements.indexOf(hint) > requirements.indexOf(required)) ? hint : required;
+}
+
+function randomBase64Url() {
+    return coerceToBase64Url(getWebCrypto().getRandomValues(new Uint8Array(32)), "random");
+}
+
+function checkOneOf(policy, name, values) {
+    if (!values.includes(policy[name])) {
+        throw new TypeError("expected 'policy." + name + "' to be one of '" + values.join("', '") + "', got: " + policy[name]);
+    }
+}
+
+// checks the parts of the policy that both builders use
+function checkPolicy(policy) {
+    if (typeof policy !== "object" || policy === null) {
+        throw new TypeError("expected 'policy' to be 'Object', got: " + policy);
+    }
+
+    var ret = {
+        rpId: policy.rpId || (policy.rp && policy.rp.id),
+        userVerification: policy.userVerification || "preferred",
+        timeout: (policy.timeout === undefined) ? 60000 : policy.timeout,
+        credentials: policy.credentials
+    };
+
+    checkOneOf(ret, "userVerification", requirements);
+
+    if (!Number.isInteger(ret.timeout) || ret.timeout <= 0) {
+        throw new TypeError("expected 'policy.timeout' to be a positive integer, got: " + ret.timeout);
+    }
+
+    return ret;
+}
+
+function checkCreatePolicy(policy) {
+    var ret = checkPolicy(policy);
+
+    if (typeof policy.rp !== "object" || policy.rp === null || typeof policy.rp.name !== "string") {
+        throw new TypeError("expected 'policy.rp' to be 'Object' with a 'name'");
+    }
+
+    var attestation = policy.attestation || "none";
+    Object.assign(ret, {
+        rp: policy.rp,
+        algorithms: policy.algorithms || [-7, -257],
+        attestation: attestation,
+        allowedAttestation: policy.allowedAttestation || [attestation],
+        residentKey: policy.residentKey || "discouraged",
+        authenticatorAttachment: policy.authenticatorAttachment,
+        extensions: policy.extensions
+    });
+
+    checkOneOf(ret, "attestation", attestationPreferences);
+    ret.allowedAttestation.forEach((pref) => checkOneOf({ allowedAttestation: pref }, "allowedAttestation", attestationPreferences));
+    checkOneOf(ret, "residentKey", requirements);
+    if (ret.authenticatorAttachment !== undefined) checkOneOf(ret, "authenticatorAttachment", ["platform", "cross-platform"]);
+
+    if (!Array.isArray(ret.algorithms) || !ret.algorithms.length) {
+        throw new TypeError("expected 'policy.algorithms' to be non-empty 'Array', got: " + ret.algorithms);
+    }
+
+    var supportedAlgs = getSupportedAlgorithms();
+    ret.algorithms.forEach((alg) => {
+        if (!supportedAlgs.includes(alg)) {
+            throw new TypeError("unsupported algorithm in 'policy.algorithms': " + alg);
+        }
+    });
+
+    return ret;
+}
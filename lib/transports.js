@@ -0,0 +1,72 @@
+/**
+ * Transports are the functions that {@link WebAuthnApp#send} uses to move a message over the wire.
+ * A transport receives a request description and returns a Promise that resolves to the raw
+ * response from the server. Custom transports (e.g. routing through an existing API client,
+ * a WebSocket or `postMessage`) can be passed to {@link WebAuthnApp} as `config.transport`.
+ *
+ * @param {Object} req The request to be sent
+ * @param {String} req.method The HTTP method, such as "POST"
+ * @param {String} req.url The URL to send the request to
+ * @param {Object} req.headers An `Object` of header names and values to be sent with the request
+ * @param {String} req.credentials The cookie / credentials mode: "omit", "same-origin" or "include"
+ * @param {AbortSignal} [req.signal] A signal that cancels the request when aborted
+ * @param {String} req.body The JSON encoded message to be sent
+ * @return {Promise.<Object|Error>} Resolves to an `Object` with a numeric `status` and a `String`
+ * `body` when the server answered (regardless of the status code), or rejects with an `Error` if the
+ * request could not be delivered.
+ */
+export function fetchTransport(req) {
+    return fetch(req.url, {
+        method: req.method,
+        headers: req.headers,
+        credentials: req.credentials,
+        signal: req.signal,
+        body: req.body
+    })
+        .catch(() => Promise.reject(new Error(req.method + " to URL failed: " + req.url)))
+        .then((res) => res.text()
+            .then((body) => ({
+                status: res.status,
+                body: body
+            })));
+}
+
+/**
+ * A transport that uses `XMLHttpRequest`. This was the original behavior of {@link WebAuthnApp#send}
+ * and is useful for older browsers that don't support `fetch()`. See {@link fetchTransport} for
+ * the arguments and return value.
+ *
+ * @param {Object} req The request to be sent
+ * @return {Promise.<Object|Error>} The response from the server
+ */
+export function xhrTransport(req) {
+    return new Promise(function(resolve, reject) {
+        var xhr = new XMLHttpRequest();
+
+        xhr.open(req.method, req.url, true);
+        xhr.withCredentials = (req.credentials === "include");
+        Object.keys(req.headers).forEach((name) => {
+            xhr.setRequestHeader(name, req.headers[name]);
+        });
+        xhr.onload = function() {
+            if (xhr.readyState !== 4) {
+                return reject(new Error("server returned ready state: " + xhr.readyState));
+            }
+
+            return resolve({
+                status: xhr.status,
+                body: xhr.responseText
+            });
+        };
+        xhr.onerror = function() {
+            return reject(new Error(req.method + " to URL failed: " + req.url));
+        };
+        xhr.onabort = function() {
+            return reject(new Error(req.method + " to URL aborted: " + req.url));
+        };
+        if (req.signal) {
+            req.signal.addEventListener("abort", () => xhr.abort());
+        }
+        xhr.send(req.body);
+    });
+}
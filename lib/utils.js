@@ -166,6 +166,17 @@ function mapToObj(mapObj) {
     return m;
 }
 
+function objToQueryString(obj) {
+    return Object.keys(obj)
+        .filter((key) => obj[key] !== undefined)
+        .map((key) => {
+            var val = obj[key];
+            if (typeof val !== "string") val = JSON.stringify(val);
+            return encodeURIComponent(key) + "=" + encodeURIComponent(val);
+        })
+        .join("&");
+}
+
 function copyProp(src, dst, prop) {
     if (src[prop] !== undefined) dst[prop] = src[prop];
 }
@@ -190,6 +201,7 @@ export {
     indent,
     abToHumanStr,
     mapToObj,
+    objToQueryString,
     copyProp,
     copyPropList
 };
@@ -0,0 +1,255 @@
+import {
+    decodeDer,
+    decodeInteger,
+    decodeOid,
+    decodeString,
+    tagClasses,
+    tags
+} from "./asn1.js";
+import {
+    derToRaw,
+    getWebCrypto
+} from "./crypto.js";
+
+// short names for the attributes of distinguished names
+const nameAttributes = new Map([
+    ["2.5.4.3", "CN"],
+    ["2.5.4.5", "serialNumber"],
+    ["2.5.4.6", "C"],
+    ["2.5.4.7", "L"],
+    ["2.5.4.8", "ST"],
+    ["2.5.4.10", "O"],
+    ["2.5.4.11", "OU"]
+]);
+
+const namedCurves = new Map([
+    ["1.2.840.10045.3.1.7", "P-256"],
+    ["1.3.132.0.34", "P-384"],
+    ["1.3.132.0.35", "P-521"]
+]);
+
+// the size of r and s in ECDSA signatures
+const curvePartSizes = {
+    "P-256": 32,
+    "P-384": 48,
+    "P-521": 66
+};
+
+const signatureAlgorithms = new Map([
+    ["1.2.840.10045.4.3.2", {
+        name: "ECDSA",
+        hash: "SHA-256"
+    }],
+    ["1.2.840.10045.4.3.3", {
+        name: "ECDSA",
+        hash: "SHA-384"
+    }],
+    ["1.2.840.10045.4.3.4", {
+        name: "ECDSA",
+        hash: "SHA-512"
+    }],
+    ["1.2.840.113549.1.1.5", {
+        name: "RSASSA-PKCS1-v1_5",
+        hash: "SHA-1"
+    }],
+    ["1.2.840.113549.1.1.11", {
+        name: "RSASSA-PKCS1-v1_5",
+        hash: "SHA-256"
+    }],
+    ["1.2.840.113549.1.1.12", {
+        name: "RSASSA-PKCS1-v1_5",
+        hash: "SHA-384"
+    }],
+    ["1.2.840.113549.1.1.13", {
+        name: "RSASSA-PKCS1-v1_5",
+        hash: "SHA-512"
+    }]
+]);
+
+/**
+ * Object identifiers that are used when verifying attestation certificates.
+ */
+export const oids = {
+    ecPublicKey: "1.2.840.10045.2.1",
+    rsaEncryption: "1.2.840.113549.1.1.1",
+    basicConstraints: "2.5.29.19",
+    subjectAltName: "2.5.29.17",
+    extKeyUsage: "2.5.29.37",
+    // id-fido-gen-ce-aaguid, the AAGUID of the authenticator model
+    fidoGenCeAaguid: "1.3.6.1.4.1.45724.1.1.4",
+    // tcg-kp-AIKCertificate, the extended key usage of TPM attestation identity keys
+    tcgKpAikCertificate: "2.23.133.8.3",
+    // the Android key attestation extension
+    androidKeyDescription: "1.3.6.1.4.1.11129.2.1.17",
+    // the nonce of Apple anonymous attestation
+    appleNonce: "1.2.840.113635.100.8.2"
+};
+
+/**
+ * Parses a DER encoded X.509 certificate, such as one from the `x5c` of an attestation statement. The certificate
+ * is only parsed; use {@link verifyCertificateSignature} to check that it was signed by its issuer.
+ *
+ * @param {ArrayBuffer|Uint8Array} der The DER encoded certificate
+ * @return {Object} An `Object` with the following properties:
+ * - `raw` (ArrayBuffer): the DER encoded certificate
+ * - `tbsCertificate` (ArrayBuffer): the part of the certificate that is signed
+ * - `version` (Number): the certificate version, such as 3
+ * - `serialNumber` (ArrayBuffer): the serial number
+ * - `issuer` and `subject` (Map): the attributes of the distinguished names, keyed by short name (e.g. "CN",
+ * "O", "OU" or "C") or by object identifier for other attributes
+ * - `notBefore` and `notAfter` (Date): the validity period
+ * - `publicKeyAlgorithm` (String): the object identifier of the public key algorithm
+ * - `namedCurve` (String): the curve of an EC public key, such as "P-256"
+ * - `subjectPublicKeyInfo` (ArrayBuffer): the DER encoded public key, which can be imported with WebCrypto
+ * - `extensions` (Map): the extensions keyed by object identifier, each with `critical` (Boolean) and the DER
+ * encoded `value` (ArrayBuffer)
+ * - `basicConstraints` (Object): the `ca` (Boolean) and `pathLen` (Number) of the basic constraints extension, if any
+ * - `signatureAlgorithm` (String): the object identifier of the signature algorithm
+ * - `signature` (ArrayBuffer): the signature of the issuer
+ * @throws {Error} If the certificate is malformed
+ */
+export function parseCertificate(der) {
+    var cert = decodeDer(der);
+    checkNode(cert, tags.SEQUENCE, "certificate");
+    checkTrue(cert.children.length === 3, "expected certificate to have 3 parts");
+
+    var tbs = checkNode(cert.children[0], tags.SEQUENCE, "tbsCertificate");
+    var sigAlg = checkNode(cert.children[1], tags.SEQUENCE, "signatureAlgorithm");
+    var sig = checkNode(cert.children[2], tags.BIT_STRING, "signature");
+
+    var fields = tbs.children.slice();
+    var version = 1;
+    if (fields[0] && fields[0].tagClass === tagClasses.CONTEXT && fields[0].tag === 0) {
+        version = decodeInteger(checkNode(fields.shift().children[0], tags.INTEGER, "version").contents) + 1;
+    }
+    checkTrue(fields.length >= 6, "expected tbsCertificate to have at least 6 fields");
+
+    var validity = checkNode(fields[3], tags.SEQUENCE, "validity");
+    var spki = checkNode(fields[5], tags.SEQUENCE, "subjectPublicKeyInfo");
+    var spkiAlg = checkNode(spki.children[0], tags.SEQUENCE, "subjectPublicKeyInfo.algorithm");
+
+    var ret = {
+        raw: copy(cert.raw),
+        tbsCertificate: copy(tbs.raw),
+        version: version,
+        serialNumber: copy(checkNode(fields[0], tags.INTEGER, "serialNumber").contents),
+        issuer: parseName(fields[2]),
+        notBefore: decodeString(validity.children[0]),
+        notAfter: decodeString(validity.children[1]),
+        subject: parseName(fields[4]),
+        publicKeyAlgorithm: decodeOid(checkNode(spkiAlg.children[0], tags.OBJECT_IDENTIFIER, "algorithm").contents),
+        subjectPublicKeyInfo: copy(spki.raw),
+        extensions: new Map(),
+        signatureAlgorithm: decodeOid(checkNode(sigAlg.children[0], tags.OBJECT_IDENTIFIER, "signatureAlgorithm").contents),
+        // the first byte of a BIT STRING is the number of unused bits, which is 0 for signatures
+        signature: copy(sig.contents.subarray(1))
+    };
+
+    if (ret.publicKeyAlgorithm === oids.ecPublicKey && spkiAlg.children[1] && spkiAlg.children[1].tag === tags.OBJECT_IDENTIFIER) {
+        let curveOid = decodeOid(spkiAlg.children[1].contents);
+        ret.namedCurve = namedCurves.get(curveOid) || curveOid;
+    }
+
+    var extensions = fields.find((field) => field.tagClass === tagClasses.CONTEXT && field.tag === 3);
+    if (extensions) parseExtensions(ret.extensions, checkNode(extensions.children[0], tags.SEQUENCE, "extensions"));
+
+    if (ret.extensions.has(oids.basicConstraints)) {
+        ret.basicConstraints = parseBasicConstraints(ret.extensions.get(oids.basicConstraints).value);
+    }
+
+    return ret;
+}
+
+/**
+ * Verifies that `cert` was signed by `issuerCert`. Only the signature is checked, not the validity period,
+ * names or extensions.
+ *
+ * @param {Object} cert The certificate to verify, as returned by {@link parseCertificate}
+ * @param {Object} issuerCert The certificate of the issuer, as returned by {@link parseCertificate}
+ * @return {Promise.<Boolean>} Resolves to `true` if the signature is valid, otherwise `false`. Rejects if the
+ * signature algorithm isn't supported.
+ */
+export function verifyCertificateSignature(cert, issuerCert) {
+    return Promise.resolve()
+        .then(() => {
+            var alg = signatureAlgorithms.get(cert.signatureAlgorithm);
+            if (!alg) throw new Error("unsupported certificate signature algorithm: " + cert.signatureAlgorithm);
+
+            var importParams = (alg.name === "ECDSA") ? {
+                name: "ECDSA",
+                namedCurve: issuerCert.namedCurve
+            } : {
+                name: alg.name,
+                hash: alg.hash
+            };
+            var sig = cert.signature;
+            if (alg.name === "ECDSA") sig = derToRaw(sig, curvePartSizes[issuerCert.namedCurve]);
+
+            return getWebCrypto().subtle.importKey("spki", issuerCert.subjectPublicKeyInfo, importParams, false, ["verify"])
+                .then((key) => getWebCrypto().subtle.verify({
+                    name: alg.name,
+                    hash: alg.hash
+                }, key, sig, cert.tbsCertificate));
+        });
+}
+
+function copy(bytes) {
+    return bytes.slice().buffer;
+}
+
+function checkTrue(truthy, message) {
+    if (!truthy) throw new Error("could not parse certificate: " + message);
+}
+
+function checkNode(node, tag, name) {
+    checkTrue(
+        node && node.tagClass === tagClasses.UNIVERSAL && node.tag === tag,
+        "expected '" + name + "' to have tag " + tag + ", got: " + (node && node.tag)
+    );
+
+    return node;
+}
+
+function parseName(name) {
+    checkNode(name, tags.SEQUENCE, "name");
+
+    var ret = new Map();
+    for (let rdn of name.children) {
+        for (let attr of checkNode(rdn, tags.SET, "relativeDistinguishedName").children) {
+            let oid = decodeOid(checkNode(attr.children[0], tags.OBJECT_IDENTIFIER, "attributeType").contents);
+            let key = nameAttributes.get(oid) || oid;
+            // if an attribute is repeated, keep the first value
+            if (!ret.has(key)) ret.set(key, decodeString(attr.children[1]));
+        }
+    }
+
+    return ret;
+}
+
+function parseExtensions(map, extensions) {
+    for (let ext of extensions.children) {
+        let parts = checkNode(ext, tags.SEQUENCE, "extension").children;
+        let oid = decodeOid(checkNode(parts[0], tags.OBJECT_IDENTIFIER, "extnID").contents);
+        let critical = parts.length === 3 && checkNode(parts[1], tags.BOOLEAN, "critical").contents[0] !== 0;
+
+        checkTrue(!map.has(oid), "duplicate extension: " + oid);
+        map.set(oid, {
+            critical: critical,
+            value: copy(checkNode(parts[parts.length - 1], tags.OCTET_STRING, "extnValue").contents)
+        });
+    }
+}
+
+function parseBasicConstraints(value) {
+    var seq = checkNode(decodeDer(value), tags.SEQUENCE, "basicConstraints");
+    var ret = {
+        ca: false
+    };
+
+    for (let child of seq.children) {
+        if (child.tag === tags.BOOLEAN) ret.ca = child.contents[0] !== 0;
+        if (child.tag === tags.INTEGER) ret.pathLen = decodeInteger(child.contents);
+    }
+
+    return ret;
+}
@@ -22,5 +22,23 @@ export default [
                 sourcemap: (env === "development")
             }
         ]
+    },
+    {
+        // node.js only, so the browser builds don't include the server code
+        input: "server.js",
+        external: ["crypto", "fs"],
+        output: [
+            {
+                file: "dist/webauthn-simple-app.server.esm.js",
+                format: "es",
+                sourcemap: (env === "development")
+            },
+            {
+                file: "dist/webauthn-simple-app.server.cjs.js",
+                format: "cjs",
+                name: "WebAuthnSimpleApp",
+                sourcemap: (env === "development")
+            }
+        ]
     }
 ];
@@ -0,0 +1,73 @@
+// the entry point for node.js servers: everything from index.js, plus WebAuthnHelpers.server
+export * from "./classes/CreateOptions.js";
+export * from "./classes/CreateOptionsRequest.js";
+export * from "./classes/CredentialAssertion.js";
+export * from "./classes/CredentialAttestation.js";
+export * from "./classes/CredentialDeleteRequest.js";
+export * from "./classes/CredentialList.js";
+export * from "./classes/CredentialListRequest.js";
+export * from "./classes/CredentialRenameRequest.js";
+export * from "./classes/GetOptions.js";
+export * from "./classes/GetOptionsRequest.js";
+export * from "./classes/Msg.js";
+export * from "./classes/ServerResponse.js";
+export * from "./classes/WebAuthnApp.js";
+export * from "./classes/WebAuthnError.js";
+
+import {
+    ChallengeService,
+    MemoryChallengeStore
+} from "./lib/server/challenges.js";
+import {
+    FileCredentialRepository,
+    MemoryCredentialRepository,
+    getCredentialDescriptors,
+    populateAllowCredentials,
+    populateExcludeCredentials
+} from "./lib/server/credentials.js";
+import {
+    buildCreateOptions,
+    buildGetOptions
+} from "./lib/server/options.js";
+import {
+    createFastifyPlugin,
+    createHttpHandler,
+    createKoaMiddleware,
+    createRouter
+} from "./lib/server/adapters.js";
+import {
+    registerAttestationFormat,
+    verifyAttestation
+} from "./lib/server/attestation.js";
+import { WebAuthnHelpers as browserHelpers } from "./index.js";
+import { createHandler } from "./lib/server/handler.js";
+import { setWebCrypto } from "./lib/crypto.js";
+import { verifyAssertion } from "./lib/server/assertion.js";
+import { webcrypto } from "crypto";
+
+// crypto.webcrypto was added in node.js 15; without it, the server helpers throw when they are used
+if (webcrypto) setWebCrypto(webcrypto);
+
+// server-side helpers
+let server = {};
+server.verifyAttestation = verifyAttestation;
+server.verifyAssertion = verifyAssertion;
+server.registerAttestationFormat = registerAttestationFormat;
+server.ChallengeService = ChallengeService;
+server.MemoryChallengeStore = MemoryChallengeStore;
+server.MemoryCredentialRepository = MemoryCredentialRepository;
+server.FileCredentialRepository = FileCredentialRepository;
+server.getCredentialDescriptors = getCredentialDescriptors;
+server.populateExcludeCredentials = populateExcludeCredentials;
+server.populateAllowCredentials = populateAllowCredentials;
+server.buildCreateOptions = buildCreateOptions;
+server.buildGetOptions = buildGetOptions;
+server.createHandler = createHandler;
+server.createRouter = createRouter;
+server.createHttpHandler = createHttpHandler;
+server.createFastifyPlugin = createFastifyPlugin;
+server.createKoaMiddleware = createKoaMiddleware;
+
+let helpers = Object.assign({}, browserHelpers);
+helpers.server = server;
+export { helpers as WebAuthnHelpers };
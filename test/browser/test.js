@@ -128,12 +128,18 @@ describe("WebAuthnApp", () => {
         CreateOptionsRequest,
         CredentialAssertion,
         CredentialAttestation,
+        CredentialDeleteRequest,
+        CredentialList,
+        CredentialListRequest,
+        CredentialRenameRequest,
         GetOptions,
         GetOptionsRequest,
         Msg,
         ServerResponse,
-        WebAuthnApp
+        WebAuthnApp,
+        WebAuthnHelpers
     } = GlobalWebAuthnClasses;
+    const { xhrTransport } = WebAuthnHelpers.transports;
 
     afterEach(() => {
         removeAllListeners();
@@ -141,7 +147,12 @@ describe("WebAuthnApp", () => {
 
     var app;
     beforeEach(() => {
-        app = new WebAuthnApp();
+        // sinon's fake server mocks XMLHttpRequest, so use the XHR transport for testing
+        // catchEvent() listens on the document, so dispatch events there too
+        app = new WebAuthnApp({
+            transport: xhrTransport,
+            documentEvents: true
+        });
     });
 
     it("exists", () => {
@@ -161,13 +172,397 @@ describe("WebAuthnApp", () => {
         it("debug on send");
         it("debug on receive");
         it("on load");
+
+        it("calls instance listeners", () => {
+            var listener = sinon.spy();
+            app.addEventListener("webauthn-test", listener);
+            app.dispatchEvent(new CustomEvent("webauthn-test", { detail: "foo" }));
+            assert.strictEqual(listener.callCount, 1);
+            assert.instanceOf(listener.args[0][0], CustomEvent);
+            assert.strictEqual(listener.args[0][0].detail, "foo");
+        });
+
+        it("removes instance listeners", () => {
+            var listener = sinon.spy();
+            app.addEventListener("webauthn-test", listener);
+            app.removeEventListener("webauthn-test", listener);
+            app.dispatchEvent(new CustomEvent("webauthn-test"));
+            assert.strictEqual(listener.callCount, 0);
+        });
+
+        it("has on and off aliases", () => {
+            var listener = sinon.spy();
+            assert.strictEqual(app.on("webauthn-test", listener), app);
+            app.dispatchEvent(new CustomEvent("webauthn-test"));
+            assert.strictEqual(app.off("webauthn-test", listener), app);
+            app.dispatchEvent(new CustomEvent("webauthn-test"));
+            assert.strictEqual(listener.callCount, 1);
+        });
+
+        it("throws on non-function listener", () => {
+            assert.throws(() => {
+                app.addEventListener("webauthn-test", "foo");
+            }, TypeError, "expected 'listener' to be 'function', got: string");
+        });
+
+        it("only fires events on the instance that caused them", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify(fido2Helpers.server.successServerResponse)
+            }));
+            var app1 = new WebAuthnApp({ transport });
+            var app2 = new WebAuthnApp({ transport });
+            var spy1 = sinon.spy();
+            var spy2 = sinon.spy();
+            app1.on("webauthn-debug", spy1);
+            app2.on("webauthn-debug", spy2);
+
+            return app1.send("POST", "/foo", GetOptionsRequest.from(fido2Helpers.server.getOptionsRequest), ServerResponse)
+                .then(() => {
+                    assert.isTrue(spy1.called);
+                    assert.isFalse(spy2.called);
+                });
+        });
+
+        it("doesn't fire events on the document by default", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify(fido2Helpers.server.successServerResponse)
+            }));
+            var quietApp = new WebAuthnApp({ transport });
+            var docSpy = sinon.spy();
+            var appSpy = sinon.spy();
+            document.addEventListener("webauthn-debug", docSpy);
+            quietApp.on("webauthn-debug", appSpy);
+
+            return quietApp.send("POST", "/foo", GetOptionsRequest.from(fido2Helpers.server.getOptionsRequest), ServerResponse)
+                .then(() => {
+                    document.removeEventListener("webauthn-debug", docSpy);
+                    assert.isTrue(appSpy.called);
+                    assert.isFalse(docSpy.called);
+                });
+        });
+
+        it("fires events on the document with documentEvents", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify(fido2Helpers.server.successServerResponse)
+            }));
+            var docApp = new WebAuthnApp({
+                transport,
+                documentEvents: true
+            });
+            var appSpy = sinon.spy();
+            docApp.on("webauthn-debug", appSpy);
+            var p = catchEvent("webauthn-debug", (event) => event.detail.subtype === "send");
+
+            docApp.send("POST", "/foo", GetOptionsRequest.from(fido2Helpers.server.getOptionsRequest), ServerResponse);
+            return p.then(() => {
+                assert.isTrue(appSpy.called);
+            });
+        });
+
+        it("fires not-supported on the instance", () => {
+            var origPKC = window.PublicKeyCredential;
+            window.PublicKeyCredential = undefined;
+            var logSpy = sinon.spy(console, "log");
+            var unsupportedApp;
+            try {
+                unsupportedApp = new WebAuthnApp();
+            } finally {
+                window.PublicKeyCredential = origPKC;
+                logSpy.restore();
+            }
+            assert.isFalse(logSpy.called);
+
+            return new Promise((resolve) => {
+                unsupportedApp.on("webauthn-not-supported", (event) => {
+                    assert.include(event.detail, "WebAuthn is not currently supported by this browser");
+                    resolve();
+                });
+            });
+        });
     });
 
     describe("config", () => {
         it("can change endpoints");
-        it("can change methods");
+        it("can change methods", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify(fido2Helpers.server.basicGetOptions)
+            }));
+            var customApp = new WebAuthnApp({
+                transport,
+                loginChallengeMethod: "GET"
+            });
+            customApp.username = "adam";
+
+            return customApp.requestLoginOptions()
+                .then((res) => {
+                    assert.instanceOf(res, GetOptions);
+                    var req = transport.args[0][0];
+                    assert.strictEqual(req.method, "GET");
+                    assert.strictEqual(req.url, "/assertion/options?username=adam&displayName=adam");
+                    assert.isUndefined(req.body);
+                    assert.isUndefined(req.headers["Content-type"]);
+                });
+        });
+
+        it("can use PUT for results", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify(fido2Helpers.server.successServerResponse)
+            }));
+            var customApp = new WebAuthnApp({
+                transport,
+                loginResponseMethod: "PUT"
+            });
+            var testCred = fido2Helpers.functions.cloneObject(fido2Helpers.lib.assertionResponse);
+            testCred.rawId = fido2Helpers.lib.assertionResponse.rawId;
+            testCred.id = undefined;
+            testCred.response = fido2Helpers.lib.assertionResponse.response;
+            Object.setPrototypeOf(testCred, window.PublicKeyCredential.prototype);
+
+            return customApp.sendLoginResult(testCred)
+                .then(() => {
+                    var req = transport.args[0][0];
+                    assert.strictEqual(req.method, "PUT");
+                    assert.strictEqual(req.url, "/assertion/result");
+                    assert.isString(req.body);
+                });
+        });
         it("can set send callback");
         it("can set receive callback");
+
+        it("defaults to fetch transport", () => {
+            var defaultApp = new WebAuthnApp();
+            assert.strictEqual(defaultApp.transport, WebAuthnHelpers.transports.fetchTransport);
+        });
+
+        it("throws on non-function transport", () => {
+            assert.throws(() => {
+                new WebAuthnApp({ // eslint-disable-line no-new
+                    transport: "carrier pigeon"
+                });
+            }, Error, "expected 'transport' to be 'function', got: string");
+        });
+    });
+
+    describe("transport", () => {
+        class TestMsg extends ServerResponse {
+            constructor() {
+                super();
+
+                this.propList = this.propList.concat([
+                    "id",
+                    "comment"
+                ]);
+            }
+
+            validate() {}
+        }
+
+        var msg;
+        beforeEach(() => {
+            msg = TestMsg.from({
+                id: 12,
+                comment: "hi there"
+            });
+        });
+
+        it("uses custom transport", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify({
+                    status: "ok",
+                    id: 42,
+                    comment: "hello from outer space"
+                })
+            }));
+            var customApp = new WebAuthnApp({ transport });
+
+            return customApp.send("POST", "/foo", msg, TestMsg)
+                .then((res) => {
+                    assert.strictEqual(transport.callCount, 1);
+                    var req = transport.args[0][0];
+                    assert.strictEqual(req.method, "POST");
+                    assert.strictEqual(req.url, "/foo");
+                    assert.strictEqual(req.headers["Content-type"], "application/json; charset=utf-8");
+                    assert.deepEqual(JSON.parse(req.body), {
+                        id: 12,
+                        comment: "hi there"
+                    });
+                    assert.instanceOf(res, TestMsg);
+                    assert.strictEqual(res.id, 42);
+                });
+        });
+
+        it("rejects when custom transport rejects", (done) => {
+            var customApp = new WebAuthnApp({
+                transport: () => Promise.reject(new Error("socket closed"))
+            });
+
+            customApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.instanceOf(err, Error);
+                    assert.strictEqual(err.message, "socket closed");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
+        it("sends static headers", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify({ status: "ok" })
+            }));
+            var customApp = new WebAuthnApp({
+                transport,
+                headers: {
+                    "X-CSRF-Token": "abc123"
+                }
+            });
+
+            return customApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    var req = transport.args[0][0];
+                    assert.strictEqual(req.headers["X-CSRF-Token"], "abc123");
+                    assert.strictEqual(req.headers["Content-type"], "application/json; charset=utf-8");
+                });
+        });
+
+        it("sends headers from getHeaders callback", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify({ status: "ok" })
+            }));
+            var getHeaders = sinon.stub().returns(Promise.resolve({
+                Authorization: "Bearer fresh-token"
+            }));
+            var customApp = new WebAuthnApp({
+                transport,
+                getHeaders,
+                headers: {
+                    "X-CSRF-Token": "abc123"
+                }
+            });
+
+            return customApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    assert.strictEqual(getHeaders.callCount, 1);
+                    assert.deepEqual(getHeaders.args[0], ["POST", "/foo"]);
+                    var req = transport.args[0][0];
+                    assert.strictEqual(req.headers.Authorization, "Bearer fresh-token");
+                    assert.strictEqual(req.headers["X-CSRF-Token"], "abc123");
+                });
+        });
+
+        it("rejects when getHeaders throws", (done) => {
+            var customApp = new WebAuthnApp({
+                transport: () => Promise.resolve({
+                    status: 200,
+                    body: JSON.stringify({ status: "ok" })
+                }),
+                getHeaders: () => {
+                    throw new Error("token expired");
+                }
+            });
+
+            customApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.instanceOf(err, Error);
+                    assert.strictEqual(err.message, "token expired");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
+        it("sends credentials mode", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify({ status: "ok" })
+            }));
+            var customApp = new WebAuthnApp({
+                transport,
+                credentials: "include"
+            });
+
+            return customApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    assert.strictEqual(transport.args[0][0].credentials, "include");
+                });
+        });
+
+        it("defaults credentials mode to same-origin", () => {
+            assert.strictEqual(app.credentials, "same-origin");
+        });
+
+        it("throws on bad credentials mode", () => {
+            assert.throws(() => {
+                new WebAuthnApp({ // eslint-disable-line no-new
+                    credentials: "sometimes"
+                });
+            }, Error, "expected 'credentials' to be 'omit', 'same-origin', or 'include', got: sometimes");
+        });
+
+        it("throws on non-function getHeaders", () => {
+            assert.throws(() => {
+                new WebAuthnApp({ // eslint-disable-line no-new
+                    getHeaders: {}
+                });
+            }, Error, "expected 'getHeaders' to be 'function', got: object");
+        });
+
+        it("fetch transport sends request", () => {
+            var fetchStub = sinon.stub(window, "fetch").returns(Promise.resolve(new Response(JSON.stringify({
+                status: "ok",
+                id: 42,
+                comment: "hello from outer space"
+            }), { status: 200 })));
+            var fetchApp = new WebAuthnApp();
+
+            return fetchApp.send("POST", "/foo", msg, TestMsg)
+                .then((res) => {
+                    window.fetch.restore();
+                    assert.strictEqual(fetchStub.callCount, 1);
+                    assert.strictEqual(fetchStub.args[0][0], "/foo");
+                    assert.strictEqual(fetchStub.args[0][1].method, "POST");
+                    assert.strictEqual(res.id, 42);
+                }, (err) => {
+                    window.fetch.restore();
+                    return Promise.reject(err);
+                });
+        });
+
+        it("fetch transport rejects on network failure", (done) => {
+            sinon.stub(window, "fetch").returns(Promise.reject(new TypeError("Failed to fetch")));
+            var fetchApp = new WebAuthnApp();
+
+            fetchApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    window.fetch.restore();
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    window.fetch.restore();
+                    assert.instanceOf(err, Error);
+                    assert.strictEqual(err.message, "POST to URL failed: /foo");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
     });
 
     describe("send", () => {
@@ -253,6 +648,42 @@ describe("WebAuthnApp", () => {
                 });
         });
 
+        it("appends query string to existing query for GET", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify({ status: "ok" })
+            }));
+            var customApp = new WebAuthnApp({ transport });
+            var msg = TestMsg.from({
+                id: 12,
+                comment: "hi there"
+            });
+
+            return customApp.send("GET", "/foo?tenant=1", msg, TestMsg)
+                .then(() => {
+                    assert.strictEqual(transport.args[0][0].url, "/foo?tenant=1&id=12&comment=hi%20there");
+                });
+        });
+
+        it("rejects on unknown method", (done) => {
+            var msg = TestMsg.from({
+                id: 12,
+                comment: "hi there"
+            });
+            app.send("TELEPORT", "/foo", msg, TestMsg)
+                .then(() => {
+                    done(new Error("should not have resolved"));
+                })
+                .catch((err) => {
+                    assert.instanceOf(err, Error);
+                    assert.strictEqual(err.message, "expected 'method' to be 'GET', 'POST', 'PUT', 'PATCH', or 'DELETE', got: TELEPORT");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
         it("fires send event", () => {
             var msg = TestMsg.from({
                 id: 12,
@@ -357,6 +788,79 @@ describe("WebAuthnApp", () => {
             return p;
         });
 
+        it("rejects with ServerRejectedError on HTTP error", () => {
+            var msg = TestMsg.from({
+                id: 12,
+                comment: "hi there"
+            });
+            return app.send("POST", "/bar", msg, TestMsg)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.ServerRejectedError);
+                    assert.strictEqual(err.status, 404);
+                    assert.strictEqual(err.message, "server returned status: 404");
+                });
+        });
+
+        it("rejects with InvalidResponseError on bad JSON", () => {
+            var customApp = new WebAuthnApp({
+                transport: () => Promise.resolve({
+                    status: 200,
+                    body: "<html>"
+                })
+            });
+            var msg = TestMsg.from({
+                id: 12,
+                comment: "hi there"
+            });
+            return customApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.InvalidResponseError);
+                    assert.strictEqual(err.message, "error parsing JSON response: '<html>'");
+                });
+        });
+
+        it("rejects with NetworkError when transport fails", () => {
+            var cause = new TypeError("Failed to fetch");
+            var customApp = new WebAuthnApp({
+                transport: () => Promise.reject(cause)
+            });
+            var msg = TestMsg.from({
+                id: 12,
+                comment: "hi there"
+            });
+            return customApp.send("POST", "/foo", msg, TestMsg)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.NetworkError);
+                    assert.strictEqual(err.cause, cause);
+                });
+        });
+
+        it("rejects with ValidationError on invalid server message", () => {
+            var customApp = new WebAuthnApp({
+                transport: () => Promise.resolve({
+                    status: 200,
+                    body: JSON.stringify({ status: "ok" })
+                })
+            });
+            var msg = CreateOptionsRequest.from({
+                username: "adam",
+                displayName: "adam"
+            });
+            return customApp.send("POST", "/foo", msg, CreateOptions)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.ValidationError);
+                    assert.strictEqual(err.path, "rp");
+                });
+        });
+
         it("fires send-error event on failure", () => {
             var msg = TestMsg.from({
                 id: 12,
@@ -405,7 +909,8 @@ describe("WebAuthnApp", () => {
                                 username: "adam",
                                 displayName: "adam"
                             }),
-                            CreateOptions
+                            CreateOptions,
+                            undefined
                         ]
                     );
                 });
@@ -484,6 +989,18 @@ describe("WebAuthnApp", () => {
                 });
         });
 
+        it("sends known transports of credential", () => {
+            serverFake("/attestation/result", fido2Helpers.server.successServerResponse);
+            app.username = "adam";
+            testCred.response = Object.assign({
+                getTransports: () => ["usb", "cable", "hybrid"]
+            }, testCred.response);
+            return app.sendRegisterResult(testCred)
+                .then(() => {
+                    assert.deepEqual(sendSpy.args[0][2].response.transports, ["usb", "hybrid"]);
+                });
+        });
+
         it("resolves to correct result", () => {
             serverFake("/attestation/result", fido2Helpers.server.successServerResponse);
             app.username = "adam";
@@ -518,6 +1035,19 @@ describe("WebAuthnApp", () => {
                 });
         });
 
+        it("rejects with ServerRejectedError on server msg failed", () => {
+            serverFake("/attestation/result", fido2Helpers.server.errorServerResponse);
+            app.username = "adam";
+            return app.sendRegisterResult(testCred)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.ServerRejectedError);
+                    assert.strictEqual(err.status, 200);
+                    assert.strictEqual(err.errorMessage, "out of memory");
+                });
+        });
+
         it("rejects on server msg failed", (done) => {
             serverFake("/attestation/result", fido2Helpers.server.errorServerResponse);
             app.username = "adam";
@@ -559,7 +1089,8 @@ describe("WebAuthnApp", () => {
                                 username: "adam",
                                 displayName: "adam"
                             }),
-                            GetOptions
+                            GetOptions,
+                            undefined
                         ]
                     );
                 });
@@ -589,14 +1120,44 @@ describe("WebAuthnApp", () => {
                 });
         });
 
-        it("rejects on server error", (done) => {
-            // XXX: no server fake
+        it("doesn't send username when usernameless", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
             app.username = "adam";
-            app.requestLoginOptions()
+            app.usernameless = true;
+            return app
+                .requestLoginOptions()
                 .then(() => {
-                    done(new Error("should have rejected"));
-                })
-                .catch((err) => {
+                    assert.strictEqual(sendSpy.callCount, 1);
+                    assert.instanceOf(sendSpy.args[0][2], GetOptionsRequest);
+                    assert.deepEqual(sendSpy.args[0][2].toObject(), {});
+                });
+        });
+
+        it("doesn't require username when usernameless", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            app.usernameless = true;
+            return app.requestLoginOptions()
+                .then((res) => {
+                    assert.instanceOf(res, GetOptions);
+                });
+        });
+
+        it("can be configured usernameless", () => {
+            var usernamelessApp = new WebAuthnApp({
+                usernameless: true
+            });
+            assert.isTrue(usernamelessApp.usernameless);
+            assert.isFalse(app.usernameless);
+        });
+
+        it("rejects on server error", (done) => {
+            // XXX: no server fake
+            app.username = "adam";
+            app.requestLoginOptions()
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
                     assert.instanceOf(err, Error);
                     assert.strictEqual(err.message, "server returned status: 404");
                     done();
@@ -690,6 +1251,171 @@ describe("WebAuthnApp", () => {
 
     });
 
+    describe("listCredentials", () => {
+        var serverFake = serverMock();
+        var sendSpy;
+        var credentialList = {
+            status: "ok",
+            errorMessage: "",
+            credentials: [{
+                id: "AAAA",
+                name: "My security key"
+            }]
+        };
+        beforeEach(() => {
+            sendSpy = sinon.spy(app, "send");
+        });
+
+        afterEach(() => {
+            app.send.restore();
+        });
+
+        it("sends request", () => {
+            serverFake("/credentials/list", credentialList);
+            app.username = "adam";
+            return app.listCredentials()
+                .then(() => {
+                    assert.strictEqual(sendSpy.callCount, 1);
+                    assert.strictEqual(sendSpy.args[0][0], "POST");
+                    assert.strictEqual(sendSpy.args[0][1], "/credentials/list");
+                    assert.instanceOf(sendSpy.args[0][2], CredentialListRequest);
+                    assert.deepEqual(sendSpy.args[0][2].toObject(), { username: "adam" });
+                    assert.strictEqual(sendSpy.args[0][3], CredentialList);
+                });
+        });
+
+        it("sends request without username", () => {
+            serverFake("/credentials/list", credentialList);
+            return app.listCredentials()
+                .then(() => {
+                    assert.deepEqual(sendSpy.args[0][2].toObject(), {});
+                });
+        });
+
+        it("resolves to correct result", () => {
+            serverFake("/credentials/list", credentialList);
+            return app.listCredentials()
+                .then((res) => {
+                    assert.instanceOf(res, CredentialList);
+                    assert.strictEqual(res.status, "ok");
+                    assert.deepEqual(res.credentials, credentialList.credentials);
+                });
+        });
+
+        it("uses configured endpoint and method", () => {
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify(credentialList)
+            }));
+            var customApp = new WebAuthnApp({
+                transport,
+                credentialListEndpoint: "/my/credentials",
+                credentialListMethod: "GET"
+            });
+            return customApp.listCredentials()
+                .then(() => {
+                    assert.strictEqual(transport.args[0][0].method, "GET");
+                    assert.strictEqual(transport.args[0][0].url, "/my/credentials");
+                });
+        });
+
+        it("rejects on server msg failed", () => {
+            serverFake("/credentials/list", fido2Helpers.server.errorServerResponse);
+            return app.listCredentials()
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.ServerRejectedError);
+                    assert.strictEqual(err.message, "out of memory");
+                });
+        });
+    });
+
+    describe("renameCredential", () => {
+        var serverFake = serverMock();
+        var sendSpy;
+        beforeEach(() => {
+            sendSpy = sinon.spy(app, "send");
+        });
+
+        afterEach(() => {
+            app.send.restore();
+        });
+
+        it("sends request", () => {
+            serverFake("/credentials/rename", fido2Helpers.server.successServerResponse);
+            return app.renameCredential("AAAA", "My security key")
+                .then((res) => {
+                    assert.strictEqual(sendSpy.callCount, 1);
+                    assert.strictEqual(sendSpy.args[0][0], "POST");
+                    assert.strictEqual(sendSpy.args[0][1], "/credentials/rename");
+                    assert.instanceOf(sendSpy.args[0][2], CredentialRenameRequest);
+                    assert.deepEqual(sendSpy.args[0][2].toObject(), {
+                        id: "AAAA",
+                        name: "My security key"
+                    });
+                    assert.strictEqual(sendSpy.args[0][3], ServerResponse);
+                    assert.instanceOf(res, ServerResponse);
+                    assert.strictEqual(res.status, "ok");
+                });
+        });
+
+        it("encodes ArrayBuffer id", () => {
+            serverFake("/credentials/rename", fido2Helpers.server.successServerResponse);
+            return app.renameCredential(new Uint8Array([0x00, 0x00, 0x00]).buffer, "My security key")
+                .then(() => {
+                    assert.strictEqual(sendSpy.args[0][2].id, "AAAA");
+                });
+        });
+
+        it("rejects on empty name", () => {
+            return app.renameCredential("AAAA", "")
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.ValidationError);
+                    assert.strictEqual(err.message, "expected 'name' to be non-empty string");
+                });
+        });
+    });
+
+    describe("deleteCredential", () => {
+        var serverFake = serverMock();
+        var sendSpy;
+        beforeEach(() => {
+            sendSpy = sinon.spy(app, "send");
+        });
+
+        afterEach(() => {
+            app.send.restore();
+        });
+
+        it("sends request", () => {
+            serverFake("/credentials/delete", fido2Helpers.server.successServerResponse);
+            return app.deleteCredential("AAAA")
+                .then((res) => {
+                    assert.strictEqual(sendSpy.callCount, 1);
+                    assert.strictEqual(sendSpy.args[0][0], "POST");
+                    assert.strictEqual(sendSpy.args[0][1], "/credentials/delete");
+                    assert.instanceOf(sendSpy.args[0][2], CredentialDeleteRequest);
+                    assert.deepEqual(sendSpy.args[0][2].toObject(), { id: "AAAA" });
+                    assert.strictEqual(sendSpy.args[0][3], ServerResponse);
+                    assert.instanceOf(res, ServerResponse);
+                    assert.strictEqual(res.status, "ok");
+                });
+        });
+
+        it("rejects on missing id", () => {
+            return app.deleteCredential()
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.ValidationError);
+                    assert.strictEqual(err.message, "expected 'id' to be 'string', got: undefined");
+                });
+        });
+    });
+
     describe("create", () => {
         var opts = CreateOptions.from(fido2Helpers.functions.cloneObject(fido2Helpers.server.basicCreationOptions));
         var result = fido2Helpers.lib.makeCredentialAttestationU2fResponse;
@@ -796,6 +1522,66 @@ describe("WebAuthnApp", () => {
             return p;
         });
 
+        function domException(name) {
+            var err = new Error(name + " happened");
+            err.name = name;
+            return err;
+        }
+
+        it("maps NotAllowedError to WebAuthnUserCancelledError", () => {
+            var cause = domException("NotAllowedError");
+            createSpy.returns(Promise.reject(cause));
+            return app.create(opts)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.WebAuthnUserCancelledError);
+                    assert.strictEqual(err.message, "NotAllowedError happened");
+                    assert.strictEqual(err.cause, cause);
+                });
+        });
+
+        it("maps InvalidStateError to CredentialExcludedError", () => {
+            createSpy.returns(Promise.reject(domException("InvalidStateError")));
+            return app.create(opts)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.CredentialExcludedError);
+                });
+        });
+
+        it("maps SecurityError to WebAuthnSecurityError", () => {
+            createSpy.returns(Promise.reject(domException("SecurityError")));
+            return app.create(opts)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.WebAuthnSecurityError);
+                });
+        });
+
+        it("maps NotSupportedError to WebAuthnNotSupportedError", () => {
+            createSpy.returns(Promise.reject(domException("NotSupportedError")));
+            return app.create(opts)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.WebAuthnNotSupportedError);
+                });
+        });
+
+        it("maps unknown errors to WebAuthnError", () => {
+            createSpy.returns(Promise.reject(new Error("out of memory")));
+            return app.create(opts)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, GlobalWebAuthnClasses.WebAuthnError);
+                    assert.strictEqual(err.message, "out of memory");
+                });
+        });
+
         it("fires debug event for error", () => {
             var err = new Error("out of memory");
             createSpy.returns(Promise.reject(err));
@@ -911,6 +1697,35 @@ describe("WebAuthnApp", () => {
             return p;
         });
 
+        it("maps NotAllowedError after timeout to WebAuthnTimeoutError", () => {
+            var timeoutOpts = GetOptions.from(fido2Helpers.functions.cloneObject(fido2Helpers.server.basicGetOptions));
+            timeoutOpts.timeout = 1;
+            var err = new Error("timed out");
+            err.name = "NotAllowedError";
+            createSpy.returns(new Promise((resolve, reject) => {
+                setTimeout(() => reject(err), 10);
+            }));
+            return app.get(timeoutOpts)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (res) => {
+                    assert.instanceOf(res, GlobalWebAuthnClasses.WebAuthnTimeoutError);
+                });
+        });
+
+        it("maps InvalidStateError to WebAuthnError", () => {
+            var err = new Error("bad state");
+            err.name = "InvalidStateError";
+            createSpy.returns(Promise.reject(err));
+            return app.get(opts)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (res) => {
+                    assert.instanceOf(res, GlobalWebAuthnClasses.WebAuthnError);
+                    assert.notInstanceOf(res, GlobalWebAuthnClasses.CredentialExcludedError);
+                });
+        });
+
         it("fires debug event for error", () => {
             var err = new Error("out of memory");
             createSpy.returns(Promise.reject(err));
@@ -986,6 +1801,24 @@ describe("WebAuthnApp", () => {
                 });
         });
 
+        it("ignores abort after completion", () => {
+            serverFake("/attestation/options", fido2Helpers.server.basicCreationOptions);
+            app.username = "adam";
+            serverFake("/attestation/result", fido2Helpers.server.successServerResponse);
+            var controller = new AbortController();
+            var doneSpy = sinon.spy();
+            catchEvent("webauthn-register-done", doneSpy);
+
+            return app.register(controller.signal)
+                .then(() => {
+                    assert.strictEqual(doneSpy.callCount, 1);
+                    // e.g. the user closes the modal that the registration was started from
+                    controller.abort();
+                    assert.strictEqual(doneSpy.callCount, 1);
+                    assert.isUndefined(app.currentOperation);
+                });
+        });
+
         it("fails on failed option request", (done) => {
             // options
             // serverFake("/attestation/options", fido2Helpers.server.basicCreationOptions);
@@ -1122,6 +1955,499 @@ describe("WebAuthnApp", () => {
         });
     });
 
+    describe("getCapabilities", () => {
+        var PublicKeyCredential = window.PublicKeyCredential;
+        var saved;
+        beforeEach(() => {
+            saved = {
+                isUserVerifyingPlatformAuthenticatorAvailable: PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable,
+                isConditionalMediationAvailable: PublicKeyCredential.isConditionalMediationAvailable,
+                getClientCapabilities: PublicKeyCredential.getClientCapabilities
+            };
+        });
+
+        afterEach(() => {
+            Object.keys(saved).forEach((name) => {
+                PublicKeyCredential[name] = saved[name];
+            });
+        });
+
+        it("is static", () => {
+            assert.isFunction(WebAuthnApp.getCapabilities);
+        });
+
+        it("resolves to capabilities", () => {
+            PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable = () => Promise.resolve(true);
+            PublicKeyCredential.isConditionalMediationAvailable = () => Promise.resolve(true);
+            PublicKeyCredential.getClientCapabilities = () => Promise.resolve({
+                passkeyPlatformAuthenticator: true,
+                "extension:credProps": true,
+                "extension:largeBlob": false,
+                "extension:prf": true
+            });
+
+            return WebAuthnApp.getCapabilities()
+                .then((caps) => {
+                    assert.isTrue(caps.secureContext);
+                    assert.isTrue(caps.webauthn);
+                    assert.isTrue(caps.userVerifyingPlatformAuthenticator);
+                    assert.isTrue(caps.conditionalMediation);
+                    assert.isTrue(caps.clientCapabilities.passkeyPlatformAuthenticator);
+                    assert.deepEqual(caps.extensions, ["credProps", "prf"]);
+                });
+        });
+
+        it("reports missing features as unsupported", () => {
+            PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable = () => Promise.resolve(false);
+            PublicKeyCredential.isConditionalMediationAvailable = undefined;
+            PublicKeyCredential.getClientCapabilities = undefined;
+
+            return WebAuthnApp.getCapabilities()
+                .then((caps) => {
+                    assert.isTrue(caps.webauthn);
+                    assert.isFalse(caps.userVerifyingPlatformAuthenticator);
+                    assert.isFalse(caps.conditionalMediation);
+                    assert.deepEqual(caps.clientCapabilities, {});
+                    assert.deepEqual(caps.extensions, []);
+                });
+        });
+
+        it("doesn't reject when detection fails", () => {
+            PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable = () => Promise.reject(new Error("not today"));
+            PublicKeyCredential.isConditionalMediationAvailable = () => {
+                throw new Error("not today");
+            };
+
+            return WebAuthnApp.getCapabilities()
+                .then((caps) => {
+                    assert.isFalse(caps.userVerifyingPlatformAuthenticator);
+                    assert.isFalse(caps.conditionalMediation);
+                });
+        });
+    });
+
+    describe("loginWithAutofill", () => {
+        var serverFake = serverMock();
+        var getMock, sendSpy, testCred;
+        var origIsConditionalMediationAvailable = window.PublicKeyCredential.isConditionalMediationAvailable;
+        beforeEach(() => {
+            testCred = fido2Helpers.functions.cloneObject(fido2Helpers.lib.assertionResponse);
+            // ArrayBuffers don't get copied
+            testCred.rawId = fido2Helpers.lib.assertionResponse.rawId;
+            testCred.id = undefined;
+            testCred.response = fido2Helpers.lib.assertionResponse.response;
+            Object.setPrototypeOf(testCred, window.PublicKeyCredential.prototype);
+            getMock = sinon.stub(navigator.credentials, "get");
+            getMock.returns(Promise.resolve(testCred));
+            sendSpy = sinon.spy(app, "send");
+            window.PublicKeyCredential.isConditionalMediationAvailable = () => Promise.resolve(true);
+        });
+
+        afterEach(() => {
+            navigator.credentials.get.restore();
+            app.send.restore();
+            window.PublicKeyCredential.isConditionalMediationAvailable = origIsConditionalMediationAvailable;
+        });
+
+        it("exists", () => {
+            assert.isFunction(app.loginWithAutofill);
+        });
+
+        it("can complete login", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            serverFake("/assertion/result", fido2Helpers.server.successServerResponse);
+
+            return app.loginWithAutofill()
+                .then((res) => {
+                    assert.instanceOf(res, ServerResponse);
+                    assert.strictEqual(res.status, "ok");
+                });
+        });
+
+        it("requests options without username", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            serverFake("/assertion/result", fido2Helpers.server.successServerResponse);
+            app.username = "adam";
+
+            return app.loginWithAutofill()
+                .then(() => {
+                    assert.strictEqual(sendSpy.args[0][1], "/assertion/options");
+                    assert.instanceOf(sendSpy.args[0][2], GetOptionsRequest);
+                    assert.deepEqual(sendSpy.args[0][2].toObject(), {});
+                    assert.strictEqual(sendSpy.args[1][1], "/assertion/result");
+                });
+        });
+
+        it("uses conditional mediation", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            serverFake("/assertion/result", fido2Helpers.server.successServerResponse);
+
+            return app.loginWithAutofill()
+                .then(() => {
+                    assert.strictEqual(getMock.callCount, 1);
+                    assert.strictEqual(getMock.args[0][0].mediation, "conditional");
+                    assert.instanceOf(getMock.args[0][0].signal, AbortSignal);
+                });
+        });
+
+        it("doesn't fire user presence events", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            serverFake("/assertion/result", fido2Helpers.server.successServerResponse);
+
+            var upSpy = sinon.spy();
+            catchEvent("webauthn-user-presence-start", upSpy);
+            return app.loginWithAutofill()
+                .then(() => {
+                    assert.strictEqual(upSpy.callCount, 0);
+                });
+        });
+
+        it("rejects when conditional mediation isn't available", (done) => {
+            window.PublicKeyCredential.isConditionalMediationAvailable = () => Promise.resolve(false);
+
+            app.loginWithAutofill()
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.instanceOf(err, Error);
+                    assert.strictEqual(err.message, "conditional mediation is not supported by this browser");
+                    assert.strictEqual(sendSpy.callCount, 0);
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
+        it("rejects when isConditionalMediationAvailable doesn't exist", (done) => {
+            window.PublicKeyCredential.isConditionalMediationAvailable = undefined;
+
+            app.loginWithAutofill()
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, "conditional mediation is not supported by this browser");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
+        it("is cancelled by login()", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            serverFake("/assertion/result", fido2Helpers.server.successServerResponse);
+            app.username = "adam";
+            // autofill waits until the user picks a credential
+            getMock.onFirstCall().returns(new Promise(() => {}));
+
+            var autofillErr;
+            var autofill = app.loginWithAutofill()
+                .catch((err) => {
+                    autofillErr = err;
+                });
+
+            var p = catchEvent("webauthn-debug", (event) => event.detail.subtype === "get-options");
+            return p
+                .then(() => app.login())
+                .then((res) => {
+                    assert.strictEqual(res.status, "ok");
+                    assert.isTrue(getMock.args[0][0].signal.aborted);
+                    return autofill;
+                })
+                .then(() => {
+                    assert.instanceOf(autofillErr, Error);
+                    assert.strictEqual(autofillErr.name, "AbortError");
+                });
+        });
+
+        it("doesn't cancel login() started while checking availability", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            serverFake("/assertion/result", fido2Helpers.server.successServerResponse);
+            app.username = "adam";
+
+            var autofillErr;
+            // isConditionalMediationAvailable() resolves after login() has started
+            var autofill = app.loginWithAutofill()
+                .catch((err) => {
+                    autofillErr = err;
+                });
+            return app.login()
+                .then((res) => {
+                    assert.strictEqual(res.status, "ok");
+                    return autofill;
+                })
+                .then(() => {
+                    assert.strictEqual(autofillErr.name, "AbortError");
+                    assert.strictEqual(getMock.callCount, 1);
+                    assert.isUndefined(getMock.args[0][0].mediation);
+                });
+        });
+
+        it("fires done of cancelled autofill before start of login()", () => {
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            serverFake("/assertion/result", fido2Helpers.server.successServerResponse);
+            app.username = "adam";
+            getMock.onFirstCall().returns(new Promise(() => {}));
+
+            app.loginWithAutofill().catch(() => {});
+
+            var events = [];
+            return catchEvent("webauthn-debug", (event) => event.detail.subtype === "get-options")
+                .then(() => {
+                    ["start", "success", "done"].forEach((state) => {
+                        catchEvent("webauthn-login-" + state, () => events.push(state));
+                    });
+                    return app.login();
+                })
+                .then(() => {
+                    // a spinner that is shown on "start" and hidden on "done" stays on until login() is done
+                    assert.deepEqual(events, ["done", "start", "success", "done"]);
+                });
+        });
+    });
+
+    describe("abort", () => {
+        var serverFake = serverMock();
+        var createMock;
+        beforeEach(() => {
+            createMock = sinon.stub(navigator.credentials, "create");
+            // never resolves, like a user who hasn't touched their authenticator yet
+            createMock.returns(new Promise(() => {}));
+        });
+
+        afterEach(() => {
+            navigator.credentials.create.restore();
+        });
+
+        it("exists", () => {
+            assert.isFunction(app.abort);
+        });
+
+        it("does nothing when nothing is in progress", () => {
+            app.abort();
+        });
+
+        it("cancels register", (done) => {
+            serverFake("/attestation/options", fido2Helpers.server.basicCreationOptions);
+            app.username = "adam";
+
+            app.register()
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.instanceOf(err, Error);
+                    assert.strictEqual(err.name, "AbortError");
+                    assert.strictEqual(err.message, "operation cancelled");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+
+            catchEvent("webauthn-user-presence-start", () => {
+                app.abort();
+                return true;
+            });
+        });
+
+        it("passes signal to navigator.credentials.create", () => {
+            serverFake("/attestation/options", fido2Helpers.server.basicCreationOptions);
+            app.username = "adam";
+
+            catchEvent("webauthn-user-presence-start", () => {
+                app.abort();
+                return true;
+            });
+            return app.register()
+                .catch(() => {
+                    assert.strictEqual(createMock.callCount, 1);
+                    assert.instanceOf(createMock.args[0][0].signal, AbortSignal);
+                    assert.isTrue(createMock.args[0][0].signal.aborted);
+                });
+        });
+
+        it("fires webauthn-register-done", () => {
+            serverFake("/attestation/options", fido2Helpers.server.basicCreationOptions);
+            app.username = "adam";
+
+            var p = catchEvent("webauthn-register-done", () => true);
+            catchEvent("webauthn-user-presence-start", () => {
+                app.abort();
+                return true;
+            });
+            app.register().catch(() => {});
+            return p;
+        });
+
+        it("doesn't fire webauthn-register-error", () => {
+            serverFake("/attestation/options", fido2Helpers.server.basicCreationOptions);
+            app.username = "adam";
+
+            var errorSpy = sinon.spy();
+            catchEvent("webauthn-register-error", errorSpy);
+            catchEvent("webauthn-user-presence-start", () => {
+                app.abort();
+                return true;
+            });
+            return app.register()
+                .catch(() => {
+                    assert.strictEqual(errorSpy.callCount, 0);
+                });
+        });
+
+        it("cancels register from AbortSignal", (done) => {
+            serverFake("/attestation/options", fido2Helpers.server.basicCreationOptions);
+            app.username = "adam";
+            var controller = new AbortController();
+
+            catchEvent("webauthn-user-presence-start", () => {
+                controller.abort();
+                return true;
+            });
+            app.register(controller.signal)
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.name, "AbortError");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
+        it("cancels login from AbortSignal", (done) => {
+            var getMock = sinon.stub(navigator.credentials, "get");
+            getMock.returns(new Promise(() => {}));
+            serverFake("/assertion/options", fido2Helpers.server.basicGetOptions);
+            app.username = "adam";
+            var controller = new AbortController();
+
+            var p = catchEvent("webauthn-login-done", () => true);
+            catchEvent("webauthn-user-presence-start", () => {
+                controller.abort();
+                return true;
+            });
+            app.login(controller.signal)
+                .then(() => {
+                    navigator.credentials.get.restore();
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    navigator.credentials.get.restore();
+                    assert.strictEqual(err.name, "AbortError");
+                    return p;
+                })
+                .then(() => {
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
+        it("rejects register with already aborted signal without events", () => {
+            var controller = new AbortController();
+            controller.abort();
+            var eventSpy = sinon.spy();
+            catchEvent("webauthn-register-start", eventSpy);
+            catchEvent("webauthn-register-done", eventSpy);
+
+            return app.register(controller.signal)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.strictEqual(err.name, "AbortError");
+                    assert.strictEqual(eventSpy.callCount, 0);
+                    assert.isUndefined(app.currentOperation);
+                });
+        });
+
+        it("rejects login with already aborted signal without events", () => {
+            var controller = new AbortController();
+            controller.abort();
+            var eventSpy = sinon.spy();
+            catchEvent("webauthn-login-start", eventSpy);
+            catchEvent("webauthn-login-done", eventSpy);
+
+            return app.login(controller.signal)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.strictEqual(err.name, "AbortError");
+                    assert.strictEqual(eventSpy.callCount, 0);
+                });
+        });
+
+        it("send rejects with already aborted signal", (done) => {
+            var controller = new AbortController();
+            controller.abort();
+            var transport = sinon.spy();
+            var customApp = new WebAuthnApp({ transport });
+
+            customApp.send("POST", "/foo", CreateOptionsRequest.from({
+                username: "adam",
+                displayName: "adam"
+            }), CreateOptions, controller.signal)
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.name, "AbortError");
+                    assert.strictEqual(transport.callCount, 0);
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+        });
+
+        it("send passes signal to transport", () => {
+            var controller = new AbortController();
+            var transport = sinon.stub().returns(Promise.resolve({
+                status: 200,
+                body: JSON.stringify(fido2Helpers.server.basicCreationOptions)
+            }));
+            var customApp = new WebAuthnApp({ transport });
+
+            return customApp.send("POST", "/foo", CreateOptionsRequest.from({
+                username: "adam",
+                displayName: "adam"
+            }), CreateOptions, controller.signal)
+                .then(() => {
+                    assert.strictEqual(transport.args[0][0].signal, controller.signal);
+                });
+        });
+
+        it("send rejects when transport ignores the signal", (done) => {
+            var controller = new AbortController();
+            var customApp = new WebAuthnApp({
+                transport: () => new Promise(() => {})
+            });
+
+            customApp.send("POST", "/foo", CreateOptionsRequest.from({
+                username: "adam",
+                displayName: "adam"
+            }), CreateOptions, controller.signal)
+                .then(() => {
+                    done(new Error("should have rejected"));
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.name, "AbortError");
+                    done();
+                })
+                .catch((err) => {
+                    done(err);
+                });
+            setTimeout(() => controller.abort(), 0);
+        });
+    });
+
     describe("login", () => {
         var serverFake = serverMock();
         var getMock;
@@ -0,0 +1,171 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("parseAuthenticatorData", function() {
+    const {
+        CredentialAssertion,
+        CredentialAttestation,
+        ValidationError,
+        WebAuthnHelpers
+    } = GlobalWebAuthnClasses;
+
+    const {
+        parseAuthenticatorData
+    } = WebAuthnHelpers;
+
+    const {
+        decode,
+        encode
+    } = WebAuthnHelpers.cbor;
+
+    // builds authenticator data: rpIdHash, flags, counter and then the `rest`
+    function makeAuthData(flags, counter, rest) {
+        rest = rest || [];
+        var buf = new Uint8Array(37 + rest.length);
+        buf.fill(0xAA, 0, 32);
+        buf[32] = flags;
+        new DataView(buf.buffer).setUint32(33, counter);
+        buf.set(rest, 37);
+        return buf.buffer;
+    }
+
+    function attestedCredentialData(credId, coseKey) {
+        var aaguid = new Uint8Array(16).fill(0x11);
+        var key = new Uint8Array(encode(coseKey));
+        return [...aaguid, credId.length >> 8, credId.length & 0xFF, ...credId, ...key];
+    }
+
+    var coseKey = new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, new Uint8Array(32).fill(1)],
+        [-3, new Uint8Array(32).fill(2)]
+    ]);
+
+    it("is a function", function() {
+        assert.isFunction(parseAuthenticatorData);
+    });
+
+    it("parses assertion authenticator data", function() {
+        var authnrData = parseAuthenticatorData(fido2Helpers.lib.assertionResponse.response.authenticatorData);
+        assert.instanceOf(authnrData.rawAuthnrData, ArrayBuffer);
+        assert.strictEqual(authnrData.rawAuthnrData.byteLength, 37);
+        assert.instanceOf(authnrData.rpIdHash, ArrayBuffer);
+        assert.strictEqual(authnrData.rpIdHash.byteLength, 32);
+        assert.instanceOf(authnrData.flags, Set);
+        assert.deepEqual([...authnrData.flags], ["UP"]);
+        assert.strictEqual(authnrData.signCount, 363);
+        assert.strictEqual(authnrData.counter, 363);
+        assert.isUndefined(authnrData.aaguid);
+        assert.isUndefined(authnrData.credId);
+        assert.isUndefined(authnrData.extensions);
+    });
+
+    it("parses attestation authenticator data", function() {
+        var attObj = decode(fido2Helpers.lib.makeCredentialAttestationNoneResponse.response.attestationObject);
+        var authnrData = parseAuthenticatorData(attObj.get("authData"));
+        assert.deepEqual([...authnrData.flags], ["UP", "AT"]);
+        assert.strictEqual(authnrData.signCount, 0);
+        assert.instanceOf(authnrData.aaguid, ArrayBuffer);
+        assert.strictEqual(authnrData.aaguid.byteLength, 16);
+        assert.strictEqual(authnrData.credIdLen, 162);
+        assert.instanceOf(authnrData.credId, ArrayBuffer);
+        assert.isTrue(fido2Helpers.functions.abEqual(authnrData.credId, fido2Helpers.lib.makeCredentialAttestationNoneResponse.rawId));
+        assert.instanceOf(authnrData.credentialPublicKeyCose, ArrayBuffer);
+        assert.strictEqual(authnrData.credentialPublicKeyCose.byteLength, 77);
+        assert.instanceOf(authnrData.credentialPublicKey, Map);
+        assert.strictEqual(authnrData.credentialPublicKey.get(1), 2);
+        assert.strictEqual(authnrData.credentialPublicKey.get(3), -7);
+    });
+
+    it("parses all flags", function() {
+        var ext = [...new Uint8Array(encode(new Map([["credProtect", 1]])))];
+        var authnrData = parseAuthenticatorData(makeAuthData(0xDD, 1, attestedCredentialData([1, 2, 3, 4], coseKey).concat(ext)));
+        assert.deepEqual([...authnrData.flags], ["UP", "UV", "BE", "BS", "AT", "ED"]);
+    });
+
+    it("parses backup flags", function() {
+        var authnrData = parseAuthenticatorData(makeAuthData(0x1D, 5));
+        assert.deepEqual([...authnrData.flags], ["UP", "UV", "BE", "BS"]);
+        assert.strictEqual(authnrData.signCount, 5);
+    });
+
+    it("parses extensions", function() {
+        var ext = [...new Uint8Array(encode(new Map([["credProtect", 2]])))];
+        var authnrData = parseAuthenticatorData(makeAuthData(0x81, 0, ext));
+        assert.instanceOf(authnrData.extensions, Map);
+        assert.strictEqual(authnrData.extensions.get("credProtect"), 2);
+    });
+
+    it("parses extensions after attested credential data", function() {
+        var ext = [...new Uint8Array(encode(new Map([["hmac-secret", true]])))];
+        var authnrData = parseAuthenticatorData(makeAuthData(0xC1, 0, attestedCredentialData([1, 2, 3, 4], coseKey).concat(ext)));
+        assert.strictEqual(authnrData.credIdLen, 4);
+        assert.strictEqual(authnrData.credentialPublicKeyCose.byteLength, 77);
+        assert.strictEqual(authnrData.credentialPublicKey.get(3), -7);
+        assert.isTrue(authnrData.extensions.get("hmac-secret"));
+    });
+
+    it("accepts Uint8Array", function() {
+        var buf = new Uint8Array(makeAuthData(0x01, 7));
+        var authnrData = parseAuthenticatorData(buf);
+        assert.strictEqual(authnrData.signCount, 7);
+    });
+
+    it("throws on short authenticator data", function() {
+        assert.throws(() => {
+            parseAuthenticatorData(new ArrayBuffer(36));
+        }, ValidationError, "authenticator data is too short");
+    });
+
+    it("throws on short credential id", function() {
+        var credData = attestedCredentialData([1, 2, 3, 4], coseKey).slice(0, 20);
+        assert.throws(() => {
+            parseAuthenticatorData(makeAuthData(0x41, 0, credData));
+        }, ValidationError, "authenticator data is too short for credential id");
+    });
+
+    it("throws on bad credential public key", function() {
+        var credData = attestedCredentialData([1, 2, 3, 4], coseKey).slice(0, 30);
+        assert.throws(() => {
+            parseAuthenticatorData(makeAuthData(0x41, 0, credData));
+        }, ValidationError, /^couldn't decode credential public key: /);
+    });
+
+    it("throws on missing extensions", function() {
+        assert.throws(() => {
+            parseAuthenticatorData(makeAuthData(0x81, 0));
+        }, ValidationError, /^couldn't decode extensions: /);
+    });
+
+    it("throws on trailing data", function() {
+        assert.throws(() => {
+            parseAuthenticatorData(makeAuthData(0x01, 0, [0]));
+        }, ValidationError, "unexpected data at the end of authenticator data");
+    });
+
+    it("throws on wrong type", function() {
+        assert.throws(() => {
+            parseAuthenticatorData("foo");
+        }, TypeError, "expected 'authData' to be 'ArrayBuffer' or 'Uint8Array', got: foo");
+    });
+
+    describe("CredentialAttestation.getAuthenticatorData", function() {
+        it("parses authenticator data", function() {
+            var msg = CredentialAttestation.from(fido2Helpers.server.challengeResponseAttestationTpmB64UrlMsg);
+            var authnrData = msg.getAuthenticatorData();
+            assert.isTrue(authnrData.flags.has("UV"));
+            assert.isTrue(authnrData.flags.has("AT"));
+            assert.strictEqual(authnrData.credentialPublicKey.get(3), -257);
+        });
+    });
+
+    describe("CredentialAssertion.getAuthenticatorData", function() {
+        it("parses authenticator data", function() {
+            var msg = CredentialAssertion.from(fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url);
+            var authnrData = msg.getAuthenticatorData();
+            assert.deepEqual([...authnrData.flags], ["UP", "UV"]);
+            assert.strictEqual(authnrData.signCount, 1);
+        });
+    });
+});
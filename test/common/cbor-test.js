@@ -0,0 +1,265 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("cbor", function() {
+    const {
+        WebAuthnHelpers
+    } = GlobalWebAuthnClasses;
+
+    const {
+        Tagged,
+        decode,
+        decodeFirst,
+        encode
+    } = WebAuthnHelpers.cbor;
+
+    function hex(str) {
+        var bytes = str.match(/../g) || [];
+        return Uint8Array.from(bytes.map((b) => parseInt(b, 16))).buffer;
+    }
+
+    function toHex(buf) {
+        return Array.from(new Uint8Array(buf))
+            .map((b) => ((b < 16) ? "0" : "") + b.toString(16))
+            .join("");
+    }
+
+    // examples from RFC 7049, appendix A
+    var examples = [
+        [0, "00"],
+        [23, "17"],
+        [24, "1818"],
+        [100, "1864"],
+        [1000, "1903e8"],
+        [1000000, "1a000f4240"],
+        [1000000000000, "1b000000e8d4a51000"],
+        [-1, "20"],
+        [-100, "3863"],
+        [-1000, "3903e7"],
+        [1.1, "fb3ff199999999999a"],
+        [1.5, "f93e00"],
+        [65504, "19ffe0"],
+        [100000.5, "fa47c35040"],
+        [5.960464477539063e-8, "f90001"],
+        [-4.1, "fbc010666666666666"],
+        [Infinity, "f97c00"],
+        [-Infinity, "f9fc00"],
+        [false, "f4"],
+        [true, "f5"],
+        [null, "f6"],
+        [undefined, "f7"],
+        ["", "60"],
+        ["a", "6161"],
+        ["IETF", "6449455446"],
+        ["ü", "62c3bc"],
+        [[], "80"],
+        [[1, [2, 3], [4, 5]], "8301820203820405"]
+    ];
+
+    describe("decode", function() {
+        it("is a function", function() {
+            assert.isFunction(decode);
+        });
+
+        examples.forEach((example) => {
+            it("decodes " + example[1], function() {
+                assert.deepEqual(decode(hex(example[1])), example[0]);
+            });
+        });
+
+        it("decodes half float", function() {
+            assert.strictEqual(decode(hex("f93c00")), 1);
+            assert.strictEqual(decode(hex("f97bff")), 65504);
+            assert.isTrue(Object.is(decode(hex("f98000")), -0));
+            assert.isNaN(decode(hex("f97e00")));
+        });
+
+        it("decodes single float", function() {
+            assert.strictEqual(decode(hex("fa47c35000")), 100000);
+        });
+
+        it("decodes byte string to ArrayBuffer", function() {
+            var ret = decode(hex("4401020304"));
+            assert.instanceOf(ret, ArrayBuffer);
+            assert.strictEqual(toHex(ret), "01020304");
+        });
+
+        it("decodes map with integer keys", function() {
+            var ret = decode(hex("a201020326"));
+            assert.instanceOf(ret, Map);
+            assert.strictEqual(ret.get(1), 2);
+            assert.strictEqual(ret.get(3), -7);
+        });
+
+        it("decodes map with string keys", function() {
+            var ret = decode(hex("a26161016162820203"));
+            assert.instanceOf(ret, Map);
+            assert.strictEqual(ret.get("a"), 1);
+            assert.deepEqual(ret.get("b"), [2, 3]);
+        });
+
+        it("decodes tags", function() {
+            var ret = decode(hex("c11a514b67b0"));
+            assert.instanceOf(ret, Tagged);
+            assert.strictEqual(ret.tag, 1);
+            assert.strictEqual(ret.value, 1363896240);
+        });
+
+        it("decodes indefinite length items", function() {
+            assert.deepEqual(decode(hex("9f018202039f0405ffff")), [1, [2, 3], [4, 5]]);
+            assert.strictEqual(decode(hex("7f657374726561646d696e67ff")), "streaming");
+            assert.strictEqual(toHex(decode(hex("5f42010243030405ff"))), "0102030405");
+
+            var map = decode(hex("bf61610161629f0203ffff"));
+            assert.strictEqual(map.get("a"), 1);
+            assert.deepEqual(map.get("b"), [2, 3]);
+        });
+
+        it("decodes attestationObject", function() {
+            var ret = decode(fido2Helpers.lib.makeCredentialAttestationNoneResponse.response.attestationObject);
+            assert.instanceOf(ret, Map);
+            assert.strictEqual(ret.get("fmt"), "none");
+            assert.instanceOf(ret.get("attStmt"), Map);
+            assert.instanceOf(ret.get("authData"), ArrayBuffer);
+        });
+
+        it("accepts Uint8Array", function() {
+            assert.strictEqual(decode(new Uint8Array([0xFF, 0x18, 0x64]).subarray(1)), 100);
+        });
+
+        it("throws on trailing data", function() {
+            assert.throws(() => {
+                decode(hex("0000"));
+            }, Error, "could not decode CBOR: unexpected data after the end of the first item");
+        });
+
+        it("throws on truncated data", function() {
+            assert.throws(() => {
+                decode(hex("4401"));
+            }, Error, "could not decode CBOR: unexpected end of data");
+        });
+
+        it("throws on duplicate map key", function() {
+            assert.throws(() => {
+                decode(hex("a201020103"));
+            }, Error, "could not decode CBOR: duplicate map key: 1");
+        });
+
+        it("throws on unexpected break", function() {
+            assert.throws(() => {
+                decode(hex("8101ff"));
+            }, Error, "could not decode CBOR: unexpected data after the end of the first item");
+            assert.throws(() => {
+                decode(hex("ff"));
+            }, Error, "could not decode CBOR: unexpected break");
+        });
+
+        it("throws on integers that aren't safe", function() {
+            assert.throws(() => {
+                decode(hex("1bffffffffffffffff"));
+            }, Error, "could not decode CBOR: integer is too large");
+        });
+
+        it("throws on wrong type", function() {
+            assert.throws(() => {
+                decode("a0");
+            }, TypeError, "expected CBOR data to be ArrayBuffer or Uint8Array");
+        });
+    });
+
+    describe("decodeFirst", function() {
+        it("returns value and length", function() {
+            var ret = decodeFirst(hex("a1010200ff"));
+            assert.instanceOf(ret.value, Map);
+            assert.strictEqual(ret.value.get(1), 2);
+            assert.strictEqual(ret.length, 3);
+        });
+    });
+
+    describe("encode", function() {
+        it("is a function", function() {
+            assert.isFunction(encode);
+        });
+
+        examples.forEach((example) => {
+            it("encodes " + example[1], function() {
+                var ret = encode(example[0]);
+                assert.instanceOf(ret, ArrayBuffer);
+                assert.strictEqual(toHex(ret), example[1]);
+            });
+        });
+
+        it("encodes NaN and -0 as half float", function() {
+            assert.strictEqual(toHex(encode(NaN)), "f97e00");
+            assert.strictEqual(toHex(encode(-0)), "f98000");
+        });
+
+        it("encodes ArrayBuffer and Uint8Array as byte string", function() {
+            assert.strictEqual(toHex(encode(hex("01020304"))), "4401020304");
+            assert.strictEqual(toHex(encode(new Uint8Array([0, 1, 2, 3, 4]).subarray(1))), "4401020304");
+        });
+
+        it("encodes long strings", function() {
+            var str = "a".repeat(300);
+            var ret = new Uint8Array(encode(str));
+            assert.strictEqual(toHex(ret.slice(0, 3).buffer), "79012c");
+            assert.strictEqual(ret.byteLength, 303);
+        });
+
+        it("encodes COSE key in canonical order", function() {
+            var x = new Uint8Array(32).fill(1);
+            var y = new Uint8Array(32).fill(2);
+            var key = new Map([
+                [-3, y],
+                [-2, x],
+                [-1, 1],
+                [3, -7],
+                [1, 2]
+            ]);
+
+            var ret = toHex(encode(key));
+            assert.strictEqual(ret.slice(0, 20), "a5010203262001215820");
+            assert.deepEqual(decode(encode(key)), decode(encode(new Map([...key].reverse()))));
+        });
+
+        it("sorts shorter keys first", function() {
+            assert.strictEqual(toHex(encode({
+                aa: 1,
+                b: 2,
+                10: 3
+            })), "a36162026231300362616101");
+        });
+
+        it("encodes tags", function() {
+            assert.strictEqual(toHex(encode(new Tagged(1, 1363896240))), "c11a514b67b0");
+        });
+
+        it("round trips attestationObject", function() {
+            var attObj = fido2Helpers.lib.makeCredentialAttestationNoneResponse.response.attestationObject;
+            assert.strictEqual(toHex(encode(decode(attObj))), toHex(attObj));
+        });
+
+        it("throws on duplicate map key", function() {
+            assert.throws(() => {
+                // different keys that have the same encoding
+                encode(new Map([
+                    [new ArrayBuffer(0), 1],
+                    [new Uint8Array(0), 2]
+                ]));
+            }, TypeError, "could not encode CBOR: duplicate map key");
+        });
+
+        it("throws on unsupported type", function() {
+            assert.throws(() => {
+                encode(() => {});
+            }, TypeError, "could not encode CBOR: unsupported type: function");
+        });
+    });
+
+    describe("Tagged", function() {
+        it("throws on bad tag", function() {
+            assert.throws(() => {
+                new Tagged(-1, "foo"); // eslint-disable-line no-new
+            }, TypeError, "expected CBOR tag to be a positive integer, got: -1");
+        });
+    });
+});
@@ -0,0 +1,261 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("clientData", function() {
+    const {
+        CredentialAssertion,
+        CredentialAttestation,
+        ValidationError,
+        WebAuthnHelpers
+    } = GlobalWebAuthnClasses;
+
+    const {
+        parseClientDataJSON,
+        validateClientData
+    } = WebAuthnHelpers;
+
+    function toAb(str) {
+        return new TextEncoder().encode(str).buffer;
+    }
+
+    describe("parseClientDataJSON", function() {
+        it("is a function", function() {
+            assert.isFunction(parseClientDataJSON);
+        });
+
+        it("parses clientDataJSON", function() {
+            var clientData = parseClientDataJSON(fido2Helpers.lib.assertionResponse.response.clientDataJSON);
+            assert.strictEqual(clientData.type, "webauthn.get");
+            assert.strictEqual(clientData.origin, "https://localhost:8443");
+            assert.isString(clientData.challenge);
+        });
+
+        it("accepts Uint8Array", function() {
+            var clientData = parseClientDataJSON(new Uint8Array(toAb("{\"type\":\"webauthn.create\"}")));
+            assert.strictEqual(clientData.type, "webauthn.create");
+        });
+
+        it("throws on bad JSON", function() {
+            assert.throws(() => {
+                parseClientDataJSON(toAb("{"));
+            }, ValidationError, /^couldn't parse clientDataJSON: /);
+        });
+
+        it("throws on JSON that isn't an Object", function() {
+            assert.throws(() => {
+                parseClientDataJSON(toAb("[]"));
+            }, ValidationError, "expected clientDataJSON to be an Object");
+        });
+    });
+
+    describe("validateClientData", function() {
+        var clientData, expected;
+        beforeEach(function() {
+            clientData = {
+                type: "webauthn.get",
+                challenge: "AAECAw",
+                origin: "https://example.com",
+                crossOrigin: false
+            };
+            expected = {
+                type: "webauthn.get",
+                challenge: "AAECAw",
+                origin: "https://example.com"
+            };
+        });
+
+        it("is a function", function() {
+            assert.isFunction(validateClientData);
+        });
+
+        it("returns no failures for valid client data", function() {
+            assert.deepEqual(validateClientData(clientData, expected), []);
+        });
+
+        it("accepts ArrayBuffer challenge", function() {
+            expected.challenge = Uint8Array.from([0, 1, 2, 3]).buffer;
+            assert.deepEqual(validateClientData(clientData, expected), []);
+        });
+
+        it("accepts padded challenge", function() {
+            clientData.challenge = "AAECAw==";
+            assert.deepEqual(validateClientData(clientData, expected), []);
+        });
+
+        it("returns type failure", function() {
+            expected.type = "webauthn.create";
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.type",
+                message: "expected clientData type to be 'webauthn.create', got: webauthn.get"
+            }]);
+        });
+
+        it("returns challenge failure", function() {
+            clientData.challenge = "AAAA";
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.challenge",
+                message: "clientData challenge doesn't match expected challenge"
+            }]);
+        });
+
+        it("returns missing challenge failure", function() {
+            delete clientData.challenge;
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.challenge",
+                message: "expected clientData challenge to be 'string'"
+            }]);
+        });
+
+        it("returns origin failure", function() {
+            clientData.origin = "https://evil.com";
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.origin",
+                message: "clientData origin isn't allowed: https://evil.com"
+            }]);
+        });
+
+        it("returns all failures", function() {
+            clientData = {
+                type: "webauthn.create",
+                challenge: "AAAA",
+                origin: "http://example.com"
+            };
+            var failures = validateClientData(clientData, expected);
+            assert.deepEqual(failures.map((f) => f.path), ["clientData.type", "clientData.challenge", "clientData.origin"]);
+        });
+
+        it("returns failure for client data that isn't an Object", function() {
+            assert.deepEqual(validateClientData(null, expected), [{
+                path: "clientData",
+                message: "expected clientDataJSON to be an Object"
+            }]);
+        });
+
+        it("accepts list of origins", function() {
+            expected.origin = ["https://example.org", "https://example.com"];
+            assert.deepEqual(validateClientData(clientData, expected), []);
+        });
+
+        it("accepts subdomain wildcard", function() {
+            expected.origin = "https://*.example.com";
+            clientData.origin = "https://login.example.com";
+            assert.deepEqual(validateClientData(clientData, expected), []);
+            clientData.origin = "https://a.b.example.com";
+            assert.deepEqual(validateClientData(clientData, expected), []);
+        });
+
+        it("subdomain wildcard doesn't match domain", function() {
+            expected.origin = "https://*.example.com";
+            assert.strictEqual(validateClientData(clientData, expected)[0].path, "clientData.origin");
+        });
+
+        it("subdomain wildcard doesn't match other domains", function() {
+            expected.origin = "https://*.example.com";
+            ["https://evilexample.com", "http://login.example.com", "https://evil.com/.example.com", "https://login.example.com:8443"].forEach((origin) => {
+                clientData.origin = origin;
+                assert.strictEqual(validateClientData(clientData, expected)[0].path, "clientData.origin", origin);
+            });
+        });
+
+        it("subdomain wildcard matches port", function() {
+            expected.origin = "https://*.example.com:8443";
+            clientData.origin = "https://login.example.com:8443";
+            assert.deepEqual(validateClientData(clientData, expected), []);
+        });
+
+        it("accepts android origin", function() {
+            var origin = "android:apk-key-hash:2jmj7l5rSw0yVb_vlWAYkK_YBwk";
+            expected.origin = ["https://example.com", origin];
+            clientData.origin = origin;
+            assert.deepEqual(validateClientData(clientData, expected), []);
+            clientData.origin = "android:apk-key-hash:AAAA";
+            assert.strictEqual(validateClientData(clientData, expected)[0].path, "clientData.origin");
+        });
+
+        it("rejects cross origin by default", function() {
+            clientData.crossOrigin = true;
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.crossOrigin",
+                message: "cross-origin ceremonies aren't allowed"
+            }]);
+        });
+
+        it("rejects crossOrigin that isn't boolean", function() {
+            clientData.crossOrigin = "false";
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.crossOrigin",
+                message: "expected clientData crossOrigin to be 'boolean', got: string"
+            }]);
+        });
+
+        it("accepts allowed topOrigin", function() {
+            clientData.crossOrigin = true;
+            clientData.topOrigin = "https://shop.example.org";
+            expected.topOrigin = "https://*.example.org";
+            assert.deepEqual(validateClientData(clientData, expected), []);
+        });
+
+        it("rejects topOrigin that isn't allowed", function() {
+            clientData.crossOrigin = true;
+            clientData.topOrigin = "https://evil.com";
+            expected.topOrigin = "https://shop.example.org";
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.topOrigin",
+                message: "clientData topOrigin isn't allowed: https://evil.com"
+            }]);
+        });
+
+        it("rejects topOrigin without crossOrigin", function() {
+            clientData.topOrigin = "https://shop.example.org";
+            expected.topOrigin = "https://shop.example.org";
+            assert.deepEqual(validateClientData(clientData, expected), [{
+                path: "clientData.topOrigin",
+                message: "expected clientData crossOrigin to be true when topOrigin is present"
+            }]);
+        });
+
+        it("throws on missing type", function() {
+            delete expected.type;
+            assert.throws(() => {
+                validateClientData(clientData, expected);
+            }, TypeError, "expected 'expected.type' to be 'string', got: undefined");
+        });
+
+        it("throws on missing origin", function() {
+            delete expected.origin;
+            assert.throws(() => {
+                validateClientData(clientData, expected);
+            }, TypeError, "expected 'expected.origin' to be 'string' or 'Array' of strings, got: undefined");
+        });
+
+        it("throws on missing challenge", function() {
+            delete expected.challenge;
+            assert.throws(() => {
+                validateClientData(clientData, expected);
+            }, TypeError, "expected 'expected.challenge' to be 'string' or 'ArrayBuffer', got: undefined");
+        });
+    });
+
+    describe("CredentialAttestation.getClientData", function() {
+        it("parses clientDataJSON", function() {
+            var msg = CredentialAttestation.from(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url);
+            var clientData = msg.getClientData();
+            assert.strictEqual(clientData.type, "webauthn.create");
+            assert.strictEqual(clientData.origin, "https://localhost:8443");
+        });
+
+        it("parses decoded clientDataJSON", function() {
+            var msg = CredentialAttestation.from(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url);
+            msg.decodeBinaryProperties();
+            assert.strictEqual(msg.getClientData().type, "webauthn.create");
+        });
+    });
+
+    describe("CredentialAssertion.getClientData", function() {
+        it("parses clientDataJSON", function() {
+            var msg = CredentialAssertion.from(fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url);
+            var clientData = msg.getClientData();
+            assert.strictEqual(clientData.type, "webauthn.get");
+            assert.strictEqual(clientData.origin, "https://webauthn.org");
+        });
+    });
+});
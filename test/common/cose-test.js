@@ -0,0 +1,171 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("cose", function() {
+    const {
+        WebAuthnHelpers
+    } = GlobalWebAuthnClasses;
+
+    const {
+        coseToCryptoKey,
+        coseToJwk,
+        coseToPem,
+        coseToSpki,
+        cryptoKeyToCose,
+        jwkToCose,
+        pemToCose
+    } = WebAuthnHelpers.cose;
+
+    function toHex(buf) {
+        return Array.from(new Uint8Array(buf))
+            .map((b) => ((b < 16) ? "0" : "") + b.toString(16))
+            .join("");
+    }
+
+    // the WebCrypto parameters for generating a key pair for each COSE algorithm
+    var algorithms = [
+        [-7, "ES256", {
+            name: "ECDSA",
+            namedCurve: "P-256"
+        }],
+        [-35, "ES384", {
+            name: "ECDSA",
+            namedCurve: "P-384"
+        }],
+        [-36, "ES512", {
+            name: "ECDSA",
+            namedCurve: "P-521"
+        }],
+        [-257, "RS256", {
+            name: "RSASSA-PKCS1-v1_5",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: "SHA-256"
+        }],
+        [-37, "PS256", {
+            name: "RSA-PSS",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: "SHA-256"
+        }],
+        [-8, "EdDSA", {
+            name: "Ed25519"
+        }]
+    ];
+
+    it("converts credential public key to JWK", function() {
+        var attObj = WebAuthnHelpers.cbor.decode(WebAuthnHelpers.utils.coerceToArrayBuffer(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url.response.attestationObject));
+        var authnrData = WebAuthnHelpers.parseAuthenticatorData(attObj.get("authData"));
+        var jwk = coseToJwk(authnrData.credentialPublicKeyCose);
+        assert.strictEqual(jwk.kty, "EC");
+        assert.strictEqual(jwk.crv, "P-256");
+        assert.strictEqual(jwk.alg, "ES256");
+        assert.strictEqual(jwk.x.length, 43);
+        assert.strictEqual(jwk.y.length, 43);
+    });
+
+    algorithms.forEach((test) => {
+        var alg = test[0];
+        var name = test[1];
+        var params = test[2];
+
+        describe(name, function() {
+            var jwk, cose;
+            before(function() {
+                return crypto.subtle.generateKey(params, true, ["sign", "verify"])
+                    .then((keyPair) => crypto.subtle.exportKey("jwk", keyPair.publicKey))
+                    .then((exported) => {
+                        jwk = exported;
+                        cose = jwkToCose(jwk, alg);
+                    });
+            });
+
+            it("converts to and from JWK", function() {
+                assert.instanceOf(cose, ArrayBuffer);
+                var converted = coseToJwk(cose);
+                assert.strictEqual(converted.alg, name);
+                ["kty", "crv", "x", "y", "n", "e"].forEach((prop) => {
+                    assert.strictEqual(converted[prop], jwk[prop], prop);
+                });
+            });
+
+            it("converts to CryptoKey", function() {
+                return coseToCryptoKey(cose)
+                    .then((key) => {
+                        assert.strictEqual(key.type, "public");
+                        return crypto.subtle.exportKey("spki", key);
+                    })
+                    .then((spki) => {
+                        assert.strictEqual(toHex(coseToSpki(cose)), toHex(spki));
+                    });
+            });
+
+            it("converts to and from PEM", function() {
+                var pem = coseToPem(cose);
+                assert.match(pem, /^-----BEGIN PUBLIC KEY-----\n[A-Za-z0-9+/=\n]+\n-----END PUBLIC KEY-----\n$/);
+                return pemToCose(pem, alg)
+                    .then((converted) => {
+                        assert.strictEqual(toHex(converted), toHex(cose));
+                    });
+            });
+
+            it("converts from CryptoKey", function() {
+                return coseToCryptoKey(cose)
+                    .then((key) => cryptoKeyToCose(key, alg))
+                    .then((converted) => {
+                        assert.strictEqual(toHex(converted), toHex(cose));
+                    });
+            });
+        });
+    });
+
+    it("converts JWK without alg", function() {
+        // the Ed25519 public key from RFC 8032, section 7.1, test 1
+        var cose = jwkToCose({
+            kty: "OKP",
+            crv: "Ed25519",
+            x: "11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo"
+        });
+        assert.strictEqual(toHex(cose), "a301012006215820d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a");
+    });
+
+    it("throws on unsupported curve", function() {
+        var cose = new Map([
+            [1, 2],
+            [-1, 6],
+            [-2, new ArrayBuffer(32)],
+            [-3, new ArrayBuffer(32)]
+        ]);
+        assert.throws(() => {
+            coseToJwk(cose);
+        }, Error, "unsupported COSE EC2 curve: 6");
+    });
+
+    it("throws on unsupported JWK key type", function() {
+        assert.throws(() => {
+            jwkToCose({
+                kty: "oct",
+                k: "AAAA"
+            });
+        }, Error, "unsupported JWK key type: oct");
+    });
+
+    it("throws on unsupported algorithm", function() {
+        assert.throws(() => {
+            jwkToCose({
+                kty: "OKP",
+                crv: "Ed25519",
+                x: "11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo"
+            }, 1);
+        }, Error, "unsupported COSE algorithm: 1");
+    });
+
+    it("throws on missing coordinate", function() {
+        assert.throws(() => {
+            coseToSpki(new Map([
+                [1, 2],
+                [-1, 1],
+                [-2, new ArrayBuffer(32)]
+            ]));
+        }, Error, "expected COSE key 'y' to be a byte string");
+    });
+});
@@ -261,7 +261,7 @@ describe("CreateOptions", function() {
 
             assert.throws(() => {
                 msg.validate();
-            }, Error, "expected transport to be 'usb', 'nfc', or 'ble', got: blah");
+            }, Error, "expected transport to be 'usb', 'nfc', 'ble', 'smart-card', 'hybrid', or 'internal', got: blah");
         });
 
         it("throws on invalid excludeCredentials[0].transports type", function() {
@@ -270,7 +270,7 @@ describe("CreateOptions", function() {
 
             assert.throws(() => {
                 msg.validate();
-            }, Error, "expected transport to be 'usb', 'nfc', or 'ble', got: 42");
+            }, Error, "expected transport to be 'usb', 'nfc', 'ble', 'smart-card', 'hybrid', or 'internal', got: 42");
         });
 
         it("allows empty excludeCredentials[0].transports", function() {
@@ -385,6 +385,52 @@ describe("CreateOptions", function() {
         });
     });
 
+    describe("validatePubKeyCredParams", function() {
+        var testArgs;
+        beforeEach(function() {
+            testArgs = fido2Helpers.functions.cloneObject(fido2Helpers.server.completeCreationOptions);
+        });
+
+        it("accepts supported algorithms", function() {
+            testArgs.pubKeyCredParams = [-7, -35, -36, -257, -258, -259, -37, -8].map((alg) => ({
+                type: "public-key",
+                alg: alg
+            }));
+            var msg = CreateOptions.from(testArgs);
+
+            msg.validatePubKeyCredParams();
+        });
+
+        it("throws on unsupported algorithm", function() {
+            testArgs.pubKeyCredParams.push({
+                type: "public-key",
+                alg: -47
+            });
+            var msg = CreateOptions.from(testArgs);
+
+            assert.throws(() => {
+                msg.validatePubKeyCredParams();
+            }, Error, "unsupported algorithm in pubKeyCredParams: -47");
+        });
+
+        it("checks against list of algorithms", function() {
+            var msg = CreateOptions.from(testArgs);
+
+            assert.throws(() => {
+                msg.validatePubKeyCredParams([-257]);
+            }, Error, "unsupported algorithm in pubKeyCredParams: -7");
+        });
+
+        it("throws on invalid CreateOptions", function() {
+            delete testArgs.challenge;
+            var msg = CreateOptions.from(testArgs);
+
+            assert.throws(() => {
+                msg.validatePubKeyCredParams();
+            }, Error, "expected 'challenge' to be 'string', got: undefined");
+        });
+    });
+
     describe("decodeBinaryProperties", function() {
         it("decodes correct fields", function() {
             var msg = CreateOptions.from(fido2Helpers.server.completeCreationOptions);
@@ -263,6 +263,84 @@ describe("CredentialAssertion", function() {
         });
     });
 
+    describe("validateUsernameless", function() {
+        var testArgs;
+        beforeEach(function() {
+            testArgs = fido2Helpers.functions.cloneObject(fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url);
+        });
+
+        it("passes with userHandle", function() {
+            var msg = CredentialAssertion.from(testArgs);
+
+            msg.validateUsernameless();
+        });
+
+        it("throws on missing userHandle", function() {
+            delete testArgs.response.userHandle;
+            var msg = CredentialAssertion.from(testArgs);
+
+            assert.throws(() => {
+                msg.validateUsernameless();
+            }, Error, "expected 'userHandle' to be present for usernameless log in");
+        });
+
+        it("throws on null userHandle", function() {
+            testArgs.response.userHandle = null;
+            var msg = CredentialAssertion.from(testArgs);
+
+            assert.throws(() => {
+                msg.validateUsernameless();
+            }, Error, "expected 'userHandle' to be present for usernameless log in");
+        });
+
+        it("throws on empty userHandle", function() {
+            testArgs.response.userHandle = "";
+            var msg = CredentialAssertion.from(testArgs);
+
+            assert.throws(() => {
+                msg.validateUsernameless();
+            }, Error, "expected 'userHandle' to be present for usernameless log in");
+        });
+
+        it("throws on non-base64url userHandle", function() {
+            testArgs.response.userHandle = "!!!";
+            var msg = CredentialAssertion.from(testArgs);
+
+            assert.throws(() => {
+                msg.validateUsernameless();
+            }, Error, "expected 'userHandle' to be base64url format, got: !!!");
+        });
+
+        it("still validates other fields", function() {
+            delete testArgs.rawId;
+            var msg = CredentialAssertion.from(testArgs);
+
+            assert.throws(() => {
+                msg.validateUsernameless();
+            }, Error, "expected 'rawId' to be 'string', got: undefined");
+        });
+    });
+
+    describe("getUserHandle", function() {
+        it("returns base64url userHandle", function() {
+            var msg = CredentialAssertion.from(fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url);
+            assert.strictEqual(msg.getUserHandle(), "YWs");
+        });
+
+        it("returns base64url userHandle after decoding", function() {
+            var msg = CredentialAssertion.from(fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url);
+            msg.decodeBinaryProperties();
+            assert.strictEqual(msg.getUserHandle(), "YWs");
+        });
+
+        it("returns null for empty userHandle", function() {
+            var msg = CredentialAssertion.from(fido2Helpers.server.assertionResponseMsgB64Url);
+            assert.isNull(msg.getUserHandle());
+            msg.decodeBinaryProperties();
+            assert.isNull(msg.getUserHandle());
+        });
+    });
+
     describe("decodeBinaryProperties", function() {
         it("decodes correct fields", function() {
             var msg = CredentialAssertion.from(fido2Helpers.server.assertionResponseMsgB64Url);
@@ -296,6 +374,12 @@ describe("CredentialAssertion", function() {
             assert.isString(msg.response.authenticatorData);
             assert.isNull(msg.response.userHandle);
         });
+
+        it("keeps encoded userHandle", function() {
+            var msg = CredentialAssertion.from(fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url);
+            msg.encodeBinaryProperties();
+            assert.strictEqual(msg.response.userHandle, "YWs");
+        });
     });
 
     describe("toHumanString", function() {
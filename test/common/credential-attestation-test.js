@@ -230,6 +230,31 @@ describe("CredentialAttestation", function() {
             }, Error, "expected 'clientDataJSON' to be base64url format, got: ");
         });
 
+        it("allows response.transports", function() {
+            testArgs.response.transports = ["usb", "hybrid", "internal"];
+            var msg = CredentialAttestation.from(testArgs);
+
+            msg.validate();
+            assert.deepEqual(msg.toObject().response.transports, ["usb", "hybrid", "internal"]);
+        });
+
+        it("throws on wrong type response.transports", function() {
+            testArgs.response.transports = "usb";
+            var msg = CredentialAttestation.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'transports' to be 'Array', got: usb");
+        });
+
+        it("drops unknown response.transports", function() {
+            testArgs.response.transports = ["usb", "foo", "cable"];
+            var msg = CredentialAttestation.from(testArgs);
+
+            msg.validate();
+            assert.deepEqual(msg.response.transports, ["usb"]);
+        });
+
         it("throws on null getClientExtensionResults", function() {
             testArgs.getClientExtensionResults = null;
             var msg = CredentialAttestation.from(testArgs);
@@ -277,6 +302,36 @@ describe("CredentialAttestation", function() {
             msg.validate();
         });
 
+        describe("getAttestationObject", function() {
+            it("decodes 'none' attestation", function() {
+                var msg = CredentialAttestation.from(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url);
+                var attObj = msg.getAttestationObject();
+                assert.strictEqual(attObj.fmt, "none");
+                assert.instanceOf(attObj.attStmt, Map);
+                assert.strictEqual(attObj.attStmt.size, 0);
+                assert.instanceOf(attObj.authData, ArrayBuffer);
+                assert.strictEqual(attObj.authData.byteLength, 294);
+            });
+
+            it("decodes after decodeBinaryProperties", function() {
+                var msg = CredentialAttestation.from(fido2Helpers.server.challengeResponseAttestationPackedB64UrlMsg);
+                msg.decodeBinaryProperties();
+                var attObj = msg.getAttestationObject();
+                assert.strictEqual(attObj.fmt, "packed");
+                assert.strictEqual(attObj.attStmt.get("alg"), -7);
+                assert.instanceOf(attObj.attStmt.get("sig"), ArrayBuffer);
+                assert.isArray(attObj.attStmt.get("x5c"));
+            });
+
+            it("throws on bad attestationObject", function() {
+                var msg = CredentialAttestation.from(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url);
+                msg.response.attestationObject = "AA";
+                assert.throws(() => {
+                    msg.getAttestationObject();
+                }, Error, "expected 'attestationObject' to be a CBOR map");
+            });
+        });
+
         describe("decodeBinaryProperties", function() {
             it("decodes correct fields", function() {
                 var msg = CredentialAttestation.from(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url);
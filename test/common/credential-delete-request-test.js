@@ -0,0 +1,77 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("CredentialDeleteRequest", function() {
+    const {
+        CredentialDeleteRequest,
+        Msg
+    } = GlobalWebAuthnClasses;
+
+    it("is loaded", function() {
+        assert.isFunction(CredentialDeleteRequest);
+    });
+
+    it("is Msg class", function() {
+        var msg = new CredentialDeleteRequest();
+        assert.instanceOf(msg, Msg);
+    });
+
+    it("converts correctly", function() {
+        var inputObj = {
+            id: "AAAA"
+        };
+        var msg = CredentialDeleteRequest.from(inputObj);
+
+        var outputObj = msg.toObject();
+
+        assert.deepEqual(outputObj, inputObj);
+    });
+
+    describe("validate", function() {
+        it("passes with basic args", function() {
+            var msg = CredentialDeleteRequest.from({
+                id: "AAAA"
+            });
+
+            msg.validate();
+        });
+
+        it("throws on missing id", function() {
+            var msg = CredentialDeleteRequest.from({});
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'id' to be 'string', got: undefined");
+        });
+
+        it("throws on non-base64url id", function() {
+            var msg = CredentialDeleteRequest.from({
+                id: "!!!"
+            });
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'id' to be base64url format, got: !!!");
+        });
+    });
+
+    describe("decodeBinaryProperties", function() {
+        it("decodes correct fields", function() {
+            var msg = CredentialDeleteRequest.from({
+                id: "AAAA"
+            });
+            msg.decodeBinaryProperties();
+            assert.instanceOf(msg.id, ArrayBuffer);
+            assert.strictEqual(msg.id.byteLength, 3);
+        });
+    });
+
+    describe("encodeBinaryProperties", function() {
+        it("encodes correct fields", function() {
+            var msg = CredentialDeleteRequest.from({
+                id: new Uint8Array([0x00, 0x00, 0x00]).buffer
+            });
+            msg.encodeBinaryProperties();
+            assert.strictEqual(msg.id, "AAAA");
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("CredentialListRequest", function() {
+    const {
+        CredentialListRequest,
+        Msg
+    } = GlobalWebAuthnClasses;
+
+    it("is loaded", function() {
+        assert.isFunction(CredentialListRequest);
+    });
+
+    it("is Msg class", function() {
+        var msg = new CredentialListRequest();
+        assert.instanceOf(msg, Msg);
+    });
+
+    it("converts correctly", function() {
+        var inputObj = {
+            username: "adam"
+        };
+        var msg = CredentialListRequest.from(inputObj);
+
+        var outputObj = msg.toObject();
+
+        assert.deepEqual(outputObj, inputObj);
+    });
+
+    describe("validate", function() {
+        it("passes with username", function() {
+            var msg = CredentialListRequest.from({
+                username: "adam"
+            });
+
+            msg.validate();
+        });
+
+        it("passes with missing username", function() {
+            var msg = CredentialListRequest.from({});
+
+            msg.validate();
+        });
+
+        it("throws on empty username", function() {
+            var msg = CredentialListRequest.from({
+                username: ""
+            });
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'username' to be non-empty string");
+        });
+
+        it("throws on non-string username", function() {
+            var msg = CredentialListRequest.from({
+                username: 42
+            });
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'username' to be 'string', got: number");
+        });
+
+        it("passes with extraData", function() {
+            var msg = CredentialListRequest.from({
+                username: "adam",
+                extraData: "AAAA"
+            });
+
+            msg.validate();
+        });
+
+        it("throws on non-base64url extraData", function() {
+            var msg = CredentialListRequest.from({
+                username: "adam",
+                extraData: "!!!"
+            });
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'extraData' to be base64url format, got: !!!");
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("CredentialList", function() {
+    const {
+        CredentialList,
+        ServerResponse
+    } = GlobalWebAuthnClasses;
+
+    var credentialList = {
+        status: "ok",
+        errorMessage: "",
+        credentials: [{
+            id: fido2Helpers.server.completeGetOptions.allowCredentials[0].id,
+            name: "My security key",
+            transports: ["usb", "nfc"],
+            createdAt: "2018-06-01T12:00:00.000Z",
+            lastUsedAt: "2018-06-02T12:00:00.000Z"
+        }, {
+            id: "AAAA"
+        }]
+    };
+
+    it("is loaded", function() {
+        assert.isFunction(CredentialList);
+    });
+
+    it("is ServerResponse class", function() {
+        var msg = new CredentialList();
+        assert.instanceOf(msg, ServerResponse);
+    });
+
+    it("converts correctly", function() {
+        var msg = CredentialList.from(credentialList);
+
+        var outputObj = msg.toObject();
+
+        assert.deepEqual(outputObj, credentialList);
+    });
+
+    describe("validate", function() {
+        var testArgs;
+        beforeEach(function() {
+            testArgs = fido2Helpers.functions.cloneObject(credentialList);
+        });
+
+        it("allows complete data", function() {
+            var msg = CredentialList.from(testArgs);
+            msg.validate();
+        });
+
+        it("allows empty credentials", function() {
+            testArgs.credentials = [];
+            var msg = CredentialList.from(testArgs);
+            msg.validate();
+        });
+
+        it("throws on missing status", function() {
+            delete testArgs.status;
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'status' to be 'string', got: undefined");
+        });
+
+        it("throws on missing credentials", function() {
+            delete testArgs.credentials;
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'credentials' to be 'Array', got: undefined");
+        });
+
+        it("throws on non-object credential", function() {
+            testArgs.credentials[0] = null;
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected credential to be 'Object', got: null");
+        });
+
+        it("throws on missing credentials[0].id", function() {
+            delete testArgs.credentials[0].id;
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'id' to be 'string', got: undefined");
+        });
+
+        it("throws on non-base64url credentials[0].id", function() {
+            testArgs.credentials[0].id = "!!!";
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'id' to be base64url format, got: !!!");
+        });
+
+        it("throws on wrong type credentials[0].name", function() {
+            testArgs.credentials[0].name = 42;
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'name' to be 'string', got: number");
+        });
+
+        it("throws on wrong type credentials[0].transports", function() {
+            testArgs.credentials[0].transports = "usb";
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'transports' to be 'Array', got: usb");
+        });
+
+        it("throws on wrong type transport", function() {
+            testArgs.credentials[0].transports = [42];
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected transport to be 'string', got: number");
+        });
+
+        it("throws on empty credentials[0].createdAt", function() {
+            testArgs.credentials[0].createdAt = "";
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'createdAt' to be non-empty string");
+        });
+
+        it("throws on wrong type credentials[0].lastUsedAt", function() {
+            testArgs.credentials[0].lastUsedAt = 1527854400000;
+            var msg = CredentialList.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'lastUsedAt' to be 'string', got: number");
+        });
+    });
+
+    describe("decodeBinaryProperties", function() {
+        it("decodes correct fields", function() {
+            var msg = CredentialList.from(fido2Helpers.functions.cloneObject(credentialList));
+            msg.decodeBinaryProperties();
+            msg.credentials.forEach((cred) => {
+                assert.instanceOf(cred.id, ArrayBuffer);
+            });
+            assert.strictEqual(msg.credentials[0].id.byteLength, 162);
+            assert.strictEqual(msg.credentials[1].id.byteLength, 3);
+        });
+    });
+
+    describe("encodeBinaryProperties", function() {
+        it("encodes correct fields", function() {
+            var msg = CredentialList.from(fido2Helpers.functions.cloneObject(credentialList));
+            msg.decodeBinaryProperties();
+            msg.encodeBinaryProperties();
+            assert.deepEqual(msg.toObject(), credentialList);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("CredentialRenameRequest", function() {
+    const {
+        CredentialRenameRequest,
+        Msg
+    } = GlobalWebAuthnClasses;
+
+    var renameRequest = {
+        id: "AAAA",
+        name: "My security key"
+    };
+
+    it("is loaded", function() {
+        assert.isFunction(CredentialRenameRequest);
+    });
+
+    it("is Msg class", function() {
+        var msg = new CredentialRenameRequest();
+        assert.instanceOf(msg, Msg);
+    });
+
+    it("converts correctly", function() {
+        var msg = CredentialRenameRequest.from(renameRequest);
+
+        var outputObj = msg.toObject();
+
+        assert.deepEqual(outputObj, renameRequest);
+    });
+
+    describe("validate", function() {
+        var testArgs;
+        beforeEach(function() {
+            testArgs = fido2Helpers.functions.cloneObject(renameRequest);
+        });
+
+        it("passes with basic args", function() {
+            var msg = CredentialRenameRequest.from(testArgs);
+            msg.validate();
+        });
+
+        it("throws on missing id", function() {
+            delete testArgs.id;
+            var msg = CredentialRenameRequest.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'id' to be 'string', got: undefined");
+        });
+
+        it("throws on non-base64url id", function() {
+            testArgs.id = "!!!";
+            var msg = CredentialRenameRequest.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'id' to be base64url format, got: !!!");
+        });
+
+        it("throws on missing name", function() {
+            delete testArgs.name;
+            var msg = CredentialRenameRequest.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'name' to be 'string', got: undefined");
+        });
+
+        it("throws on empty name", function() {
+            testArgs.name = "";
+            var msg = CredentialRenameRequest.from(testArgs);
+
+            assert.throws(() => {
+                msg.validate();
+            }, Error, "expected 'name' to be non-empty string");
+        });
+    });
+
+    describe("decodeBinaryProperties", function() {
+        it("decodes correct fields", function() {
+            var msg = CredentialRenameRequest.from(renameRequest);
+            assert.isString(msg.id);
+            msg.decodeBinaryProperties();
+            assert.instanceOf(msg.id, ArrayBuffer);
+        });
+    });
+
+    describe("encodeBinaryProperties", function() {
+        it("encodes correct fields", function() {
+            var msg = CredentialRenameRequest.from({
+                id: new Uint8Array([0x00, 0x00, 0x00]).buffer,
+                name: "My security key"
+            });
+            msg.encodeBinaryProperties();
+            assert.strictEqual(msg.id, "AAAA");
+        });
+    });
+});
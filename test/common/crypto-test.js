@@ -0,0 +1,195 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("crypto", function() {
+    const {
+        WebAuthnHelpers
+    } = GlobalWebAuthnClasses;
+
+    const {
+        derToRaw,
+        getAlgorithm,
+        getSupportedAlgorithms,
+        getWebCrypto,
+        setWebCrypto,
+        verifySignature
+    } = WebAuthnHelpers.crypto;
+
+    const {
+        coseToCryptoKey,
+        jwkToCose
+    } = WebAuthnHelpers.cose;
+
+    function hex(str) {
+        return Uint8Array.from(str.match(/../g).map((b) => parseInt(b, 16))).buffer;
+    }
+
+    function toHex(buf) {
+        return Array.from(new Uint8Array(buf))
+            .map((b) => ((b < 16) ? "0" : "") + b.toString(16))
+            .join("");
+    }
+
+    function derInteger(part) {
+        var start = 0;
+        while (start < part.length - 1 && part[start] === 0) start++;
+        part = part.slice(start);
+        if (part[0] & 0x80) part = [0].concat(part);
+        return [0x02, part.length].concat(part);
+    }
+
+    // converts a raw r || s signature from WebCrypto to the DER format of authenticators
+    function rawToDer(raw) {
+        var bytes = new Uint8Array(raw);
+        var r = derInteger(Array.from(bytes.slice(0, bytes.length / 2)));
+        var s = derInteger(Array.from(bytes.slice(bytes.length / 2)));
+        var len = r.length + s.length;
+
+        return Uint8Array.from([0x30].concat((len > 127) ? [0x81, len] : [len], r, s)).buffer;
+    }
+
+    // the WebCrypto parameters for generating keys and signing with each COSE algorithm
+    var algorithms = [
+        [-7, "ES256", {
+            name: "ECDSA",
+            namedCurve: "P-256",
+            hash: "SHA-256"
+        }],
+        [-35, "ES384", {
+            name: "ECDSA",
+            namedCurve: "P-384",
+            hash: "SHA-384"
+        }],
+        [-36, "ES512", {
+            name: "ECDSA",
+            namedCurve: "P-521",
+            hash: "SHA-512"
+        }],
+        [-257, "RS256", {
+            name: "RSASSA-PKCS1-v1_5",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: "SHA-256"
+        }],
+        [-258, "RS384", {
+            name: "RSASSA-PKCS1-v1_5",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: "SHA-384"
+        }],
+        [-259, "RS512", {
+            name: "RSASSA-PKCS1-v1_5",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: "SHA-512"
+        }],
+        [-37, "PS256", {
+            name: "RSA-PSS",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: "SHA-256",
+            saltLength: 32
+        }],
+        [-8, "EdDSA", {
+            name: "Ed25519"
+        }]
+    ];
+
+    it("lists supported algorithms", function() {
+        var algs = getSupportedAlgorithms();
+        algorithms.forEach((test) => {
+            assert.include(algs, test[0]);
+        });
+    });
+
+    it("throws on unsupported algorithm", function() {
+        assert.throws(() => {
+            getAlgorithm(-47);
+        }, Error, "unsupported COSE algorithm: -47");
+    });
+
+    it("has WebCrypto", function() {
+        assert.strictEqual(typeof getWebCrypto().subtle.digest, "function");
+        assert.strictEqual(getWebCrypto().getRandomValues(new Uint8Array(16)).length, 16);
+    });
+
+    it("throws on bad WebCrypto", function() {
+        assert.throws(() => {
+            setWebCrypto({});
+        }, TypeError, "expected 'impl' to be a WebCrypto 'Crypto' object, got: [object Object]");
+    });
+
+    describe("verifySignature", function() {
+        var data = new Uint8Array([1, 2, 3, 4]).buffer;
+
+        algorithms.forEach((test) => {
+            var alg = test[0];
+            var params = test[2];
+
+            describe(test[1], function() {
+                var key, sig;
+                before(function() {
+                    var keyPair;
+                    return crypto.subtle.generateKey(params, true, ["sign", "verify"])
+                        .then((res) => {
+                            keyPair = res;
+                            return crypto.subtle.sign(params, keyPair.privateKey, data);
+                        })
+                        .then((res) => {
+                            sig = (params.name === "ECDSA") ? rawToDer(res) : res;
+                            return crypto.subtle.exportKey("jwk", keyPair.publicKey);
+                        })
+                        .then((jwk) => coseToCryptoKey(jwkToCose(jwk, alg)))
+                        .then((res) => {
+                            key = res;
+                        });
+                });
+
+                it("accepts valid signature", function() {
+                    return verifySignature(alg, key, sig, data)
+                        .then((valid) => {
+                            assert.isTrue(valid);
+                        });
+                });
+
+                it("rejects signature over different data", function() {
+                    return verifySignature(alg, key, sig, new Uint8Array([1, 2, 3, 5]).buffer)
+                        .then((valid) => {
+                            assert.isFalse(valid);
+                        });
+                });
+            });
+        });
+    });
+
+    describe("derToRaw", function() {
+        it("converts signature", function() {
+            var raw = derToRaw(hex("3006020101020102"), 4);
+            assert.strictEqual(toHex(raw), "0000000100000002");
+        });
+
+        it("removes leading zeros", function() {
+            // r has a leading zero to keep it positive
+            var raw = derToRaw(hex("300702020080020101"), 2);
+            assert.strictEqual(toHex(raw), "00800001");
+        });
+
+        it("converts long signature", function() {
+            var r = new Uint8Array(66).fill(1);
+            var der = new Uint8Array(rawToDer(Uint8Array.from([...r, ...r]).buffer));
+            assert.strictEqual(der[1], 0x81);
+            assert.strictEqual(toHex(derToRaw(der, 66)), toHex(Uint8Array.from([...r, ...r])));
+        });
+
+        it("throws on integer that is too large", function() {
+            assert.throws(() => {
+                derToRaw(hex("300702020101020102"), 1);
+            }, Error, "invalid DER signature: integer is too large");
+        });
+
+        it("throws on bad tag", function() {
+            assert.throws(() => {
+                derToRaw(hex("3106020101020102"), 4);
+            }, Error, "invalid DER signature: expected tag 48, got: 49");
+        });
+    });
+});
@@ -38,13 +38,26 @@ describe("GetOptionsRequest", function() {
             msg.validate();
         });
 
-        it("throws on missing username", function() {
+        it("passes with missing username", function() {
             delete testArgs.username;
             var msg = GetOptionsRequest.from(testArgs);
 
+            msg.validate();
+        });
+
+        it("passes with missing username and displayName", function() {
+            var msg = GetOptionsRequest.from({});
+
+            msg.validate();
+        });
+
+        it("throws on non-string username", function() {
+            testArgs.username = 42;
+            var msg = GetOptionsRequest.from(testArgs);
+
             assert.throws(() => {
                 msg.validate();
-            }, Error, "expected 'username' to be 'string', got: undefined");
+            }, Error, "expected 'username' to be 'string', got: number");
         });
 
         it("throws on empty username", function() {
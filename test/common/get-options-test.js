@@ -129,6 +129,13 @@ describe("GetOptions", function() {
             }, Error, "expected 'rpId' to be non-empty string");
         });
 
+        it("passes with empty allowCredentials", function() {
+            testArgs.allowCredentials = [];
+            var msg = GetOptions.from(testArgs);
+
+            msg.validate();
+        });
+
         it("throws on wrong type allowCredentials", function() {
             testArgs.allowCredentials = 42;
             var msg = GetOptions.from(testArgs);
@@ -183,13 +190,20 @@ describe("GetOptions", function() {
             }, Error, "expected 'transports' to be 'Array', got: usb");
         });
 
+        it("allows hybrid and internal transports", function() {
+            testArgs.allowCredentials[0].transports = ["hybrid", "internal"];
+            var msg = GetOptions.from(testArgs);
+
+            msg.validate();
+        });
+
         it("throws on invalid transport", function() {
             testArgs.allowCredentials[0].transports = ["foo"];
             var msg = GetOptions.from(testArgs);
 
             assert.throws(() => {
                 msg.validate();
-            }, Error, "expected transport to be 'usb', 'nfc', or 'ble', got: foo");
+            }, Error, "expected transport to be 'usb', 'nfc', 'ble', 'smart-card', 'hybrid', or 'internal', got: foo");
         });
 
         it("throws on wrong type userVerification", function() {
@@ -7,7 +7,8 @@ describe("helpers", function() {
 
     const {
         coerceToBase64Url,
-        coerceToArrayBuffer
+        coerceToArrayBuffer,
+        objToQueryString
     } = WebAuthnHelpers.utils;
 
     describe("defaultRoutes", function() {
@@ -187,5 +188,41 @@ describe("helpers", function() {
                 }, Error, "could not coerce 'test.number' to ArrayBuffer");
             });
         });
+
+        describe("objToQueryString", function() {
+            it("exists", function() {
+                assert.isFunction(objToQueryString);
+            });
+
+            it("encodes strings", function() {
+                var res = objToQueryString({
+                    username: "bubba",
+                    displayName: "Bubba Smith & Co."
+                });
+                assert.strictEqual(res, "username=bubba&displayName=Bubba%20Smith%20%26%20Co.");
+            });
+
+            it("JSON encodes non-string values", function() {
+                var res = objToQueryString({
+                    authenticatorSelection: {
+                        requireResidentKey: true
+                    },
+                    timeout: 30000
+                });
+                assert.strictEqual(res, "authenticatorSelection=%7B%22requireResidentKey%22%3Atrue%7D&timeout=30000");
+            });
+
+            it("skips undefined values", function() {
+                var res = objToQueryString({
+                    username: "bubba",
+                    extraData: undefined
+                });
+                assert.strictEqual(res, "username=bubba");
+            });
+
+            it("returns empty string for empty object", function() {
+                assert.strictEqual(objToQueryString({}), "");
+            });
+        });
     });
 });
@@ -21,6 +21,22 @@ describe("index", function() {
         assert.isFunction(GlobalWebAuthnClasses.CredentialAttestation);
     });
 
+    it("has CredentialDeleteRequest", function() {
+        assert.isFunction(GlobalWebAuthnClasses.CredentialDeleteRequest);
+    });
+
+    it("has CredentialList", function() {
+        assert.isFunction(GlobalWebAuthnClasses.CredentialList);
+    });
+
+    it("has CredentialListRequest", function() {
+        assert.isFunction(GlobalWebAuthnClasses.CredentialListRequest);
+    });
+
+    it("has CredentialRenameRequest", function() {
+        assert.isFunction(GlobalWebAuthnClasses.CredentialRenameRequest);
+    });
+
     it("has GetOptions", function() {
         assert.isFunction(GlobalWebAuthnClasses.GetOptions);
     });
@@ -37,6 +53,14 @@ describe("index", function() {
         assert.isFunction(GlobalWebAuthnClasses.ServerResponse);
     });
 
+    it("has WebAuthnError", function() {
+        assert.isFunction(GlobalWebAuthnClasses.WebAuthnError);
+    });
+
+    it("has ValidationError", function() {
+        assert.isFunction(GlobalWebAuthnClasses.ValidationError);
+    });
+
     it("has WebAuthnHelpers", function() {
         assert.isObject(GlobalWebAuthnClasses.WebAuthnHelpers);
     });
@@ -56,5 +80,85 @@ describe("index", function() {
                 assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.utils.coerceToArrayBuffer);
             });
         });
+
+        it("has transports", function() {
+            assert.isDefined(GlobalWebAuthnClasses.WebAuthnHelpers.transports);
+        });
+
+        describe("transports", function() {
+            it("has fetchTransport", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.transports.fetchTransport);
+            });
+
+            it("has xhrTransport", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.transports.xhrTransport);
+            });
+        });
+
+        it("has parseAuthenticatorData", function() {
+            assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.parseAuthenticatorData);
+        });
+
+        it("has parseClientDataJSON", function() {
+            assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.parseClientDataJSON);
+        });
+
+        it("has validateClientData", function() {
+            assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.validateClientData);
+        });
+
+        it("has cbor", function() {
+            assert.isDefined(GlobalWebAuthnClasses.WebAuthnHelpers.cbor);
+        });
+
+        describe("cbor", function() {
+            it("has encode", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.cbor.encode);
+            });
+
+            it("has decode", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.cbor.decode);
+            });
+
+            it("has Tagged", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.cbor.Tagged);
+            });
+        });
+
+        it("has cose", function() {
+            assert.isDefined(GlobalWebAuthnClasses.WebAuthnHelpers.cose);
+        });
+
+        describe("cose", function() {
+            it("has coseToJwk", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.cose.coseToJwk);
+            });
+
+            it("has coseToPem", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.cose.coseToPem);
+            });
+
+            it("has coseToCryptoKey", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.cose.coseToCryptoKey);
+            });
+
+            it("has jwkToCose", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.cose.jwkToCose);
+            });
+        });
+
+        it("has crypto", function() {
+            assert.isDefined(GlobalWebAuthnClasses.WebAuthnHelpers.crypto);
+        });
+
+        describe("crypto", function() {
+            it("has verifySignature", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.crypto.verifySignature);
+            });
+
+            it("has getSupportedAlgorithms", function() {
+                assert.isFunction(GlobalWebAuthnClasses.WebAuthnHelpers.crypto.getSupportedAlgorithms);
+            });
+        });
     });
 });
@@ -85,6 +85,19 @@ describe("Msg", function() {
         });
     });
 
+    describe("toQueryString", function() {
+        it("converts object to query string", function() {
+            var msg = TestClass.from({
+                username: "adam",
+                displayName: "Adam Powers"
+            });
+
+            var str = msg.toQueryString();
+            assert.isString(str);
+            assert.strictEqual(str, "username=adam&displayName=Adam%20Powers");
+        });
+    });
+
     describe("toHumanString", function() {
         it("converts object to string", function() {
             var msg = TestClass.from({
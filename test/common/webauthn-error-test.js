@@ -0,0 +1,200 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("WebAuthnError", function() {
+    const {
+        CreateOptions,
+        CreateOptionsRequest,
+        CredentialAssertion,
+        CredentialExcludedError,
+        CredentialList,
+        InvalidResponseError,
+        NetworkError,
+        ServerRejectedError,
+        ValidationError,
+        VerificationError,
+        WebAuthnAbortError,
+        WebAuthnError,
+        WebAuthnNotSupportedError,
+        WebAuthnSecurityError,
+        WebAuthnTimeoutError,
+        WebAuthnUserCancelledError
+    } = GlobalWebAuthnClasses;
+
+    it("is loaded", function() {
+        assert.isFunction(WebAuthnError);
+    });
+
+    it("is Error class", function() {
+        var err = new WebAuthnError("something broke");
+        assert.instanceOf(err, Error);
+        assert.strictEqual(err.message, "something broke");
+        assert.strictEqual(err.name, "WebAuthnError");
+        assert.isUndefined(err.cause);
+    });
+
+    it("keeps cause", function() {
+        var cause = new Error("original");
+        var err = new WebAuthnError("wrapped", cause);
+        assert.strictEqual(err.cause, cause);
+    });
+
+    describe("subclasses", function() {
+        var subclasses = {
+            WebAuthnUserCancelledError,
+            WebAuthnTimeoutError,
+            WebAuthnSecurityError,
+            WebAuthnNotSupportedError,
+            CredentialExcludedError,
+            ServerRejectedError,
+            InvalidResponseError,
+            NetworkError,
+            ValidationError,
+            VerificationError
+        };
+
+        Object.keys(subclasses).forEach((name) => {
+            it(name + " is WebAuthnError", function() {
+                var err = new subclasses[name]("oops");
+                assert.instanceOf(err, subclasses[name]);
+                assert.instanceOf(err, WebAuthnError);
+                assert.instanceOf(err, Error);
+                assert.strictEqual(err.name, name);
+                assert.strictEqual(err.message, "oops");
+            });
+        });
+
+        it("WebAuthnAbortError is named AbortError", function() {
+            var err = new WebAuthnAbortError("operation cancelled");
+            assert.instanceOf(err, WebAuthnError);
+            assert.strictEqual(err.name, "AbortError");
+        });
+    });
+
+    describe("ServerRejectedError", function() {
+        it("has server info", function() {
+            var debugInfo = { foo: "bar" };
+            var err = new ServerRejectedError("out of memory", {
+                status: 500,
+                errorMessage: "out of memory",
+                debugInfo
+            });
+            assert.strictEqual(err.status, 500);
+            assert.strictEqual(err.errorMessage, "out of memory");
+            assert.strictEqual(err.debugInfo, debugInfo);
+        });
+
+        it("works without server info", function() {
+            var err = new ServerRejectedError("server returned status: 404");
+            assert.isUndefined(err.status);
+            assert.isUndefined(err.errorMessage);
+            assert.isUndefined(err.debugInfo);
+        });
+    });
+
+    describe("ValidationError", function() {
+        it("has path", function() {
+            var err = new ValidationError("expected 'username' to be non-empty string", "username");
+            assert.strictEqual(err.path, "username");
+        });
+
+        it("is thrown by validate", function() {
+            var msg = CreateOptionsRequest.from({
+                username: "",
+                displayName: "Adam Powers"
+            });
+
+            try {
+                msg.validate();
+            } catch (err) {
+                assert.instanceOf(err, ValidationError);
+                assert.strictEqual(err.path, "username");
+                assert.strictEqual(err.message, "expected 'username' to be non-empty string");
+                return;
+            }
+            throw new Error("should have thrown");
+        });
+
+        it("has path for nested properties", function() {
+            var testArgs = fido2Helpers.functions.cloneObject(fido2Helpers.server.assertionResponseMsgB64Url);
+            testArgs.response.signature = "!!!";
+            var msg = CredentialAssertion.from(testArgs);
+
+            try {
+                msg.validate();
+            } catch (err) {
+                assert.instanceOf(err, ValidationError);
+                assert.strictEqual(err.path, "response.signature");
+                return;
+            }
+            throw new Error("should have thrown");
+        });
+
+        function validationPath(msg) {
+            try {
+                msg.validate();
+            } catch (err) {
+                assert.instanceOf(err, ValidationError);
+                return err.path;
+            }
+            throw new Error("should have thrown");
+        }
+
+        it("has path for properties of options", function() {
+            function makeOptions() {
+                return {
+                    status: "ok",
+                    errorMessage: "",
+                    challenge: "AAAA",
+                    rp: { name: "Example" },
+                    user: {
+                        id: "YWRhbQ",
+                        name: "adam",
+                        displayName: "Adam Powers"
+                    },
+                    pubKeyCredParams: [{
+                        alg: -7,
+                        type: "public-key"
+                    }],
+                    excludeCredentials: [{
+                        type: "public-key",
+                        id: "AAAA"
+                    }],
+                    authenticatorSelection: {}
+                };
+            }
+
+            var testArgs = makeOptions();
+            testArgs.user.id = "!!!";
+            assert.strictEqual(validationPath(CreateOptions.from(testArgs)), "user.id");
+
+            testArgs = makeOptions();
+            testArgs.excludeCredentials[0].transports = ["foo"];
+            assert.strictEqual(validationPath(CreateOptions.from(testArgs)), "excludeCredentials[0].transports[0]");
+
+            testArgs = makeOptions();
+            testArgs.authenticatorSelection.requireResidentKey = "yes";
+            assert.strictEqual(validationPath(CreateOptions.from(testArgs)), "authenticatorSelection.requireResidentKey");
+        });
+
+        it("has path for items of lists", function() {
+            var msg = CredentialList.from({
+                status: "ok",
+                errorMessage: "",
+                credentials: [{
+                    id: "AAAA"
+                }, {
+                    id: "AAAA",
+                    name: 42
+                }]
+            });
+            assert.strictEqual(validationPath(msg), "credentials[1].name");
+        });
+    });
+
+    describe("VerificationError", function() {
+        it("has path", function() {
+            var err = new VerificationError("challenge mismatch", "clientData.challenge");
+            assert.strictEqual(err.path, "clientData.challenge");
+        });
+    });
+});
@@ -0,0 +1,178 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+describe("x509", function() {
+    const {
+        WebAuthnHelpers
+    } = GlobalWebAuthnClasses;
+
+    const {
+        oids,
+        parseCertificate,
+        verifyCertificateSignature
+    } = WebAuthnHelpers.x509;
+
+    const {
+        decodeDer,
+        decodeOid,
+        decodeString,
+        encodeDer,
+        encodeOid,
+        tagClasses,
+        tags
+    } = WebAuthnHelpers.asn1;
+
+    function hex(str) {
+        return Uint8Array.from(str.match(/../g).map((b) => parseInt(b, 16)));
+    }
+
+    // the Feitian attestation certificate, intermediate and root from the "packed" attestation
+    var x5c;
+    before(function() {
+        var attObj = WebAuthnHelpers.cbor.decode(WebAuthnHelpers.utils.coerceToArrayBuffer(fido2Helpers.server.challengeResponseAttestationPackedB64UrlMsg.response.attestationObject));
+        x5c = attObj.get("attStmt").get("x5c");
+    });
+
+    describe("asn1", function() {
+        it("decodes sequence", function() {
+            var node = decodeDer(hex("300602010a0101ff"));
+            assert.strictEqual(node.tag, tags.SEQUENCE);
+            assert.isTrue(node.constructed);
+            assert.strictEqual(node.children.length, 2);
+            assert.strictEqual(node.children[0].tag, tags.INTEGER);
+            assert.deepEqual([...node.children[0].contents], [10]);
+            assert.strictEqual(node.children[1].tag, tags.BOOLEAN);
+        });
+
+        it("decodes long length", function() {
+            var bytes = new Uint8Array(3 + 200);
+            bytes.set([0x04, 0x81, 200]);
+            var node = decodeDer(bytes);
+            assert.strictEqual(node.contents.byteLength, 200);
+        });
+
+        it("decodes object identifier", function() {
+            assert.strictEqual(decodeOid(hex("2a8648ce3d0201")), "1.2.840.10045.2.1");
+            assert.strictEqual(decodeOid(hex("2b0601040182e51c010104")), "1.3.6.1.4.1.45724.1.1.4");
+        });
+
+        it("decodes strings", function() {
+            assert.strictEqual(decodeString(decodeDer(hex("0c03616263"))), "abc");
+            assert.strictEqual(decodeString(decodeDer(hex("1302555a"))), "UZ");
+            assert.strictEqual(decodeString(decodeDer(hex("1e0400610062"))), "ab");
+        });
+
+        it("decodes times", function() {
+            var utc = decodeString(decodeDer(hex("170d3139303130323033303430355a")));
+            assert.strictEqual(utc.toISOString(), "2019-01-02T03:04:05.000Z");
+            var generalized = decodeString(decodeDer(hex("180f32303530303130323033303430355a")));
+            assert.strictEqual(generalized.toISOString(), "2050-01-02T03:04:05.000Z");
+        });
+
+        it("throws on truncated data", function() {
+            assert.throws(() => {
+                decodeDer(hex("3006020101"));
+            }, Error, "could not decode DER: unexpected end of data");
+        });
+
+        it("throws on trailing data", function() {
+            assert.throws(() => {
+                decodeDer(hex("05000500"));
+            }, Error, "could not decode DER: unexpected data after the end of the value");
+        });
+
+        it("throws on indefinite length", function() {
+            assert.throws(() => {
+                decodeDer(hex("30800000"));
+            }, Error, "could not decode DER: indefinite length isn't allowed");
+        });
+
+        it("encodes sequence", function() {
+            var buf = encodeDer({
+                tag: tags.SEQUENCE,
+                children: [{
+                    tag: tags.INTEGER,
+                    contents: new Uint8Array([10])
+                }, {
+                    raw: hex("0101ff")
+                }]
+            });
+            assert.instanceOf(buf, ArrayBuffer);
+            assert.deepEqual([...new Uint8Array(buf)], [...hex("300602010a0101ff")]);
+        });
+
+        it("encodes long length and high tag number", function() {
+            var node = decodeDer(encodeDer({
+                tagClass: tagClasses.CONTEXT,
+                tag: 702,
+                contents: new Uint8Array(200)
+            }));
+            assert.strictEqual(node.tagClass, tagClasses.CONTEXT);
+            assert.strictEqual(node.tag, 702);
+            assert.strictEqual(node.contents.byteLength, 200);
+        });
+
+        it("encodes object identifier", function() {
+            assert.deepEqual([...encodeOid("1.2.840.10045.2.1")], [...hex("2a8648ce3d0201")]);
+            assert.deepEqual([...encodeOid("1.3.6.1.4.1.45724.1.1.4")], [...hex("2b0601040182e51c010104")]);
+        });
+    });
+
+    describe("parseCertificate", function() {
+        it("parses attestation certificate", function() {
+            var cert = parseCertificate(x5c[0]);
+            assert.instanceOf(cert.raw, ArrayBuffer);
+            assert.instanceOf(cert.tbsCertificate, ArrayBuffer);
+            assert.strictEqual(cert.version, 3);
+            assert.instanceOf(cert.serialNumber, ArrayBuffer);
+            assert.strictEqual(cert.subject.get("C"), "CN");
+            assert.strictEqual(cert.subject.get("O"), "Feitian Technologies");
+            assert.strictEqual(cert.subject.get("OU"), "Authenticator Attestation");
+            assert.strictEqual(cert.subject.get("CN"), "FT BioPass FIDO2 USB");
+            assert.strictEqual(cert.issuer.get("CN"), "Feitian FIDO2 CA-1");
+            assert.instanceOf(cert.notBefore, Date);
+            assert.strictEqual(cert.notAfter.toISOString(), "2033-04-10T23:59:59.000Z");
+            assert.strictEqual(cert.publicKeyAlgorithm, oids.ecPublicKey);
+            assert.strictEqual(cert.namedCurve, "P-256");
+            assert.instanceOf(cert.subjectPublicKeyInfo, ArrayBuffer);
+            assert.strictEqual(cert.signatureAlgorithm, "1.2.840.10045.4.3.2");
+            assert.instanceOf(cert.signature, ArrayBuffer);
+            assert.instanceOf(cert.extensions, Map);
+            assert.isFalse(cert.basicConstraints.ca);
+        });
+
+        it("parses CA certificate", function() {
+            var cert = parseCertificate(x5c[2]);
+            assert.isTrue(cert.basicConstraints.ca);
+            assert.isBoolean(cert.extensions.get(oids.basicConstraints).critical);
+            assert.strictEqual(cert.subject.get("CN"), "Feitian FIDO Root CA");
+        });
+
+        it("throws on bad certificate", function() {
+            assert.throws(() => {
+                parseCertificate(hex("3000"));
+            }, Error, "could not parse certificate: expected certificate to have 3 parts");
+        });
+    });
+
+    describe("verifyCertificateSignature", function() {
+        it("verifies certificate chain", function() {
+            var certs = x5c.map(parseCertificate);
+            return Promise.all([
+                verifyCertificateSignature(certs[0], certs[1]),
+                verifyCertificateSignature(certs[1], certs[2]),
+                verifyCertificateSignature(certs[2], certs[2])
+            ])
+                .then((res) => {
+                    assert.deepEqual(res, [true, true, true]);
+                });
+        });
+
+        it("returns false for wrong issuer", function() {
+            var certs = x5c.map(parseCertificate);
+            return verifyCertificateSignature(certs[0], certs[2])
+                .then((valid) => {
+                    assert.isFalse(valid);
+                });
+        });
+    });
+});
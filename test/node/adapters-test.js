@@ -0,0 +1,424 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+const { PassThrough } = require("stream");
+
+const {
+    WebAuthnHelpers
+} = GlobalWebAuthnClasses;
+
+const {
+    createFastifyPlugin,
+    createHttpHandler,
+    createKoaMiddleware,
+    createRouter
+} = WebAuthnHelpers.server;
+
+function makeOptions() {
+    var users = new Map([["bubba", {
+        id: "YnViYmE",
+        name: "bubba",
+        displayName: "Bubba Smith"
+    }]]);
+
+    return {
+        rp: { name: "Example" },
+        origin: "https://example.com",
+        getUser: (username) => users.get(username) || null,
+        createUser: (user) => {
+            users.set(user.name, user);
+            return user;
+        },
+        // every framework has the headers of the request
+        getSession: (context) => context.headers.cookie
+    };
+}
+
+function makeStream(body) {
+    var stream = new PassThrough();
+    stream.end(body);
+    return stream;
+}
+
+function makeResponse() {
+    return {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        end(body) {
+            this.body = body;
+        }
+    };
+}
+
+// sends a POST request with a JSON body through each adapter, resolving to the `status`, lower case `headers` and
+// parsed `body` of the response
+var adapters = [
+    ["createRouter", (opts) => {
+        var router = createRouter(opts);
+        return (path, body) => {
+            var res = makeResponse();
+            return router({
+                method: "POST",
+                url: path,
+                headers: { cookie: "session-1" },
+                body: body
+            }, res, (err) => Promise.reject(err || new Error("next() called")))
+                .then(() => res);
+        };
+    }],
+    ["createHttpHandler", (opts) => {
+        var handler = createHttpHandler(opts);
+        return (path, body) => {
+            var req = makeStream(JSON.stringify(body));
+            var res = makeResponse();
+            req.method = "POST";
+            req.url = path;
+            req.headers = { cookie: "session-1" };
+            return handler(req, res)
+                .then(() => res);
+        };
+    }],
+    ["createFastifyPlugin", (opts) => {
+        var routes = new Map();
+        createFastifyPlugin(opts)({
+            route: (route) => routes.set(route.method + " " + route.url, route.handler)
+        }, {}, () => {});
+        return (path, body) => {
+            var reply = {
+                code(status) {
+                    this.statusCode = status;
+                    return this;
+                },
+                headers(headers) {
+                    Object.keys(headers).forEach((name) => {
+                        this.headerValues[name.toLowerCase()] = headers[name];
+                    });
+                    return this;
+                },
+                send(payload) {
+                    this.body = payload;
+                    return this;
+                },
+                headerValues: {}
+            };
+            return routes.get("POST " + path)({
+                method: "POST",
+                url: path,
+                headers: { cookie: "session-1" },
+                body: body
+            }, reply)
+                .then(() => ({
+                    statusCode: reply.statusCode,
+                    headers: reply.headerValues,
+                    body: reply.body
+                }));
+        };
+    }],
+    ["createKoaMiddleware", (opts) => {
+        var middleware = createKoaMiddleware(opts);
+        return (path, body) => {
+            var ctx = {
+                method: "POST",
+                path: path,
+                headers: { cookie: "session-1" },
+                request: {},
+                req: makeStream(JSON.stringify(body)),
+                responseHeaders: {},
+                set(headers) {
+                    Object.keys(headers).forEach((name) => {
+                        this.responseHeaders[name.toLowerCase()] = headers[name];
+                    });
+                }
+            };
+            return middleware(ctx, () => Promise.reject(new Error("next() called")))
+                .then(() => ({
+                    statusCode: ctx.status,
+                    headers: ctx.responseHeaders,
+                    body: ctx.body
+                }));
+        };
+    }]
+];
+
+adapters.forEach((test) => {
+    describe(test[0], function() {
+        var post;
+        beforeEach(function() {
+            var send = test[1](makeOptions());
+            post = (path, body) => send(path, body)
+                .then((res) => ({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: JSON.parse(res.body)
+                }));
+        });
+
+        it("answers attestation options", function() {
+            return post("/attestation/options", {
+                username: "adam",
+                displayName: "Adam Powers"
+            })
+                .then((res) => {
+                    assert.strictEqual(res.status, 200);
+                    assert.strictEqual(res.headers["content-type"], "application/json; charset=utf-8");
+                    assert.strictEqual(res.body.status, "ok");
+                    assert.strictEqual(res.body.user.name, "adam");
+                    assert.isString(res.body.challenge);
+                });
+        });
+
+        it("answers assertion options", function() {
+            return post("/assertion/options", {})
+                .then((res) => {
+                    assert.strictEqual(res.status, 200);
+                    assert.strictEqual(res.body.status, "ok");
+                    assert.deepEqual(res.body.allowCredentials, []);
+                });
+        });
+
+        it("rejects registration for existing user without log in", function() {
+            return post("/attestation/result", Object.assign({
+                username: "bubba"
+            }, fido2Helpers.functions.cloneObject(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url)))
+                .then((res) => {
+                    assert.strictEqual(res.status, 400);
+                    assert.deepEqual(res.body, {
+                        status: "failed",
+                        errorMessage: "user already exists and isn't logged in: bubba"
+                    });
+                });
+        });
+
+        it("rejects invalid request", function() {
+            return post("/attestation/result", {
+                username: "adam",
+                rawId: "AAAA"
+            })
+                .then((res) => {
+                    assert.strictEqual(res.status, 400);
+                    assert.deepEqual(res.body, {
+                        status: "failed",
+                        errorMessage: "expected 'response' to be 'Object', got: undefined"
+                    });
+                });
+        });
+    });
+});
+
+describe("adapters", function() {
+    it("router passes other requests on", function() {
+        var called = false;
+        createRouter(makeOptions())({
+            method: "GET",
+            url: "/attestation/options"
+        }, makeResponse(), () => {
+            called = true;
+        });
+        assert.isTrue(called);
+    });
+
+    it("router passes errors on", function() {
+        var opts = makeOptions();
+        opts.getSession = () => {
+            throw new Error("no session");
+        };
+        var err;
+        return createRouter(opts)({
+            method: "POST",
+            url: "/assertion/options",
+            body: {}
+        }, makeResponse(), (e) => {
+            err = e;
+        })
+            .then(() => {
+                assert.strictEqual(err.message, "no session");
+            });
+    });
+
+    it("router reads body from request", function() {
+        var req = makeStream("{}");
+        var res = makeResponse();
+        req.method = "POST";
+        req.url = "/assertion/options?foo=bar";
+        req.headers = { cookie: "session-1" };
+
+        return createRouter(makeOptions())(req, res, () => Promise.reject(new Error("next() called")))
+            .then(() => {
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(JSON.parse(res.body).status, "ok");
+            });
+    });
+
+    it("router rejects large body", function() {
+        var req = makeStream("{\"username\": \"" + "a".repeat(200 * 1024) + "\"}");
+        var res = makeResponse();
+        req.method = "POST";
+        req.url = "/assertion/options";
+        req.headers = { cookie: "session-1" };
+
+        return createRouter(makeOptions())(req, res, () => Promise.reject(new Error("next() called")))
+            .then(() => {
+                assert.strictEqual(res.statusCode, 400);
+                assert.strictEqual(JSON.parse(res.body).errorMessage, "request body is too large");
+            });
+    });
+
+    it("http handler answers other requests with 404", function() {
+        var res = makeResponse();
+        return createHttpHandler(makeOptions())({
+            method: "GET",
+            url: "/"
+        }, res)
+            .then(() => {
+                assert.strictEqual(res.statusCode, 404);
+                assert.deepEqual(JSON.parse(res.body), {
+                    status: "failed",
+                    errorMessage: "not found"
+                });
+            });
+    });
+
+    it("http handler answers errors with 500", function() {
+        var opts = makeOptions();
+        opts.getUser = () => Promise.reject(new Error("database is down"));
+        var res = makeResponse();
+        return createHttpHandler(opts)({
+            method: "POST",
+            url: "/assertion/options",
+            headers: { cookie: "session-1" },
+            body: {
+                username: "adam",
+                displayName: "Adam Powers"
+            }
+        }, res)
+            .then(() => {
+                assert.strictEqual(res.statusCode, 500);
+                assert.strictEqual(JSON.parse(res.body).errorMessage, "internal server error");
+            });
+    });
+
+    it("router uses configured method", function() {
+        var opts = Object.assign(makeOptions(), {
+            methods: { assertionOptions: "GET" }
+        });
+        var router = createRouter(opts);
+        var called = false;
+        router({
+            method: "POST",
+            url: "/assertion/options"
+        }, makeResponse(), () => {
+            called = true;
+        });
+        assert.isTrue(called);
+
+        var req = makeStream("");
+        var res = makeResponse();
+        req.method = "GET";
+        req.url = "/assertion/options?username=bubba&displayName=Bubba%20Smith";
+        req.headers = { cookie: "session-1" };
+        return router(req, res, () => Promise.reject(new Error("next() called")))
+            .then(() => {
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(JSON.parse(res.body).status, "ok");
+            });
+    });
+
+    it("fastify plugin adds routes", function() {
+        var paths = [];
+        var done = false;
+        createFastifyPlugin(Object.assign(makeOptions(), {
+            routes: { assertionResult: "/login" },
+            methods: { assertionOptions: "GET" }
+        }))({
+            route: (route) => paths.push(route.method + " " + route.url)
+        }, {}, () => {
+            done = true;
+        });
+        assert.deepEqual(paths, ["POST /attestation/options", "POST /attestation/result", "GET /assertion/options", "POST /login"]);
+        assert.isTrue(done);
+    });
+
+    it("fastify plugin passes query string", function() {
+        var routes = new Map();
+        createFastifyPlugin(Object.assign(makeOptions(), {
+            methods: { assertionOptions: "GET" }
+        }))({
+            route: (route) => routes.set(route.url, route.handler)
+        }, {}, () => {});
+        var reply = {
+            code(status) {
+                this.statusCode = status;
+                return this;
+            },
+            headers() {
+                return this;
+            },
+            send(payload) {
+                this.body = payload;
+                return this;
+            }
+        };
+        return routes.get("/assertion/options")({
+            method: "GET",
+            // under the prefix of the plugin
+            url: "/webauthn/assertion/options?username=nobody&displayName=Nobody",
+            headers: { cookie: "session-1" }
+        }, reply)
+            .then(() => {
+                assert.strictEqual(reply.statusCode, 400);
+                assert.strictEqual(JSON.parse(reply.body).errorMessage, "user not found: nobody");
+            });
+    });
+
+    it("koa middleware passes other requests on", function() {
+        var ctx = {
+            method: "POST",
+            path: "/foo"
+        };
+        return createKoaMiddleware(makeOptions())(ctx, () => Promise.resolve("next"))
+            .then((ret) => {
+                assert.strictEqual(ret, "next");
+                assert.isUndefined(ctx.status);
+            });
+    });
+
+    it("koa middleware uses configured method", function() {
+        var ctx = {
+            method: "GET",
+            path: "/assertion/options",
+            querystring: "username=nobody&displayName=Nobody",
+            headers: { cookie: "session-1" },
+            request: {},
+            set() {}
+        };
+        return createKoaMiddleware(Object.assign(makeOptions(), {
+            methods: { assertionOptions: "GET" }
+        }))(ctx, () => Promise.reject(new Error("next() called")))
+            .then(() => {
+                assert.strictEqual(ctx.status, 400);
+                assert.strictEqual(JSON.parse(ctx.body).errorMessage, "user not found: nobody");
+            });
+    });
+
+    it("koa middleware uses parsed body", function() {
+        var ctx = {
+            method: "POST",
+            path: "/assertion/options",
+            headers: { cookie: "session-1" },
+            request: { body: {} },
+            set() {}
+        };
+        return createKoaMiddleware(makeOptions())(ctx, () => Promise.reject(new Error("next() called")))
+            .then(() => {
+                assert.strictEqual(ctx.status, 200);
+                assert.strictEqual(JSON.parse(ctx.body).status, "ok");
+            });
+    });
+
+    it("exposes credentials and challenges", function() {
+        var router = createRouter(makeOptions());
+        assert.isFunction(router.credentials.findById);
+        assert.isFunction(router.challenges.create);
+    });
+});
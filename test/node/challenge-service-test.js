@@ -0,0 +1,244 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+const {
+    VerificationError,
+    WebAuthnHelpers
+} = GlobalWebAuthnClasses;
+
+const {
+    ChallengeService,
+    MemoryChallengeStore
+} = WebAuthnHelpers.server;
+
+function expectVerificationError(p, message) {
+    return p.then(() => {
+        throw new Error("should have rejected");
+    }, (err) => {
+        assert.instanceOf(err, VerificationError);
+        assert.strictEqual(err.message, message);
+        assert.strictEqual(err.path, "challenge");
+    });
+}
+
+describe("ChallengeService", function() {
+    var service, now, binding;
+    beforeEach(function() {
+        now = 1000000;
+        service = new ChallengeService({
+            now: () => now
+        });
+        binding = {
+            session: "session-1",
+            user: "bubba",
+            type: "webauthn.create"
+        };
+    });
+
+    it("is a class", function() {
+        assert.isFunction(ChallengeService);
+        assert.instanceOf(service.store, MemoryChallengeStore);
+    });
+
+    it("creates random challenge", function() {
+        return Promise.all([service.create(binding), service.create(binding)])
+            .then((challenges) => {
+                assert.isString(challenges[0]);
+                assert.match(challenges[0], /^[A-Za-z0-9_-]{43}$/);
+                assert.notStrictEqual(challenges[0], challenges[1]);
+            });
+    });
+
+    it("creates challenge of configured length", function() {
+        service = new ChallengeService({ length: 64 });
+        return service.create(binding)
+            .then((challenge) => {
+                assert.strictEqual(WebAuthnHelpers.utils.coerceToArrayBuffer(challenge).byteLength, 64);
+            });
+    });
+
+    it("consumes challenge", function() {
+        return service.create(binding)
+            .then((challenge) => service.consume(challenge, binding))
+            .then((record) => {
+                assert.isString(record.challenge);
+                assert.strictEqual(record.session, "session-1");
+                assert.strictEqual(record.user, "bubba");
+                assert.strictEqual(record.type, "webauthn.create");
+                assert.strictEqual(record.expires, 1060000);
+            });
+    });
+
+    it("consumes ArrayBuffer challenge", function() {
+        return service.create(binding)
+            .then((challenge) => service.consume(WebAuthnHelpers.utils.coerceToArrayBuffer(challenge), binding))
+            .then((record) => {
+                assert.strictEqual(record.user, "bubba");
+            });
+    });
+
+    it("rejects challenge that was already used", function() {
+        return service.create(binding)
+            .then((challenge) => service.consume(challenge, binding)
+                .then(() => expectVerificationError(service.consume(challenge, binding), "challenge is unknown or was already used")));
+    });
+
+    it("consumes challenge only once when used concurrently", function() {
+        return service.create(binding)
+            .then((challenge) => Promise.all([
+                service.consume(challenge, binding).then(() => true, () => false),
+                service.consume(challenge, binding).then(() => true, () => false)
+            ]))
+            .then((results) => {
+                assert.deepEqual(results.sort(), [false, true]);
+            });
+    });
+
+    it("rejects unknown challenge", function() {
+        return expectVerificationError(service.consume("AAAAAAAAAAAAAAAAAAAAAA", binding), "challenge is unknown or was already used");
+    });
+
+    it("rejects expired challenge", function() {
+        return service.create(binding)
+            .then((challenge) => {
+                now += 60000;
+                return expectVerificationError(service.consume(challenge, binding), "challenge has expired");
+            });
+    });
+
+    it("uses timeout of options", function() {
+        binding.timeout = 120000;
+        return service.create(binding)
+            .then((challenge) => {
+                now += 119999;
+                return service.consume(challenge, binding);
+            });
+    });
+
+    it("rejects challenge for other ceremony type", function() {
+        return service.create(binding)
+            .then((challenge) => {
+                binding.type = "webauthn.get";
+                return expectVerificationError(service.consume(challenge, binding), "challenge was created for 'webauthn.create', not 'webauthn.get'");
+            });
+    });
+
+    it("rejects challenge for other session", function() {
+        return service.create(binding)
+            .then((challenge) => {
+                binding.session = "session-2";
+                return expectVerificationError(service.consume(challenge, binding), "challenge was created for a different session");
+            });
+    });
+
+    it("rejects challenge for other user", function() {
+        return service.create(binding)
+            .then((challenge) => {
+                binding.user = "eve";
+                return expectVerificationError(service.consume(challenge, binding), "challenge was created for a different user");
+            });
+    });
+
+    it("accepts any user for challenge without user", function() {
+        delete binding.user;
+        return service.create(binding)
+            .then((challenge) => service.consume(challenge, {
+                session: "session-1",
+                user: "bubba",
+                type: "webauthn.create"
+            }));
+    });
+
+    it("keeps data with challenge", function() {
+        binding.data = { user: { name: "bubba" } };
+        return service.create(binding)
+            .then((challenge) => service.consume(challenge, {
+                session: "session-1",
+                user: "bubba",
+                type: "webauthn.create"
+            }))
+            .then((record) => {
+                assert.deepEqual(record.data, { user: { name: "bubba" } });
+            });
+    });
+
+    it("deletes expired challenges", function() {
+        return service.create(binding)
+            .then(() => {
+                now += 60000;
+                return service.create(binding);
+            })
+            .then(() => {
+                assert.strictEqual(service.store.records.size, 1);
+            });
+    });
+
+    it("works with custom store", function() {
+        var records = {};
+        service = new ChallengeService({
+            store: {
+                save: (challenge, record) => new Promise((resolve) => setTimeout(() => {
+                    records[challenge] = record;
+                    resolve();
+                }, 1)),
+                take: (challenge) => {
+                    var record = records[challenge];
+                    delete records[challenge];
+                    return Promise.resolve(record);
+                }
+            }
+        });
+        return service.create(binding)
+            .then((challenge) => {
+                assert.isObject(records[challenge]);
+                return service.consume(challenge, binding);
+            })
+            .then(() => {
+                assert.deepEqual(records, {});
+            });
+    });
+
+    it("throws on bad store", function() {
+        assert.throws(() => {
+            new ChallengeService({ store: {} }); // eslint-disable-line no-new
+        }, TypeError, "expected 'store' to have 'save' and 'take' methods");
+    });
+
+    it("throws on bad length", function() {
+        assert.throws(() => {
+            new ChallengeService({ length: 8 }); // eslint-disable-line no-new
+        }, TypeError, "expected 'length' to be an integer from 16 to 64, got: 8");
+    });
+
+    it("rejects missing session", function() {
+        delete binding.session;
+        return service.create(binding)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.message, "expected 'binding.session' to be non-empty 'string', got: undefined");
+            });
+    });
+
+    it("rejects bad ceremony type", function() {
+        binding.type = "create";
+        return service.create(binding)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.message, "expected 'binding.type' to be 'webauthn.create' or 'webauthn.get', got: create");
+            });
+    });
+
+    it("rejects bad data", function() {
+        binding.data = "bubba";
+        return service.create(binding)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.message, "expected 'binding.data' to be 'Object', got: bubba");
+            });
+    });
+});
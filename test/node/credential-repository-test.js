@@ -0,0 +1,284 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    CreateOptions,
+    GetOptions,
+    WebAuthnHelpers
+} = GlobalWebAuthnClasses;
+
+const {
+    FileCredentialRepository,
+    MemoryCredentialRepository,
+    getCredentialDescriptors,
+    populateAllowCredentials,
+    populateExcludeCredentials
+} = WebAuthnHelpers.server;
+
+function makeCredential(id, userHandle) {
+    return {
+        credentialId: id,
+        credentialPublicKey: "pQECAyYgASFYIA",
+        userHandle: userHandle || "YWRhbQ",
+        transports: ["usb", "internal"]
+    };
+}
+
+function expectRejection(p, ErrorType, message) {
+    return p.then(() => {
+        throw new Error("should have rejected");
+    }, (err) => {
+        assert.instanceOf(err, ErrorType);
+        assert.strictEqual(err.message, message);
+    });
+}
+
+function makeTmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "webauthn-credentials-"));
+}
+
+function removeTmpDir(dir) {
+    fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+}
+
+[
+    ["MemoryCredentialRepository", () => new MemoryCredentialRepository()],
+    ["FileCredentialRepository", (dir) => new FileCredentialRepository(path.join(dir, "credentials.json"))]
+].forEach((test) => {
+    describe(test[0], function() {
+        var dir, repository;
+        beforeEach(function() {
+            dir = makeTmpDir();
+            repository = test[1](dir);
+        });
+
+        afterEach(function() {
+            removeTmpDir(dir);
+        });
+
+        it("creates credential", function() {
+            return repository.create(makeCredential("AAEC"))
+                .then((record) => {
+                    assert.strictEqual(record.credentialId, "AAEC");
+                    assert.strictEqual(record.credentialPublicKey, "pQECAyYgASFYIA");
+                    assert.strictEqual(record.userHandle, "YWRhbQ");
+                    assert.strictEqual(record.counter, 0);
+                    assert.deepEqual(record.transports, ["usb", "internal"]);
+                    assert.isString(record.createdAt);
+                    assert.isNull(record.lastUsedAt);
+                });
+        });
+
+        it("encodes binary values", function() {
+            return repository.create({
+                credentialId: new Uint8Array([0, 1, 2]).buffer,
+                credentialPublicKey: new Uint8Array([0xa5, 0x01, 0x02]).buffer,
+                userHandle: new Uint8Array([0x61, 0x64, 0x61, 0x6d]).buffer,
+                counter: 7,
+                name: "my key",
+                createdAt: new Date(0)
+            })
+                .then(() => repository.findById(new Uint8Array([0, 1, 2]).buffer))
+                .then((record) => {
+                    assert.strictEqual(record.credentialId, "AAEC");
+                    assert.strictEqual(record.credentialPublicKey, "pQEC");
+                    assert.strictEqual(record.userHandle, "YWRhbQ");
+                    assert.strictEqual(record.counter, 7);
+                    assert.strictEqual(record.name, "my key");
+                    assert.strictEqual(record.createdAt, "1970-01-01T00:00:00.000Z");
+                });
+        });
+
+        it("rejects duplicate credential", function() {
+            return repository.create(makeCredential("AAEC"))
+                .then(() => expectRejection(repository.create(makeCredential("AAEC")), Error, "credential already exists: AAEC"));
+        });
+
+        it("rejects bad counter", function() {
+            var cred = makeCredential("AAEC");
+            cred.counter = -1;
+            return expectRejection(repository.create(cred), TypeError, "expected 'counter' to be a non-negative integer, got: -1");
+        });
+
+        it("finds credential by id", function() {
+            return repository.create(makeCredential("AAEC"))
+                .then(() => repository.findById("AAEC"))
+                .then((record) => {
+                    assert.strictEqual(record.credentialId, "AAEC");
+                    return repository.findById("AAED");
+                })
+                .then((record) => {
+                    assert.isNull(record);
+                });
+        });
+
+        it("returns copies", function() {
+            return repository.create(makeCredential("AAEC"))
+                .then((record) => {
+                    record.counter = 99;
+                    return repository.findById("AAEC");
+                })
+                .then((record) => {
+                    assert.strictEqual(record.counter, 0);
+                });
+        });
+
+        it("finds credentials by user handle", function() {
+            return repository.create(makeCredential("AAEC"))
+                .then(() => repository.create(makeCredential("AAED", "ZXZl")))
+                .then(() => repository.create(makeCredential("AAEE")))
+                .then(() => repository.findByUserHandle("YWRhbQ"))
+                .then((records) => {
+                    assert.deepEqual(records.map((record) => record.credentialId), ["AAEC", "AAEE"]);
+                    return repository.findByUserHandle("Ym9i");
+                })
+                .then((records) => {
+                    assert.deepEqual(records, []);
+                });
+        });
+
+        it("updates counter", function() {
+            return repository.create(makeCredential("AAEC"))
+                .then(() => repository.updateCounter("AAEC", 42, new Date(1000)))
+                .then((record) => {
+                    assert.strictEqual(record.counter, 42);
+                    assert.strictEqual(record.lastUsedAt, "1970-01-01T00:00:01.000Z");
+                    return repository.findById("AAEC");
+                })
+                .then((record) => {
+                    assert.strictEqual(record.counter, 42);
+                });
+        });
+
+        it("rejects counter update of unknown credential", function() {
+            return expectRejection(repository.updateCounter("AAEC", 1), Error, "credential not found: AAEC");
+        });
+
+        it("deletes credential", function() {
+            return repository.create(makeCredential("AAEC"))
+                .then(() => repository.delete("AAEC"))
+                .then((deleted) => {
+                    assert.isTrue(deleted);
+                    return repository.delete("AAEC");
+                })
+                .then((deleted) => {
+                    assert.isFalse(deleted);
+                    return repository.findById("AAEC");
+                })
+                .then((record) => {
+                    assert.isNull(record);
+                });
+        });
+    });
+});
+
+describe("FileCredentialRepository file", function() {
+    var dir, file;
+    beforeEach(function() {
+        dir = makeTmpDir();
+        file = path.join(dir, "credentials.json");
+    });
+
+    afterEach(function() {
+        removeTmpDir(dir);
+    });
+
+    it("keeps credentials in file", function() {
+        var repository = new FileCredentialRepository(file);
+        return repository.create(makeCredential("AAEC"))
+            .then(() => repository.updateCounter("AAEC", 3))
+            .then(() => {
+                var data = JSON.parse(fs.readFileSync(file, "utf8"));
+                assert.strictEqual(data.credentials.length, 1);
+                assert.strictEqual(data.credentials[0].counter, 3);
+                assert.deepEqual(fs.readdirSync(dir), ["credentials.json"]);
+
+                return new FileCredentialRepository(file).findById("AAEC");
+            })
+            .then((record) => {
+                assert.strictEqual(record.counter, 3);
+            });
+    });
+
+    it("writes concurrent changes in order", function() {
+        var repository = new FileCredentialRepository(file);
+        return Promise.all([
+            repository.create(makeCredential("AAEC")),
+            repository.create(makeCredential("AAED")),
+            repository.create(makeCredential("AAEC")).catch(() => {}),
+            repository.delete("AAED")
+        ])
+            .then(() => {
+                var data = JSON.parse(fs.readFileSync(file, "utf8"));
+                assert.deepEqual(data.credentials.map((record) => record.credentialId), ["AAEC"]);
+            });
+    });
+
+    it("rejects bad file", function() {
+        fs.writeFileSync(file, "{}");
+        return expectRejection(new FileCredentialRepository(file).findById("AAEC"), Error, "expected credential file to have a 'credentials' list: " + file);
+    });
+
+    it("throws on bad path", function() {
+        assert.throws(() => {
+            new FileCredentialRepository(""); // eslint-disable-line no-new
+        }, TypeError, "expected 'path' to be non-empty 'string', got: ");
+    });
+});
+
+describe("credential descriptors", function() {
+    var repository;
+    beforeEach(function() {
+        repository = new MemoryCredentialRepository();
+        return repository.create(makeCredential("AAEC"))
+            .then(() => repository.create({
+                credentialId: "AAED",
+                credentialPublicKey: "pQECAyYgASFYIA",
+                userHandle: "YWRhbQ"
+            }))
+            .then(() => repository.create(makeCredential("AAEE", "ZXZl")));
+    });
+
+    it("lists descriptors of user", function() {
+        return getCredentialDescriptors(repository, "YWRhbQ")
+            .then((descriptors) => {
+                assert.deepEqual(descriptors, [{
+                    type: "public-key",
+                    id: "AAEC",
+                    transports: ["usb", "internal"]
+                }, {
+                    type: "public-key",
+                    id: "AAED"
+                }]);
+            });
+    });
+
+    it("populates excludeCredentials", function() {
+        var options = CreateOptions.from(JSON.parse(JSON.stringify(fido2Helpers.server.basicCreationOptions)));
+        options.user.id = "YWRhbQ";
+        return populateExcludeCredentials(options, repository)
+            .then((ret) => {
+                assert.strictEqual(ret, options);
+                assert.deepEqual(options.excludeCredentials.map((cred) => cred.id), ["AAEC", "AAED"]);
+                options.validate();
+            });
+    });
+
+    it("rejects CreateOptions without user id", function() {
+        return expectRejection(populateExcludeCredentials({}, repository), TypeError, "expected 'createOptions' to have a 'user.id'");
+    });
+
+    it("populates allowCredentials", function() {
+        var options = GetOptions.from(fido2Helpers.server.basicGetOptions);
+        return populateAllowCredentials(options, repository, "ZXZl")
+            .then((ret) => {
+                assert.strictEqual(ret, options);
+                assert.deepEqual(options.allowCredentials.map((cred) => cred.id), ["AAEE"]);
+                options.validate();
+            });
+    });
+});
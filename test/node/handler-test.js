@@ -0,0 +1,659 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+const crypto = require("crypto");
+
+const {
+    WebAuthnHelpers
+} = GlobalWebAuthnClasses;
+
+const { createHandler } = WebAuthnHelpers.server;
+const cbor = WebAuthnHelpers.cbor;
+
+function b64url(buf) {
+    return Buffer.from(buf).toString("base64")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=*$/g, "");
+}
+
+// an authenticator with a single P-256 credential for "example.com"
+function makeAuthenticator() {
+    return {
+        keyPair: crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }),
+        credId: crypto.randomBytes(16),
+        counter: 0
+    };
+}
+
+function makeClientDataJSON(type, challenge) {
+    return Buffer.from(JSON.stringify({
+        type: type,
+        challenge: challenge,
+        origin: "https://example.com"
+    }));
+}
+
+// the body that WebAuthnApp#sendRegisterResult() sends, with a "none" attestation
+function makeAttestationBody(authenticator, challenge, username) {
+    var jwk = authenticator.keyPair.publicKey.export({ format: "jwk" });
+    var credIdLen = Buffer.alloc(2);
+    credIdLen.writeUInt16BE(authenticator.credId.length);
+    var authData = Buffer.concat([
+        crypto.createHash("sha256").update("example.com").digest(),
+        // flags: UP and AT, counter: 0
+        Buffer.from([0x41, 0, 0, 0, 0]),
+        Buffer.alloc(16),
+        credIdLen,
+        authenticator.credId,
+        Buffer.from(cbor.encode(new Map([
+            [1, 2],
+            [3, -7],
+            [-1, 1],
+            [-2, Buffer.from(jwk.x, "base64")],
+            [-3, Buffer.from(jwk.y, "base64")]
+        ])))
+    ]);
+
+    return {
+        username: username,
+        rawId: b64url(authenticator.credId),
+        id: b64url(authenticator.credId),
+        response: {
+            clientDataJSON: b64url(makeClientDataJSON("webauthn.create", challenge)),
+            attestationObject: b64url(cbor.encode(new Map([
+                ["fmt", "none"],
+                ["attStmt", new Map()],
+                ["authData", authData]
+            ])))
+        }
+    };
+}
+
+// the body that WebAuthnApp#sendLoginResult() sends; discoverable credentials also return a user handle
+function makeAssertionBody(authenticator, challenge, userHandle) {
+    authenticator.counter++;
+    var counter = Buffer.alloc(4);
+    counter.writeUInt32BE(authenticator.counter);
+    var authData = Buffer.concat([
+        crypto.createHash("sha256").update("example.com").digest(),
+        // flags: UP
+        Buffer.from([0x01]),
+        counter
+    ]);
+    var clientDataJSON = makeClientDataJSON("webauthn.get", challenge);
+    var clientDataHash = crypto.createHash("sha256").update(clientDataJSON).digest();
+
+    return {
+        rawId: b64url(authenticator.credId),
+        id: b64url(authenticator.credId),
+        response: {
+            clientDataJSON: b64url(clientDataJSON),
+            authenticatorData: b64url(authData),
+            signature: b64url(crypto.sign("sha256", Buffer.concat([authData, clientDataHash]), authenticator.keyPair.privateKey)),
+            userHandle: userHandle || null
+        }
+    };
+}
+
+describe("createHandler", function() {
+    var users, sessions, registered, loggedIn, handle, session;
+
+    // sends a POST request to the handler, resolving to the response with a parsed body
+    function post(url, body) {
+        return handle({
+            method: "POST",
+            path: url,
+            headers: { "content-type": "application/json" },
+            body: body
+        }, { sessionID: session })
+            .then((res) => {
+                res.body = JSON.parse(res.body);
+                return res;
+            });
+    }
+
+    function register(authenticator, username) {
+        return post("/attestation/options", {
+            username: username,
+            displayName: "Adam Powers"
+        })
+            .then((res) => post("/attestation/result", makeAttestationBody(authenticator, res.body.challenge, username)));
+    }
+
+    function login(authenticator, username) {
+        return post("/assertion/options", {
+            username: username,
+            displayName: "Adam Powers"
+        })
+            .then((res) => post("/assertion/result", makeAssertionBody(authenticator, res.body.challenge)));
+    }
+
+    beforeEach(function() {
+        users = new Map();
+        sessions = new Map();
+        registered = [];
+        loggedIn = [];
+        session = "session-1";
+        handle = createHandler({
+            rp: { name: "Example" },
+            origin: "https://example.com",
+            getUser: (username) => users.get(username) || null,
+            getSessionUser: (context) => sessions.get(context.sessionID) || null,
+            createUser: (user) => {
+                users.set(user.name, user);
+                return user;
+            },
+            onRegister: (credential, user) => {
+                registered.push([credential, user]);
+            },
+            onLogin: (credential, context) => {
+                loggedIn.push(credential);
+                sessions.set(context.sessionID, { id: credential.userHandle });
+            }
+        });
+    });
+
+    it("answers attestation options", function() {
+        return post("/attestation/options", {
+            username: "adam",
+            displayName: "Adam Powers",
+            authenticatorSelection: { userVerification: "required" }
+        })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.headers["Content-Type"], "application/json; charset=utf-8");
+                assert.strictEqual(res.body.status, "ok");
+                assert.deepEqual(res.body.rp, { name: "Example" });
+                assert.strictEqual(res.body.user.name, "adam");
+                assert.strictEqual(res.body.user.displayName, "Adam Powers");
+                assert.match(res.body.user.id, /^[A-Za-z0-9_-]{43}$/);
+                // the user is only created once the credential is verified
+                assert.isFalse(users.has("adam"));
+                assert.match(res.body.challenge, /^[A-Za-z0-9_-]{43}$/);
+                assert.deepEqual(res.body.pubKeyCredParams, [{
+                    type: "public-key",
+                    alg: -7
+                }, {
+                    type: "public-key",
+                    alg: -257
+                }]);
+                assert.strictEqual(res.body.timeout, 60000);
+                assert.strictEqual(res.body.attestation, "none");
+                assert.deepEqual(res.body.authenticatorSelection, {
+                    residentKey: "discouraged",
+                    requireResidentKey: false,
+                    userVerification: "required"
+                });
+                assert.deepEqual(res.body.excludeCredentials, []);
+            });
+    });
+
+    it("registers and logs in", function() {
+        var authenticator = makeAuthenticator();
+        return register(authenticator, "adam")
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.deepEqual(res.body, {
+                    status: "ok",
+                    errorMessage: ""
+                });
+                assert.strictEqual(registered.length, 1);
+                assert.strictEqual(registered[0][0].credentialId, b64url(authenticator.credId));
+                assert.strictEqual(registered[0][0].userHandle, users.get("adam").id);
+                assert.strictEqual(registered[0][1].name, "adam");
+
+                return post("/assertion/options", {
+                    username: "adam",
+                    displayName: "Adam Powers"
+                });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.status, "ok");
+                assert.strictEqual(res.body.userVerification, "preferred");
+                assert.deepEqual(res.body.allowCredentials, [{
+                    type: "public-key",
+                    id: b64url(authenticator.credId)
+                }]);
+
+                return post("/assertion/result", makeAssertionBody(authenticator, res.body.challenge));
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.status, "ok");
+                assert.strictEqual(loggedIn.length, 1);
+                assert.strictEqual(loggedIn[0].counter, 1);
+                assert.isString(loggedIn[0].lastUsedAt);
+            });
+    });
+
+    it("stores known transports of credential", function() {
+        var authenticator = makeAuthenticator();
+        return post("/attestation/options", {
+            username: "adam",
+            displayName: "Adam Powers"
+        })
+            .then((res) => {
+                var body = makeAttestationBody(authenticator, res.body.challenge, "adam");
+                body.response.transports = ["hybrid", "cable", "internal"];
+                return post("/attestation/result", body);
+            })
+            .then((res) => {
+                assert.strictEqual(res.body.status, "ok");
+                assert.deepEqual(registered[0][0].transports, ["hybrid", "internal"]);
+
+                return post("/assertion/options", {
+                    username: "adam",
+                    displayName: "Adam Powers"
+                });
+            })
+            .then((res) => {
+                assert.deepEqual(res.body.allowCredentials, [{
+                    type: "public-key",
+                    id: b64url(authenticator.credId),
+                    transports: ["hybrid", "internal"]
+                }]);
+            });
+    });
+
+    it("excludes registered credentials", function() {
+        var authenticator = makeAuthenticator();
+        return register(authenticator, "adam")
+            .then(() => login(authenticator, "adam"))
+            .then(() => post("/attestation/options", {
+                username: "adam",
+                displayName: "Adam Powers"
+            }))
+            .then((res) => {
+                assert.strictEqual(res.body.status, "ok");
+                assert.strictEqual(res.body.user.id, users.get("adam").id);
+                assert.deepEqual(res.body.excludeCredentials.map((cred) => cred.id), [b64url(authenticator.credId)]);
+            });
+    });
+
+    it("registers another credential of logged in user", function() {
+        var authenticator = makeAuthenticator();
+        return register(authenticator, "adam")
+            .then(() => login(authenticator, "adam"))
+            .then(() => register(makeAuthenticator(), "adam"))
+            .then((res) => {
+                assert.strictEqual(res.body.status, "ok");
+                assert.strictEqual(registered.length, 2);
+                assert.strictEqual(registered[1][0].userHandle, users.get("adam").id);
+            });
+    });
+
+    it("rejects options for existing user without log in", function() {
+        return register(makeAuthenticator(), "adam")
+            .then(() => {
+                session = "session-2";
+                return post("/attestation/options", {
+                    username: "adam",
+                    displayName: "Adam Powers"
+                });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "user already exists and isn't logged in: adam");
+            });
+    });
+
+    it("rejects registration for existing user without log in", function() {
+        var adamId;
+        return register(makeAuthenticator(), "adam")
+            .then(() => {
+                adamId = users.get("adam").id;
+                session = "session-2";
+                return post("/attestation/options", {
+                    username: "mallory",
+                    displayName: "Mallory"
+                });
+            })
+            .then((res) => post("/attestation/result", makeAttestationBody(makeAuthenticator(), res.body.challenge, "adam")))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "user already exists and isn't logged in: adam");
+                assert.strictEqual(registered.length, 1);
+                assert.strictEqual(users.get("adam").id, adamId);
+                assert.isFalse(users.has("mallory"));
+            });
+    });
+
+    it("rejects registration for existing user logged in as other user", function() {
+        var eve = makeAuthenticator();
+        return register(makeAuthenticator(), "adam")
+            .then(() => {
+                session = "session-2";
+                return register(eve, "eve");
+            })
+            .then(() => login(eve, "eve"))
+            .then(() => post("/attestation/options", {
+                username: "eve",
+                displayName: "Eve"
+            }))
+            .then((res) => post("/attestation/result", makeAttestationBody(makeAuthenticator(), res.body.challenge, "adam")))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "user already exists and isn't logged in: adam");
+                assert.strictEqual(registered.length, 2);
+            });
+    });
+
+    it("rejects registration of other new user", function() {
+        return post("/attestation/options", {
+            username: "adam",
+            displayName: "Adam Powers"
+        })
+            .then((res) => post("/attestation/result", makeAttestationBody(makeAuthenticator(), res.body.challenge, "bob")))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "challenge was created for a different user");
+                assert.strictEqual(users.size, 0);
+            });
+    });
+
+    it("rejects createUser that changes user id", function() {
+        handle = createHandler({
+            rp: { name: "Example" },
+            origin: "https://example.com",
+            getUser: () => null,
+            createUser: (user) => Object.assign({}, user, { id: "AAAA" })
+        });
+        return register(makeAuthenticator(), "adam")
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.match(err.message, /^expected 'createUser' to keep the 'id' of the user, got: AAAA$/);
+            });
+    });
+
+    it("logs in without username", function() {
+        var authenticator = makeAuthenticator();
+        return register(authenticator, "adam")
+            .then(() => post("/assertion/options", {}))
+            .then((res) => {
+                assert.deepEqual(res.body.allowCredentials, []);
+                return post("/assertion/result", makeAssertionBody(authenticator, res.body.challenge, users.get("adam").id));
+            })
+            .then((res) => {
+                assert.strictEqual(res.body.status, "ok");
+                assert.strictEqual(loggedIn[0].userHandle, users.get("adam").id);
+            });
+    });
+
+    it("rejects log in without username and user handle", function() {
+        var authenticator = makeAuthenticator();
+        return register(authenticator, "adam")
+            .then(() => post("/assertion/options", {}))
+            .then((res) => post("/assertion/result", makeAssertionBody(authenticator, res.body.challenge)))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.deepEqual(res.body, {
+                    status: "failed",
+                    errorMessage: "expected 'userHandle' to be present for usernameless log in"
+                });
+                assert.strictEqual(loggedIn.length, 0);
+            });
+    });
+
+    it("rejects replayed attestation", function() {
+        var authenticator = makeAuthenticator();
+        var body;
+        return post("/attestation/options", {
+            username: "adam",
+            displayName: "Adam Powers"
+        })
+            .then((res) => {
+                body = makeAttestationBody(authenticator, res.body.challenge, "adam");
+                return post("/attestation/result", body);
+            })
+            // logged in, so that only the challenge fails
+            .then(() => login(authenticator, "adam"))
+            .then(() => post("/attestation/result", body))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.deepEqual(res.body, {
+                    status: "failed",
+                    errorMessage: "challenge is unknown or was already used"
+                });
+            });
+    });
+
+    it("rejects challenge of other session", function() {
+        var authenticator = makeAuthenticator();
+        return register(authenticator, "adam")
+            .then(() => post("/assertion/options", {}))
+            .then((res) => {
+                session = "session-2";
+                return post("/assertion/result", makeAssertionBody(authenticator, res.body.challenge));
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "challenge was created for a different session");
+                assert.strictEqual(loggedIn.length, 0);
+            });
+    });
+
+    it("rejects login of other user's credential", function() {
+        var authenticator = makeAuthenticator();
+        return register(authenticator, "adam")
+            .then(() => register(makeAuthenticator(), "eve"))
+            .then(() => post("/assertion/options", {
+                username: "eve",
+                displayName: "Eve"
+            }))
+            .then((res) => post("/assertion/result", makeAssertionBody(authenticator, res.body.challenge)))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "challenge was created for a different user");
+            });
+    });
+
+    it("rejects unknown credential", function() {
+        return post("/assertion/options", {})
+            .then((res) => post("/assertion/result", makeAssertionBody(makeAuthenticator(), res.body.challenge)))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "credential not found");
+            });
+    });
+
+    it("rejects invalid request", function() {
+        return post("/attestation/options", { username: "adam" })
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.status, "failed");
+                assert.strictEqual(res.body.errorMessage, "expected 'displayName' to be 'string', got: undefined");
+            });
+    });
+
+    it("rejects unknown user without createUser", function() {
+        handle = createHandler({
+            rp: { name: "Example" },
+            origin: "https://example.com",
+            getUser: () => null
+        });
+        return post("/attestation/options", {
+            username: "adam",
+            displayName: "Adam Powers"
+        })
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "user not found: adam");
+            });
+    });
+
+    it("rejects bad JSON", function() {
+        return post("/attestation/options", "{")
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.errorMessage, "expected request body to be JSON");
+            });
+    });
+
+    it("reads JSON body", function() {
+        return post("/assertion/options", Buffer.from("{}"))
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.status, "ok");
+                return post("/assertion/options?foo=bar", "{}");
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+            });
+    });
+
+    it("uses custom routes", function() {
+        handle = createHandler({
+            rp: { name: "Example" },
+            origin: "https://example.com",
+            getUser: () => null,
+            routes: { assertionOptions: "/login/options" }
+        });
+        return post("/login/options", {})
+            .then((res) => {
+                assert.strictEqual(res.body.status, "ok");
+            });
+    });
+
+    it("uses configured methods", function() {
+        handle = createHandler({
+            rp: { name: "Example" },
+            origin: "https://example.com",
+            getUser: () => null,
+            createUser: (user) => user,
+            methods: {
+                attestationOptions: "GET",
+                assertionResult: "PUT"
+            }
+        });
+        return handle({
+            method: "POST",
+            path: "/attestation/options",
+            headers: {},
+            body: {}
+        }, { sessionID: session })
+            .then((res) => {
+                assert.isNull(res);
+                // as sent by WebAuthnApp#send()
+                return handle({
+                    method: "GET",
+                    path: "/attestation/options?username=adam&displayName=Adam%20Powers&authenticatorSelection=" +
+                        encodeURIComponent(JSON.stringify({ userVerification: "required" })),
+                    headers: {}
+                }, { sessionID: session });
+            })
+            .then((res) => {
+                var body = JSON.parse(res.body);
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(body.user.name, "adam");
+                assert.strictEqual(body.user.displayName, "Adam Powers");
+                assert.strictEqual(body.authenticatorSelection.userVerification, "required");
+                assert.deepEqual(handle.methods, {
+                    attestationOptions: "GET",
+                    attestationResult: "POST",
+                    assertionOptions: "POST",
+                    assertionResult: "PUT"
+                });
+            });
+    });
+
+    it("keeps query strings that look like JSON", function() {
+        handle = createHandler({
+            rp: { name: "Example" },
+            origin: "https://example.com",
+            getUser: () => null,
+            createUser: (user) => user,
+            methods: { attestationOptions: "GET" }
+        });
+        return handle({
+            method: "GET",
+            path: "/attestation/options?username=" + encodeURIComponent("[1]") + "&displayName=" +
+                encodeURIComponent("{Adam}"),
+            headers: {}
+        }, { sessionID: session })
+            .then((res) => {
+                var body = JSON.parse(res.body);
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(body.user.name, "[1]");
+                assert.strictEqual(body.user.displayName, "{Adam}");
+            });
+    });
+
+    it("ignores other requests", function() {
+        return handle({
+            method: "GET",
+            path: "/attestation/options",
+            headers: {}
+        })
+            .then((res) => {
+                assert.isNull(res);
+                return handle({
+                    method: "POST",
+                    path: "/foo",
+                    headers: {},
+                    body: {}
+                });
+            })
+            .then((res) => {
+                assert.isNull(res);
+            });
+    });
+
+    it("calls hooks with request if there is no context", function() {
+        var contexts = [];
+        handle = createHandler({
+            rp: { name: "Example" },
+            origin: "https://example.com",
+            getUser: (username, context) => {
+                contexts.push(context);
+                return null;
+            },
+            getSession: (context) => context.headers.cookie
+        });
+        var request = {
+            method: "POST",
+            path: "/assertion/options",
+            headers: { cookie: "session-1" },
+            body: {
+                username: "adam",
+                displayName: "Adam Powers"
+            }
+        };
+        return handle(request)
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.deepEqual(contexts, [request]);
+            });
+    });
+
+    it("rejects other errors", function() {
+        session = undefined;
+        return post("/assertion/options", {})
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.strictEqual(err.message, "request doesn't have a session; add a session middleware or set the 'getSession' option");
+            });
+    });
+
+    it("throws on bad method", function() {
+        assert.throws(() => {
+            createHandler({
+                rp: { name: "Example" },
+                origin: "https://example.com",
+                getUser: () => null,
+                methods: { assertionOptions: "HEAD" }
+            });
+        }, TypeError, "expected 'opts.methods.assertionOptions' to be 'GET', 'POST', 'PUT', 'PATCH' or 'DELETE', got: HEAD");
+    });
+
+    it("throws on missing getUser", function() {
+        assert.throws(() => {
+            createHandler({
+                rp: { name: "Example" },
+                origin: "https://example.com"
+            });
+        }, TypeError, "expected 'opts.getUser' to be 'function', got: undefined");
+    });
+});
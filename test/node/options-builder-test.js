@@ -0,0 +1,467 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+const {
+    CreateOptions,
+    GetOptions,
+    ValidationError,
+    WebAuthnHelpers
+} = GlobalWebAuthnClasses;
+
+const {
+    ChallengeService,
+    MemoryCredentialRepository,
+    buildCreateOptions,
+    buildGetOptions
+} = WebAuthnHelpers.server;
+
+var policy = { rp: { name: "Example" } };
+
+var request = {
+    username: "adam",
+    displayName: "Adam Powers"
+};
+
+function expectRejection(p, ErrorType, message) {
+    return p.then(() => {
+        throw new Error("should have rejected");
+    }, (err) => {
+        assert.instanceOf(err, ErrorType);
+        assert.strictEqual(err.message, message);
+    });
+}
+
+function withHints(hints) {
+    return Object.assign({}, request, hints);
+}
+
+describe("buildCreateOptions", function() {
+    it("is function", function() {
+        assert.isFunction(buildCreateOptions);
+    });
+
+    it("uses policy defaults", function() {
+        return buildCreateOptions(request, policy)
+            .then((options) => {
+                assert.instanceOf(options, CreateOptions);
+                assert.strictEqual(options.status, "ok");
+                assert.strictEqual(options.errorMessage, "");
+                assert.deepEqual(options.rp, { name: "Example" });
+                assert.strictEqual(options.user.name, "adam");
+                assert.strictEqual(options.user.displayName, "Adam Powers");
+                assert.match(options.user.id, /^[A-Za-z0-9_-]{43}$/);
+                assert.match(options.challenge, /^[A-Za-z0-9_-]{43}$/);
+                assert.deepEqual(options.pubKeyCredParams, [{
+                    type: "public-key",
+                    alg: -7
+                }, {
+                    type: "public-key",
+                    alg: -257
+                }]);
+                assert.strictEqual(options.timeout, 60000);
+                assert.strictEqual(options.attestation, "none");
+                assert.deepEqual(options.authenticatorSelection, {
+                    residentKey: "discouraged",
+                    requireResidentKey: false,
+                    userVerification: "preferred"
+                });
+                assert.isUndefined(options.extensions);
+                assert.isUndefined(options.excludeCredentials);
+            });
+    });
+
+    it("creates different user ids and challenges", function() {
+        return Promise.all([buildCreateOptions(request, policy), buildCreateOptions(request, policy)])
+            .then((options) => {
+                assert.notStrictEqual(options[0].user.id, options[1].user.id);
+                assert.notStrictEqual(options[0].challenge, options[1].challenge);
+            });
+    });
+
+    it("uses policy", function() {
+        return buildCreateOptions(request, {
+            rp: {
+                name: "Example",
+                id: "example.com"
+            },
+            algorithms: [-8, -7],
+            attestation: "direct",
+            residentKey: "required",
+            userVerification: "required",
+            authenticatorAttachment: "platform",
+            timeout: 30000,
+            extensions: { credProps: true }
+        })
+            .then((options) => {
+                assert.deepEqual(options.rp, {
+                    name: "Example",
+                    id: "example.com"
+                });
+                assert.deepEqual(options.pubKeyCredParams.map((p) => p.alg), [-8, -7]);
+                assert.strictEqual(options.attestation, "direct");
+                assert.deepEqual(options.authenticatorSelection, {
+                    residentKey: "required",
+                    requireResidentKey: true,
+                    userVerification: "required",
+                    authenticatorAttachment: "platform"
+                });
+                assert.strictEqual(options.timeout, 30000);
+                assert.deepEqual(options.extensions, { credProps: true });
+            });
+    });
+
+    it("uses user", function() {
+        return buildCreateOptions(request, policy, {
+            user: {
+                id: new Uint8Array([1, 2, 3, 4]).buffer,
+                name: "adam@example.com",
+                displayName: "Adam"
+            }
+        })
+            .then((options) => {
+                assert.deepEqual(options.user, {
+                    id: "AQIDBA",
+                    name: "adam@example.com",
+                    displayName: "Adam"
+                });
+            });
+    });
+
+    it("honors stricter hints", function() {
+        return buildCreateOptions(withHints({
+            authenticatorSelection: {
+                residentKey: "preferred",
+                userVerification: "required",
+                authenticatorAttachment: "cross-platform"
+            }
+        }), policy)
+            .then((options) => {
+                assert.deepEqual(options.authenticatorSelection, {
+                    residentKey: "preferred",
+                    requireResidentKey: false,
+                    userVerification: "required",
+                    authenticatorAttachment: "cross-platform"
+                });
+            });
+    });
+
+    it("ignores weaker hints", function() {
+        return buildCreateOptions(withHints({
+            authenticatorSelection: {
+                residentKey: "discouraged",
+                userVerification: "discouraged",
+                authenticatorAttachment: "cross-platform"
+            }
+        }), Object.assign({
+            residentKey: "required",
+            userVerification: "required",
+            authenticatorAttachment: "platform"
+        }, policy))
+            .then((options) => {
+                assert.deepEqual(options.authenticatorSelection, {
+                    residentKey: "required",
+                    requireResidentKey: true,
+                    userVerification: "required",
+                    authenticatorAttachment: "platform"
+                });
+            });
+    });
+
+    it("honors requireResidentKey hint", function() {
+        return buildCreateOptions(withHints({
+            authenticatorSelection: { requireResidentKey: true }
+        }), policy)
+            .then((options) => {
+                assert.strictEqual(options.authenticatorSelection.residentKey, "required");
+                assert.isTrue(options.authenticatorSelection.requireResidentKey);
+            });
+    });
+
+    it("honors allowed attestation hint", function() {
+        return buildCreateOptions(withHints({ attestation: "direct" }), Object.assign({
+            allowedAttestation: ["none", "direct"]
+        }, policy))
+            .then((options) => {
+                assert.strictEqual(options.attestation, "direct");
+            });
+    });
+
+    it("ignores other attestation hint", function() {
+        return buildCreateOptions(withHints({ attestation: "direct" }), policy)
+            .then((options) => {
+                assert.strictEqual(options.attestation, "none");
+            });
+    });
+
+    it("excludes credentials of user", function() {
+        var credentials = new MemoryCredentialRepository();
+        return credentials.create({
+            credentialId: "AAAA",
+            credentialPublicKey: "pQECAyYgASFYIA",
+            userHandle: "AQIDBA",
+            transports: ["usb", "internal"]
+        })
+            .then(() => buildCreateOptions(request, Object.assign({ credentials: credentials }, policy), {
+                user: { id: "AQIDBA" }
+            }))
+            .then((options) => {
+                assert.deepEqual(options.excludeCredentials, [{
+                    type: "public-key",
+                    id: "AAAA",
+                    transports: ["usb", "internal"]
+                }]);
+            });
+    });
+
+    it("binds challenge to session and user", function() {
+        var challenges = new ChallengeService();
+        return buildCreateOptions(request, Object.assign({ timeout: 5000 }, policy), {
+            user: { id: "AQIDBA" },
+            challenges: challenges,
+            session: "session-1"
+        })
+            .then((options) => challenges.consume(options.challenge, {
+                session: "session-1",
+                user: "AQIDBA",
+                type: "webauthn.create"
+            }))
+            .then((record) => {
+                assert.strictEqual(record.user, "AQIDBA");
+                assert.strictEqual(record.session, "session-1");
+            });
+    });
+
+    it("keeps new user with challenge", function() {
+        var challenges = new ChallengeService();
+        var user;
+        return buildCreateOptions(request, policy, {
+            challenges: challenges,
+            session: "session-1"
+        })
+            .then((options) => {
+                user = options.user;
+                return challenges.consume(options.challenge, {
+                    session: "session-1",
+                    type: "webauthn.create"
+                });
+            })
+            .then((record) => {
+                assert.isUndefined(record.user);
+                assert.deepEqual(record.data, { user: user });
+                assert.strictEqual(user.name, "adam");
+            });
+    });
+
+    it("rejects invalid request", function() {
+        return expectRejection(
+            buildCreateOptions({ username: "adam" }, policy),
+            ValidationError,
+            "expected 'displayName' to be 'string', got: undefined"
+        );
+    });
+
+    it("rejects missing policy", function() {
+        return expectRejection(buildCreateOptions(request), TypeError, "expected 'policy' to be 'Object', got: undefined");
+    });
+
+    it("rejects policy without rp", function() {
+        return expectRejection(buildCreateOptions(request, {}), TypeError, "expected 'policy.rp' to be 'Object' with a 'name'");
+    });
+
+    it("rejects bad requirement", function() {
+        return expectRejection(
+            buildCreateOptions(request, Object.assign({ residentKey: "always" }, policy)),
+            TypeError,
+            "expected 'policy.residentKey' to be one of 'discouraged', 'preferred', 'required', got: always"
+        );
+    });
+
+    it("rejects bad allowed attestation", function() {
+        return expectRejection(
+            buildCreateOptions(request, Object.assign({ allowedAttestation: ["none", "enterprise"] }, policy)),
+            TypeError,
+            "expected 'policy.allowedAttestation' to be one of 'none', 'indirect', 'direct', got: enterprise"
+        );
+    });
+
+    it("rejects empty algorithms", function() {
+        return expectRejection(
+            buildCreateOptions(request, Object.assign({ algorithms: [] }, policy)),
+            TypeError,
+            "expected 'policy.algorithms' to be non-empty 'Array', got: "
+        );
+    });
+
+    it("rejects unsupported algorithm", function() {
+        return expectRejection(
+            buildCreateOptions(request, Object.assign({ algorithms: [-7, -9999] }, policy)),
+            TypeError,
+            "unsupported algorithm in 'policy.algorithms': -9999"
+        );
+    });
+
+    it("rejects bad timeout", function() {
+        return expectRejection(
+            buildCreateOptions(request, Object.assign({ timeout: 0 }, policy)),
+            TypeError,
+            "expected 'policy.timeout' to be a positive integer, got: 0"
+        );
+    });
+});
+
+describe("buildGetOptions", function() {
+    var credentials;
+    beforeEach(function() {
+        credentials = new MemoryCredentialRepository();
+        return credentials.create({
+            credentialId: "AAAA",
+            credentialPublicKey: "pQECAyYgASFYIA",
+            userHandle: "AQIDBA",
+            transports: ["usb", "nfc", "internal"]
+        })
+            .then(() => credentials.create({
+                credentialId: "BBBB",
+                credentialPublicKey: "pQECAyYgASFYIA",
+                userHandle: "AQIDBA"
+            }))
+            .then(() => credentials.create({
+                credentialId: "CCCC",
+                credentialPublicKey: "pQECAyYgASFYIA",
+                userHandle: "BAUGBw",
+                transports: ["ble"]
+            }));
+    });
+
+    it("is function", function() {
+        assert.isFunction(buildGetOptions);
+    });
+
+    it("allows credentials of user", function() {
+        return buildGetOptions(request, { credentials: credentials }, { user: { id: "AQIDBA" } })
+            .then((options) => {
+                assert.instanceOf(options, GetOptions);
+                assert.strictEqual(options.status, "ok");
+                assert.strictEqual(options.errorMessage, "");
+                assert.match(options.challenge, /^[A-Za-z0-9_-]{43}$/);
+                assert.strictEqual(options.timeout, 60000);
+                assert.strictEqual(options.userVerification, "preferred");
+                assert.isUndefined(options.rpId);
+                assert.deepEqual(options.allowCredentials, [{
+                    type: "public-key",
+                    id: "AAAA",
+                    transports: ["usb", "nfc", "internal"]
+                }, {
+                    type: "public-key",
+                    id: "BBBB"
+                }]);
+            });
+    });
+
+    it("allows no credentials for usernameless log in", function() {
+        return buildGetOptions({}, { credentials: credentials })
+            .then((options) => {
+                assert.deepEqual(options.allowCredentials, []);
+                assert.match(options.challenge, /^[A-Za-z0-9_-]{43}$/);
+            });
+    });
+
+    it("uses policy", function() {
+        return buildGetOptions(request, {
+            rpId: "example.com",
+            userVerification: "required",
+            timeout: 30000,
+            credentials: credentials
+        }, { user: { id: new Uint8Array([4, 5, 6, 7]).buffer } })
+            .then((options) => {
+                assert.strictEqual(options.rpId, "example.com");
+                assert.strictEqual(options.userVerification, "required");
+                assert.strictEqual(options.timeout, 30000);
+                assert.deepEqual(options.allowCredentials, [{
+                    type: "public-key",
+                    id: "CCCC",
+                    transports: ["ble"]
+                }]);
+            });
+    });
+
+    it("uses rp id", function() {
+        return buildGetOptions({}, {
+            rp: {
+                name: "Example",
+                id: "example.com"
+            }
+        })
+            .then((options) => {
+                assert.strictEqual(options.rpId, "example.com");
+            });
+    });
+
+    it("binds challenge to session and user", function() {
+        var challenges = new ChallengeService();
+        return buildGetOptions(request, { credentials: credentials }, {
+            user: { id: "AQIDBA" },
+            challenges: challenges,
+            session: "session-1"
+        })
+            .then((options) => challenges.consume(options.challenge, {
+                session: "session-1",
+                user: "AQIDBA",
+                type: "webauthn.get"
+            }))
+            .then((record) => {
+                assert.strictEqual(record.user, "AQIDBA");
+                assert.strictEqual(record.session, "session-1");
+            });
+    });
+
+    it("binds usernameless challenge to session", function() {
+        var challenges = new ChallengeService();
+        return buildGetOptions({}, {}, {
+            challenges: challenges,
+            session: "session-1"
+        })
+            .then((options) => challenges.consume(options.challenge, {
+                session: "session-1",
+                user: "AQIDBA",
+                type: "webauthn.get"
+            }))
+            .then((record) => {
+                assert.isUndefined(record.user);
+            });
+    });
+
+    it("rejects invalid request", function() {
+        return expectRejection(
+            buildGetOptions({ username: "adam" }, {}),
+            ValidationError,
+            "expected 'displayName' to be 'string', got: undefined"
+        );
+    });
+
+    it("rejects missing policy", function() {
+        return expectRejection(buildGetOptions({}), TypeError, "expected 'policy' to be 'Object', got: undefined");
+    });
+
+    it("rejects bad user verification", function() {
+        return expectRejection(
+            buildGetOptions({}, { userVerification: "always" }),
+            TypeError,
+            "expected 'policy.userVerification' to be one of 'discouraged', 'preferred', 'required', got: always"
+        );
+    });
+
+    it("rejects user without id", function() {
+        return expectRejection(
+            buildGetOptions(request, { credentials: credentials }, { user: { name: "adam" } }),
+            TypeError,
+            "expected 'opts.user' to be 'Object' with an 'id'"
+        );
+    });
+
+    it("rejects user without credentials", function() {
+        return expectRejection(
+            buildGetOptions(request, {}, { user: { id: "AQIDBA" } }),
+            TypeError,
+            "expected 'policy.credentials' to list the credentials of 'opts.user'"
+        );
+    });
+});
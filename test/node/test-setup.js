@@ -1,3 +1,3 @@
-global.GlobalWebAuthnClasses = require("../../dist/webauthn-simple-app.cjs");
+global.GlobalWebAuthnClasses = require("../../dist/webauthn-simple-app.server.cjs");
 global.assert = require("chai").assert;
 global.fido2Helpers = require("fido2-helpers");
@@ -1,5 +1,8 @@
 /* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
 
+// the build for the browser, see test-setup.js for the server build
+const browserBuild = require("../../dist/webauthn-simple-app.cjs");
+
 const {
     Msg,
     ServerResponse,
@@ -39,6 +42,15 @@ describe("node", function() {
         assert.isUndefined(WebAuthnApp);
     });
 
+    it("has server helpers in the server build only", function() {
+        assert.isObject(WebAuthnHelpers.server);
+        assert.isFunction(WebAuthnHelpers.server.verifyAttestation);
+
+        assert.isFunction(browserBuild.Msg);
+        assert.isObject(browserBuild.WebAuthnHelpers.crypto);
+        assert.isUndefined(browserBuild.WebAuthnHelpers.server);
+    });
+
     describe("utils", function() {
         describe("coerceToArrayBuffer", function() {
             it("can coerce Buffer to ArrayBuffer", function() {
@@ -0,0 +1,322 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+const crypto = require("crypto");
+
+const {
+    ValidationError,
+    VerificationError,
+    WebAuthnHelpers
+} = GlobalWebAuthnClasses;
+
+const { verifyAssertion } = WebAuthnHelpers.server;
+
+function getClientData(msg) {
+    return JSON.parse(Buffer.from(msg.response.clientDataJSON, "base64").toString());
+}
+
+function setClientData(msg, clientData) {
+    msg.response.clientDataJSON = Buffer.from(JSON.stringify(clientData)).toString("base64")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=*$/g, "");
+}
+
+// the fixtures only include PEM public keys, so build the COSE keys that registration would have stored
+function pemToCose(pem) {
+    var jwk = crypto.createPublicKey(pem).export({ format: "jwk" });
+    var header;
+
+    if (jwk.kty === "EC") {
+        // {1: 2 (EC2), 3: -7 (ES256), -1: 1 (P-256), -2: x, -3: y}
+        return Buffer.concat([
+            Buffer.from("a5010203262001215820", "hex"),
+            Buffer.from(jwk.x, "base64"),
+            Buffer.from("225820", "hex"),
+            Buffer.from(jwk.y, "base64")
+        ]);
+    }
+
+    // {1: 3 (RSA), 3: -257 (RS256), -1: n, -2: e}
+    header = Buffer.from("a401030339010020590100", "hex");
+    return Buffer.concat([
+        header,
+        Buffer.from(jwk.n, "base64"),
+        Buffer.from("2143", "hex"),
+        Buffer.from(jwk.e, "base64")
+    ]);
+}
+
+// creates an assertion for "https://example.com" with a new key pair of `type` (see crypto.generateKeyPairSync()),
+// and the credential that would have been stored for it
+function makeAssertion(alg, type, keyOpts, sign) {
+    var keyPair = crypto.generateKeyPairSync(type, keyOpts);
+    var credId = crypto.randomBytes(16);
+    var authData = Buffer.concat([
+        crypto.createHash("sha256").update("example.com").digest(),
+        // flags: UP, counter: 1
+        Buffer.from([0x01, 0, 0, 0, 1])
+    ]);
+    var clientDataJSON = Buffer.from(JSON.stringify({
+        type: "webauthn.get",
+        challenge: crypto.randomBytes(32).toString("base64"),
+        origin: "https://example.com"
+    }));
+    var clientDataHash = crypto.createHash("sha256").update(clientDataJSON).digest();
+
+    return {
+        msg: {
+            rawId: credId.toString("base64"),
+            response: {
+                clientDataJSON: clientDataJSON.toString("base64"),
+                authenticatorData: authData.toString("base64"),
+                signature: sign(Buffer.concat([authData, clientDataHash]), keyPair.privateKey).toString("base64"),
+                userHandle: null
+            }
+        },
+        stored: {
+            credentialId: credId.toString("base64"),
+            credentialPublicKey: WebAuthnHelpers.cose.jwkToCose(keyPair.publicKey.export({ format: "jwk" }), alg),
+            counter: 0
+        }
+    };
+}
+
+function expectVerificationError(p, message, path) {
+    return p.then(() => {
+        throw new Error("should have rejected");
+    }, (err) => {
+        assert.instanceOf(err, VerificationError);
+        assert.strictEqual(err.message, message);
+        assert.strictEqual(err.path, path);
+    });
+}
+
+describe("verifyAssertion", function() {
+    var msg, stored, expectations;
+    beforeEach(function() {
+        msg = fido2Helpers.functions.cloneObject(fido2Helpers.server.assertionResponseMsgB64Url);
+        stored = {
+            credentialId: msg.rawId,
+            credentialPublicKey: pemToCose(fido2Helpers.lib.assnPublicKey),
+            counter: 0
+        };
+        expectations = {
+            challenge: getClientData(msg).challenge,
+            origin: "https://localhost:8443"
+        };
+    });
+
+    it("is a function", function() {
+        assert.isFunction(verifyAssertion);
+    });
+
+    it("verifies ES256 assertion", function() {
+        return verifyAssertion(msg, stored, expectations)
+            .then((res) => {
+                assert.instanceOf(res.credentialId, ArrayBuffer);
+                assert.isTrue(fido2Helpers.functions.abEqual(
+                    res.credentialId,
+                    fido2Helpers.lib.assertionResponse.rawId
+                ));
+                assert.strictEqual(res.counter, 363);
+                assert.isTrue(res.userPresent);
+                assert.isFalse(res.userVerified);
+                assert.isNull(res.userHandle);
+                assert.strictEqual(res.clientData.type, "webauthn.get");
+                assert.instanceOf(res.authnrData.flags, Set);
+            });
+    });
+
+    it("verifies RS256 assertion", function() {
+        var winMsg = fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url;
+        return verifyAssertion(winMsg, {
+            credentialPublicKey: pemToCose(fido2Helpers.lib.assnPublicKeyWindowsHello).toString("base64"),
+            counter: 0
+        }, {
+            challenge: getClientData(winMsg).challenge,
+            origin: "https://webauthn.org",
+            userHandle: "YWs",
+            requireUserVerification: true
+        })
+            .then((res) => {
+                assert.strictEqual(res.counter, 1);
+                assert.isTrue(res.userVerified);
+                assert.strictEqual(res.userHandle, "YWs");
+            });
+    });
+
+    it("verifies assertions for other algorithms", function() {
+        var assertions = [
+            makeAssertion(-35, "ec", { namedCurve: "P-384" }, (data, key) => crypto.sign("sha384", data, key)),
+            makeAssertion(-36, "ec", { namedCurve: "P-521" }, (data, key) => crypto.sign("sha512", data, key)),
+            makeAssertion(-258, "rsa", { modulusLength: 2048 }, (data, key) => crypto.sign("sha384", data, key)),
+            makeAssertion(-37, "rsa", { modulusLength: 2048 }, (data, key) => crypto.sign("sha256", data, {
+                key: key,
+                padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+                saltLength: 32
+            })),
+            makeAssertion(-8, "ed25519", {}, (data, key) => crypto.sign(null, data, key))
+        ];
+
+        return Promise.all(assertions.map((assn) => verifyAssertion(assn.msg, assn.stored, {
+            challenge: getClientData(assn.msg).challenge,
+            origin: "https://example.com"
+        })))
+            .then((results) => {
+                results.forEach((res) => {
+                    assert.strictEqual(res.counter, 1);
+                });
+            });
+    });
+
+    it("accepts ArrayBuffer fields", function() {
+        return verifyAssertion(fido2Helpers.lib.assertionResponse, stored, expectations)
+            .then((res) => {
+                assert.strictEqual(res.counter, 363);
+            });
+    });
+
+    it("doesn't change the assertion", function() {
+        var orig = fido2Helpers.functions.cloneObject(msg);
+        return verifyAssertion(msg, stored, expectations)
+            .then(() => {
+                assert.deepEqual(msg, orig);
+            });
+    });
+
+    it("rejects counter that didn't increase", function() {
+        stored.counter = 363;
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "signature counter didn't increase, the authenticator may have been cloned: 363 <= 363",
+            "authnrData.signCount"
+        );
+    });
+
+    it("rejects tampered signature", function() {
+        var sig = Buffer.from(msg.response.signature, "base64");
+        // flip a bit in 's'
+        sig[sig.length - 1] ^= 0x01;
+        msg.response.signature = sig.toString("base64");
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "signature is invalid",
+            "response.signature"
+        );
+    });
+
+    it("rejects tampered clientDataJSON", function() {
+        var clientData = getClientData(msg);
+        clientData.extra = "foo";
+        setClientData(msg, clientData);
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "signature is invalid",
+            "response.signature"
+        );
+    });
+
+    it("rejects wrong key", function() {
+        stored.credentialPublicKey = pemToCose(fido2Helpers.lib.assnPublicKeyWindowsHello);
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "signature is invalid",
+            "response.signature"
+        );
+    });
+
+    it("rejects bad credential public key", function() {
+        stored.credentialPublicKey = "AAAA";
+        return verifyAssertion(msg, stored, expectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, VerificationError);
+                assert.strictEqual(err.path, "credentialPublicKey");
+            });
+    });
+
+    it("rejects wrong credential id", function() {
+        stored.credentialId = "AAAA";
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "'rawId' doesn't match the stored credential id",
+            "rawId"
+        );
+    });
+
+    it("rejects wrong challenge", function() {
+        expectations.challenge = "AAAA";
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "clientData challenge doesn't match expected challenge",
+            "clientData.challenge"
+        );
+    });
+
+    it("rejects wrong origin", function() {
+        expectations.origin = "https://example.com";
+        expectations.rpId = "localhost";
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "clientData origin isn't allowed: https://localhost:8443",
+            "clientData.origin"
+        );
+    });
+
+    it("rejects wrong type", function() {
+        var clientData = getClientData(msg);
+        clientData.type = "webauthn.create";
+        setClientData(msg, clientData);
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "expected clientData type to be 'webauthn.get', got: webauthn.create",
+            "clientData.type"
+        );
+    });
+
+    it("rejects missing user verification", function() {
+        expectations.requireUserVerification = true;
+        return expectVerificationError(
+            verifyAssertion(msg, stored, expectations),
+            "expected user to be verified",
+            "authnrData.flags.UV"
+        );
+    });
+
+    it("rejects wrong userHandle", function() {
+        var winMsg = fido2Helpers.server.assertionResponseWindowsHelloMsgB64Url;
+        return expectVerificationError(
+            verifyAssertion(winMsg, {
+                credentialPublicKey: pemToCose(fido2Helpers.lib.assnPublicKeyWindowsHello),
+                counter: 0
+            }, {
+                challenge: getClientData(winMsg).challenge,
+                origin: "https://webauthn.org",
+                userHandle: "AAAA"
+            }),
+            "userHandle doesn't match expected userHandle",
+            "response.userHandle"
+        );
+    });
+
+    it("rejects malformed assertion", function() {
+        delete msg.response.signature;
+        return verifyAssertion(msg, stored, expectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, ValidationError);
+            });
+    });
+
+    it("rejects missing stored credential", function() {
+        return verifyAssertion(msg, undefined, expectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.message, "expected 'storedCredential' to be 'Object', got: undefined");
+            });
+    });
+});
@@ -0,0 +1,1020 @@
+/* globals chai, assert, fido2Helpers, GlobalWebAuthnClasses */
+
+const crypto = require("crypto");
+
+const {
+    ValidationError,
+    VerificationError,
+    WebAuthnHelpers
+} = GlobalWebAuthnClasses;
+
+const {
+    registerAttestationFormat,
+    verifyAttestation
+} = WebAuthnHelpers.server;
+const {
+    asn1,
+    cbor
+} = WebAuthnHelpers;
+
+function getClientData(msg) {
+    return JSON.parse(Buffer.from(msg.response.clientDataJSON, "base64").toString());
+}
+
+function setClientData(msg, clientData) {
+    msg.response.clientDataJSON = Buffer.from(JSON.stringify(clientData)).toString("base64")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=*$/g, "");
+}
+
+// creates an attestation for "https://example.com" with a new P-256 credential key; `makeAttStmt` is called with
+// the `authData`, `clientDataHash` and credential `keyPair`, and returns the attestation statement
+function makeAttestation(fmt, makeAttStmt) {
+    var keyPair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    var jwk = keyPair.publicKey.export({ format: "jwk" });
+    var credId = crypto.randomBytes(16);
+    var coseKey = new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, Buffer.from(jwk.x, "base64")],
+        [-3, Buffer.from(jwk.y, "base64")]
+    ]);
+
+    var credIdLen = Buffer.alloc(2);
+    credIdLen.writeUInt16BE(credId.length);
+    var authData = Buffer.concat([
+        crypto.createHash("sha256").update("example.com").digest(),
+        // flags: UP and AT, counter: 0
+        Buffer.from([0x41, 0, 0, 0, 0]),
+        Buffer.alloc(16),
+        credIdLen,
+        credId,
+        Buffer.from(cbor.encode(coseKey))
+    ]);
+
+    var clientDataJSON = Buffer.from(JSON.stringify({
+        type: "webauthn.create",
+        challenge: crypto.randomBytes(32).toString("base64"),
+        origin: "https://example.com"
+    }));
+    var clientDataHash = crypto.createHash("sha256").update(clientDataJSON).digest();
+
+    var attestationObject = cbor.encode(new Map([
+        ["fmt", fmt],
+        ["attStmt", makeAttStmt({
+            authData: authData,
+            clientDataHash: clientDataHash,
+            keyPair: keyPair
+        })],
+        ["authData", authData]
+    ]));
+
+    return {
+        rawId: credId.toString("base64"),
+        response: {
+            clientDataJSON: clientDataJSON.toString("base64"),
+            attestationObject: Buffer.from(attestationObject).toString("base64")
+        }
+    };
+}
+
+// creates a "packed" self attestation, signed with the credential key
+function makeSelfAttestation(alg) {
+    return makeAttestation("packed", (ctx) => new Map([
+        ["alg", alg || -7],
+        ["sig", crypto.sign("sha256", Buffer.concat([ctx.authData, ctx.clientDataHash]), ctx.keyPair.privateKey)]
+    ]));
+}
+
+function derNode(tag, children) {
+    return Array.isArray(children) ? {
+        tag: tag,
+        children: children
+    } : {
+        tag: tag,
+        contents: children
+    };
+}
+
+function derOid(oid) {
+    return derNode(asn1.tags.OBJECT_IDENTIFIER, asn1.encodeOid(oid));
+}
+
+function derName(cn) {
+    return derNode(asn1.tags.SEQUENCE, [
+        derNode(asn1.tags.SET, [
+            derNode(asn1.tags.SEQUENCE, [derOid("2.5.4.3"), derNode(asn1.tags.UTF8String, Buffer.from(cn))])
+        ])
+    ]);
+}
+
+function derExtension(oid, value) {
+    return derNode(asn1.tags.SEQUENCE, [derOid(oid), derNode(asn1.tags.OCTET_STRING, new Uint8Array(value))]);
+}
+
+// creates a DER encoded X.509 certificate for `publicKey`, signed with `signingKey`; `extensions` is a list of
+// [oid, DER encoded value] pairs
+function makeCertificate(opts) {
+    var sigAlg = (opts.signingKey.asymmetricKeyType === "ec")
+        ? derNode(asn1.tags.SEQUENCE, [derOid("1.2.840.10045.4.3.2")])
+        : derNode(asn1.tags.SEQUENCE, [derOid("1.2.840.113549.1.1.11"), derNode(asn1.tags.NULL, new Uint8Array(0))]);
+
+    var extensions = (opts.extensions || []).map((ext) => derExtension(ext[0], ext[1]));
+    if (opts.ca) {
+        let basicConstraints = derNode(asn1.tags.SEQUENCE, [derNode(asn1.tags.BOOLEAN, new Uint8Array([0xff]))]);
+        extensions.push(derExtension("2.5.29.19", asn1.encodeDer(basicConstraints)));
+    }
+
+    var version = {
+        tagClass: asn1.tagClasses.CONTEXT,
+        tag: 0,
+        children: [derNode(asn1.tags.INTEGER, new Uint8Array([2]))]
+    };
+    var validity = derNode(asn1.tags.SEQUENCE, [
+        derNode(asn1.tags.UTCTime, Buffer.from("200101000000Z")),
+        derNode(asn1.tags.UTCTime, Buffer.from("491231235959Z"))
+    ]);
+    var spki = {
+        raw: opts.publicKey.export({
+            type: "spki",
+            format: "der"
+        })
+    };
+    var tbs = asn1.encodeDer(derNode(asn1.tags.SEQUENCE, [
+        version,
+        derNode(asn1.tags.INTEGER, new Uint8Array([1])),
+        sigAlg,
+        derName(opts.issuer || opts.subject),
+        validity,
+        derName(opts.subject),
+        spki,
+        {
+            tagClass: asn1.tagClasses.CONTEXT,
+            tag: 3,
+            children: [derNode(asn1.tags.SEQUENCE, extensions)]
+        }
+    ]));
+
+    var sig = crypto.sign("sha256", Buffer.from(tbs), opts.signingKey);
+    return Buffer.from(asn1.encodeDer(derNode(asn1.tags.SEQUENCE, [
+        { raw: tbs },
+        sigAlg,
+        derNode(asn1.tags.BIT_STRING, Buffer.concat([Buffer.from([0]), sig]))
+    ])));
+}
+
+// creates a certificate for the credential key, issued by a new CA, and returns it with the CA certificate
+function makeCredentialCertificates(ctx, leaf) {
+    var caKeyPair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    var caCert = makeCertificate({
+        subject: "Test Root CA",
+        publicKey: caKeyPair.publicKey,
+        signingKey: caKeyPair.privateKey,
+        ca: true
+    });
+    var leafCert = makeCertificate({
+        subject: leaf.subject || "Test Credential",
+        issuer: "Test Root CA",
+        publicKey: leaf.publicKey || ctx.keyPair.publicKey,
+        signingKey: caKeyPair.privateKey,
+        extensions: leaf.extensions
+    });
+
+    return [leafCert, caCert];
+}
+
+function setAttObj(msg, fn) {
+    var attObj = cbor.decode(WebAuthnHelpers.utils.coerceToArrayBuffer(msg.response.attestationObject));
+    fn(attObj);
+    msg.response.attestationObject = WebAuthnHelpers.utils.coerceToBase64Url(cbor.encode(attObj));
+}
+
+function setAttStmt(msg, fn) {
+    setAttObj(msg, (attObj) => fn(attObj.get("attStmt")));
+}
+
+function expectVerificationError(p, message, path) {
+    return p.then(() => {
+        throw new Error("should have rejected");
+    }, (err) => {
+        assert.instanceOf(err, VerificationError);
+        assert.strictEqual(err.message, message);
+        assert.strictEqual(err.path, path);
+    });
+}
+
+describe("verifyAttestation", function() {
+    var noneMsg, noneExpectations;
+    beforeEach(function() {
+        noneMsg = fido2Helpers.functions.cloneObject(fido2Helpers.server.challengeResponseAttestationNoneMsgB64Url);
+        noneExpectations = {
+            challenge: getClientData(noneMsg).challenge,
+            origin: "https://localhost:8443"
+        };
+    });
+
+    it("is a function", function() {
+        assert.isFunction(verifyAttestation);
+    });
+
+    it("verifies 'none' attestation", function() {
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then((res) => {
+                assert.strictEqual(res.fmt, "none");
+                assert.strictEqual(res.attestationType, "none");
+                assert.deepEqual(res.trustPath, []);
+                assert.instanceOf(res.attStmt, Map);
+                assert.instanceOf(res.credentialId, ArrayBuffer);
+                assert.isTrue(fido2Helpers.functions.abEqual(
+                    res.credentialId,
+                    fido2Helpers.lib.makeCredentialAttestationNoneResponse.rawId
+                ));
+                assert.instanceOf(res.credentialPublicKey, ArrayBuffer);
+                assert.strictEqual(res.credentialPublicKey.byteLength, 77);
+                assert.strictEqual(res.counter, 0);
+                assert.instanceOf(res.aaguid, ArrayBuffer);
+                assert.strictEqual(res.aaguid.byteLength, 16);
+                assert.isTrue(res.userPresent);
+                assert.isFalse(res.userVerified);
+                assert.strictEqual(res.clientData.type, "webauthn.create");
+                assert.strictEqual(res.clientData.origin, "https://localhost:8443");
+                assert.instanceOf(res.authnrData.flags, Set);
+                assert.instanceOf(res.authnrData.credentialPublicKey, Map);
+                assert.strictEqual(res.authnrData.credentialPublicKey.get(3), -7);
+            });
+    });
+
+    it("accepts ArrayBuffer fields", function() {
+        return verifyAttestation(fido2Helpers.lib.makeCredentialAttestationNoneResponse, noneExpectations)
+            .then((res) => {
+                assert.strictEqual(res.fmt, "none");
+            });
+    });
+
+    it("accepts ArrayBuffer challenge", function() {
+        noneExpectations.challenge = WebAuthnHelpers.utils.coerceToArrayBuffer(noneExpectations.challenge);
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then((res) => {
+                assert.strictEqual(res.fmt, "none");
+            });
+    });
+
+    it("accepts list of origins", function() {
+        noneExpectations.origin = ["https://example.com", "https://localhost:8443"];
+        noneExpectations.rpId = "localhost";
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then((res) => {
+                assert.strictEqual(res.fmt, "none");
+            });
+    });
+
+    it("rejects origin that doesn't match wildcard", function() {
+        noneExpectations.origin = "https://*.example.com";
+        noneExpectations.rpId = "localhost";
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "clientData origin isn't allowed: https://localhost:8443",
+            "clientData.origin"
+        );
+    });
+
+    it("rejects wildcard origin without rpId", function() {
+        noneExpectations.origin = "https://*.example.com";
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.message, "expected 'expectations.rpId' to be 'string', got: undefined");
+            });
+    });
+
+    it("rejects cross origin", function() {
+        var clientData = getClientData(noneMsg);
+        clientData.crossOrigin = true;
+        setClientData(noneMsg, clientData);
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "cross-origin ceremonies aren't allowed",
+            "clientData.crossOrigin"
+        );
+    });
+
+    it("doesn't change the attestation", function() {
+        var orig = fido2Helpers.functions.cloneObject(noneMsg);
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then(() => {
+                assert.deepEqual(noneMsg, orig);
+            });
+    });
+
+    it("rejects unsupported attestation format", function() {
+        setAttObj(noneMsg, (attObj) => {
+            attObj.set("fmt", "foo");
+        });
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "unsupported attestation format: foo",
+            "attestationObject.fmt"
+        );
+    });
+
+    it("returns user verified", function() {
+        var msg = fido2Helpers.server.challengeResponseAttestationTpmB64UrlMsg;
+        return verifyAttestation(msg, {
+            challenge: getClientData(msg).challenge,
+            origin: "https://webauthn.org",
+            requireUserVerification: true
+        })
+            .then((res) => {
+                assert.isTrue(res.userVerified);
+            });
+    });
+
+    it("rejects wrong challenge", function() {
+        noneExpectations.challenge = "AAAA";
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "clientData challenge doesn't match expected challenge",
+            "clientData.challenge"
+        );
+    });
+
+    it("rejects wrong origin", function() {
+        noneExpectations.origin = "https://example.com";
+        noneExpectations.rpId = "localhost";
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "clientData origin isn't allowed: https://localhost:8443",
+            "clientData.origin"
+        );
+    });
+
+    it("rejects wrong type", function() {
+        var clientData = getClientData(noneMsg);
+        clientData.type = "webauthn.get";
+        setClientData(noneMsg, clientData);
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "expected clientData type to be 'webauthn.create', got: webauthn.get",
+            "clientData.type"
+        );
+    });
+
+    it("rejects wrong rpId", function() {
+        noneExpectations.rpId = "example.com";
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "rpIdHash doesn't match rpId: example.com",
+            "authnrData.rpIdHash"
+        );
+    });
+
+    it("rejects missing user verification", function() {
+        noneExpectations.requireUserVerification = true;
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "expected user to be verified",
+            "authnrData.flags.UV"
+        );
+    });
+
+    it("rejects mismatched rawId", function() {
+        noneMsg.rawId = "AAAA";
+        return expectVerificationError(
+            verifyAttestation(noneMsg, noneExpectations),
+            "credential id in authenticator data doesn't match 'rawId'",
+            "authnrData.credId"
+        );
+    });
+
+    it("rejects bad clientDataJSON", function() {
+        noneMsg.response.clientDataJSON = "AAAA";
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, VerificationError);
+                assert.match(err.message, /^couldn't parse clientDataJSON: /);
+            });
+    });
+
+    it("rejects bad attestationObject", function() {
+        noneMsg.response.attestationObject = "AAAA";
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, VerificationError);
+                assert.strictEqual(err.path, "attestationObject");
+            });
+    });
+
+    it("rejects malformed attestation", function() {
+        delete noneMsg.response.attestationObject;
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, ValidationError);
+            });
+    });
+
+    it("rejects missing expectations", function() {
+        return verifyAttestation(noneMsg)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.message, "expected 'expectations' to be 'Object', got: undefined");
+            });
+    });
+
+    it("rejects missing challenge", function() {
+        delete noneExpectations.challenge;
+        return verifyAttestation(noneMsg, noneExpectations)
+            .then(() => {
+                throw new Error("should have rejected");
+            }, (err) => {
+                assert.instanceOf(err, TypeError);
+                assert.strictEqual(err.message, "expected 'expectations.challenge' to be 'string' or 'ArrayBuffer', got: undefined");
+            });
+    });
+
+    describe("packed", function() {
+        var packedMsg, packedExpectations;
+        beforeEach(function() {
+            packedMsg = fido2Helpers.functions.cloneObject(fido2Helpers.server.challengeResponseAttestationPackedB64UrlMsg);
+            packedExpectations = {
+                challenge: getClientData(packedMsg).challenge,
+                origin: "https://webauthn.org"
+            };
+        });
+
+        it("verifies basic attestation", function() {
+            return verifyAttestation(packedMsg, packedExpectations)
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "packed");
+                    assert.strictEqual(res.attestationType, "basic");
+                    assert.strictEqual(res.trustPath.length, 3);
+                    assert.instanceOf(res.trustPath[0], ArrayBuffer);
+                    assert.strictEqual(res.counter, 1);
+                });
+        });
+
+        it("verifies self attestation", function() {
+            var msg = makeSelfAttestation();
+            return verifyAttestation(msg, {
+                challenge: getClientData(msg).challenge,
+                origin: "https://example.com"
+            })
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "packed");
+                    assert.strictEqual(res.attestationType, "self");
+                    assert.deepEqual(res.trustPath, []);
+                });
+        });
+
+        it("rejects self attestation with wrong alg", function() {
+            var msg = makeSelfAttestation(-257);
+            return expectVerificationError(
+                verifyAttestation(msg, {
+                    challenge: getClientData(msg).challenge,
+                    origin: "https://example.com"
+                }),
+                "expected 'alg' of self attestation to match the credential public key, got: -257",
+                "attestationObject.attStmt.alg"
+            );
+        });
+
+        it("rejects invalid signature", function() {
+            setAttStmt(packedMsg, (attStmt) => {
+                var sig = new Uint8Array(attStmt.get("sig"));
+                sig[sig.length - 1] ^= 0x01;
+            });
+            return expectVerificationError(
+                verifyAttestation(packedMsg, packedExpectations),
+                "attestation signature is invalid",
+                "attestationObject.attStmt.sig"
+            );
+        });
+
+        it("rejects signature over different client data", function() {
+            var clientData = getClientData(packedMsg);
+            clientData.extra = "foo";
+            setClientData(packedMsg, clientData);
+            return expectVerificationError(
+                verifyAttestation(packedMsg, packedExpectations),
+                "attestation signature is invalid",
+                "attestationObject.attStmt.sig"
+            );
+        });
+
+        it("rejects broken certificate chain", function() {
+            setAttStmt(packedMsg, (attStmt) => {
+                var x5c = attStmt.get("x5c");
+                attStmt.set("x5c", [x5c[0], x5c[2]]);
+            });
+            return expectVerificationError(
+                verifyAttestation(packedMsg, packedExpectations),
+                "certificate 0 in x5c isn't signed by the next certificate",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+
+        it("rejects CA as attestation certificate", function() {
+            setAttStmt(packedMsg, (attStmt) => {
+                attStmt.set("x5c", attStmt.get("x5c").slice(1));
+            });
+            return expectVerificationError(
+                verifyAttestation(packedMsg, packedExpectations),
+                "expected attestation certificate subject organizational unit (OU) to be 'Authenticator Attestation', got: undefined",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+
+        it("rejects bad certificate", function() {
+            setAttStmt(packedMsg, (attStmt) => {
+                attStmt.set("x5c", [new ArrayBuffer(4)]);
+            });
+            return verifyAttestation(packedMsg, packedExpectations)
+                .then(() => {
+                    throw new Error("should have rejected");
+                }, (err) => {
+                    assert.instanceOf(err, VerificationError);
+                    assert.match(err.message, /^couldn't parse certificate: /);
+                    assert.strictEqual(err.path, "attestationObject.attStmt.x5c");
+                });
+        });
+
+        it("rejects missing alg", function() {
+            setAttStmt(packedMsg, (attStmt) => {
+                attStmt.delete("alg");
+            });
+            return expectVerificationError(
+                verifyAttestation(packedMsg, packedExpectations),
+                "expected packed attStmt to have an 'alg'",
+                "attestationObject.attStmt.alg"
+            );
+        });
+
+        it("rejects ECDAA", function() {
+            setAttStmt(packedMsg, (attStmt) => {
+                attStmt.set("ecdaaKeyId", new ArrayBuffer(32));
+            });
+            return expectVerificationError(
+                verifyAttestation(packedMsg, packedExpectations),
+                "ECDAA attestation isn't supported",
+                "attestationObject.attStmt.ecdaaKeyId"
+            );
+        });
+    });
+
+    describe("fido-u2f", function() {
+        var u2fMsg, u2fExpectations;
+        beforeEach(function() {
+            u2fMsg = fido2Helpers.functions.cloneObject(fido2Helpers.server.challengeResponseAttestationU2fMsgB64Url);
+            u2fExpectations = {
+                challenge: getClientData(u2fMsg).challenge,
+                origin: "https://localhost:8443"
+            };
+        });
+
+        it("verifies attestation", function() {
+            return verifyAttestation(u2fMsg, u2fExpectations)
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "fido-u2f");
+                    assert.strictEqual(res.attestationType, "basic");
+                    assert.strictEqual(res.trustPath.length, 1);
+                    assert.instanceOf(res.trustPath[0], ArrayBuffer);
+                });
+        });
+
+        it("verifies Hypersecu attestation", function() {
+            var msg = fido2Helpers.server.challengeResponseAttestationU2fHypersecuB64UrlMsg;
+            return verifyAttestation(msg, {
+                challenge: getClientData(msg).challenge,
+                origin: "https://webauthn.org"
+            })
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "fido-u2f");
+                    assert.strictEqual(res.attestationType, "basic");
+                });
+        });
+
+        it("rejects invalid signature", function() {
+            setAttStmt(u2fMsg, (attStmt) => {
+                var sig = new Uint8Array(attStmt.get("sig"));
+                sig[sig.length - 1] ^= 0x01;
+            });
+            return expectVerificationError(
+                verifyAttestation(u2fMsg, u2fExpectations),
+                "attestation signature is invalid",
+                "attestationObject.attStmt.sig"
+            );
+        });
+
+        it("rejects more than one certificate", function() {
+            setAttStmt(u2fMsg, (attStmt) => {
+                attStmt.set("x5c", [attStmt.get("x5c")[0], attStmt.get("x5c")[0]]);
+            });
+            return expectVerificationError(
+                verifyAttestation(u2fMsg, u2fExpectations),
+                "expected fido-u2f attStmt to have exactly one certificate in 'x5c'",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+    });
+
+    describe("tpm", function() {
+        var tpmMsg, tpmExpectations;
+        beforeEach(function() {
+            tpmMsg = fido2Helpers.functions.cloneObject(fido2Helpers.server.challengeResponseAttestationTpmB64UrlMsg);
+            tpmExpectations = {
+                challenge: getClientData(tpmMsg).challenge,
+                origin: "https://webauthn.org"
+            };
+        });
+
+        it("verifies attestation", function() {
+            return verifyAttestation(tpmMsg, tpmExpectations)
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "tpm");
+                    assert.strictEqual(res.attestationType, "attca");
+                    assert.strictEqual(res.trustPath.length, 2);
+                    assert.instanceOf(res.trustPath[0], ArrayBuffer);
+                });
+        });
+
+        it("rejects wrong version", function() {
+            setAttStmt(tpmMsg, (attStmt) => {
+                attStmt.set("ver", "1.2");
+            });
+            return expectVerificationError(
+                verifyAttestation(tpmMsg, tpmExpectations),
+                "expected tpm attStmt 'ver' to be '2.0', got: 1.2",
+                "attestationObject.attStmt.ver"
+            );
+        });
+
+        it("rejects pubArea that doesn't match credential public key", function() {
+            setAttStmt(tpmMsg, (attStmt) => {
+                var pubArea = new Uint8Array(attStmt.get("pubArea"));
+                pubArea[pubArea.length - 1] ^= 0x01;
+            });
+            return expectVerificationError(
+                verifyAttestation(tpmMsg, tpmExpectations),
+                "tpm 'pubArea' modulus doesn't match credential public key",
+                "attestationObject.attStmt.pubArea"
+            );
+        });
+
+        it("rejects name algorithm that doesn't match pubArea", function() {
+            setAttStmt(tpmMsg, (attStmt) => {
+                // nameAlg follows the 2 byte type of the TPMT_PUBLIC
+                var view = new DataView(attStmt.get("pubArea"));
+                view.setUint16(2, (view.getUint16(2) === 0x0004) ? 0x000B : 0x0004);
+            });
+            return expectVerificationError(
+                verifyAttestation(tpmMsg, tpmExpectations),
+                "tpm certInfo 'name' algorithm doesn't match the 'nameAlg' of 'pubArea'",
+                "attestationObject.attStmt.certInfo"
+            );
+        });
+
+        it("rejects certInfo for different client data", function() {
+            var clientData = getClientData(tpmMsg);
+            clientData.extra = "foo";
+            setClientData(tpmMsg, clientData);
+            return expectVerificationError(
+                verifyAttestation(tpmMsg, tpmExpectations),
+                "tpm certInfo 'extraData' doesn't match the attestation",
+                "attestationObject.attStmt.certInfo"
+            );
+        });
+
+        it("rejects truncated certInfo", function() {
+            setAttStmt(tpmMsg, (attStmt) => {
+                attStmt.set("certInfo", attStmt.get("certInfo").slice(0, 10));
+            });
+            return expectVerificationError(
+                verifyAttestation(tpmMsg, tpmExpectations),
+                "couldn't parse tpm structure: unexpected end of data",
+                "attestationObject.attStmt.certInfo"
+            );
+        });
+    });
+
+    describe("android-key", function() {
+        // KeyDescription, with a TEE enforced AuthorizationList for a generated signing key
+        function makeKeyDescription(challenge, allApplications) {
+            var teeEnforced = [
+                {
+                    tagClass: asn1.tagClasses.CONTEXT,
+                    tag: 1,
+                    children: [derNode(asn1.tags.SET, [derNode(asn1.tags.INTEGER, new Uint8Array([2]))])]
+                },
+                {
+                    tagClass: asn1.tagClasses.CONTEXT,
+                    tag: 702,
+                    children: [derNode(asn1.tags.INTEGER, new Uint8Array([0]))]
+                }
+            ];
+            if (allApplications) {
+                teeEnforced.push({
+                    tagClass: asn1.tagClasses.CONTEXT,
+                    tag: 600,
+                    children: [derNode(asn1.tags.NULL, new Uint8Array(0))]
+                });
+            }
+
+            return asn1.encodeDer(derNode(asn1.tags.SEQUENCE, [
+                derNode(asn1.tags.INTEGER, new Uint8Array([3])),
+                // ENUMERATED
+                derNode(10, new Uint8Array([1])),
+                derNode(asn1.tags.INTEGER, new Uint8Array([4])),
+                derNode(10, new Uint8Array([1])),
+                derNode(asn1.tags.OCTET_STRING, challenge),
+                derNode(asn1.tags.OCTET_STRING, new Uint8Array(0)),
+                derNode(asn1.tags.SEQUENCE, []),
+                derNode(asn1.tags.SEQUENCE, teeEnforced)
+            ]));
+        }
+
+        function makeAndroidKeyAttestation(opts) {
+            opts = opts || {};
+            return makeAttestation("android-key", (ctx) => new Map([
+                ["alg", -7],
+                ["sig", crypto.sign("sha256", Buffer.concat([ctx.authData, ctx.clientDataHash]), ctx.keyPair.privateKey)],
+                ["x5c", makeCredentialCertificates(ctx, {
+                    publicKey: opts.publicKey,
+                    extensions: [["1.3.6.1.4.1.11129.2.1.17", opts.keyDescription || makeKeyDescription(ctx.clientDataHash, opts.allApplications)]]
+                })]
+            ]));
+        }
+
+        function verify(msg) {
+            return verifyAttestation(msg, {
+                challenge: getClientData(msg).challenge,
+                origin: "https://example.com"
+            });
+        }
+
+        it("verifies attestation", function() {
+            return verify(makeAndroidKeyAttestation())
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "android-key");
+                    assert.strictEqual(res.attestationType, "basic");
+                    assert.strictEqual(res.trustPath.length, 2);
+                });
+        });
+
+        it("rejects key for all applications", function() {
+            return expectVerificationError(
+                verify(makeAndroidKeyAttestation({ allApplications: true })),
+                "expected android-key to be scoped to the relying party, but it is allowed for all applications",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+
+        it("rejects challenge that doesn't match client data", function() {
+            var msg = makeAndroidKeyAttestation();
+            var clientData = getClientData(msg);
+            clientData.extra = "foo";
+            setClientData(msg, clientData);
+            return expectVerificationError(
+                verify(msg),
+                "android-key attestation challenge doesn't match the client data hash",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+
+        it("rejects certificate for a different key", function() {
+            var msg = makeAndroidKeyAttestation({ publicKey: crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).publicKey });
+            return expectVerificationError(
+                verify(msg),
+                "attestation signature is invalid",
+                "attestationObject.attStmt.sig"
+            );
+        });
+
+        it("rejects short key description", function() {
+            var keyDescription = asn1.encodeDer(derNode(asn1.tags.SEQUENCE, [
+                derNode(asn1.tags.INTEGER, new Uint8Array([3])),
+                derNode(asn1.tags.OCTET_STRING, new Uint8Array(0))
+            ]));
+            return expectVerificationError(
+                verify(makeAndroidKeyAttestation({ keyDescription: keyDescription })),
+                "couldn't decode android-key key description: expected key description to be a SEQUENCE of 8 values",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+
+        it("rejects missing key description", function() {
+            var msg = makeAttestation("android-key", (ctx) => new Map([
+                ["alg", -7],
+                ["sig", crypto.sign("sha256", Buffer.concat([ctx.authData, ctx.clientDataHash]), ctx.keyPair.privateKey)],
+                ["x5c", makeCredentialCertificates(ctx, {})]
+            ]));
+            return expectVerificationError(
+                verify(msg),
+                "expected android-key attestation certificate to have a key description extension",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+    });
+
+    describe("android-safetynet", function() {
+        function toBase64Url(buf) {
+            return WebAuthnHelpers.utils.coerceToBase64Url(buf);
+        }
+
+        function makeSafetyNetAttestation(payload) {
+            return makeAttestation("android-safetynet", (ctx) => {
+                var keyPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+                var x5c = makeCredentialCertificates(ctx, {
+                    subject: "attest.android.com",
+                    publicKey: keyPair.publicKey
+                });
+                var header = {
+                    alg: "RS256",
+                    x5c: x5c.map((cert) => cert.toString("base64"))
+                };
+                payload = Object.assign({
+                    nonce: crypto.createHash("sha256").update(Buffer.concat([ctx.authData, ctx.clientDataHash])).digest("base64"),
+                    timestampMs: Date.now(),
+                    ctsProfileMatch: true,
+                    basicIntegrity: true
+                }, payload);
+
+                var signedData = toBase64Url(Buffer.from(JSON.stringify(header))) + "." + toBase64Url(Buffer.from(JSON.stringify(payload)));
+                var sig = crypto.sign("sha256", Buffer.from(signedData), keyPair.privateKey);
+
+                return new Map([
+                    ["ver", "14366018"],
+                    ["response", Buffer.from(signedData + "." + toBase64Url(sig))]
+                ]);
+            });
+        }
+
+        function verify(msg) {
+            return verifyAttestation(msg, {
+                challenge: getClientData(msg).challenge,
+                origin: "https://example.com"
+            });
+        }
+
+        it("verifies attestation", function() {
+            return verify(makeSafetyNetAttestation())
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "android-safetynet");
+                    assert.strictEqual(res.attestationType, "basic");
+                    assert.strictEqual(res.trustPath.length, 2);
+                    assert.instanceOf(res.trustPath[0], ArrayBuffer);
+                });
+        });
+
+        it("rejects failed ctsProfileMatch", function() {
+            // the client data of this attestation predates the 'type' field, which is added here, and its
+            // authenticator data doesn't have the user present flag
+            var msg = fido2Helpers.functions.cloneObject(fido2Helpers.server.challengeResponseAttestationSafetyNetMsgB64Url);
+            var clientData = getClientData(msg);
+            clientData.type = "webauthn.create";
+            setClientData(msg, clientData);
+            return expectVerificationError(
+                verifyAttestation(msg, {
+                    challenge: clientData.challenge,
+                    origin: "webauthn.org",
+                    rpId: "webauthn.org",
+                    requireUserPresence: false
+                }),
+                "expected android-safetynet 'ctsProfileMatch' to be true",
+                "attestationObject.attStmt.response"
+            );
+        });
+
+        it("rejects nonce that doesn't match", function() {
+            var msg = makeSafetyNetAttestation();
+            var clientData = getClientData(msg);
+            clientData.extra = "foo";
+            setClientData(msg, clientData);
+            return expectVerificationError(
+                verify(msg),
+                "android-safetynet 'nonce' doesn't match the attestation",
+                "attestationObject.attStmt.response"
+            );
+        });
+
+        it("rejects malformed response", function() {
+            var msg = makeAttestation("android-safetynet", () => new Map([
+                ["ver", "14366018"],
+                ["response", Buffer.from("foo")]
+            ]));
+            return expectVerificationError(
+                verify(msg),
+                "expected android-safetynet 'response' to be a JWS",
+                "attestationObject.attStmt.response"
+            );
+        });
+    });
+
+    describe("apple", function() {
+        function makeAppleAttestation(publicKey) {
+            return makeAttestation("apple", (ctx) => {
+                var nonce = crypto.createHash("sha256").update(Buffer.concat([ctx.authData, ctx.clientDataHash])).digest();
+                var ext = asn1.encodeDer(derNode(asn1.tags.SEQUENCE, [{
+                    tagClass: asn1.tagClasses.CONTEXT,
+                    tag: 1,
+                    children: [derNode(asn1.tags.OCTET_STRING, nonce)]
+                }]));
+
+                return new Map([
+                    ["x5c", makeCredentialCertificates(ctx, {
+                        publicKey: publicKey,
+                        extensions: [["1.2.840.113635.100.8.2", ext]]
+                    })]
+                ]);
+            });
+        }
+
+        function verify(msg) {
+            return verifyAttestation(msg, {
+                challenge: getClientData(msg).challenge,
+                origin: "https://example.com"
+            });
+        }
+
+        it("verifies attestation", function() {
+            return verify(makeAppleAttestation())
+                .then((res) => {
+                    assert.strictEqual(res.fmt, "apple");
+                    assert.strictEqual(res.attestationType, "anonca");
+                    assert.strictEqual(res.trustPath.length, 2);
+                });
+        });
+
+        it("rejects nonce that doesn't match", function() {
+            var msg = makeAppleAttestation();
+            var clientData = getClientData(msg);
+            clientData.extra = "foo";
+            setClientData(msg, clientData);
+            return expectVerificationError(
+                verify(msg),
+                "apple attestation nonce doesn't match the attestation",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+
+        it("rejects certificate for a different key", function() {
+            var msg = makeAppleAttestation(crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).publicKey);
+            return expectVerificationError(
+                verify(msg),
+                "attestation certificate public key doesn't match credential public key",
+                "attestationObject.attStmt.x5c"
+            );
+        });
+    });
+});
+
+describe("registerAttestationFormat", function() {
+    it("is a function", function() {
+        assert.isFunction(registerAttestationFormat);
+    });
+
+    it("adds attestation format", function() {
+        var msg = makeAttestation("x-test-format", () => new Map([["foo", "bar"]]));
+        registerAttestationFormat("x-test-format", (attStmt, ctx) => {
+            assert.strictEqual(attStmt.get("foo"), "bar");
+            assert.instanceOf(ctx.authData, ArrayBuffer);
+            assert.instanceOf(ctx.clientDataHash, ArrayBuffer);
+            assert.isObject(ctx.authnrData);
+            return {
+                attestationType: "self",
+                trustPath: []
+            };
+        });
+
+        return verifyAttestation(msg, {
+            challenge: getClientData(msg).challenge,
+            origin: "https://example.com"
+        })
+            .then((res) => {
+                assert.strictEqual(res.fmt, "x-test-format");
+                assert.strictEqual(res.attestationType, "self");
+            });
+    });
+
+    it("throws on bad fmt", function() {
+        assert.throws(() => {
+            registerAttestationFormat("", () => {});
+        }, TypeError, "expected 'fmt' to be non-empty 'string', got: ");
+    });
+
+    it("throws on bad verify function", function() {
+        assert.throws(() => {
+            registerAttestationFormat("x-test-format", {});
+        }, TypeError, "expected 'verify' to be 'Function', got: [object Object]");
+    });
+});